@@ -0,0 +1,236 @@
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import db from '../database/DatabaseManager.js';
+import groupRegistry from './GroupRegistry.js';
+import permissionManager from './PermissionManager.js';
+import calendarManager from '../skills/CalendarManager.js';
+import homeAssistantManager from '../skills/HomeAssistantManager.js';
+import { fetchRss } from '../utils/WebFetcher.js';
+import { TIMEZONE } from '../skills/calendar/helpers.js';
+import { toLocalParts, fromLocalParts } from '../utils/timezone.js';
+
+const NEWS_ITEMS = 5;
+const LOW_BATTERY_PERCENT = 15;
+
+// Home Assistant states worth a morning warning, by domain and device class
+const OPEN_CLASSES = ['window', 'door', 'garage_door', 'opening', 'garage', 'gate'];
+const DANGER_CLASSES = ['moisture', 'smoke', 'gas', 'carbon_monoxide', 'problem'];
+
+/**
+ * Local HH:MM of an ISO time
+ */
+function localTime(iso, timeZone = TIMEZONE) {
+    return new Date(iso).toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Briefing sections. Each gathers plain data for the briefing's audience and throws when its source fails.
+ * gather(briefing, audience, today) → data (an empty list means nothing to report)
+ */
+const SECTIONS = {
+    calendar: {
+        title: 'היומן של היום',
+        async gather(briefing, audience, today) {
+            const result = await calendarManager.listEvents(today);
+            if (result.error) throw new Error(result.error);
+            return result.events.map(e => ({
+                title: e.title,
+                time: e.isAllDay ? 'כל היום' : `${localTime(e.start)}-${localTime(e.end)}`,
+                ...(e.location && { location: e.location }),
+                ...(e.calendar && { calendar: e.calendar })
+            }));
+        }
+    },
+    reminders: {
+        title: 'תזכורות פתוחות',
+        async gather(briefing, audience) {
+            // Due by the end of today, overdue included
+            const timeZone = config.reminders.timezone;
+            const { year, month, day } = toLocalParts(new Date(), timeZone);
+            const endOfDay = fromLocalParts({ year, month, day: day + 1 }, timeZone);
+            // A person gets their own tasks; a group gets the tasks of that group
+            return db.getPendingReminders()
+                .filter(r => audience.person
+                    ? r.assignee === audience.person
+                    : (r.group_jid || groupRegistry.getDefaultGroupId()) === audience.chatId)
+                .filter(r => new Date(r.due_date) < endOfDay)
+                .sort((a, b) => new Date(a.due_date) - new Date(b.due_date))
+                .map(r => ({
+                    title: r.title,
+                    due: new Date(r.due_date).toLocaleString('he-IL', { timeZone, dateStyle: 'short', timeStyle: 'short' }),
+                    ...(new Date(r.due_date) < new Date() && { overdue: true }),
+                    ...(r.assignee && !audience.person && { assignedTo: permissionManager.getName(r.assignee) })
+                }));
+        }
+    },
+    weather: {
+        title: 'מזג האוויר',
+        async gather(briefing) {
+            if (!briefing.weather_entity) throw new Error('No weather entity set for this briefing');
+            const result = await homeAssistantManager.getWeather(briefing.weather_entity);
+            if (result.error) throw new Error(result.error);
+            const { success, entity, ...weather } = result;
+            return weather;
+        }
+    },
+    news: {
+        title: 'כותרות',
+        async gather(briefing) {
+            if (!briefing.rss_url) throw new Error('No RSS feed set for this briefing');
+            const result = await fetchRss(briefing.rss_url, { maxItems: NEWS_ITEMS });
+            if (!result.success) throw new Error(result.error);
+            return result.items.map(item => ({ title: item.title, source: result.feed_title }));
+        }
+    },
+    birthdays: {
+        title: 'ימי הולדת',
+        async gather() {
+            const birthdays = await calendarManager.checkBirthdays();
+            return birthdays.map(e => ({ title: e.title, ...(e.calendar && { calendar: e.calendar }) }));
+        }
+    },
+    alerts: {
+        title: 'התראות בבית',
+        async gather() {
+            const result = await homeAssistantManager.getEntities();
+            if (result.error) throw new Error(result.error);
+            return result.entities.map(e => ({ name: e.name, alert: homeAlert(e) })).filter(e => e.alert);
+        }
+    }
+};
+
+/**
+ * Why a Home Assistant entity needs attention in the morning, or null
+ */
+function homeAlert(entity) {
+    const deviceClass = entity.attributes?.device_class;
+    if (entity.type === 'binary_sensor' && entity.state === 'on') {
+        if (OPEN_CLASSES.includes(deviceClass)) return 'open';
+        if (DANGER_CLASSES.includes(deviceClass)) return deviceClass;
+    }
+    if (entity.type === 'cover' && entity.state === 'open' && OPEN_CLASSES.includes(deviceClass)) return 'open';
+    if (entity.type === 'lock' && ['unlocked', 'open'].includes(entity.state)) return 'unlocked';
+    if (entity.type === 'sensor' && deviceClass === 'battery' && Number(entity.state) < LOW_BATTERY_PERCENT) {
+        return `battery ${entity.state}%`;
+    }
+    return null;
+}
+
+export const BRIEFING_SECTIONS = Object.keys(SECTIONS);
+
+/**
+ * BriefingManager - Scheduled briefings (e.g. "good morning"): the chosen sections are gathered
+ * deterministically from the calendars, reminders, Home Assistant and RSS, then phrased by the model once.
+ * When the model is unavailable (budget, errors) a plain text version is sent instead.
+ */
+class BriefingManager {
+    constructor() {
+        this.geminiManager = null;
+    }
+
+    /**
+     * @param {Object} geminiManager - Instance of GeminiManager for phrasing briefings
+     */
+    init(geminiManager) {
+        this.geminiManager = geminiManager;
+        return this;
+    }
+
+    /**
+     * Where a briefing goes: the person's private chat, or its group (default group when unset)
+     * @param {Object} briefing - briefings row
+     * @returns {{chatId: string, contextId: string, person: string|null}|null}
+     */
+    getAudience(briefing) {
+        if (briefing.person_phone) {
+            return { chatId: `${briefing.person_phone}@s.whatsapp.net`, contextId: briefing.person_phone, person: briefing.person_phone };
+        }
+        const groupId = briefing.group_jid || groupRegistry.getDefaultGroupId();
+        return groupId ? { chatId: groupId, contextId: groupId, person: null } : null;
+    }
+
+    /**
+     * Gather the data of every section of a briefing (a failing section is reported, not fatal)
+     * @param {Object} briefing - briefings row
+     * @param {Object} audience - See getAudience
+     */
+    async gather(briefing, audience) {
+        const today = new Date().toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+        const sections = briefing.sections.filter(id => SECTIONS[id]);
+
+        const results = await Promise.allSettled(sections.map(id => SECTIONS[id].gather(briefing, audience, today)));
+        return {
+            briefing: briefing.name,
+            date: new Date().toLocaleDateString('he-IL', { timeZone: TIMEZONE, weekday: 'long', day: 'numeric', month: 'long' }),
+            audience: audience.person ? permissionManager.getName(audience.person) : groupRegistry.getName(audience.chatId),
+            sections: results.map((result, i) => {
+                const id = sections[i];
+                if (result.status === 'fulfilled') return { id, title: SECTIONS[id].title, data: result.value };
+                logger.warn('Briefing section failed', { briefing: briefing.name, section: id, error: result.reason?.message });
+                return { id, title: SECTIONS[id].title, error: result.reason?.message || String(result.reason) };
+            })
+        };
+    }
+
+    /**
+     * Gather a briefing and phrase it
+     * @param {Object} briefing - briefings row
+     * @returns {Promise<{text: string, data: Object, audience: Object}|{error: string}>}
+     */
+    async compose(briefing) {
+        const audience = this.getAudience(briefing);
+        if (!audience) return { error: 'No target chat (choose a group or a person, or set a default group)' };
+
+        const data = await this.gather(briefing, audience);
+        const generated = this.geminiManager
+            ? await this.geminiManager.generateBriefing(data, { contextId: audience.contextId })
+            : null;
+        return { text: generated || this._plainText(data), data, audience };
+    }
+
+    /**
+     * Compose a briefing and send it to its chat
+     * @param {Object} briefing - briefings row
+     * @returns {Promise<{sent: boolean, text?: string, error?: string}>}
+     */
+    async send(briefing) {
+        const result = await this.compose(briefing);
+        if (result.error) {
+            logger.warn(`Cannot send briefing: ${briefing.name}`, { error: result.error });
+            return { sent: false, error: result.error };
+        }
+
+        const { default: outboundQueue } = await import('./OutboundQueue.js');
+        const { sent } = await outboundQueue.send(result.audience.chatId, result.text, { source: 'briefing' });
+        // Logged under the chat so Noga can answer follow-up questions about the briefing
+        db.addChatMessage(result.audience.contextId, 'model', result.text);
+        logger.info(`Briefing ${sent ? 'sent' : 'queued'}: ${briefing.name}`, { to: result.audience.chatId });
+        return { sent, text: result.text };
+    }
+
+    /**
+     * Plain text briefing, used when the model cannot phrase it
+     */
+    _plainText(data) {
+        const lines = [`☀️ ${data.briefing} – ${data.date}`];
+        for (const section of data.sections) {
+            lines.push('', `*${section.title}*`);
+            if (section.error) {
+                lines.push('לא זמין כרגע');
+            } else if (Array.isArray(section.data)) {
+                if (section.data.length === 0) lines.push('אין');
+                for (const item of section.data) {
+                    lines.push(`• ${[item.time, item.title || item.name, item.due, item.alert].filter(Boolean).join(' ')}`);
+                }
+            } else {
+                const w = section.data;
+                lines.push(`${w.condition}, ${w.temperature}${w.unit || ''}`
+                    + (w.today ? ` (${w.today.low ?? '?'}–${w.today.high ?? '?'}${w.unit || ''})` : ''));
+            }
+        }
+        return lines.join('\n');
+    }
+}
+
+export default new BriefingManager();
+export { BriefingManager };
@@ -0,0 +1,186 @@
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import db from '../database/DatabaseManager.js';
+import outboundQueue from './OutboundQueue.js';
+
+const STATE_CONFIG_KEY = 'ai_budget_state';
+
+/**
+ * BudgetManager - Enforces daily/monthly AI spending limits.
+ * Soft limit: warn the admin once per period and downgrade to a cheaper model.
+ * Hard limit: block AI replies (static keywords and commands still work) until
+ * the period resets or the admin lifts the block.
+ */
+class BudgetManager {
+    /**
+     * Get the current budget state
+     * @returns {Object} { enabled, level, lifted, downgradeModel, daily, monthly }
+     */
+    getState() {
+        const { dailySoftUsd, dailyHardUsd, monthlySoftUsd, monthlyHardUsd, downgradeModel } = config.budget;
+        const usage = db.getUsageStats();
+        const periods = this._currentPeriods();
+        const state = this._loadState();
+
+        // A lift only covers the period it was granted in (day for daily, month for monthly)
+        const lift = state.lift || {};
+        const daily = this._evaluate(usage.today.cost, dailySoftUsd, dailyHardUsd, lift.day === periods.day);
+        const monthly = this._evaluate(usage.month.cost, monthlySoftUsd, monthlyHardUsd, lift.month === periods.month);
+
+        const levels = [daily.level, monthly.level];
+        const level = levels.includes('hard') ? 'hard' : levels.includes('soft') ? 'soft' : 'ok';
+
+        return {
+            enabled: dailySoftUsd > 0 || dailyHardUsd > 0 || monthlySoftUsd > 0 || monthlyHardUsd > 0,
+            level,
+            lifted: daily.lifted || monthly.lifted,
+            downgradeModel,
+            daily,
+            monthly
+        };
+    }
+
+    /**
+     * Whether AI processing is blocked by the hard limit
+     * @returns {boolean}
+     */
+    isBlocked() {
+        return this.check().level === 'hard';
+    }
+
+    /**
+     * Model to use instead of the routed one, or null when the budget allows any model
+     * @returns {string|null}
+     */
+    getModelOverride() {
+        const state = this.check();
+        return state.level === 'ok' ? null : state.downgradeModel;
+    }
+
+    /**
+     * Evaluate the budget and notify the admin the first time a limit is crossed in a period
+     * @returns {Object} Budget state (see getState)
+     */
+    check() {
+        const state = this.getState();
+        if (!state.enabled || state.level === 'ok') return state;
+
+        const periods = this._currentPeriods();
+        const stored = this._loadState();
+        const warned = stored.warned || {};
+        const toWarn = [];
+
+        for (const [scope, periodKey] of [['daily', periods.day], ['monthly', periods.month]]) {
+            const level = state[scope].level;
+            if (level === 'ok') continue;
+            const key = `${scope}_${level}`;
+            if (warned[key] !== periodKey) {
+                warned[key] = periodKey;
+                toWarn.push({ scope, level });
+            }
+        }
+
+        if (toWarn.length > 0) {
+            this._saveState({ ...stored, warned });
+            for (const { scope, level } of toWarn) {
+                this._notifyAdmin(scope, level, state);
+            }
+        }
+
+        return state;
+    }
+
+    /**
+     * Lift the hard limits currently reached until their period resets. A limit that is not reached yet
+     * is not lifted in advance (lifting today's block does not lift the monthly limit for the month).
+     * @param {string} [by] - Who lifted it (for the log)
+     * @returns {Object} Budget state
+     */
+    lift(by = 'admin') {
+        const periods = this._currentPeriods();
+        const stored = this._loadState();
+        const state = this.getState();
+        const reached = (scope) => state[scope].level === 'hard' || state[scope].lifted;
+        const lift = {
+            day: reached('daily') ? periods.day : stored.lift?.day,
+            month: reached('monthly') ? periods.month : stored.lift?.month,
+            by,
+            at: new Date().toISOString()
+        };
+        this._saveState({ ...stored, lift });
+        logger.warn('AI budget hard limit lifted', { by, day: lift.day === periods.day, month: lift.month === periods.month });
+        return this.getState();
+    }
+
+    /**
+     * Human-readable budget summary (Hebrew), used by /status and /budget
+     * @returns {string}
+     */
+    getStatusText() {
+        const state = this.getState();
+        if (!state.enabled) return '💰 *תקציב AI*: לא הוגדר';
+
+        const levelLabel = { ok: '✅ תקין', soft: '⚠️ מעל הסף הרך (מודל מוזל)', hard: '⛔ חסום' }[state.level];
+        const formatScope = (label, s) => {
+            const limits = [s.soft > 0 ? `רך $${s.soft}` : null, s.hard > 0 ? `קשיח $${s.hard}` : null].filter(Boolean).join(', ');
+            return `   ${label}: $${s.spent.toFixed(4)}${limits ? ` (${limits})` : ''}`;
+        };
+
+        return `💰 *תקציב AI*: ${levelLabel}${state.lifted ? ' (החסימה הוסרה ידנית)' : ''}
+${formatScope('היום', state.daily)}
+${formatScope('החודש', state.monthly)}`;
+    }
+
+    /**
+     * Evaluate spending against a soft/hard pair (0 = no limit).
+     * A lifted hard limit is treated as soft, so the cheaper model stays in use.
+     */
+    _evaluate(spent, soft, hard, liftActive) {
+        let level = 'ok';
+        if (hard > 0 && spent >= hard) level = 'hard';
+        else if (soft > 0 && spent >= soft) level = 'soft';
+
+        const lifted = level === 'hard' && liftActive;
+        return { spent, soft, hard, level: lifted ? 'soft' : level, lifted };
+    }
+
+    /**
+     * Period keys aligned with db.getUsageStats (server local time)
+     */
+    _currentPeriods() {
+        const now = new Date();
+        const pad = n => n.toString().padStart(2, '0');
+        const month = `${now.getFullYear()}-${pad(now.getMonth() + 1)}`;
+        return { day: `${month}-${pad(now.getDate())}`, month };
+    }
+
+    _loadState() {
+        const stored = db.getConfig(STATE_CONFIG_KEY);
+        return stored && typeof stored === 'object' ? stored : {};
+    }
+
+    _saveState(state) {
+        db.setConfig(STATE_CONFIG_KEY, state);
+    }
+
+    /**
+     * Send a one-time WhatsApp warning to ADMIN_PHONE
+     */
+    _notifyAdmin(scope, level, state) {
+        const s = state[scope];
+        const scopeLabel = scope === 'daily' ? 'היומי' : 'החודשי';
+        const text = level === 'hard'
+            ? `⛔ *תקציב AI ${scopeLabel} נוצל* ($${s.spent.toFixed(4)} מתוך $${s.hard}).\nנוגה עונה כעת רק למילות מפתח סטטיות ולפקודות עד תחילת התקופה הבאה.\nלהסרת החסימה שלח /budget lift`
+            : `⚠️ *התקרבות לתקציב AI ${scopeLabel}* ($${s.spent.toFixed(4)} מתוך סף רך של $${s.soft}).\nעוברת למודל זול יותר (${state.downgradeModel}).`;
+
+        logger.warn('AI budget limit reached', { scope, limit: level, spent: s.spent, soft: s.soft, hard: s.hard });
+
+        if (!config.whatsapp.adminPhone) return;
+        outboundQueue.send(config.whatsapp.adminPhone, text, { source: 'budget' }).catch(err => {
+            logger.error('Failed to send budget warning to admin', { error: err.message });
+        });
+    }
+}
+
+export default new BudgetManager();
+export { BudgetManager };
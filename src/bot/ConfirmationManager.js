@@ -0,0 +1,259 @@
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import db from '../database/DatabaseManager.js';
+import groupRegistry from './GroupRegistry.js';
+import homeAssistantManager from '../skills/HomeAssistantManager.js';
+
+// Whole-message answers to a confirmation request (compared after trimming punctuation)
+const CONFIRM_WORDS = ['כן', 'yes', 'אשר', 'מאשר', 'מאשרת', 'אישור', 'בטח', 'ok', 'okay', 'אוקיי', 'אוקי', 'confirm', '👍'];
+const CANCEL_WORDS = ['לא', 'no', 'בטל', 'בטלי', 'ביטול', 'עזוב', 'עזבי', 'cancel', '👎'];
+
+// Home Assistant intents that only read, never confirmed
+const READ_ONLY_INTENTS = ['HassGetState', 'HassGetWeather'];
+
+/**
+ * Lowercase name with single spaces, for comparing device, area and floor names
+ */
+function normalizeName(value) {
+    return String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Normalized names of an intent argument (a string or a list) or a comma-separated alias column
+ */
+function nameList(value) {
+    const values = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return values.filter(v => typeof v === 'string').map(normalizeName).filter(Boolean);
+}
+
+/**
+ * ConfirmationManager - Sensitive tool calls (pending_actions table) that only run after the sender
+ * answers "yes" or reacts 👍 to Noga's summary. Requests expire after CONFIRM_EXPIRY_MINUTES.
+ */
+class ConfirmationManager {
+    /**
+     * Whether a tool call must be confirmed before it runs
+     * @param {string} toolName - Function name
+     * @param {Object} args - Function arguments
+     * @returns {Promise<boolean>}
+     */
+    async requiresConfirmation(toolName, args = {}) {
+        if (config.confirmations.tools.includes(toolName)) return true;
+        if (toolName === 'send_whatsapp_message') return !this._isGroupRecipient(args.recipient);
+        // Home Assistant MCP intents (HassTurnOn, HassTurnOff, ...) on locks, alarms, garage doors
+        if (toolName.startsWith('Hass') && !READ_ONLY_INTENTS.includes(toolName)) return this._targetsSensitiveDevice(args);
+        return false;
+    }
+
+    /**
+     * Store a tool call until the sender confirms it
+     * @param {Object} action
+     * @param {string} action.contextId - Chat the request came from
+     * @param {string} action.senderId - Phone number of the person who asked
+     * @param {string} action.toolName - Function name
+     * @param {Object} action.args - Function arguments
+     * @returns {{id: number, summary: string, expiresInMinutes: number}}
+     */
+    create({ contextId, senderId, toolName, args }) {
+        const summary = this.summarize(toolName, args);
+        const expiryMinutes = config.confirmations.expiryMinutes;
+        const id = db.addPendingAction({ contextId, senderId, toolName, args, summary, expiryMinutes });
+        logger.info('Tool call waiting for confirmation', { id, contextId, senderId, toolName });
+        return { id, summary, expiresInMinutes: expiryMinutes };
+    }
+
+    /**
+     * Link the chat's new pending actions to the reply that asked for confirmation, so a 👍 on it confirms them
+     * @param {string} contextId - Chat ID
+     * @param {string|null} messageId - WhatsApp message ID of the reply
+     */
+    attachMessage(contextId, messageId) {
+        if (!messageId || !db) return;
+        db.setPendingActionsMessageId(contextId, messageId);
+    }
+
+    /**
+     * Interpret a message as an answer to a confirmation request
+     * @param {string} text - Message text or reaction emoji
+     * @returns {'confirm'|'cancel'|null}
+     */
+    parseAnswer(text) {
+        const answer = (text || '').trim().toLowerCase().replace(/[.!,]+$/, '');
+        if (CONFIRM_WORDS.includes(answer)) return 'confirm';
+        if (CANCEL_WORDS.includes(answer)) return 'cancel';
+        return null;
+    }
+
+    /**
+     * Pending actions an answer refers to. A reaction to, or a reply quoting, the confirmation request answers
+     * the actions it announced, for the person who asked or an admin. A plain "yes" / "no" only answers the
+     * sender's own latest request, so a casual "no" in a group does not cancel anyone else's action.
+     * @param {Object} options
+     * @param {string} options.contextId - Chat ID
+     * @param {string} options.senderId - Phone number of the person answering
+     * @param {boolean} options.isAdmin - Whether the person answering is an admin
+     * @param {string} [options.messageId] - ID of the message the answer reacted to or quoted
+     */
+    findActions({ contextId, senderId, isAdmin, messageId = null }) {
+        if (!db) return [];
+        if (messageId) {
+            return db.getPendingActionsByMessageId(messageId).filter(a => isAdmin || a.sender_id === senderId);
+        }
+
+        const own = db.getPendingActions(contextId).filter(a => a.sender_id === senderId);
+        const latest = own[own.length - 1];
+        if (!latest) return [];
+        // Actions asked about in the same reply are answered together
+        return latest.message_id ? own.filter(a => a.message_id === latest.message_id) : [latest];
+    }
+
+    /**
+     * Run or cancel pending actions and build the reply
+     * @param {Array} actions - pending_actions rows (see findActions)
+     * @param {'confirm'|'cancel'} decision
+     * @param {Function} execute - Runs a confirmed action, called with the row; returns the tool result
+     * @returns {Promise<string>} Reply for the chat
+     */
+    async resolve(actions, decision, execute) {
+        const lines = [];
+        for (const action of actions) {
+            if (decision === 'cancel') {
+                db.resolvePendingAction(action.id, 'cancelled');
+                logger.info('Pending action cancelled', { id: action.id, toolName: action.tool_name });
+                lines.push(`🚫 בוטל: ${action.summary}`);
+                continue;
+            }
+
+            // Mark first so a second "yes" arriving meanwhile does not run it twice
+            if (!db.resolvePendingAction(action.id, 'confirmed')) continue;
+            let result;
+            try {
+                result = await execute(action);
+            } catch (err) {
+                result = { error: err.message };
+            }
+            db.setPendingActionResult(action.id, result);
+
+            if (result && typeof result === 'object' && result.error) {
+                logger.warn('Confirmed action failed', { id: action.id, toolName: action.tool_name, error: result.error });
+                lines.push(`❌ ${action.summary} – נכשל: ${result.error}`);
+            } else {
+                logger.info('Confirmed action executed', { id: action.id, toolName: action.tool_name });
+                lines.push(`✅ בוצע: ${action.summary}`);
+            }
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Short Hebrew description of a tool call for the confirmation reply
+     * @param {string} toolName - Function name
+     * @param {Object} args - Function arguments
+     */
+    summarize(toolName, args = {}) {
+        switch (toolName) {
+            case 'send_whatsapp_message':
+                return `שליחת הודעה ל-${args.recipient}: "${String(args.message || '').substring(0, 100)}"`;
+            case 'delete_memory':
+                return `מחיקת הקובץ ${args.filename}`;
+            case 'delete_calendar_event':
+                return `מחיקת ${args.scope === 'series' ? 'כל הסדרה של ' : ''}אירוע מהיומן${args.title ? ` "${args.title}"` : ''}${args.event_id ? ` (${args.event_id})` : ''}`;
+            default: {
+                const details = JSON.stringify(args);
+                return `${toolName} ${details.length > 150 ? `${details.substring(0, 150)}...` : details}`;
+            }
+        }
+    }
+
+    _isGroupRecipient(recipient) {
+        const value = String(recipient || '').trim().toLowerCase();
+        return ['group', 'קבוצה', 'הקבוצה'].includes(value)
+            || value.endsWith('@g.us')
+            || groupRegistry.list().some(g => g.enabled && g.name.toLowerCase() === value);
+    }
+
+    /**
+     * Whether a Home Assistant intent may act on a sensitive device. Each CONFIRM_HA_DOMAINS entry is a domain
+     * (lock), a device class or both (cover:garage); an unknown domain or device class counts as matching.
+     */
+    async _targetsSensitiveDevice(args = {}) {
+        const rules = config.confirmations.haDomains.map(normalizeName);
+        const isSensitive = (domain, deviceClass) => rules.some(rule => {
+            const [ruleDomain, ruleClass] = rule.split(':');
+            if (ruleClass) return (domain === undefined || ruleDomain === domain) && (deviceClass === undefined || deviceClass === ruleClass);
+            return rule === domain || (!!deviceClass && rule === deviceClass);
+        });
+
+        const targets = await this._resolveTargets(args);
+        if (targets) return targets.some(e => isSensitive(e.domain, e.deviceClass));
+
+        // Nothing resolved (Home Assistant unreachable, unknown name): only the explicit domains, device classes and entity IDs
+        const classes = nameList(args.device_class);
+        const domains = [
+            ...nameList(args.domain),
+            ...Object.values(args).flat().map(normalizeName).filter(v => /^[a-z_]+\.\w+$/.test(v)).map(v => v.split('.')[0])
+        ];
+        return domains.some(d => (classes.length ? classes : [undefined]).some(c => isSensitive(d, c)))
+            || classes.some(c => isSensitive(undefined, c));
+    }
+
+    /**
+     * Entities a Home Assistant intent addresses, resolved like Home Assistant does: the name against friendly
+     * names, entity IDs, registry names and aliases and dashboard nicknames; the area and floor against the
+     * synced areas and floors with their aliases; then narrowed by domain and device_class
+     * @returns {Promise<Array<{id: string, domain: string, deviceClass: string|null|undefined}>|null>}
+     *   null when the intent names no device or nothing matches
+     */
+    async _resolveTargets(args) {
+        const names = nameList(args.name);
+        const areaNames = nameList(args.area);
+        const floorNames = nameList(args.floor);
+        const domains = nameList(args.domain);
+        const classes = nameList(args.device_class);
+        if (!names.length && !areaNames.length && !floorNames.length && !domains.length && !classes.length) return null;
+
+        const entities = new Map();
+        const entity = (id) => {
+            if (!entities.has(id)) {
+                entities.set(id, { id, domain: id.split('.')[0], deviceClass: undefined, areaId: null, names: new Set([id]) });
+            }
+            return entities.get(id);
+        };
+        const states = await homeAssistantManager.getEntities();
+        for (const state of states.entities || []) {
+            const e = entity(state.id);
+            e.deviceClass = state.attributes?.device_class ?? null;
+            e.names.add(normalizeName(state.name));
+        }
+        const hasDb = db && db.db;
+        for (const row of hasDb ? db.getHaRegistryEntities() : []) {
+            const e = entity(row.entity_id);
+            e.areaId = row.area_id;
+            nameList([row.name, ...nameList(row.aliases)]).forEach(n => e.names.add(n));
+        }
+        for (const mapping of hasDb ? db.getHaMappings() : []) {
+            const e = entity(mapping.entity_id);
+            if (mapping.area_id) e.areaId = mapping.area_id;
+            if (mapping.nickname) e.names.add(normalizeName(mapping.nickname));
+        }
+
+        let targets = [...entities.values()];
+        if (names.length) targets = targets.filter(e => names.some(n => e.names.has(n)));
+        if (areaNames.length || floorNames.length) {
+            const rowNames = (row) => nameList([row.name, ...nameList(row.aliases), ...nameList(row.custom_aliases)]);
+            const floorIds = new Set((hasDb ? db.getHaFloors() : [])
+                .filter(f => floorNames.some(n => rowNames(f).includes(n))).map(f => f.floor_id));
+            const areaIds = new Set((hasDb ? db.getHaAreas() : [])
+                .filter(a => (!areaNames.length || areaNames.some(n => rowNames(a).includes(n)))
+                    && (!floorNames.length || floorIds.has(a.floor_id)))
+                .map(a => a.area_id));
+            targets = targets.filter(e => areaIds.has(e.areaId));
+        }
+        if (domains.length) targets = targets.filter(e => domains.includes(e.domain));
+        if (classes.length) targets = targets.filter(e => e.deviceClass === undefined || classes.includes(e.deviceClass));
+        return targets.length ? targets : null;
+    }
+}
+
+export default new ConfirmationManager();
+export { ConfirmationManager };
@@ -0,0 +1,144 @@
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import db from '../database/DatabaseManager.js';
+import modelRouter from './ModelRouter.js';
+import budgetManager from './BudgetManager.js';
+import { startChat } from './providers/index.js';
+
+// Upper bounds that keep a single summarization call small
+const MAX_SUMMARY_CHARS = 2500;
+const MAX_MESSAGES_PER_PASS = 60;
+const MAX_MESSAGE_CHARS = 800;
+
+const SUMMARY_INSTRUCTION = `You maintain a running summary of a WhatsApp conversation between a family and their home assistant Noga (נוגה).
+Merge the existing summary with the new messages into ONE updated summary.
+Keep: who asked for what and when, decisions, commitments and promises, open questions, preferences and personal facts, names, dates and numbers.
+Drop: greetings, small talk, device state readings and anything already resolved that will not matter later.
+Write short bullet points in the language of the conversation (usually Hebrew). Do not address the user. Output only the summary.`;
+
+/**
+ * ConversationSummarizer - Folds chat messages that age out of the context window
+ * into a per-chat rolling summary, so older context survives the window and pruning.
+ * Summaries run in the background after a reply and never delay it.
+ */
+class ConversationSummarizer {
+    constructor() {
+        this.inFlight = new Set();
+        this.resets = new Map(); // contextId → reset counter, invalidates summaries generated before /clear
+    }
+
+    /**
+     * Summary text to inject ahead of the chat history
+     * @param {string} contextId - Chat identifier
+     * @returns {string} Empty string when disabled or no summary exists
+     */
+    getSummaryText(contextId) {
+        if (!config.gemini.summaryEnabled || !db || !contextId) return '';
+        const row = db.getConversationSummary(contextId);
+        return row?.summary?.trim() || '';
+    }
+
+    /**
+     * Update the summary in the background (no-op if one is already running for this chat)
+     * @param {string} contextId - Chat identifier
+     * @param {Object} [options]
+     * @param {Function} [options.onUsage] - (response, modelName) => void, called after the LLM call
+     */
+    schedule(contextId, { onUsage } = {}) {
+        if (!config.gemini.summaryEnabled || this.inFlight.has(contextId)) return;
+
+        this.inFlight.add(contextId);
+        this.summarize(contextId, { onUsage })
+            .catch(err => logger.error('Conversation summary failed', { contextId, error: err.message }))
+            .finally(() => this.inFlight.delete(contextId));
+    }
+
+    /**
+     * Fold every message older than the context window into the summary
+     * @param {string} contextId - Chat identifier
+     * @param {Object} [options]
+     * @param {Function} [options.onUsage] - (response, modelName) => void
+     * @param {boolean} [options.force] - Summarize even if fewer than GEMINI_SUMMARY_BATCH_MESSAGES aged out
+     * @returns {Promise<Object|null>} The saved summary row, or null if nothing was summarized
+     */
+    async summarize(contextId, { onUsage, force = false } = {}) {
+        const resetMark = this.resets.get(contextId) || 0;
+        let saved = null;
+
+        for (;;) {
+            const window = db.getChatHistory(contextId, config.gemini.contextWindowMessages);
+            if (window.length === 0) return saved;
+
+            const existing = db.getConversationSummary(contextId);
+            const aged = db.getChatMessagesBetween(contextId, existing?.summarized_until_id || 0, window[0].id);
+            if (aged.length === 0 || (!force && aged.length < config.gemini.summaryBatchMessages)) return saved;
+
+            if (budgetManager.isBlocked()) {
+                logger.info('AI budget exhausted, conversation summary postponed', { contextId, pending: aged.length });
+                return saved;
+            }
+
+            const batch = aged.slice(0, MAX_MESSAGES_PER_PASS);
+            const summary = await this._generate(existing?.summary || '', batch, onUsage);
+
+            // Skip the save if the chat was cleared or the summary was edited while we were generating
+            const current = db.getConversationSummary(contextId);
+            if ((this.resets.get(contextId) || 0) !== resetMark || current?.updated_at !== existing?.updated_at) {
+                logger.info('Conversation changed during summarization, discarding result', { contextId });
+                return saved;
+            }
+
+            db.saveConversationSummary(contextId, summary, batch[batch.length - 1].id, batch.length);
+            saved = db.getConversationSummary(contextId);
+            logger.info('Conversation summary updated', { contextId, messages: batch.length, length: summary.length });
+
+            if (aged.length <= batch.length) return saved;
+        }
+    }
+
+    /**
+     * Forget in-progress work for a chat (called when its history is cleared)
+     * @param {string} contextId - Chat identifier
+     */
+    reset(contextId) {
+        this.resets.set(contextId, (this.resets.get(contextId) || 0) + 1);
+    }
+
+    /**
+     * Ask the LLM to merge the previous summary with a batch of messages
+     */
+    async _generate(previousSummary, messages, onUsage) {
+        const route = modelRouter.route({ kind: 'summary' });
+        const transcript = messages.map(m => {
+            const speaker = m.role === 'model' ? 'Noga' : 'User';
+            const content = m.content.length > MAX_MESSAGE_CHARS ? `${m.content.substring(0, MAX_MESSAGE_CHARS)}...` : m.content;
+            return `[${m.created_at}] ${speaker}: ${content}`;
+        }).join('\n');
+
+        const chat = startChat({
+            model: route.model,
+            systemInstruction: SUMMARY_INSTRUCTION,
+            generationConfig: {
+                maxOutputTokens: 1024,
+                temperature: 0.2
+            }
+        });
+
+        const result = await chat.sendMessage(`Existing summary:\n${previousSummary || '(none)'}\n\nNew messages:\n${transcript}`);
+        if (onUsage) onUsage(result.response, route.model);
+
+        let text = '';
+        try {
+            text = result.response.text() || '';
+        } catch (e) {
+            // Blocked response – no text part
+        }
+        text = text.trim();
+        if (!text) throw new Error('LLM returned an empty summary');
+
+        return text.length > MAX_SUMMARY_CHARS ? text.substring(0, MAX_SUMMARY_CHARS) : text;
+    }
+}
+
+export default new ConversationSummarizer();
+export { ConversationSummarizer };
@@ -1,9 +1,15 @@
-import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
 import db from '../database/DatabaseManager.js';
 import promptBuilder from './PromptBuilder.js';
+import modelRouter from './ModelRouter.js';
+import budgetManager from './BudgetManager.js';
+import conversationSummarizer from './ConversationSummarizer.js';
+import knowledgeIndex from './KnowledgeIndex.js';
+import groupRegistry from './GroupRegistry.js';
+import permissionManager from './PermissionManager.js';
 import { ToolCallHandler } from './ToolCallHandler.js';
+import { startChat, getProviderChain, getProvidersStatus, isQuotaError } from './providers/index.js';
 
 // Pricing per 1M tokens (USD) – update when Google changes rates
 const MODEL_PRICING = {
@@ -35,8 +41,7 @@ function getModelPricing(modelName) {
 
 class GeminiManager {
     constructor() {
-        this.genAI = null;
-        this.model = null;
+        this.isInitialized = false;
         this.tools = [];
         this.toolHandlers = {};
         this.quotaExceeded = false;
@@ -48,11 +53,10 @@ class GeminiManager {
      * @param {Object} handlers - Map of function names to handler functions
      */
     async init(tools = [], handlers = {}) {
-        if (!config.gemini.apiKey) {
-            throw new Error('GEMINI_API_KEY is not configured');
+        if (getProviderChain().length === 0) {
+            throw new Error(`LLM provider "${config.llm.provider}" is not configured (check GEMINI_API_KEY / OPENAI_MODEL)`);
         }
 
-        this.genAI = new GoogleGenerativeAI(config.gemini.apiKey);
         this.tools = tools;
         this.toolHandlers = handlers;
 
@@ -62,10 +66,11 @@ class GeminiManager {
 
         // Load system prompt from files
         this.systemPrompt = await this.promptBuilder.build();
-
-        this._buildModel();
+        this.isInitialized = true;
 
         logger.info('Gemini AI initialized', {
+            provider: config.llm.provider,
+            fallbackProvider: config.llm.fallbackProvider || null,
             model: config.gemini.model,
             toolsCount: tools.length,
             promptSource: 'files'
@@ -79,7 +84,6 @@ class GeminiManager {
      */
     async reinit() {
         this.systemPrompt = await this.promptBuilder.build();
-        this._buildModel();
         logger.info('Gemini model re-initialized with updated system prompt from files');
     }
 
@@ -91,18 +95,32 @@ class GeminiManager {
     }
 
     /**
-     * Build/rebuild the Gemini model with current settings
+     * Start a tool-enabled chat session with dynamic date injection.
+     * Runs on the configured LLM provider, failing over to the fallback provider on quota errors.
+     * @param {string} modelName - Routed model (providers may substitute their own)
+     * @param {Object} options - { history, generationConfig, contextId, chatId, knowledge, senderId }
+     *   chatId selects the group persona and allowed tools (defaults to contextId);
+     *   senderId limits the tools to the sender's role (null = internal request, all tools)
      */
-    _buildModel() {
-        this.model = this._getModel();
+    _startChat(modelName, { history = [], generationConfig = {}, contextId = null, chatId = contextId, knowledge = '', senderId = null } = {}) {
+        return startChat({
+            model: modelName,
+            systemInstruction: this._buildSystemInstruction(contextId, knowledge, chatId, senderId),
+            tools: permissionManager.filterTools(groupRegistry.filterTools(this.tools, chatId), senderId),
+            history,
+            generationConfig
+        });
     }
 
     /**
-     * Get a fresh GenerativeModel instance with dynamic date injection
+     * Build the system instruction with the current date/time, pending reminders,
+     * knowledge retrieved for this message and the rolling summary of older messages in this chat
+     * @param {string|null} contextId - Chat whose summary to include (null = none)
+     * @param {string} [knowledge] - Relevant knowledge chunks (see PromptBuilder.getRelevantKnowledge)
+     * @param {string|null} [chatId] - Chat whose group instructions to include (defaults to contextId)
+     * @param {string|null} [senderId] - Phone number of the sender, to name them and state their role
      */
-    _getModel() {
-        if (!this.genAI) return this.model;
-
+    _buildSystemInstruction(contextId = null, knowledge = '', chatId = contextId, senderId = null) {
         // Inject current date and time into the system prompt
         const now = new Date();
         const options = { timeZone: 'Asia/Jerusalem' };
@@ -114,7 +132,10 @@ class GeminiManager {
         // Inject pending reminders so the AI knows what the user might be referring to
         let pendingRemindersInfo = '';
         if (db) {
-            const reminders = db.getPendingReminders();
+            // In a group only its own reminders are relevant; private chats see all of them
+            const defaultGroupId = groupRegistry.getDefaultGroupId();
+            const reminders = db.getPendingReminders()
+                .filter(r => !chatId?.endsWith('@g.us') || (r.group_jid || defaultGroupId) === chatId);
             if (reminders && reminders.length > 0) {
                 // Sort by last_nudged descending so the most recently nudged is first
                 const sorted = [...reminders].sort((a, b) => {
@@ -127,57 +148,62 @@ class GeminiManager {
                     const nudgedInfo = r.last_nudged
                         ? `last nudged: ${new Date(r.last_nudged).toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' })}`
                         : 'not yet nudged';
-                    return `[ID: ${r.id}] "${r.title}" (${nudgedInfo})`;
+                    const assigneeInfo = r.assignee ? `assigned to ${permissionManager.getName(r.assignee)}, ` : '';
+                    return `[ID: ${r.id}] "${r.title}" (${assigneeInfo}${nudgedInfo})`;
                 }).join('; ');
                 pendingRemindersInfo = `\nPending Reminders (To-Do), sorted by most recently nudged first: ${reminderList}.`
                     + `\nWhen the user says "done", "I did it", "עשיתי", or reacts with 👍:`
                     + `\n1. First, check the recent chat history for a "[Internal Context: Reminder ID X]" tag — this tells you exactly which reminder the user is responding to.`
                     + `\n2. If you find a matching tag, mark THAT specific reminder as done using update_reminder_status.`
                     + `\n3. If there is only ONE pending reminder, you can safely assume they mean that one.`
-                    + `\n4. If there are MULTIPLE pending reminders and you CANNOT determine which one from the chat history, you MUST ASK the user which task they completed. List the options. Do NOT guess.`
+                    + `\n4. An assigned task can only be marked done by its assignee or an admin.`
+                    + `\n5. If there are MULTIPLE pending reminders and you CANNOT determine which one from the chat history, you MUST ASK the user which task they completed. List the options. Do NOT guess.`
                     + `\nIMPORTANT: Never include "[Internal Context: ...]" tags in your responses to the user. These are internal system metadata only.`;
             }
         }
 
-        const dynamicPrompt = `${this.systemPrompt}\n\n[SYSTEM INFO: Today is ${dayOfWeek}, ${currentDate}, Current local time is ${currentTime}, Current UTC ISO is ${utcISO}${pendingRemindersInfo}]`;
+        // Older messages that no longer fit in the history window
+        const summary = conversationSummarizer.getSummaryText(contextId);
+        const summaryInfo = summary
+            ? `\n\n[CONVERSATION SUMMARY – earlier messages in this chat that are no longer in the message history:\n${summary}]`
+            : '';
 
-        return this.genAI.getGenerativeModel({
-            model: config.gemini.model,
-            systemInstruction: dynamicPrompt,
-            tools: this.tools.length > 0 ? [{ functionDeclarations: this.tools }] : undefined,
-            toolConfig: this.tools.length > 0 ? {
-                functionCallingConfig: {
-                    mode: 'AUTO'
-                }
-            } : undefined,
-            safetySettings: [
-                {
-                    category: HarmCategory.HARM_CATEGORY_HARASSMENT,
-                    threshold: HarmBlockThreshold.BLOCK_NONE
-                },
-                {
-                    category: HarmCategory.HARM_CATEGORY_HATE_SPEECH,
-                    threshold: HarmBlockThreshold.BLOCK_NONE
-                },
-                {
-                    category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT,
-                    threshold: HarmBlockThreshold.BLOCK_NONE
-                },
-                {
-                    category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT,
-                    threshold: HarmBlockThreshold.BLOCK_NONE
-                }
-            ]
-        });
+        const knowledgeInfo = knowledge ? `\n\n${knowledge}` : '';
+
+        // Per-group persona/instruction overlay from the groups registry
+        const groupInstructions = groupRegistry.getInstructions(chatId);
+        const groupInfo = groupInstructions
+            ? `\n\n[GROUP INSTRUCTIONS – this conversation is in the WhatsApp group "${groupRegistry.getName(chatId)}". Follow these in addition to the above:\n${groupInstructions}]`
+            : '';
+
+        // Registered groups can be targeted by name (send_whatsapp_message, add_reminder)
+        const groupNames = groupRegistry.list().filter(g => g.enabled).map(g => `"${g.name}"${g.is_default ? ' (default)' : ''}`);
+        const groupsListInfo = groupNames.length > 0 ? `\nWhatsApp groups you can address by name: ${groupNames.join(', ')}.` : '';
+
+        // Who is talking, so Noga can address them and knows which requests their role may not make
+        const senderRole = permissionManager.getRole(senderId);
+        const senderName = permissionManager.getPerson(senderId)?.name;
+        const senderInfo = senderRole
+            ? `\nThe current message is from ${senderName ? `${senderName} (${senderId})` : senderId}, role: ${senderRole}.${senderRole === 'child' || senderRole === 'guest' ? ' Some tools are not available to this role; if asked for an action you cannot perform, explain kindly that an adult needs to do it.' : ''}`
+            : '';
+
+        return `${this.systemPrompt}${groupInfo}${knowledgeInfo}${summaryInfo}\n\n[SYSTEM INFO: Today is ${dayOfWeek}, ${currentDate}, Current local time is ${currentTime}, Current UTC ISO is ${utcISO}${senderInfo}${groupsListInfo}${pendingRemindersInfo}]`;
     }
 
     /**
      * Process a text message
      * @param {string} userId - User identifier for context
      * @param {string} text - User message text
+     * @param {Object} [options]
+     * @param {boolean} [options.keepHistory] - Set to false to send without chat history
+     * @param {string} [options.routeKind] - Request kind for the model router ('text', 'keyword_ai', 'scheduled')
+     * @param {string} [options.callKind] - Usage tag for usage_logs ('chat' or 'scheduled')
+     * @param {string|null} [options.senderId] - Phone number of the sender; its role limits the tools (omit for internal requests)
      */
     async processMessage(userId, text, options = {}) {
-        logger.info('Processing message with Gemini', { userId, textLength: text.length });
+        const route = modelRouter.route({ kind: options.routeKind || 'text', text });
+        const trackUsage = this._usageTracker(route.model, userId, options.callKind || 'chat');
+        logger.info('Processing message with Gemini', { userId, textLength: text.length, model: route.model, category: route.category });
 
         // Check if this is a volatile request (devices, calendar, etc)
         const isVolatileRequest = this._isVolatileRequestMessage(text);
@@ -202,6 +228,9 @@ class GeminiManager {
             }
         }
 
+        // Only the knowledge chunks relevant to this message are sent
+        const knowledge = await this.promptBuilder.getRelevantKnowledge(text);
+
         // Store user message once
         db.addChatMessage(userId, 'user', text);
 
@@ -211,8 +240,12 @@ class GeminiManager {
         for (let attempt = 1; attempt <= maxAttempts; attempt++) {
             try {
                 // Start chat session
-                const chat = this._getModel().startChat({
+                const chat = this._startChat(route.model, {
                     history: [...history],
+                    contextId: options.keepHistory === false ? null : userId,
+                    chatId: userId,
+                    knowledge,
+                    senderId: options.senderId || null,
                     generationConfig: {
                         maxOutputTokens: 1024,
                         temperature: 0.1  // Very low temperature for deterministic function calls
@@ -229,8 +262,9 @@ class GeminiManager {
                 try {
                     result = await chat.sendMessage(actualTextToSend);
                     this.quotaExceeded = false; // Reset on success
+                    trackUsage(result.response);
                 } catch (err) {
-                    if (err.message && (err.message.includes('429') || err.message.toLowerCase().includes('quota'))) {
+                    if (isQuotaError(err)) {
                         this.quotaExceeded = true;
                     }
                     throw err;
@@ -267,7 +301,7 @@ class GeminiManager {
                 }
 
                 // Handle function calls
-                const functionCallResult = await this.toolCallHandler.handle(chat, response, userId);
+                const functionCallResult = await this.toolCallHandler.handle(chat, response, userId, { onUsage: trackUsage, senderId: options.senderId || null });
                 response = functionCallResult.response;
 
                 if (functionCallResult.hasUnknownFunction && attempt < maxAttempts) {
@@ -301,6 +335,7 @@ class GeminiManager {
                             followUpPrompt = 'קיבלת הודעה אך החזרת טקסט ריק בלי לבצע אף פעולה ובלי לקרוא לאף פונקציה. אנא התנצל בפני המשתמש והסבר שלא הצלחת להשלים את הבקשה. אל תגיד שהבקשה טופלה בהצלחה.';
                         }
                         const followUp = await chat.sendMessage(followUpPrompt);
+                        trackUsage(followUp.response, functionCallResult.iterations + 1);
                         responseText = followUp.response.text();
                     } catch (e) {
                         logger.error('Failed to get summary response', { error: e.message });
@@ -319,31 +354,12 @@ class GeminiManager {
 
                 // Store assistant response
                 db.addChatMessage(userId, 'model', responseText);
-
-                // Log usage and cost
-                if (response.usageMetadata) {
-                    const usage = response.usageMetadata;
-                    const inputTokens = usage.promptTokenCount || 0;
-                    const outputTokens = usage.candidatesTokenCount || 0;
-                    const totalTokens = usage.totalTokenCount || 0;
-
-                    // Pricing based on active model
-                    const pricing = getModelPricing(config.gemini.model);
-                    const inputCost = (inputTokens / 1000000) * pricing.input;
-                    const outputCost = (outputTokens / 1000000) * pricing.output;
-                    const totalCost = inputCost + outputCost;
-
-                    try {
-                        db.logUsage(config.gemini.model, inputTokens, outputTokens, totalTokens, totalCost);
-                        logger.info('Usage logged', { inputTokens, outputTokens, totalCost: totalCost.toFixed(6) });
-                    } catch (err) {
-                        logger.error('Failed to log usage', { error: err.message });
-                    }
-                }
+                this._summarizeInBackground(userId);
 
                 logger.info('Gemini response generated', {
                     userId,
                     responseLength: responseText.length,
+                    model: route.model,
                     attempt
                 });
 
@@ -357,6 +373,70 @@ class GeminiManager {
         }
     }
 
+    /**
+     * Create a usage logger bound to one request, so every LLM round trip
+     * (initial call, tool iterations, retries, follow-ups) is billed
+     * @param {string} modelName - Routed model (used when the response is not tagged)
+     * @param {string|null} contextId - Chat/context identifier
+     * @param {string} callKind - 'chat' | 'voice' | 'image' | 'document' | 'broadcast' | 'scheduled' | 'briefing' | 'nudge' | 'summary'
+     * @returns {Function} (response, toolIteration = 0) => void
+     */
+    _usageTracker(modelName, contextId, callKind) {
+        return (response, toolIteration = 0) => this._logUsage(response, modelName, { contextId, callKind, toolIteration });
+    }
+
+    /**
+     * Fold messages that aged out of the history window into the chat's rolling summary
+     * (runs in the background, the reply is never delayed)
+     * @param {string} userId - Chat identifier
+     */
+    _summarizeInBackground(userId) {
+        conversationSummarizer.schedule(userId, {
+            onUsage: (response, modelName) => this._logUsage(response, modelName, { contextId: userId, callKind: 'summary' })
+        });
+    }
+
+    /**
+     * Log token usage and cost for a single LLM call
+     * @param {Object} response - Provider response (usageMetadata + llm { provider, model } tag)
+     * @param {string} modelName - Routed model (used when the response is not tagged)
+     * @param {Object} [meta] - { contextId, callKind, toolIteration }
+     */
+    _logUsage(response, modelName, meta = {}) {
+        const usage = response?.usageMetadata;
+        if (!usage) return;
+
+        const provider = response.llm?.provider || 'gemini';
+        modelName = response.llm?.model || modelName;
+
+        const inputTokens = usage.promptTokenCount || 0;
+        const outputTokens = usage.candidatesTokenCount || 0;
+        const totalTokens = usage.totalTokenCount || 0;
+
+        // Pricing based on the provider/model that handled the request
+        const pricing = provider === 'openai'
+            ? { input: config.openai.priceInputPerM, output: config.openai.priceOutputPerM }
+            : getModelPricing(modelName);
+        const inputCost = (inputTokens / 1000000) * pricing.input;
+        const outputCost = (outputTokens / 1000000) * pricing.output;
+        const totalCost = inputCost + outputCost;
+
+        try {
+            db.logUsage(modelName, inputTokens, outputTokens, totalTokens, totalCost, meta);
+            logger.info('Usage logged', {
+                provider,
+                model: modelName,
+                callKind: meta.callKind,
+                toolIteration: meta.toolIteration,
+                inputTokens,
+                outputTokens,
+                totalCost: totalCost.toFixed(6)
+            });
+        } catch (err) {
+            logger.error('Failed to log usage', { error: err.message });
+        }
+    }
+
     /**
      * Check if message is related to volatile status (device control, calendar, etc).
      * @param {string} text - Message text
@@ -392,57 +472,148 @@ class GeminiManager {
      * @param {string} userId - User identifier
      * @param {string} audioBase64 - Base64 encoded audio data
      * @param {string} mimeType - Audio MIME type
+     * @param {string} [senderId] - Group member who sent the voice note
+     * @param {number} [audioSeconds] - Voice note duration, used for model routing
      */
-    async processVoiceMessage(userId, audioBase64, mimeType, senderId = null) {
-        logger.info('Processing voice message with Gemini', { userId, mimeType });
+    async processVoiceMessage(userId, audioBase64, mimeType, senderId = null, audioSeconds = 0) {
+        const route = modelRouter.route({ kind: 'voice', audioSeconds });
+        logger.info('Processing voice message with Gemini', { userId, mimeType, audioSeconds, model: route.model });
+
+        const senderHint = senderId ? `הודעה קולית זו נשלחה מקבוצה על ידי משתמש ${senderId}. ` : '';
+
+        return this._processMediaMessage(userId, {
+            route,
+            callKind: 'voice',
+            label: 'Voice message',
+            senderId: senderId || userId,
+            logMsg: senderId ? `[Voice Message from Sender: ${senderId}]` : '[Voice Message]',
+            mediaPart: { inlineData: { mimeType, data: audioBase64 } },
+            instruction: `${senderHint}אתה מקבל הודעה קולית.\n1. תמלל את ההודעה במדויק.\n2. אם יש בה בקשה או שאלה - טפל בה (כולל שימוש בכלים אם צריך).\n3. אם ההקלטה ארוכה מ-30 שניות, הוסף סיכום קצר בראשית.\nענה בעברית.`
+        });
+    }
+
+    /**
+     * Process an image (photo of a flyer, receipt, school notice, broken appliance...) with its caption
+     * @param {string} userId - User identifier
+     * @param {string} imageBase64 - Base64 encoded image data
+     * @param {string} mimeType - Image MIME type
+     * @param {string} [caption] - Caption sent with the image
+     * @param {string} [senderId] - Group member who sent the image
+     */
+    async processImageMessage(userId, imageBase64, mimeType, caption = '', senderId = null) {
+        const route = modelRouter.route({ kind: 'image', text: caption });
+        logger.info('Processing image message with Gemini', { userId, mimeType, hasCaption: !!caption, model: route.model });
+
+        const senderHint = senderId ? `התמונה נשלחה מקבוצה על ידי משתמש ${senderId}. ` : '';
+        const request = caption
+            ? `הכיתוב שנשלח עם התמונה: "${caption}"\nטפל בבקשה שבכיתוב בעזרת התמונה (כולל שימוש בכלים אם צריך).`
+            : 'לא נשלח כיתוב. תאר בקצרה מה בתמונה, ואם יש בה מידע שימושי (אירוע עם תאריך, פריטים לקנייה, חשבון לתשלום, תקלה) הצע מה לעשות איתו - למשל להוסיף ליומן, לרשימת הקניות או תזכורת. אל תבצע פעולה בלי אישור.';
+
+        return this._processMediaMessage(userId, {
+            route,
+            callKind: 'image',
+            label: 'Image message',
+            senderId: senderId || userId,
+            logMsg: `${senderId ? `[Image from Sender: ${senderId}]` : '[Image]'}${caption ? `\n${caption}` : ''}`,
+            knowledgeQuery: caption,
+            mediaPart: { inlineData: { mimeType, data: imageBase64 } },
+            // The image itself is not kept in the chat history, only the reply – so the details must be in it
+            instruction: `${senderHint}אתה מקבל תמונה.\n${request}\nציין בתשובה את הפרטים החשובים מהתמונה (תאריכים, שעות, מקומות, פריטים, סכומים) כדי שיהיו זמינים בהמשך השיחה.\nענה בעברית.`
+        });
+    }
+
+    /**
+     * Answer about a document received in chat (text already extracted and stored in the documents table)
+     * @param {string} userId - User identifier
+     * @param {Object} document - documents row { id, filename, doc_type, pages, content }
+     * @param {string} [caption] - Caption sent with the document
+     * @param {string} [senderId] - Group member who sent the document
+     */
+    async processDocumentMessage(userId, document, caption = '', senderId = null) {
+        const route = modelRouter.route({ kind: 'document', text: caption });
+        logger.info('Processing document message with Gemini', { userId, documentId: document.id, type: document.doc_type, length: document.content.length, model: route.model });
+
+        const maxChars = config.documents.maxPromptChars;
+        const truncated = document.content.length > maxChars;
+        const text = truncated ? `${document.content.substring(0, maxChars)}\n[... המסמך נחתך, ${document.content.length} תווים בסך הכל ...]` : document.content;
+
+        const senderHint = senderId ? `המסמך נשלח מקבוצה על ידי משתמש ${senderId}. ` : '';
+        const request = caption
+            ? `הכיתוב שנשלח עם המסמך: "${caption}"\nטפל בבקשה בעזרת המסמך (כולל שימוש בכלים אם צריך).`
+            : 'לא נשלח כיתוב. סכם בקצרה את המסמך, ואם יש בו מידע שימושי (אירועים, תאריכים, משימות) הצע מה לעשות איתו. אל תבצע פעולה בלי אישור.';
+
+        return this._processMediaMessage(userId, {
+            route,
+            callKind: 'document',
+            label: 'Document message',
+            senderId: senderId || userId,
+            logMsg: `${senderId ? `[Document #${document.id} from Sender: ${senderId}` : `[Document #${document.id}`}: ${document.filename}]${caption ? `\n${caption}` : ''}`,
+            knowledgeQuery: caption || document.content.substring(0, 1000),
+            mediaPart: { text: `[DOCUMENT #${document.id} "${document.filename}" (${document.doc_type}${document.pages ? `, ${document.pages} pages` : ''})]\n${text}` },
+            instruction: `${senderHint}אתה מקבל מסמך (הטקסט שחולץ ממנו מופיע למעלה).\n${request}\nאם המשתמש מבקש לשמור או לזכור את המסמך, השתמש בכלי save_document_as_knowledge עם document_id ${document.id}.\nהמסמך עצמו לא נשמר בהיסטוריית השיחה - ציין בתשובה את הפרטים החשובים.\nענה בעברית.`
+        });
+    }
+
+    /**
+     * Shared multimodal round trip for voice notes, images and documents: media part + instruction,
+     * tool calls, retries on empty responses, history and usage bookkeeping
+     * @param {string} userId - User identifier
+     * @param {Object} options
+     * @param {Object} options.route - Result of modelRouter.route()
+     * @param {string} options.callKind - Usage tag ('voice' | 'image' | 'document')
+     * @param {string} options.label - Log label ('Voice message' | 'Image message' | 'Document message')
+     * @param {string} options.senderId - Phone number of the sender (the chat itself in private chats), for role permissions
+     * @param {string} options.logMsg - Text stored in chat history in place of the media
+     * @param {Object} options.mediaPart - { inlineData: { mimeType, data } } or { text } for extracted documents
+     * @param {string} options.instruction - Text part sent with the media
+     * @param {string} [options.knowledgeQuery] - Text to retrieve knowledge for (defaults to the recent conversation)
+     */
+    async _processMediaMessage(userId, { route, callKind, label, senderId, logMsg, mediaPart, instruction, knowledgeQuery = '' }) {
+        const trackUsage = this._usageTracker(route.model, userId, callKind);
 
         // Get conversation history
         const history = this._buildHistory(userId);
 
-        // Store reference to voice message once
-        const logMsg = senderId ? `[Voice Message from Sender: ${senderId}]` : '[Voice Message]';
+        // The media isn't transcribed yet, so retrieve knowledge for the caption or the recent conversation
+        const recentText = history.filter(h => h.role === 'user').slice(-2).map(h => h.parts[0].text).join('\n');
+        const knowledge = await this.promptBuilder.getRelevantKnowledge(knowledgeQuery || recentText);
+
+        // Store reference to the media message once
         db.addChatMessage(userId, 'user', logMsg);
 
         const maxAttempts = 2;
-        let lastError = null;
 
         for (let attempt = 1; attempt <= maxAttempts; attempt++) {
             try {
                 // Start chat session
-                const chat = this._getModel().startChat({
+                const chat = this._startChat(route.model, {
                     history: [...history],
+                    contextId: userId,
+                    knowledge,
+                    senderId,
                     generationConfig: {
                         maxOutputTokens: 1024,
                         temperature: 0.7
                     }
                 });
 
-                // Create multimodal content
-                const audioPart = {
-                    inlineData: {
-                        mimeType: mimeType,
-                        data: audioBase64
-                    }
-                };
-
-                let senderHint = senderId ? `הודעה קולית זו נשלחה מקבוצה על ידי משתמש ${senderId}. ` : '';
-
-                // Send audio for Hebrew transcription + response
+                // Send media + instruction
                 let result;
                 try {
-                    let textInstruction = `${senderHint}אתה מקבל הודעה קולית.\n1. תמלל את ההודעה במדויק.\n2. אם יש בה בקשה או שאלה - טפל בה (כולל שימוש בכלים אם צריך).\n3. אם ההקלטה ארוכה מ-30 שניות, הוסף סיכום קצר בראשית.\nענה בעברית.`;
-                    
+                    let textInstruction = instruction;
+
                     if (attempt > 1) {
                         textInstruction += `\n\n[System Note: Your previous attempt resulted in an empty response. Please rethink your approach. If you need information, use your tools (e.g. web_search). You must provide a valid response.]`;
                     }
 
                     result = await chat.sendMessage([
-                        audioPart,
+                        mediaPart,
                         { text: textInstruction }
                     ]);
                     this.quotaExceeded = false;
+                    trackUsage(result.response);
                 } catch (err) {
-                    if (err.message && (err.message.includes('429') || err.message.toLowerCase().includes('quota'))) {
+                    if (isQuotaError(err)) {
                         this.quotaExceeded = true;
                     }
                     throw err;
@@ -450,7 +621,7 @@ class GeminiManager {
                 let response = result.response;
 
                 // Handle function calls
-                const functionCallResult = await this.toolCallHandler.handle(chat, response, userId);
+                const functionCallResult = await this.toolCallHandler.handle(chat, response, userId, { onUsage: trackUsage, senderId });
                 response = functionCallResult.response;
 
                 if (functionCallResult.hasUnknownFunction && attempt < maxAttempts) {
@@ -463,15 +634,15 @@ class GeminiManager {
                 try {
                     responseText = response.text() || '';
                 } catch (e) {
-                    logger.debug('Failed to extract text from voice response', { error: e.message });
+                    logger.debug(`Failed to extract text from ${callKind} response`, { error: e.message });
                 }
 
                 if (!responseText || responseText.trim() === '') {
                     if (attempt < maxAttempts) {
-                        logger.warn(`Gemini returned empty text for voice message on attempt ${attempt}. Retrying...`);
+                        logger.warn(`Gemini returned empty text for ${label.toLowerCase()} on attempt ${attempt}. Retrying...`);
                         continue; // Retry
                     }
-                    logger.warn('Gemini returned empty text for voice message after all retries');
+                    logger.warn(`Gemini returned empty text for ${label.toLowerCase()} after all retries`);
                     if (functionCallResult.hasErrors) {
                         responseText = 'הייתה שגיאה בביצוע הבקשה. אנא נסה שוב. ⚠️';
                     } else if (functionCallResult.totalFunctionsCalled > 0) {
@@ -483,12 +654,13 @@ class GeminiManager {
 
                 // Store assistant response
                 db.addChatMessage(userId, 'model', responseText);
+                this._summarizeInBackground(userId);
 
-                logger.info('Voice message processed', { userId, responseLength: responseText.length, attempt });
+                logger.info(`${label} processed`, { userId, responseLength: responseText.length, model: route.model, attempt });
 
                 return responseText;
             } catch (err) {
-                logger.error(`Voice message processing error on attempt ${attempt}`, { error: err.message, userId });
+                logger.error(`${label} processing error on attempt ${attempt}`, { error: err.message, userId });
                 if (attempt >= maxAttempts) {
                     throw err;
                 }
@@ -499,20 +671,28 @@ class GeminiManager {
     /**
      * Generate a broadcast message for a specific event
      * @param {Object} eventData - Data about the event (e.g., { event: "Dryer Finished" })
+     * @param {Object} [options]
+     * @param {string} [options.callKind] - Usage tag ('broadcast' for webhooks, 'nudge' for reminders)
+     * @param {string} [options.contextId] - Chat the message will be sent to
      */
-    async generateBroadcastMessage(eventData) {
-        logger.info('Generating broadcast message', { event: eventData.event });
+    async generateBroadcastMessage(eventData, options = {}) {
+        // Hard budget limit: skip the AI and use the plain fallback text
+        if (budgetManager.isBlocked()) {
+            logger.info('AI budget exhausted, using plain broadcast message', { event: eventData.event });
+            return `עדכון מערכת: ${eventData.event}`;
+        }
+
+        const route = modelRouter.route({ kind: 'broadcast' });
+        logger.info('Generating broadcast message', { event: eventData.event, model: route.model });
 
         try {
-            // Use a lightweight, tool-less model instance for generating broadcasts
-            // This prevents Gemini from trying to use the 'send_whatsapp_message' tool and returning an empty text response.
-            const broadcastModel = this.genAI.getGenerativeModel({
-                model: config.gemini.model,
+            // Use a lightweight, tool-less chat for generating broadcasts
+            // This prevents the model from trying to use the 'send_whatsapp_message' tool and returning an empty text response.
+            const groupInstructions = groupRegistry.getInstructions(options.contextId);
+            const chat = startChat({
+                model: route.model,
                 systemInstruction: "You are a helpful home assistant. Your job is to format system events into friendly, natural WhatsApp messages."
-            });
-
-            // Start chat session with no history
-            const chat = broadcastModel.startChat({
+                    + (groupInstructions ? `\n\nThe message goes to the WhatsApp group "${groupRegistry.getName(options.contextId)}". Group instructions:\n${groupInstructions}` : ''),
                 generationConfig: {
                     maxOutputTokens: 1024,
                     temperature: 0.7 // Higher temperature for more creative/friendly announcements
@@ -537,6 +717,11 @@ class GeminiManager {
             let response = result.response;
             const responseText = response.text();
 
+            this._logUsage(response, route.model, {
+                contextId: options.contextId || groupRegistry.getDefaultGroupId(),
+                callKind: options.callKind || 'broadcast'
+            });
+
             logger.info('Broadcast message generated', { length: responseText.length });
             return responseText;
         } catch (err) {
@@ -546,6 +731,56 @@ class GeminiManager {
         }
     }
 
+    /**
+     * Phrase a briefing from data that was already gathered, in one tool-less call
+     * @param {Object} briefingData - { briefing, date, audience, sections: [{ id, title, data | error }] }
+     * @param {Object} [options]
+     * @param {string} [options.contextId] - Chat the briefing will be sent to
+     * @returns {Promise<string|null>} The message, or null when the budget is exhausted or the call fails
+     */
+    async generateBriefing(briefingData, options = {}) {
+        if (budgetManager.isBlocked()) {
+            logger.info('AI budget exhausted, using plain briefing', { briefing: briefingData.briefing });
+            return null;
+        }
+
+        const route = modelRouter.route({ kind: 'scheduled' });
+        logger.info('Generating briefing', { briefing: briefingData.briefing, model: route.model });
+
+        try {
+            const groupInstructions = groupRegistry.getInstructions(options.contextId);
+            const chat = startChat({
+                model: route.model,
+                systemInstruction: "You are Noga, the family's home assistant. Your job is to turn the data of a daily briefing into one friendly WhatsApp message."
+                    + (groupInstructions ? `\n\nThe message goes to the WhatsApp group "${groupRegistry.getName(options.contextId)}". Group instructions:\n${groupInstructions}` : ''),
+                generationConfig: {
+                    maxOutputTokens: 2048,
+                    temperature: 0.5
+                }
+            });
+
+            const prompt = `Briefing data: ${JSON.stringify(briefingData)}
+
+            Write the briefing as a single WhatsApp message in Hebrew, with a short heading and emojis per section, in the order of the sections.
+            Only use the facts in the data - do not invent events, reminders or news. Skip empty sections in a word or two,
+            mention sections that failed only briefly, and keep times in 24-hour HH:MM. Keep it short and easy to read on a phone.`;
+
+            const result = await chat.sendMessage(prompt);
+            const responseText = result.response.text();
+
+            this._logUsage(result.response, route.model, {
+                contextId: options.contextId || groupRegistry.getDefaultGroupId(),
+                callKind: 'briefing'
+            });
+
+            logger.info('Briefing generated', { length: responseText.length });
+            return responseText && responseText.trim() ? responseText : null;
+        } catch (err) {
+            logger.error('Briefing generation error', { error: err.message });
+            return null;
+        }
+    }
+
 
     /**
      * Build conversation history from database
@@ -581,12 +816,14 @@ class GeminiManager {
     }
 
     /**
-     * Clear conversation history for a user
+     * Clear conversation history (and its rolling summary) for a user.
+     * With CHAT_ARCHIVE_ENABLED the messages stay searchable in the archive.
      */
     clearHistory(userId) {
         logger.info('Clearing chat history', { userId });
-        const deleted = db.clearChatHistory(userId);
-        logger.info('Chat history cleared', { userId, deleted });
+        conversationSummarizer.reset(userId);
+        const deleted = db.clearChatHistory(userId, { archive: config.database.archiveEnabled });
+        logger.info('Chat history cleared', { userId, deleted, archived: config.database.archiveEnabled });
     }
 
     /**
@@ -594,9 +831,12 @@ class GeminiManager {
      */
     getStatus() {
         return {
-            isInitialized: !!this.model,
+            isInitialized: this.isInitialized,
             quotaExceeded: this.quotaExceeded,
             model: config.gemini.model,
+            routing: modelRouter.getStatus(),
+            providers: getProvidersStatus(),
+            knowledgeIndex: knowledgeIndex.getStatus(),
             toolsCount: this.tools.length
         };
     }
@@ -0,0 +1,121 @@
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import db from '../database/DatabaseManager.js';
+
+// Words that mean "the default group" in tool calls and webhooks
+const DEFAULT_GROUP_ALIASES = ['group', 'default', 'קבוצה', 'הקבוצה'];
+
+/**
+ * Normalize a group id to a full JID (WHATSAPP_GROUP_ID may be stored without the @g.us suffix)
+ * @param {string} id - Group id or JID
+ */
+function toGroupJid(id) {
+    return id.includes('@') ? id : `${id}@g.us`;
+}
+
+/**
+ * GroupRegistry - WhatsApp groups Noga takes part in (whatsapp_groups table).
+ * Each group has a name it can be targeted by, an optional persona/instruction overlay and
+ * an optional allow-list of tools. WHATSAPP_GROUP_ID keeps working as the default group
+ * while no registered group is marked as default.
+ */
+class GroupRegistry {
+    /**
+     * All registered groups
+     */
+    list() {
+        return db && db.db ? db.getWhatsappGroups() : [];
+    }
+
+    /**
+     * The enabled registered group for a chat, or null
+     * @param {string|null} jid - Chat JID
+     */
+    get(jid) {
+        if (!jid || !jid.endsWith('@g.us') || !db || !db.db) return null;
+        const group = db.getWhatsappGroupByJid(jid);
+        return group && group.enabled ? group : null;
+    }
+
+    /**
+     * JID of the default group: the registered group marked as default, else WHATSAPP_GROUP_ID
+     * @returns {string|null}
+     */
+    getDefaultGroupId() {
+        const group = this.list().find(g => g.is_default && g.enabled);
+        if (group) return group.jid;
+        return config.whatsapp.groupId ? toGroupJid(config.whatsapp.groupId) : null;
+    }
+
+    /**
+     * Whether Noga answers messages in this group
+     * @param {string|null} jid - Group JID
+     */
+    isAllowed(jid) {
+        if (!jid) return false;
+        if (config.whatsapp.groupId && jid === toGroupJid(config.whatsapp.groupId)) return true;
+        return !!this.get(jid);
+    }
+
+    /**
+     * Resolve a group target to a JID
+     * @param {string|null} [target] - Group name, JID, or empty / "group" for the default group
+     * @returns {string|null} JID, or null if the name is unknown (or no default group is configured)
+     */
+    resolve(target) {
+        const value = typeof target === 'string' ? target.trim() : '';
+        if (!value || DEFAULT_GROUP_ALIASES.includes(value.toLowerCase())) {
+            return this.getDefaultGroupId();
+        }
+        if (value.endsWith('@g.us')) return value;
+        if (/^[\d-]+$/.test(value)) return toGroupJid(value);
+
+        const group = db && db.db ? db.getWhatsappGroupByName(value) : null;
+        if (!group || !group.enabled) {
+            logger.warn('Unknown WhatsApp group', { target: value });
+            return null;
+        }
+        return group.jid;
+    }
+
+    /**
+     * Display name of a group (falls back to the JID)
+     * @param {string|null} jid - Group JID
+     */
+    getName(jid) {
+        if (!jid) return null;
+        const group = db && db.db ? db.getWhatsappGroupByJid(jid) : null;
+        return group ? group.name : jid;
+    }
+
+    /**
+     * Persona/instruction overlay for a chat, or '' for unregistered chats
+     * @param {string|null} jid - Chat JID
+     */
+    getInstructions(jid) {
+        return this.get(jid)?.instructions || '';
+    }
+
+    /**
+     * Whether a tool may be used in a chat (groups without an allow-list may use every tool)
+     * @param {string} toolName - Function name
+     * @param {string|null} jid - Chat JID
+     */
+    isToolAllowed(toolName, jid) {
+        const allowed = this.get(jid)?.allowed_tools;
+        return !allowed || allowed.includes(toolName);
+    }
+
+    /**
+     * Function declarations available in a chat
+     * @param {Array} tools - All function declarations
+     * @param {string|null} jid - Chat JID
+     */
+    filterTools(tools, jid) {
+        const allowed = this.get(jid)?.allowed_tools;
+        return allowed ? tools.filter(t => allowed.includes(t.name)) : tools;
+    }
+}
+
+export default new GroupRegistry();
+export { GroupRegistry, toGroupJid };
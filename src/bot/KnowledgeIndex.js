@@ -0,0 +1,285 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import db from '../database/DatabaseManager.js';
+import budgetManager from './BudgetManager.js';
+import { embed, getEmbeddingBackend } from './providers/index.js';
+
+const SOURCE_DIRS = {
+    knowledge: path.resolve(process.cwd(), 'data', 'knowledge'),
+    skills: path.resolve(process.cwd(), 'data', 'skills')
+};
+
+// Core files sent in full with every message until the flag is turned off in the dashboard
+const DEFAULT_ALWAYS_INCLUDE = {
+    knowledge: ['IDENTITY.md', 'TOOL_RULES.md'],
+    skills: []
+};
+
+const MAX_CHUNK_CHARS = 1200;
+const EMBED_BATCH_SIZE = 50;
+
+/**
+ * Split Markdown into chunks: one per heading section, long sections split on line boundaries
+ * @param {string} content - Markdown text
+ * @returns {string[]}
+ */
+function chunkMarkdown(content) {
+    const sections = [];
+    let current = [];
+    for (const line of content.split('\n')) {
+        if (/^#{1,6}\s/.test(line) && current.join('').trim()) {
+            sections.push(current.join('\n'));
+            current = [];
+        }
+        current.push(line);
+    }
+    if (current.join('').trim()) sections.push(current.join('\n'));
+
+    const chunks = [];
+    for (const section of sections) {
+        let buffer = '';
+        const lines = section.split('\n').flatMap(line =>
+            line.length > MAX_CHUNK_CHARS ? line.match(new RegExp(`.{1,${MAX_CHUNK_CHARS}}`, 'gs')) : [line]
+        );
+        for (const line of lines) {
+            if (buffer && buffer.length + line.length + 1 > MAX_CHUNK_CHARS) {
+                chunks.push(buffer.trim());
+                buffer = '';
+            }
+            buffer += (buffer ? '\n' : '') + line;
+        }
+        if (buffer.trim()) chunks.push(buffer.trim());
+    }
+    return chunks.filter(Boolean);
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function toBlob(vector) {
+    return Buffer.from(new Float32Array(vector).buffer);
+}
+
+function fromBlob(blob) {
+    // Copy first: SQLite buffers are not guaranteed to be 4-byte aligned
+    return new Float32Array(blob.buffer.slice(blob.byteOffset, blob.byteOffset + blob.byteLength));
+}
+
+function norm(vector) {
+    let sum = 0;
+    for (let i = 0; i < vector.length; i++) sum += vector[i] * vector[i];
+    return Math.sqrt(sum) || 1;
+}
+
+/**
+ * KnowledgeIndex - SQLite-backed embedding index of data/knowledge and data/skills chunks.
+ * Files flagged "always include" go into the system prompt in full; for the rest only the
+ * top-k chunks relevant to the current message are injected.
+ */
+class KnowledgeIndex {
+    constructor() {
+        this.queue = Promise.resolve(); // Serializes indexing so concurrent writes don't embed twice
+        this.vectors = null;            // Cached chunk vectors for the current embedding model
+        this.vectorsModel = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Whether retrieval is enabled and an embedding backend is configured
+     */
+    isAvailable() {
+        return config.retrieval.enabled && !!db && !!getEmbeddingBackend();
+    }
+
+    /**
+     * Re-index every knowledge and skill file (unchanged files are skipped by content hash)
+     */
+    sync() {
+        return this._enqueue(() => this._syncAll());
+    }
+
+    /**
+     * Re-index a single file after it was written or deleted
+     * @param {string} source - 'knowledge' | 'skills'
+     * @param {string} filename - File name
+     */
+    syncFile(source, filename) {
+        return this._enqueue(() => this._syncFile(source, path.basename(filename)));
+    }
+
+    /**
+     * Whether a file is sent in full with every message
+     * @param {string} source - 'knowledge' | 'skills'
+     * @param {string} filename - File name
+     */
+    isAlwaysIncluded(source, filename) {
+        const row = db ? db.getKnowledgeFile(source, filename) : null;
+        return row ? !!row.always_include : DEFAULT_ALWAYS_INCLUDE[source].includes(filename);
+    }
+
+    /**
+     * Set the "always include" flag of a file
+     * @param {string} source - 'knowledge' | 'skills'
+     * @param {string} filename - File name
+     * @param {boolean} alwaysInclude
+     */
+    setAlwaysInclude(source, filename, alwaysInclude) {
+        if (!SOURCE_DIRS[source]) {
+            const err = new Error(`Unknown source: ${source}`);
+            err.statusCode = 400;
+            throw err;
+        }
+        db.setKnowledgeAlwaysInclude(source, path.basename(filename), alwaysInclude);
+        logger.info('Knowledge file flag updated', { source, filename, alwaysInclude });
+    }
+
+    /**
+     * Whether a file's current content is embedded with the current model
+     * @param {string} source - 'knowledge' | 'skills'
+     * @param {string} filename - File name
+     * @param {string} content - Current file content
+     */
+    isIndexed(source, filename, content) {
+        const backend = getEmbeddingBackend();
+        const row = db ? db.getKnowledgeFile(source, filename) : null;
+        return !!(backend && row && row.content_hash === hashContent(content) && row.embedding_model === backend.model);
+    }
+
+    /**
+     * Find the chunks most relevant to a query (files flagged "always include" are skipped,
+     * they are already in the prompt)
+     * @param {string} query - User message
+     * @param {Object} [options] - { topK, minScore }
+     * @returns {Promise<Array<{source: string, filename: string, content: string, score: number}>>}
+     */
+    async search(query, { topK = config.retrieval.topK, minScore = config.retrieval.minScore } = {}) {
+        const backend = getEmbeddingBackend();
+        if (!backend || !query || !query.trim()) return [];
+
+        const chunks = this._loadVectors(backend.model);
+        if (chunks.length === 0) return [];
+
+        if (budgetManager.isBlocked()) {
+            logger.info('AI budget exhausted, knowledge retrieval skipped');
+            return [];
+        }
+
+        const [queryVector] = await embed([query], { taskType: 'RETRIEVAL_QUERY' });
+        const queryNorm = norm(queryVector);
+        const alwaysIncluded = new Set(db.getKnowledgeFiles()
+            .filter(f => f.always_include)
+            .map(f => `${f.source}/${f.filename}`));
+
+        return chunks
+            .filter(c => !alwaysIncluded.has(`${c.source}/${c.filename}`))
+            .map(c => {
+                let dot = 0;
+                const len = Math.min(c.vector.length, queryVector.length);
+                for (let i = 0; i < len; i++) dot += c.vector[i] * queryVector[i];
+                return { source: c.source, filename: c.filename, content: c.content, score: dot / (c.norm * queryNorm) };
+            })
+            .filter(c => c.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+
+    /**
+     * Index status for the dashboard
+     */
+    getStatus() {
+        const backend = getEmbeddingBackend();
+        const files = db ? db.getKnowledgeFiles() : [];
+        return {
+            enabled: config.retrieval.enabled,
+            available: this.isAvailable(),
+            provider: backend ? backend.provider.name : null,
+            model: backend ? backend.model : null,
+            files: files.length,
+            chunks: files.reduce((sum, f) => sum + f.chunks, 0),
+            topK: config.retrieval.topK,
+            lastError: this.lastError
+        };
+    }
+
+    _enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async _syncAll() {
+        for (const [source, dir] of Object.entries(SOURCE_DIRS)) {
+            const onDisk = fs.existsSync(dir)
+                ? (await fs.promises.readdir(dir)).filter(f => f.endsWith('.md'))
+                : [];
+
+            for (const filename of onDisk) {
+                await this._syncFile(source, filename);
+            }
+
+            // Drop files that were removed from disk
+            for (const row of db.getKnowledgeFiles()) {
+                if (row.source === source && !onDisk.includes(row.filename)) {
+                    db.deleteKnowledgeFileIndex(source, row.filename);
+                    this.vectors = null;
+                }
+            }
+        }
+    }
+
+    async _syncFile(source, filename) {
+        if (!db || !SOURCE_DIRS[source]) return;
+
+        const filePath = path.join(SOURCE_DIRS[source], filename);
+        try {
+            if (!fs.existsSync(filePath)) {
+                db.deleteKnowledgeFileIndex(source, filename);
+                this.vectors = null;
+                return;
+            }
+
+            db.ensureKnowledgeFile(source, filename, DEFAULT_ALWAYS_INCLUDE[source].includes(filename));
+
+            const backend = getEmbeddingBackend();
+            if (!config.retrieval.enabled || !backend) return;
+
+            const content = await fs.promises.readFile(filePath, 'utf-8');
+            if (this.isIndexed(source, filename, content)) return;
+
+            const chunks = chunkMarkdown(content);
+            const vectors = [];
+            for (let i = 0; i < chunks.length; i += EMBED_BATCH_SIZE) {
+                const batch = chunks.slice(i, i + EMBED_BATCH_SIZE).map(c => `${filename}\n${c}`);
+                vectors.push(...await embed(batch, { taskType: 'RETRIEVAL_DOCUMENT' }));
+            }
+
+            db.replaceKnowledgeChunks(source, filename, hashContent(content), backend.model,
+                chunks.map((c, i) => ({ content: c, embedding: toBlob(vectors[i]) })));
+            this.vectors = null;
+            this.lastError = null;
+            logger.info('Knowledge file indexed', { source, filename, chunks: chunks.length, model: backend.model });
+        } catch (err) {
+            // The file stays unindexed, so PromptBuilder keeps sending it in full
+            this.lastError = err.message;
+            logger.error('Failed to index knowledge file', { source, filename, error: err.message });
+        }
+    }
+
+    _loadVectors(model) {
+        if (!this.vectors || this.vectorsModel !== model) {
+            this.vectors = db.getKnowledgeChunks(model).map(row => {
+                const vector = fromBlob(row.embedding);
+                return { source: row.source, filename: row.filename, content: row.content, vector, norm: norm(vector) };
+            });
+            this.vectorsModel = model;
+        }
+        return this.vectors;
+    }
+}
+
+export default new KnowledgeIndex();
+export { KnowledgeIndex, chunkMarkdown };
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import logger from '../utils/logger.js';
+import knowledgeIndex from './KnowledgeIndex.js';
 
 /**
  * KnowledgeManager — Manages Noga's persistent knowledge base and skills.
@@ -9,6 +10,7 @@ import logger from '../utils/logger.js';
  * Skill files (data/skills/*.md) are procedural memory — step-by-step workflows.
  * 
  * Both are plain Markdown files editable via the dashboard or by Noga herself.
+ * Every write re-indexes the file in the embedding index (KnowledgeIndex) in the background.
  */
 class KnowledgeManager {
     constructor() {
@@ -84,6 +86,8 @@ class KnowledgeManager {
         const filePath = this._safePath(this.knowledgePath, filename);
         fs.writeFileSync(filePath, content, 'utf-8');
         logger.info('Knowledge file updated', { filename, size: content.length });
+        knowledgeIndex.syncFile('knowledge', filename).catch(err =>
+            logger.error('Failed to index knowledge file', { source: 'knowledge', filename, error: err.message }));
     }
 
     /**
@@ -97,6 +101,8 @@ class KnowledgeManager {
         const updated = existing.trimEnd() + '\n' + content + '\n';
         fs.writeFileSync(filePath, updated, 'utf-8');
         logger.info('Knowledge file appended', { filename, appendedLength: content.length });
+        knowledgeIndex.syncFile('knowledge', filename).catch(err =>
+            logger.error('Failed to index knowledge file', { source: 'knowledge', filename, error: err.message }));
     }
 
     /**
@@ -108,6 +114,8 @@ class KnowledgeManager {
         if (fs.existsSync(filePath)) {
             fs.unlinkSync(filePath);
             logger.info('Knowledge file deleted', { filename });
+            knowledgeIndex.syncFile('knowledge', filename).catch(err =>
+                logger.error('Failed to index knowledge file', { source: 'knowledge', filename, error: err.message }));
         }
     }
 
@@ -143,6 +151,8 @@ class KnowledgeManager {
         const filePath = this._safePath(this.skillsPath, filename);
         fs.writeFileSync(filePath, content, 'utf-8');
         logger.info('Skill file written', { filename, size: content.length });
+        knowledgeIndex.syncFile('skills', filename).catch(err =>
+            logger.error('Failed to index knowledge file', { source: 'skills', filename, error: err.message }));
     }
 
     /**
@@ -154,6 +164,8 @@ class KnowledgeManager {
         if (fs.existsSync(filePath)) {
             fs.unlinkSync(filePath);
             logger.info('Skill file deleted', { filename });
+            knowledgeIndex.syncFile('skills', filename).catch(err =>
+                logger.error('Failed to index knowledge file', { source: 'skills', filename, error: err.message }));
         }
     }
 
@@ -1,10 +1,16 @@
 import whatsappManager from './WhatsAppManager.js';
 import geminiManager from './GeminiManager.js';
+import budgetManager from './BudgetManager.js';
+import outboundQueue from './OutboundQueue.js';
+import permissionManager, { normalizePhone } from './PermissionManager.js';
+import confirmationManager from './ConfirmationManager.js';
 import logger from '../utils/logger.js';
 import db from '../database/DatabaseManager.js';
 import config from '../utils/config.js';
 import { getRecentLogs, readServerLogs } from '../utils/logger.js';
+import { extractDocumentText, SUPPORTED_EXTENSIONS } from '../utils/DocumentExtractor.js';
 
+const BUDGET_BLOCKED_MESSAGE = 'הגעתי למגבלת התקציב של הבינה המלאכותית לתקופה הזו 💸 כרגע אני עונה רק לפקודות ולמילות מפתח קבועות.';
 
 class MessageRouter {
     constructor() {
@@ -43,10 +49,18 @@ class MessageRouter {
 
             if (reactedMsgId) {
                 const reminder = db.getReminderByNudgeMessageId(reactedMsgId);
+                // An assigned task can only be completed by its assignee or an admin
+                if (reminder && reminder.assignee && normalizePhone(from) !== reminder.assignee && !permissionManager.isAdmin(from)) {
+                    const msg = `רק ${permissionManager.getName(reminder.assignee)} או מנהל יכולים לסמן את "${reminder.title}" כבוצעה 🙂`;
+                    await outboundQueue.send(chat, msg, { source: 'reply' });
+                    db.addChatMessage(contextId, 'model', msg);
+                    logger.info(`Reminder ${reminder.id} 👍 ignored: not from the assignee`, { from, assignee: reminder.assignee });
+                    return;
+                }
                 if (reminder) {
                     db.updateReminderStatus(reminder.id, 'done');
                     const confirmMsg = `✅ המשימה "${reminder.title}" סומנה כבוצעה! 🎉`;
-                    await whatsappManager.sendMessage(chat, confirmMsg);
+                    await outboundQueue.send(chat, confirmMsg, { source: 'reply' });
                     db.addChatMessage(contextId, 'model', confirmMsg);
                     logger.info(`Reminder ${reminder.id} marked as done via 👍 reaction`, { reactedMsgId, title: reminder.title });
                     return;
@@ -56,6 +70,14 @@ class MessageRouter {
             }
         }
 
+        // Answers ("כן" / "לא" / 👍 / 👎) to sensitive actions waiting for confirmation
+        const confirmationReply = await this.handleConfirmation(message);
+        if (confirmationReply) {
+            await outboundQueue.send(chat, confirmationReply, { source: 'reply' });
+            db.addChatMessage(contextId, 'model', confirmationReply);
+            return;
+        }
+
         // We removed the 10-minute context auto-clear.
         // Noga will naturally rely on the sliding window (configured limit) 
         // to maintain context, allowing her to remember reminders she sent 
@@ -100,7 +122,19 @@ class MessageRouter {
             }
             // Handle voice messages
             else if (hasMedia && (type === 'ptt' || type === 'audio') && media) {
-                response = await this.handleVoiceMessage(message);
+                response = budgetManager.isBlocked()
+                    ? BUDGET_BLOCKED_MESSAGE
+                    : await this.handleVoiceMessage(message);
+            }
+            // Handle images (with or without a caption)
+            else if (hasMedia && type === 'image' && media) {
+                response = budgetManager.isBlocked()
+                    ? BUDGET_BLOCKED_MESSAGE
+                    : await this.handleImageMessage(message);
+            }
+            // Handle documents (PDF, DOCX, TXT, MD)
+            else if (hasMedia && type === 'document' && media) {
+                response = await this.handleDocumentMessage(message);
             }
             // Handle text messages
             else if (body && body.trim().length > 0) {
@@ -112,13 +146,15 @@ class MessageRouter {
                 return;
             }
 
-            // Send response
+            // Send response (buffered in the outbound queue if WhatsApp dropped meanwhile)
             if (response && response.trim().length > 0) {
-                await whatsappManager.sendMessage(chat, response);
+                const sendResult = await outboundQueue.send(chat, response, { source: 'reply' });
+                // A 👍 on this reply confirms the actions it asked about
+                confirmationManager.attachMessage(contextId, sendResult.messageId);
             } else {
                 logger.warn('Empty response generated', { from });
                 const fallbackMsg = 'סליחה, המערכת סיימה לעבד את הבקשה אבל לא ייצרה שום טקסט כתשובה. ייתכן שיש תקלה פנימית או שהפעולה בוצעה בשקט. 😅';
-                await whatsappManager.sendMessage(chat, fallbackMsg);
+                await outboundQueue.send(chat, fallbackMsg, { source: 'reply' });
                 // Log fallback message to chat history
                 db.addChatMessage(contextId, 'model', fallbackMsg);
             }
@@ -134,7 +170,7 @@ class MessageRouter {
                     ? 'המכסה היומית של הבינה המלאכותית נגמרה 😅 אשתף פעולה שוב בקרוב!'
                     : `סליחה, נתקלתי בתקלה ולכן לא יכולתי לענות לבקשתך 😅`;
 
-                await whatsappManager.sendMessage(chat, errorMessage);
+                await outboundQueue.send(chat, errorMessage, { source: 'reply' });
                 // Log error message to chat history
                 db.addChatMessage(contextId, 'model', errorMessage);
             } catch (sendErr) {
@@ -155,6 +191,30 @@ class MessageRouter {
         }
     }
 
+    /**
+     * Confirm or cancel the sensitive actions a "yes" / "no" message (or a reply quoting the request)
+     * or a 👍 / 👎 reaction answers
+     * @returns {Promise<string|null>} Reply, or null if the message is not such an answer
+     */
+    async handleConfirmation(message) {
+        const { from, body, chat, isGroup, reactedToKey, reactionEmoji, quotedMessageId, replyText } = message;
+        const decision = confirmationManager.parseAnswer(reactedToKey ? reactionEmoji : quotedMessageId ? replyText : body);
+        if (!decision) return null;
+
+        const contextId = isGroup ? chat : from;
+        const actions = confirmationManager.findActions({
+            contextId,
+            senderId: from,
+            isAdmin: permissionManager.isAdmin(from),
+            messageId: reactedToKey ? reactedToKey.id : quotedMessageId
+        });
+        if (actions.length === 0) return null;
+
+        logger.info('Confirmation answer received', { from, decision, actions: actions.map(a => a.id) });
+        db.addChatMessage(contextId, 'user', isGroup ? `[Sender: ${from}]\n${body}` : body);
+        return confirmationManager.resolve(actions, decision, action => geminiManager.toolCallHandler.executeConfirmed(action));
+    }
+
     /**
      * Handle text messages
      */
@@ -182,11 +242,12 @@ class MessageRouter {
             logger.info('Keyword matched', { from: userId, keyword: keywordMatch.keyword, type: keywordMatch.type });
 
             if (keywordMatch.type === 'ai') {
+                if (budgetManager.isBlocked()) return BUDGET_BLOCKED_MESSAGE;
                 if (message) {
                     try { await whatsappManager.reactToMessage(message.key, '🤖'); } catch (e) {}
                 }
                 const augmentedMessage = `[Custom Instructions: ${keywordMatch.response}]\n\nUser message: ${text}`;
-                return await geminiManager.processMessage(userId, augmentedMessage, { keepHistory: true });
+                return await geminiManager.processMessage(userId, augmentedMessage, { keepHistory: true, routeKind: 'keyword_ai', senderId: message?.from });
             }
 
             // Static keyword: return the response directly
@@ -196,13 +257,19 @@ class MessageRouter {
             return keywordMatch.response;
         }
 
+        // Hard budget limit: only static keywords (above) and commands are answered
+        if (budgetManager.isBlocked()) {
+            logger.info('AI budget exhausted, skipping Gemini', { from: userId });
+            return BUDGET_BLOCKED_MESSAGE;
+        }
+
         // React to show we received the message (WhatsApp only)
         if (message) {
             try { await whatsappManager.reactToMessage(message.key, '🤖'); } catch (e) {}
         }
 
         // Process with Gemini, passing message context
-        return await geminiManager.processMessage(userId, text, { message });
+        return await geminiManager.processMessage(userId, text, { message, senderId: message?.from });
     }
 
     /**
@@ -227,12 +294,93 @@ class MessageRouter {
             contextId,
             media.data,
             media.mimetype,
-            isGroup ? from : null
+            isGroup ? from : null,
+            media.seconds || 0
         );
 
         return response;
     }
 
+    /**
+     * Handle image messages
+     */
+    async handleImageMessage(message) {
+        const { from, chat, body, media, isGroup } = message;
+
+        logger.info('Processing image message', { from, hasCaption: !!body });
+
+        // React to show we're processing
+        try {
+            await whatsappManager.reactToMessage(message.key, '👀');
+        } catch {
+            // Ignore reaction errors
+        }
+
+        const contextId = isGroup ? chat : from;
+
+        // Process with Gemini multimodal
+        return await geminiManager.processImageMessage(
+            contextId,
+            media.data,
+            media.mimetype,
+            (body || '').trim(),
+            isGroup ? from : null
+        );
+    }
+
+    /**
+     * Handle document messages: extract the text locally, store it and let Gemini answer about it
+     */
+    async handleDocumentMessage(message) {
+        const { from, chat, body, media, isGroup } = message;
+
+        logger.info('Processing document message', { from, filename: media.filename, size: media.size });
+
+        if (media.tooLarge) {
+            return `הקובץ "${media.filename}" גדול מדי (${(media.size / 1024 / 1024).toFixed(1)}MB). אני יכולה לקרוא קבצים עד ${config.documents.maxMb}MB 📄`;
+        }
+        if (!media.data) {
+            return `לא הצלחתי להוריד את הקובץ "${media.filename}" 😕 אפשר לנסות לשלוח אותו שוב?`;
+        }
+
+        const extracted = await extractDocumentText(Buffer.from(media.data, 'base64'), {
+            filename: media.filename,
+            mimetype: media.mimetype
+        });
+        if (!extracted.success) {
+            return extracted.type
+                ? `לא הצלחתי לקרוא את הקובץ "${media.filename}" 😕 (${extracted.error})`
+                : `אני יודעת לקרוא רק קבצי ${SUPPORTED_EXTENSIONS.join(', ').toUpperCase()} 📄`;
+        }
+
+        if (budgetManager.isBlocked()) return BUDGET_BLOCKED_MESSAGE;
+
+        // React to show we're processing
+        try {
+            await whatsappManager.reactToMessage(message.key, '📄');
+        } catch {
+            // Ignore reaction errors
+        }
+
+        const contextId = isGroup ? chat : from;
+        const documentId = db.addDocument({
+            contextId,
+            filename: media.filename,
+            mimetype: media.mimetype,
+            docType: extracted.type,
+            sizeBytes: media.size,
+            pages: extracted.pages,
+            content: extracted.text
+        });
+
+        return await geminiManager.processDocumentMessage(
+            contextId,
+            db.getDocument(documentId),
+            (body || '').trim(),
+            isGroup ? from : null
+        );
+    }
+
     /**
      * Handle special commands
      */
@@ -242,9 +390,8 @@ class MessageRouter {
 
         logger.info('Processing command', { from, command });
 
-        // Admin-only commands require ADMIN_PHONE to be configured and match the sender
-        const adminPhone = config.whatsapp.adminPhone;
-        const isAdmin = adminPhone && from === adminPhone;
+        // Admin-only commands require the sender to be ADMIN_PHONE or a person with the admin role
+        const isAdmin = permissionManager.isAdmin(from);
 
         const contextId = isGroup ? chat : from;
 
@@ -257,10 +404,21 @@ class MessageRouter {
             case '/סטטוס':
                 return this.getStatusText();
 
+            case '/budget':
+            case '/תקציב':
+                return budgetManager.getStatusText();
+
+            case '/budget lift':
+            case '/תקציב הסר': {
+                if (!isAdmin) return '⛔ פקודה זו זמינה למנהל בלבד.';
+                const state = budgetManager.lift(from);
+                return `✅ חסימת התקציב הוסרה עד סוף התקופה הנוכחית.\n\n${budgetManager.getStatusText()}${state.level === 'soft' ? `\n\nממשיכה עם המודל המוזל (${state.downgradeModel}).` : ''}`;
+            }
+
             case '/clear':
             case '/נקה':
                 geminiManager.clearHistory(contextId);
-                return 'היסטוריית השיחה נמחקה 🗑️';
+                return 'היסטוריית השיחה וסיכום השיחה נמחקו 🗑️';
 
             case '/log':
             case '/לוג': {
@@ -307,8 +465,9 @@ class MessageRouter {
 
             default:
                 // Unknown command - pass to Gemini
+                if (budgetManager.isBlocked()) return BUDGET_BLOCKED_MESSAGE;
                 const textToProcess = isGroup ? `[Sender: ${from}]\n${body}` : body;
-                return geminiManager.processMessage(contextId, textToProcess);
+                return geminiManager.processMessage(contextId, textToProcess, { senderId: from });
         }
     }
 
@@ -319,6 +478,7 @@ class MessageRouter {
         const adminCommands = isAdmin ? `
 *פקודות מנהל (Admin Only):*
 /log - קבל 30 לוגים אחרונים של המערכת
+/budget lift - הסר חסימת תקציב AI עד סוף התקופה
 /restart - אתחל את המערכת` : '';
 
         return `שלום! אני נוגה 👋
@@ -331,7 +491,8 @@ class MessageRouter {
 
 *פקודות:*
 /status - סטטוס המערכת
-/clear - נקה היסטוריית שיחה${adminCommands}
+/budget - מצב תקציב ה-AI
+/clear - נקה היסטוריית שיחה וסיכום${adminCommands}
 
 אפשר גם לשלוח הודעה קולית! 🎤`;
     }
@@ -348,23 +509,33 @@ class MessageRouter {
             return cost.toFixed(4);
         };
 
+        const kindLines = usage.month.byKind
+            .map(k => `   • ${k.kind}: ${k.calls} קריאות, $${formatCost(k.cost)}`)
+            .join('\n');
+
         return `📊 *סטטוס המערכת*
 
 💬 *WhatsApp*: ${waStatus.isReady ? '✅ מחובר' : '❌ מנותק'}
 🤖 *Gemini*: ${geminiStatus.isInitialized ? '✅ פעיל' : '❌ לא פעיל'}
    Model: ${geminiStatus.model}
+   Provider: ${geminiStatus.providers.primary?.name || '-'}${geminiStatus.providers.fallback ? ` → ${geminiStatus.providers.fallback.name} (גיבוי)` : ''}
+   Routing: ${geminiStatus.routing.enabled ? `✅ ${geminiStatus.routing.tiers.lite} / ${geminiStatus.routing.tiers.standard} / ${geminiStatus.routing.tiers.pro}` : '❌ כבוי'}
    Skills: ${geminiStatus.toolsCount}
 
+${budgetManager.getStatusText()}
+
 📉 *שימוש ועלויות*
 📅 *היום:*
    Input: ${usage.today.input.toLocaleString()}
    Output: ${usage.today.output.toLocaleString()}
+   Calls: ${usage.today.calls.toLocaleString()}
    Cost: $${formatCost(usage.today.cost)}
 
 🗓️ *החודש:*
    Input: ${usage.month.input.toLocaleString()}
    Output: ${usage.month.output.toLocaleString()}
-   Cost: $${formatCost(usage.month.cost)}`;
+   Calls: ${usage.month.calls.toLocaleString()}
+   Cost: $${formatCost(usage.month.cost)}${kindLines ? `\n${kindLines}` : ''}`;
     }
 
 }
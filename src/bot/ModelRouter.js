@@ -0,0 +1,206 @@
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import db from '../database/DatabaseManager.js';
+import budgetManager from './BudgetManager.js';
+
+const ROUTING_CONFIG_KEY = 'model_routing';
+
+// Request categories the router can detect
+const CATEGORIES = ['simple', 'tool_heavy', 'default', 'voice', 'voice_long', 'image', 'document', 'keyword_ai', 'broadcast', 'scheduled', 'summary'];
+
+// Model tiers a category can be mapped to. An empty model name means "use GEMINI_MODEL".
+const TIERS = ['lite', 'standard', 'pro'];
+
+const DEFAULT_ROUTING = {
+    enabled: false,
+    tiers: {
+        lite: 'gemini-2.5-flash-lite',
+        standard: '',
+        pro: 'gemini-2.5-pro'
+    },
+    rules: {
+        simple: 'lite',
+        tool_heavy: 'pro',
+        default: 'standard',
+        voice: 'standard',
+        voice_long: 'pro',
+        image: 'standard',
+        document: 'standard',
+        keyword_ai: 'standard',
+        broadcast: 'lite',
+        scheduled: 'standard',
+        summary: 'lite'
+    },
+    simpleMaxWords: 6,
+    complexMinWords: 40,
+    longVoiceSeconds: 60
+};
+
+// Keyword groups per tool domain – a message touching 2+ domains is treated as tool-heavy
+const DOMAIN_PATTERNS = {
+    devices: [
+        'תדליק', 'תכבה', 'הדלק', 'כבה', 'להדליק', 'לכבות', 'האור', 'מנורה', 'תאורה',
+        'מזגן', 'מיזוג', 'טמפרטורה', 'מתג', 'שקע', 'דוד', 'תריס',
+        'turn on', 'turn off', 'light', 'lamp', 'switch', 'climate', 'sensor'
+    ],
+    calendar: [
+        'יומן', 'אירוע', 'פגישה', 'לוז', 'לו"ז', 'calendar', 'event', 'meeting', 'schedule'
+    ],
+    reminders: [
+        'תזכיר', 'תזכורת', 'להזכיר', 'משימה', 'משימות', 'remind', 'reminder', 'task'
+    ],
+    web: [
+        'חפש', 'תחפש', 'חדשות', 'מזג האוויר', 'search', 'news', 'weather', 'http://', 'https://'
+    ],
+    memory: [
+        'תזכרי', 'תזכור', 'רשימת קניות', 'קניות', 'remember', 'shopping list'
+    ]
+};
+
+// Greetings and short chit-chat that never need tools
+const CHITCHAT_PATTERNS = [
+    'בוקר טוב', 'לילה טוב', 'ערב טוב', 'צהריים טובים', 'שלום', 'היי', 'הי', 'מה נשמע', 'מה שלומך',
+    'תודה', 'תודה רבה', 'אחלה', 'סבבה', 'יופי', 'מעולה', 'אוקיי', 'אוקי', 'בסדר',
+    'good morning', 'good night', 'hello', 'hi', 'hey', 'thanks', 'thank you', 'ok', 'okay', 'cool'
+];
+
+/**
+ * ModelRouter - Picks a Gemini model per request based on its complexity.
+ * Rules map request categories to model tiers and are stored in the DB config table.
+ */
+class ModelRouter {
+    constructor() {
+        this.routing = null;
+    }
+
+    /**
+     * Get the current routing configuration (defaults merged with DB-stored rules)
+     * @returns {Object}
+     */
+    getRouting() {
+        if (!this.routing) {
+            const stored = db ? db.getConfig(ROUTING_CONFIG_KEY) : null;
+            this.routing = this._merge(stored);
+        }
+        return this.routing;
+    }
+
+    /**
+     * Validate and persist a new routing configuration
+     * @param {Object} routing - Partial or full routing configuration
+     * @returns {Object} The saved configuration
+     */
+    setRouting(routing) {
+        if (!routing || typeof routing !== 'object') {
+            const err = new Error('Routing configuration object is required');
+            err.statusCode = 400;
+            throw err;
+        }
+
+        const merged = this._merge({ ...this.getRouting(), ...routing });
+
+        for (const [category, tier] of Object.entries(merged.rules)) {
+            if (!CATEGORIES.includes(category) || !TIERS.includes(tier)) {
+                const err = new Error(`Invalid rule: ${category} → ${tier}`);
+                err.statusCode = 400;
+                throw err;
+            }
+        }
+
+        db.setConfig(ROUTING_CONFIG_KEY, merged);
+        this.routing = merged;
+        logger.info('Model routing updated', { enabled: merged.enabled, rules: merged.rules });
+        return merged;
+    }
+
+    /**
+     * Classify a request into a routing category
+     * @param {Object} request
+     * @param {string} [request.kind] - 'text' | 'voice' | 'image' | 'document' | 'keyword_ai' | 'broadcast' | 'scheduled' | 'summary'
+     * @param {string} [request.text] - Message text (for text requests)
+     * @param {number} [request.audioSeconds] - Voice note duration in seconds
+     * @returns {string} Category name
+     */
+    classify({ kind = 'text', text = '', audioSeconds = 0 } = {}) {
+        const routing = this.getRouting();
+
+        if (['image', 'document', 'broadcast', 'keyword_ai', 'scheduled', 'summary'].includes(kind)) return kind;
+
+        if (kind === 'voice') {
+            return audioSeconds >= routing.longVoiceSeconds ? 'voice_long' : 'voice';
+        }
+
+        const normalized = text.trim().toLowerCase();
+        const wordCount = normalized ? normalized.split(/\s+/).length : 0;
+        const domains = Object.entries(DOMAIN_PATTERNS)
+            .filter(([, patterns]) => patterns.some(p => normalized.includes(p)))
+            .map(([domain]) => domain);
+
+        if (domains.length >= 2 || wordCount >= routing.complexMinWords) return 'tool_heavy';
+
+        if (domains.length === 0 && wordCount <= routing.simpleMaxWords) {
+            const stripped = normalized.replace(/[!?.,\s\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}]+/gu, ' ').trim();
+            if (!stripped || CHITCHAT_PATTERNS.some(p => stripped === p || stripped.startsWith(`${p} `))) {
+                return 'simple';
+            }
+        }
+
+        return 'default';
+    }
+
+    /**
+     * Resolve the model to use for a request
+     * @param {Object} request - See classify()
+     * @returns {{ model: string, category: string, tier: string }}
+     */
+    route(request = {}) {
+        const routing = this.getRouting();
+        const category = this.classify(request);
+
+        // Over the soft budget limit every request goes to the downgrade model
+        const budgetModel = budgetManager.getModelOverride();
+        if (budgetModel) {
+            logger.debug('Model routed (budget downgrade)', { category, model: budgetModel });
+            return { model: budgetModel, category, tier: 'budget' };
+        }
+
+        if (!routing.enabled) {
+            return { model: config.gemini.model, category, tier: 'standard' };
+        }
+
+        const tier = routing.rules[category] || 'standard';
+        const model = routing.tiers[tier] || config.gemini.model;
+
+        logger.debug('Model routed', { category, tier, model });
+        return { model, category, tier };
+    }
+
+    /**
+     * Merge stored routing with defaults so new categories always have a rule
+     */
+    _merge(stored) {
+        const base = stored && typeof stored === 'object' ? stored : {};
+        return {
+            enabled: base.enabled === undefined ? DEFAULT_ROUTING.enabled : !!base.enabled,
+            tiers: { ...DEFAULT_ROUTING.tiers, ...(base.tiers || {}) },
+            rules: { ...DEFAULT_ROUTING.rules, ...(base.rules || {}) },
+            simpleMaxWords: parseInt(base.simpleMaxWords, 10) || DEFAULT_ROUTING.simpleMaxWords,
+            complexMinWords: parseInt(base.complexMinWords, 10) || DEFAULT_ROUTING.complexMinWords,
+            longVoiceSeconds: parseInt(base.longVoiceSeconds, 10) || DEFAULT_ROUTING.longVoiceSeconds
+        };
+    }
+
+    /**
+     * Get status
+     */
+    getStatus() {
+        const routing = this.getRouting();
+        return {
+            enabled: routing.enabled,
+            tiers: { ...routing.tiers, standard: routing.tiers.standard || config.gemini.model }
+        };
+    }
+}
+
+export default new ModelRouter();
+export { ModelRouter, CATEGORIES, TIERS };
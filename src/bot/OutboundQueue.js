@@ -0,0 +1,268 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import db from '../database/DatabaseManager.js';
+import whatsappManager from './WhatsAppManager.js';
+
+const CACHE_TYPE = 'outbound_message';
+const OUTBOX_DIR = path.resolve(process.cwd(), 'data', 'outbox');
+const FLUSH_INTERVAL_MS = 15000;
+const RETRY_BASE_MS = 15000;
+const RETRY_MAX_MS = 15 * 60 * 1000;
+
+/**
+ * OutboundQueue - Persistent outbox for bot-originated WhatsApp messages (stored in the cache table).
+ * Messages that cannot be sent right away (client reconnecting, send error) are buffered and
+ * retried with exponential backoff; identical pending messages to the same chat are sent once.
+ * Emits 'sent' (item, messageId) when a buffered message is finally delivered.
+ */
+class OutboundQueue extends EventEmitter {
+    constructor() {
+        super();
+        this.timer = null;
+        this.flushing = null;
+    }
+
+    /**
+     * Start the periodic flush
+     */
+    init() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.flush(), FLUSH_INTERVAL_MS);
+            this.timer.unref();
+        }
+        logger.info('Outbound message queue initialized', { pending: this._pending().length });
+        return this;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Send a text (or media) message now, or buffer it if WhatsApp is unavailable
+     * @param {string} chatId - Recipient JID or phone number
+     * @param {string} text - Message text (media caption when mediaPath is set)
+     * @param {Object} [options]
+     * @param {string} [options.source] - Origin for the dashboard ('reply', 'scheduled', 'nudge', 'webhook', ...)
+     * @param {Object} [options.meta] - Passed back with the 'sent' event (e.g. { reminderId })
+     * @param {string} [options.mediaPath] - File to send as media; the queue takes ownership and deletes it once sent
+     * @param {string[]} [options.mentions] - JIDs @-mentioned in the text
+     * @returns {Promise<{sent: boolean, messageId?: string, queued?: boolean, id?: number, duplicate?: boolean}>}
+     */
+    async send(chatId, text, { source = 'system', meta = null, mediaPath = null, mentions = [] } = {}) {
+        // Messages already waiting for this chat go first, so only bypass the queue when it is empty
+        if (whatsappManager.isReady && !this._pending().some(item => item.data.chatId === chatId)) {
+            try {
+                const messageId = await this._deliver({ chatId, text, mediaPath, mentions });
+                this._removeMedia(mediaPath);
+                return { sent: true, messageId };
+            } catch (err) {
+                logger.warn('Outbound message failed, queued for retry', { to: chatId, source, error: err.message });
+                return this._enqueue({ chatId, text, source, meta, mediaPath, mentions }, err.message);
+            }
+        }
+        return this._enqueue({ chatId, text, source, meta, mediaPath, mentions });
+    }
+
+    /**
+     * Deliver every due pending message (in order per chat). Safe to call concurrently.
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this._flush()
+                .catch(err => logger.error('Outbound queue flush failed', { error: err.message }))
+                .finally(() => { this.flushing = null; });
+        }
+        return this.flushing;
+    }
+
+    /**
+     * Pending and failed messages for the dashboard
+     */
+    list() {
+        return db.getCacheItems(CACHE_TYPE, ['pending', 'failed']).map(item => ({
+            id: item.id,
+            chatId: item.data.chatId,
+            text: item.data.text,
+            source: item.data.source,
+            hasMedia: !!item.data.mediaPath,
+            nextAttemptAt: item.data.nextAttemptAt,
+            status: item.status,
+            error: item.errorMessage,
+            retryCount: item.retryCount,
+            createdAt: item.createdAt
+        }));
+    }
+
+    /**
+     * Put a failed (or waiting) message back at the front of its retry schedule and flush
+     * @param {number} id - Cache item ID
+     */
+    async resend(id) {
+        const item = this._getItem(id);
+        if (item.status === 'completed') {
+            const err = new Error('Message was already sent');
+            err.statusCode = 400;
+            throw err;
+        }
+        // Reset created time too, so a manual resend is not immediately expired again
+        db.resetCacheItem(id, { ...item.data, nextAttemptAt: Date.now(), queuedAt: Date.now() });
+        logger.info('Outbound message resend requested', { id, to: item.data.chatId });
+        await this.flush();
+        return db.getCacheItem(id).status;
+    }
+
+    /**
+     * Drop a queued message
+     * @param {number} id - Cache item ID
+     */
+    remove(id) {
+        const item = this._getItem(id);
+        this._removeMedia(item.data.mediaPath);
+        db.deleteCacheItem(id);
+        logger.info('Outbound message removed from queue', { id, to: item.data.chatId });
+    }
+
+    /**
+     * Delete outbox media files that no queued message refers to
+     * (rows of old failed messages are removed by the daily cache cleanup)
+     */
+    pruneMedia() {
+        if (!fs.existsSync(OUTBOX_DIR)) return 0;
+        const referenced = new Set(db.getCacheItems(CACHE_TYPE, ['pending', 'failed'])
+            .map(item => item.data.mediaPath)
+            .filter(Boolean));
+        let removed = 0;
+        for (const file of fs.readdirSync(OUTBOX_DIR)) {
+            const filePath = path.join(OUTBOX_DIR, file);
+            if (!referenced.has(filePath)) {
+                this._removeMedia(filePath);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Queue counts for status displays
+     */
+    getStatus() {
+        const items = db ? db.getCacheItems(CACHE_TYPE, ['pending', 'failed']) : [];
+        return {
+            pending: items.filter(i => i.status === 'pending').length,
+            failed: items.filter(i => i.status === 'failed').length
+        };
+    }
+
+    _enqueue({ chatId, text, source, meta, mediaPath, mentions = [] }, error = null) {
+        const hash = crypto.createHash('sha1').update(`${chatId}\n${text}\n${mediaPath ? 'media' : ''}`).digest('hex');
+        const duplicate = this._pending().find(item => item.data.hash === hash);
+        if (duplicate) {
+            this._removeMedia(mediaPath);
+            logger.info('Duplicate outbound message not queued', { to: chatId, source, id: duplicate.id });
+            return { sent: false, queued: true, id: duplicate.id, duplicate: true };
+        }
+
+        // Keep media in data/outbox – callers usually pass temp files they clean up
+        let storedMedia = null;
+        if (mediaPath) {
+            fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+            storedMedia = path.join(OUTBOX_DIR, `${Date.now()}-${path.basename(mediaPath)}`);
+            fs.renameSync(mediaPath, storedMedia);
+        }
+
+        const now = Date.now();
+        const data = {
+            chatId, text, source, meta, hash,
+            mediaPath: storedMedia,
+            mentions,
+            queuedAt: now,
+            nextAttemptAt: error ? now + RETRY_BASE_MS : now
+        };
+        const id = db.addToCache(CACHE_TYPE, data);
+        if (error) {
+            db.rescheduleCacheItem(id, data, error); // Count the failed direct attempt
+        }
+        logger.info('Outbound message queued', { id, to: chatId, source, reason: error || 'WhatsApp not ready' });
+        return { sent: false, queued: true, id };
+    }
+
+    async _flush() {
+        if (!whatsappManager.isReady) return;
+
+        const now = Date.now();
+        const maxAgeMs = config.whatsapp.outboxMaxAgeHours * 60 * 60 * 1000;
+        const blockedChats = new Set(); // A chat whose head message failed waits, to keep its order
+
+        for (const item of this._pending()) {
+            const { data } = item;
+
+            if (now - data.queuedAt > maxAgeMs) {
+                db.updateCacheStatus(item.id, 'failed', `Expired after ${config.whatsapp.outboxMaxAgeHours}h in the queue`);
+                logger.warn('Outbound message expired', { id: item.id, to: data.chatId, source: data.source });
+                continue;
+            }
+            if (blockedChats.has(data.chatId) || data.nextAttemptAt > now) {
+                blockedChats.add(data.chatId);
+                continue;
+            }
+            if (!whatsappManager.isReady) return;
+
+            try {
+                const messageId = await this._deliver(data);
+                db.updateCacheStatus(item.id, 'completed');
+                this._removeMedia(data.mediaPath);
+                logger.info('Queued outbound message sent', { id: item.id, to: data.chatId, source: data.source, attempts: item.retryCount + 1 });
+                this.emit('sent', data, messageId);
+            } catch (err) {
+                blockedChats.add(data.chatId);
+                const attempts = item.retryCount + 1;
+                if (attempts >= config.whatsapp.outboxMaxRetries) {
+                    db.updateCacheStatus(item.id, 'failed', err.message);
+                    logger.error('Outbound message failed permanently', { id: item.id, to: data.chatId, attempts, error: err.message });
+                } else {
+                    const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+                    db.rescheduleCacheItem(item.id, { ...data, nextAttemptAt: Date.now() + delay }, err.message);
+                    logger.warn('Outbound message retry scheduled', { id: item.id, to: data.chatId, attempts, retryInSeconds: delay / 1000 });
+                }
+            }
+        }
+    }
+
+    async _deliver({ chatId, text, mediaPath, mentions = [] }) {
+        if (mediaPath) {
+            await whatsappManager.sendMediaMessage(chatId, mediaPath, text);
+            return null;
+        }
+        return whatsappManager.sendMessage(chatId, text, { mentions });
+    }
+
+    _pending() {
+        return db ? db.getCacheItems(CACHE_TYPE, ['pending']) : [];
+    }
+
+    _getItem(id) {
+        const item = db.getCacheItem(id);
+        if (!item || item.type !== CACHE_TYPE) {
+            const err = new Error('Queued message not found');
+            err.statusCode = 404;
+            throw err;
+        }
+        return item;
+    }
+
+    _removeMedia(mediaPath) {
+        if (!mediaPath) return;
+        fs.promises.unlink(mediaPath).catch(() => {});
+    }
+}
+
+export default new OutboundQueue();
+export { OutboundQueue };
@@ -0,0 +1,175 @@
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import db from '../database/DatabaseManager.js';
+
+const POLICY_CONFIG_KEY = 'tool_policy';
+
+const ROLES = ['admin', 'adult', 'child', 'guest'];
+
+// Per-role tool policy: 'all' tools, only the listed tools ('allow') or every tool except the listed ones ('deny').
+// Home Assistant MCP tools are registered at runtime, so an allow-list also keeps them away from a role.
+const DEFAULT_POLICY = {
+    admin: { mode: 'all', tools: [] },
+    adult: { mode: 'all', tools: [] },
+    child: {
+        mode: 'allow',
+        tools: [
+            'list_calendars', 'list_calendar_events', 'search_calendar_events', 'find_free_time', 'list_upcoming_birthdays', 'get_pending_reminders', 'add_reminder', 'update_reminder_status', 'snooze_reminder',
+            'read_knowledge_file', 'list_memory', 'fetch_url', 'fetch_rss', 'web_search', 'search_chat_history', 'find_device', 'get_device_history', 'get_device_statistics'
+        ]
+    },
+    guest: { mode: 'allow', tools: ['list_calendars', 'list_calendar_events', 'search_calendar_events', 'find_free_time', 'web_search'] }
+};
+
+/**
+ * Normalize a phone number or JID to the digits used in the people table
+ * @param {string} phone - Phone number or JID
+ */
+function normalizePhone(phone) {
+    return String(phone).split('@')[0].split(':')[0].replace(/\D/g, '');
+}
+
+/**
+ * PermissionManager - Roles of the people talking to Noga (people table) and the tool policy per role
+ * (DB config table). ADMIN_PHONE is always an admin; whitelisted senders without a people row get
+ * WHATSAPP_DEFAULT_ROLE. Requests without a sender (dashboard, scheduled prompts) are not restricted.
+ */
+class PermissionManager {
+    constructor() {
+        this.policy = null;
+    }
+
+    /**
+     * Role of a sender
+     * @param {string|null} senderId - Sender phone number, or null for internal requests
+     * @returns {string|null} Role, or null for internal requests
+     */
+    getRole(senderId) {
+        if (!senderId) return null;
+        const phone = normalizePhone(senderId);
+        if (config.whatsapp.adminPhone && phone === normalizePhone(config.whatsapp.adminPhone)) return 'admin';
+
+        const person = db && db.db ? db.getPersonByPhone(phone) : null;
+        if (person) return person.role;
+        return ROLES.includes(config.whatsapp.defaultRole) ? config.whatsapp.defaultRole : 'adult';
+    }
+
+    /**
+     * The people row of a sender, or null
+     * @param {string|null} senderId - Sender phone number
+     */
+    getPerson(senderId) {
+        if (!senderId || !db || !db.db) return null;
+        return db.getPersonByPhone(normalizePhone(senderId)) || null;
+    }
+
+    /**
+     * Find a person by name or phone number (e.g. the assignee of a reminder)
+     * @param {string} query - Name, part of a name, or phone number
+     * @returns {Object|null} The people row, a { phone, name } stand-in for an unlisted phone number, or null
+     */
+    findPerson(query) {
+        const value = String(query || '').trim();
+        if (!value || !db || !db.db) return null;
+        const people = db.getPeople();
+
+        const digits = normalizePhone(value);
+        if (digits.length >= 9 && digits.length === value.replace(/[\s+()-]/g, '').length) {
+            return people.find(p => p.phone === digits) || { phone: digits, name: digits };
+        }
+
+        const name = value.toLowerCase();
+        return people.find(p => p.name.toLowerCase() === name)
+            || people.find(p => p.name.toLowerCase().includes(name))
+            || null;
+    }
+
+    /**
+     * Display name of a phone number (people name, or the number itself)
+     * @param {string} phone - Phone number or JID
+     */
+    getName(phone) {
+        return this.getPerson(phone)?.name || normalizePhone(phone);
+    }
+
+    /**
+     * Whether a sender is an admin (for admin-only commands)
+     * @param {string|null} senderId - Sender phone number
+     */
+    isAdmin(senderId) {
+        return this.getRole(senderId) === 'admin';
+    }
+
+    /**
+     * Get the current policy (defaults merged with the DB-stored policy)
+     * @returns {Object} { role: { mode, tools } }
+     */
+    getPolicy() {
+        if (!this.policy) {
+            const stored = db ? db.getConfig(POLICY_CONFIG_KEY) : null;
+            this.policy = this._merge(stored);
+        }
+        return this.policy;
+    }
+
+    /**
+     * Validate and persist a new policy
+     * @param {Object} policy - Partial or full policy { role: { mode, tools } }
+     * @returns {Object} The saved policy
+     */
+    setPolicy(policy) {
+        if (!policy || typeof policy !== 'object') {
+            const err = new Error('Policy object is required');
+            err.statusCode = 400;
+            throw err;
+        }
+
+        for (const [role, rule] of Object.entries(policy)) {
+            if (!ROLES.includes(role) || !rule || !['all', 'allow', 'deny'].includes(rule.mode) || !Array.isArray(rule.tools || [])) {
+                const err = new Error(`Invalid policy for role: ${role}`);
+                err.statusCode = 400;
+                throw err;
+            }
+        }
+
+        const merged = this._merge({ ...this.getPolicy(), ...policy });
+        db.setConfig(POLICY_CONFIG_KEY, merged);
+        this.policy = merged;
+        logger.info('Tool policy updated', { modes: Object.fromEntries(ROLES.map(r => [r, merged[r].mode])) });
+        return merged;
+    }
+
+    /**
+     * Whether a role may use a tool
+     * @param {string} toolName - Function name
+     * @param {string|null} role - Sender role (null = internal request)
+     */
+    isToolAllowed(toolName, role) {
+        if (!role) return true;
+        const rule = this.getPolicy()[role];
+        if (!rule || rule.mode === 'all') return true;
+        return rule.mode === 'allow' ? rule.tools.includes(toolName) : !rule.tools.includes(toolName);
+    }
+
+    /**
+     * Function declarations available to a sender
+     * @param {Array} tools - Function declarations
+     * @param {string|null} senderId - Sender phone number
+     */
+    filterTools(tools, senderId) {
+        const role = this.getRole(senderId);
+        return role ? tools.filter(t => this.isToolAllowed(t.name, role)) : tools;
+    }
+
+    _merge(stored) {
+        const policy = {};
+        for (const role of ROLES) {
+            const rule = stored && stored[role] ? stored[role] : DEFAULT_POLICY[role];
+            policy[role] = { mode: rule.mode, tools: [...new Set(rule.tools || [])] };
+        }
+        return policy;
+    }
+}
+
+export default new PermissionManager();
+export { PermissionManager, ROLES, normalizePhone };
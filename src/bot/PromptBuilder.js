@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
+import knowledgeIndex from './KnowledgeIndex.js';
 
 // Helper to check file/dir existence asynchronously
 async function exists(filePath) {
@@ -19,7 +20,9 @@ class PromptBuilder {
     }
 
     /**
-     * Build system prompt dynamically from Markdown files
+     * Build system prompt dynamically from Markdown files.
+     * Files flagged "always include" (and any file the embedding index cannot serve) are added in full;
+     * the rest are only listed, and their relevant chunks are added per message by getRelevantKnowledge().
      * @returns {Promise<string>} The assembled system prompt
      */
     async build() {
@@ -29,6 +32,17 @@ class PromptBuilder {
         // Base system prompt is ALWAYS included
         let promptParts = [config.gemini.systemPrompt];
 
+        // Bring the embedding index up to date (unchanged files are skipped)
+        try {
+            await knowledgeIndex.sync();
+        } catch (err) {
+            logger.error('Failed to sync knowledge index', { error: err.message });
+        }
+        const useIndex = knowledgeIndex.isAvailable();
+        const sendInFull = (source, file, content) =>
+            !useIndex || knowledgeIndex.isAlwaysIncluded(source, file) || !knowledgeIndex.isIndexed(source, file, content);
+        const indexed = { knowledge: [], skills: [] };
+
         try {
             if (await exists(knowledgeDir)) {
                 const files = await fs.promises.readdir(knowledgeDir);
@@ -37,10 +51,14 @@ class PromptBuilder {
                 const contents = await Promise.all(
                     mdFiles.map(async file => {
                         const content = await fs.promises.readFile(path.join(knowledgeDir, file), 'utf-8');
+                        if (!sendInFull('knowledge', file, content)) {
+                            indexed.knowledge.push(file);
+                            return null;
+                        }
                         return `--- BEGIN ${file} ---\n${content}\n--- END ${file} ---`;
                     })
                 );
-                promptParts.push(...contents);
+                promptParts.push(...contents.filter(Boolean));
             }
         } catch (err) {
             logger.error('Failed to read knowledge files', { error: err.message });
@@ -50,15 +68,20 @@ class PromptBuilder {
             if (await exists(skillsDir)) {
                 const files = await fs.promises.readdir(skillsDir);
                 const mdFiles = files.filter(f => f.endsWith('.md'));
-                if (mdFiles.length > 0) {
+
+                const contents = (await Promise.all(
+                    mdFiles.map(async file => {
+                        const content = await fs.promises.readFile(path.join(skillsDir, file), 'utf-8');
+                        if (!sendInFull('skills', file, content)) {
+                            indexed.skills.push(file);
+                            return null;
+                        }
+                        return `Skill File: ${file}\n${content}\n\n`;
+                    })
+                )).filter(Boolean);
+
+                if (contents.length > 0) {
                     let skillsList = "--- BEGIN AVAILABLE SKILLS ---\nThese are the skills you know how to execute. You can use these procedures if asked.\n\n";
-                    
-                    const contents = await Promise.all(
-                        mdFiles.map(async file => {
-                            const content = await fs.promises.readFile(path.join(skillsDir, file), 'utf-8');
-                            return `Skill File: ${file}\n${content}\n\n`;
-                        })
-                    );
                     skillsList += contents.join('');
                     skillsList += "--- END AVAILABLE SKILLS ---";
                     promptParts.push(skillsList);
@@ -68,10 +91,48 @@ class PromptBuilder {
             logger.error('Failed to read skills files', { error: err.message });
         }
 
+        if (indexed.knowledge.length > 0 || indexed.skills.length > 0) {
+            promptParts.push([
+                '--- BEGIN INDEXED FILES ---',
+                'These files are not included in full. Sections relevant to the current message are provided under RELEVANT KNOWLEDGE. If you need more, read the whole file with read_knowledge_file.',
+                indexed.knowledge.length > 0 ? `Knowledge: ${indexed.knowledge.sort().join(', ')}` : null,
+                indexed.skills.length > 0 ? `Skills: ${indexed.skills.sort().join(', ')}` : null,
+                '--- END INDEXED FILES ---'
+            ].filter(Boolean).join('\n'));
+        }
+
         this._cachedPrompt = promptParts.join('\n\n');
+        logger.info('System prompt built', {
+            length: this._cachedPrompt.length,
+            indexedKnowledge: indexed.knowledge.length,
+            indexedSkills: indexed.skills.length
+        });
         return this._cachedPrompt;
     }
 
+    /**
+     * Knowledge/skill chunks relevant to a message, formatted for the system instruction
+     * @param {string} query - User message (or recent conversation text)
+     * @returns {Promise<string>} Empty string when retrieval is unavailable or nothing matches
+     */
+    async getRelevantKnowledge(query) {
+        if (!knowledgeIndex.isAvailable()) return '';
+
+        try {
+            const results = await knowledgeIndex.search(query);
+            if (results.length === 0) return '';
+
+            logger.debug('Relevant knowledge retrieved', {
+                chunks: results.map(r => `${r.filename} (${r.score.toFixed(2)})`)
+            });
+            const body = results.map(r => `[${r.source}/${r.filename}]\n${r.content}`).join('\n\n');
+            return `--- BEGIN RELEVANT KNOWLEDGE ---\n${body}\n--- END RELEVANT KNOWLEDGE ---`;
+        } catch (err) {
+            logger.warn('Knowledge retrieval failed', { error: err.message });
+            return '';
+        }
+    }
+
     /**
      * Get the cached prompt (or build if not yet built)
      * @returns {Promise<string>}
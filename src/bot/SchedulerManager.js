@@ -1,14 +1,27 @@
 import cron from 'node-cron';
 import logger from '../utils/logger.js';
 import db from '../database/DatabaseManager.js';
+import groupRegistry from './GroupRegistry.js';
+import permissionManager, { normalizePhone } from './PermissionManager.js';
+import briefingManager from './BriefingManager.js';
+import calendarManager from '../skills/CalendarManager.js';
 import config from '../utils/config.js';
+import { nextOccurrence, describeRecurrence } from '../utils/recurrence.js';
+import { parseTimeWindow, timeWindowEnd, toLocalParts } from '../utils/timezone.js';
+import { pad, addDays } from '../skills/calendar/helpers.js';
+import { getRestPeriod } from '../utils/hebcal.js';
 import fs from 'fs';
 import path from 'path';
 
+const BIRTHDAY_RETRY_MINUTES = 15;
+
 class SchedulerManager {
     constructor() {
         this.scheduledTasks = new Map(); // Maps prompt ID to node-cron task
+        this.briefingTasks = new Map(); // Maps briefing ID to node-cron task
         this.geminiManager = null;
+        this.birthdayCheckRunning = false;
+        this.birthdayRetryAt = 0; // After a failed birthday check, wait before trying again
     }
 
     /**
@@ -17,10 +30,13 @@ class SchedulerManager {
      */
     init(geminiManager) {
         this.geminiManager = geminiManager;
+        briefingManager.init(geminiManager);
         logger.info('Initializing Scheduler Manager...');
         this.reload();
         this._scheduleAutomatedBackup();
         this._scheduleReminderNudger();
+        this._scheduleBirthdayCheck();
+        this._trackQueuedNudges();
         return this;
     }
 
@@ -31,10 +47,11 @@ class SchedulerManager {
         logger.info('Reloading scheduled prompts...');
 
         // Stop all existing tasks
-        for (const [id, task] of this.scheduledTasks.entries()) {
+        for (const [id, task] of [...this.scheduledTasks.entries(), ...this.briefingTasks.entries()]) {
             task.stop();
         }
         this.scheduledTasks.clear();
+        this.briefingTasks.clear();
 
         // Load new tasks
         const prompts = db.getEnabledScheduledPrompts();
@@ -43,7 +60,11 @@ class SchedulerManager {
             this._scheduleTask(prompt);
         }
 
-        logger.info(`Loaded ${this.scheduledTasks.size} scheduled prompts`);
+        for (const briefing of db.getEnabledBriefings()) {
+            this._scheduleBriefing(briefing);
+        }
+
+        logger.info(`Loaded ${this.scheduledTasks.size} scheduled prompts and ${this.briefingTasks.size} briefings`);
     }
 
     /**
@@ -62,31 +83,33 @@ class SchedulerManager {
             logger.info(`Running scheduled prompt: ${promptData.name}`);
 
             try {
-                if (!config.whatsapp.groupId) {
-                    logger.warn('Cannot run scheduled prompt: WHATSAPP_GROUP_ID is not configured');
+                // Target group of the prompt, or the default group
+                const groupId = promptData.group_jid || groupRegistry.getDefaultGroupId();
+                if (!groupId) {
+                    logger.warn('Cannot run scheduled prompt: no target group (set WHATSAPP_GROUP_ID or a default group)');
                     return;
                 }
 
-                // Make sure WhatsApp is connected
-                const { default: whatsappManager } = await import('./WhatsAppManager.js');
-                const status = whatsappManager.getStatus();
-
-                if (!status.isReady) {
-                    logger.warn(`WhatsApp not ready, skipping scheduled prompt: ${promptData.name}`);
+                // Skip AI prompts while the hard budget limit is active
+                const { default: budgetManager } = await import('./BudgetManager.js');
+                if (budgetManager.isBlocked()) {
+                    logger.warn(`AI budget exhausted, skipping scheduled prompt: ${promptData.name}`);
                     return;
                 }
 
                 // 1. Process the prompt with Gemini
-                // Log under the main group ID so Noga remembers what she said
+                // Log under the target group ID so Noga remembers what she said
                 const response = await this.geminiManager.processMessage(
-                    config.whatsapp.groupId,
-                    promptData.prompt
+                    groupId,
+                    promptData.prompt,
+                    { routeKind: 'scheduled', callKind: 'scheduled' }
                 );
 
-                // 2. Send the response to the WhatsApp group
+                // 2. Send the response to the WhatsApp group (buffered until reconnect if WhatsApp is down)
                 if (response && response.trim()) {
-                    await whatsappManager.sendMessage(config.whatsapp.groupId, response);
-                    logger.info(`Scheduled prompt sent successfully: ${promptData.name}`);
+                    const { default: outboundQueue } = await import('./OutboundQueue.js');
+                    const result = await outboundQueue.send(groupId, response, { source: 'scheduled' });
+                    logger.info(`Scheduled prompt ${result.sent ? 'sent successfully' : 'queued'}: ${promptData.name}`);
                 } else {
                     logger.warn(`Scheduled prompt generated empty response: ${promptData.name}`);
                 }
@@ -102,6 +125,162 @@ class SchedulerManager {
         this.scheduledTasks.set(promptData.id, task);
     }
 
+    /**
+     * Schedule a briefing (gathered and sent by BriefingManager)
+     * @param {Object} briefing - briefings row
+     */
+    _scheduleBriefing(briefing) {
+        if (!cron.validate(briefing.cron_expression)) {
+            logger.error(`Invalid cron expression for briefing: ${briefing.name}`, {
+                cron: briefing.cron_expression
+            });
+            return;
+        }
+
+        const task = cron.schedule(briefing.cron_expression, async () => {
+            logger.info(`Running briefing: ${briefing.name}`);
+            try {
+                await briefingManager.send(briefing);
+            } catch (err) {
+                logger.error(`Failed to send briefing: ${briefing.name}`, { error: err.message, stack: err.stack });
+            }
+        }, {
+            scheduled: true,
+            timezone: 'Asia/Jerusalem'
+        });
+
+        this.briefingTasks.set(briefing.id, task);
+    }
+
+    /**
+     * Check the birthdays and anniversaries once a day, at the first minute after BIRTHDAY_ANNOUNCE_TIME
+     * (a day the bot was down at that time is still checked when it starts). A check that fails is
+     * retried every BIRTHDAY_RETRY_MINUTES minutes until the end of the day.
+     */
+    _scheduleBirthdayCheck() {
+        cron.schedule('* * * * *', async () => {
+            if (this.birthdayCheckRunning || Date.now() < this.birthdayRetryAt) return;
+            try {
+                const timezone = config.reminders.timezone;
+                const now = toLocalParts(new Date(), timezone);
+                const today = `${now.year}-${pad(now.month)}-${pad(now.day)}`;
+                const [, hour, minute] = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(config.birthdays.announceTime) || [null, 8, 0];
+                if (now.hour * 60 + now.minute < Number(hour) * 60 + Number(minute)) return;
+                if (db.getConfig('birthdays_checked_on') === today) return;
+
+                const { default: whatsappManager } = await import('./WhatsAppManager.js');
+                if (!whatsappManager.isReady) return;
+
+                this.birthdayCheckRunning = true;
+                if (await this._checkBirthdays(today)) {
+                    db.setConfig('birthdays_checked_on', today);
+                } else {
+                    this.birthdayRetryAt = Date.now() + BIRTHDAY_RETRY_MINUTES * 60000;
+                }
+            } catch (err) {
+                this.birthdayRetryAt = Date.now() + BIRTHDAY_RETRY_MINUTES * 60000;
+                logger.error('Failed to run birthday check', { error: err.message });
+            } finally {
+                this.birthdayCheckRunning = false;
+            }
+        });
+    }
+
+    /**
+     * Greet today's birthdays and anniversaries in the default group, and add a gift reminder
+     * for those BIRTHDAY_GIFT_REMINDER_DAYS ahead. Each greeting and reminder is recorded when it is done,
+     * so a check that is run again the same day skips them.
+     * @param {string} today - Local date (YYYY-MM-DD)
+     * @returns {Promise<boolean>} Whether every calendar was read and every greeting and reminder is done
+     */
+    async _checkBirthdays(today) {
+        const giftDays = Math.max(config.birthdays.giftReminderDays, 0);
+        const giftDate = addDays(today, giftDays);
+        const result = await calendarManager.getCelebrations(today, giftDate);
+        let complete = !result.errors;
+        if (result.errors) {
+            logger.warn('Some calendars failed in the birthday check', { errors: result.errors });
+        }
+
+        const saved = db.getConfig('birthdays_done');
+        const done = new Set(saved?.date === today ? saved.keys : []);
+        const runOnce = async (key, task) => {
+            if (done.has(key)) return;
+            try {
+                await task();
+                done.add(key);
+                db.setConfig('birthdays_done', { date: today, keys: [...done] });
+            } catch (err) {
+                complete = false;
+                logger.error('Birthday check step failed', { key, error: err.message });
+            }
+        };
+
+        if (config.birthdays.announce) {
+            for (const celebration of result.celebrations.filter(c => c.date === today)) {
+                await runOnce(`greeting|${celebration.date}|${celebration.title}`, () => this._announceCelebration(celebration));
+            }
+        }
+
+        if (giftDays > 0) {
+            for (const celebration of result.celebrations.filter(c => c.date === giftDate)) {
+                await runOnce(`gift|${celebration.date}|${celebration.title}`, () => this._addGiftReminder(celebration));
+            }
+        }
+        logger.info('Birthday check done', { date: today, found: result.celebrations.length, complete });
+        return complete;
+    }
+
+    /**
+     * Send a personalized greeting to the default group (the person is @-mentioned when they are in the People tab)
+     * @param {Object} celebration - See CalendarManager.getCelebrations
+     */
+    async _announceCelebration(celebration) {
+        const groupId = groupRegistry.getDefaultGroupId();
+        if (!groupId) return;
+        const { default: outboundQueue } = await import('./OutboundQueue.js');
+
+        const what = celebration.type === 'anniversary' ? 'יום נישואין' : 'יום הולדת';
+        const eventData = {
+            event: celebration.name
+                ? `${what}${celebration.age ? ` ${celebration.age}` : ''} ל${celebration.name} 🎉`
+                : `${celebration.title} 🎉`,
+            data: {
+                type: celebration.type,
+                title: celebration.title,
+                ...(celebration.name && { name: celebration.name }),
+                ...(celebration.age && { age: celebration.age }),
+                instruction: 'Write a warm, personal Hebrew congratulation for the family group. Use emojis. Address the celebrant by name.'
+            }
+        };
+
+        const greeting = await this.geminiManager.generateBroadcastMessage(eventData, { callKind: 'birthday', contextId: groupId });
+        if (!greeting || !greeting.trim()) return;
+
+        const tag = celebration.phone ? `@${celebration.phone} ` : '';
+        const msg = `${tag}${greeting}`;
+        await outboundQueue.send(groupId, msg, {
+            source: 'birthday',
+            mentions: celebration.phone ? [`${celebration.phone}@s.whatsapp.net`] : []
+        });
+        db.addChatMessage(groupId, 'model', msg);
+        logger.info(`Sent ${celebration.type} greeting: "${celebration.title}"`);
+    }
+
+    /**
+     * Remind the admin (or the group when ADMIN_PHONE is not set) to buy a gift, nudging once a day until done
+     * @param {Object} celebration - See CalendarManager.getCelebrations
+     */
+    _addGiftReminder(celebration) {
+        const adminPhone = config.whatsapp.adminPhone ? normalizePhone(config.whatsapp.adminPhone) : null;
+        const [year, month, day] = celebration.date.split('-');
+        const title = celebration.name
+            ? `לקנות מתנה ל${celebration.name} (${day}/${month}/${year})`
+            : `לקנות מתנה: ${celebration.title} (${day}/${month}/${year})`;
+        const id = db.addReminder(title, new Date().toISOString(), 24 * 60, null, null, adminPhone ? { assignee: adminPhone } : null);
+        logger.info(`Gift reminder ${id} added: "${title}"`, { assignee: adminPhone });
+    }
+
     /**
      * Schedule an automated daily backup saved to disk (data/backups/)
      */
@@ -131,8 +310,15 @@ class SchedulerManager {
                     skills: {},
                     keywords: [],
                     ha_mappings: [],
+                    ha_aliases: [],
+                    ha_watch_rules: [],
                     scheduled_prompts: [],
+                    briefings: [],
                     reminders: [],
+                    whatsapp_groups: [],
+                    people: [],
+                    calendars: [],
+                    tool_policy: null,
                     settings: {}
                 };
 
@@ -172,9 +358,16 @@ class SchedulerManager {
 
                 // DB-backed data
                 backup.keywords = db.getKeywords().map(k => ({ keyword: k.keyword, response: k.response, type: k.type, enabled: k.enabled }));
-                backup.ha_mappings = db.getHaMappings().map(m => ({ entity_id: m.entity_id, nickname: m.nickname, location: m.location, type: m.type }));
-                backup.scheduled_prompts = db.getScheduledPrompts().map(p => ({ name: p.name, prompt: p.prompt, cron_expression: p.cron_expression, enabled: p.enabled }));
+                backup.ha_mappings = db.getHaMappings().map(m => ({ entity_id: m.entity_id, nickname: m.nickname, location: m.location, type: m.type, area_id: m.area_id }));
+                backup.ha_aliases = db.getHaAliases();
+                backup.scheduled_prompts = db.getScheduledPrompts().map(p => ({ name: p.name, prompt: p.prompt, cron_expression: p.cron_expression, enabled: p.enabled, group_jid: p.group_jid }));
+                backup.briefings = db.getBriefings().map(b => ({ name: b.name, sections: b.sections, cron_expression: b.cron_expression, group_jid: b.group_jid, person_phone: b.person_phone, weather_entity: b.weather_entity, rss_url: b.rss_url, enabled: b.enabled }));
+                backup.ha_watch_rules = db.getWatchRules().map(r => ({ name: r.name, entity_id: r.entity_id, to_state: r.to_state, above: r.above, below: r.below, for_minutes: r.for_minutes, active_hours: r.active_hours, message: r.message, raw: r.raw, group_jid: r.group_jid, person_phone: r.person_phone, cooldown_minutes: r.cooldown_minutes, enabled: r.enabled }));
                 backup.reminders = db.getAllReminders();
+                backup.whatsapp_groups = db.getWhatsappGroups().map(g => ({ jid: g.jid, name: g.name, instructions: g.instructions, allowed_tools: g.allowed_tools, is_default: g.is_default, enabled: g.enabled }));
+                backup.people = db.getPeople().map(p => ({ phone: p.phone, name: p.name, role: p.role, birth_date: p.birth_date }));
+                backup.calendars = db.getCalendars().map(c => ({ name: c.name, type: c.type, source: c.source, username: c.username, has_password: !!c.password, owner: c.owner, is_default: c.is_default, enabled: c.enabled }));
+                backup.tool_policy = db.getConfig('tool_policy');
                 
                 // Settings: .env baseline + DB overrides
                 const envPath = path.resolve(process.cwd(), '.env');
@@ -231,16 +424,33 @@ class SchedulerManager {
         logger.info('Automated daily backup scheduled at 02:00 AM (Asia/Jerusalem) → saves to data/backups/');
     }
 
+    /**
+     * Register the WhatsApp message id of nudges that went through the outbound queue,
+     * so a 👍 reaction on them still marks the reminder as done
+     */
+    async _trackQueuedNudges() {
+        const { default: outboundQueue } = await import('./OutboundQueue.js');
+        outboundQueue.on('sent', (data, messageId) => {
+            if (data.meta?.reminderId && messageId) {
+                db.addReminderNudgeMessage(data.meta.reminderId, messageId);
+            }
+        });
+    }
+
     /**
      * Schedule a task that checks for pending reminders every minute
      */
     _scheduleReminderNudger() {
         cron.schedule('* * * * *', async () => {
             try {
-                if (!config.whatsapp.groupId) return;
+                // Recurring reminders marked done (by 👍, tool or dashboard) get their next occurrence
+                for (const reminder of db.getRemindersToRecur()) {
+                    this._spawnNextOccurrence(reminder);
+                }
 
                 const { default: whatsappManager } = await import('./WhatsAppManager.js');
                 if (!whatsappManager.isReady) return;
+                const { default: outboundQueue } = await import('./OutboundQueue.js');
 
                 const reminders = db.getPendingReminders();
                 const now = new Date();
@@ -248,17 +458,22 @@ class SchedulerManager {
                 for (const reminder of reminders) {
                     const dueDate = new Date(reminder.due_date);
                     if (now < dueDate) continue; // Not due yet
-
-                    let shouldNudge = false;
-                    if (reminder.nudge_count >= 10) {
-                        db.updateReminderStatus(reminder.id, 'cancelled');
-                        logger.info(`Reminder ${reminder.id} cancelled due to reaching nudge limit (10)`);
-                        const msg = `אני מפסיקה לנדנד על המשימה "${reminder.title}". סימנתי אותה כמבוטלת.`;
-                        await whatsappManager.sendMessage(config.whatsapp.groupId, msg);
-                        continue;
-                    }
-
-                    if (!reminder.last_nudged) {
+                    if (reminder.next_nudge_at && now < new Date(reminder.next_nudge_at)) continue; // Deferred by quiet time
+
+                    const groupId = reminder.group_jid || groupRegistry.getDefaultGroupId();
+                    const target = this._nudgeTarget(reminder, groupId);
+                    if (!target) continue;
+
+                    // With escalation the nudge limit counts from the escalation instead of cancelling the task early
+                    const escalateAfter = reminder.escalate_after ?? config.reminders.escalateAfter;
+                    const maxNudges = reminder.max_nudges ?? config.reminders.maxNudges;
+                    const nudgeLimit = escalateAfter > 0 ? escalateAfter + maxNudges : maxNudges;
+                    const limitReached = maxNudges > 0 && reminder.nudge_count >= nudgeLimit;
+
+                    let shouldNudge = limitReached;
+                    if (limitReached) {
+                        logger.debug(`Reminder ${reminder.id} reached its nudge limit (${nudgeLimit})`);
+                    } else if (!reminder.last_nudged) {
                         shouldNudge = true; // Never nudged
                         logger.debug(`Reminder ${reminder.id} needs first nudge (overdue and never nudged)`);
                     } else {
@@ -274,44 +489,64 @@ class SchedulerManager {
                             logger.debug(`Reminder ${reminder.id} ("${reminder.title}"): Skipping nudge, next one in ~${remaining}s`);
                         }
                     }
+                    if (!shouldNudge) continue;
 
-                    if (shouldNudge) {
-                        // Quiet hours check for subsequent nudges (allow first send always)
-                        if (reminder.last_nudged) {
-                            const tzNow = new Date(now.toLocaleString('en-US', { timeZone: 'Asia/Jerusalem' }));
-                            const timeMinutes = tzNow.getHours() * 60 + tzNow.getMinutes();
-                            const isQuietHours = timeMinutes >= (23 * 60 + 30) || timeMinutes < (5 * 60 + 30);
-                            
-                            if (isQuietHours) {
-                                logger.debug(`Reminder ${reminder.id} skipped due to quiet hours (23:30 - 05:30)`);
-                                continue;
-                            }
+                    // Quiet hours / Shabbat: defer to the first allowed minute instead of re-checking every minute
+                    const quiet = this._getQuietTime(reminder, now);
+                    if (quiet) {
+                        db.deferReminderNudge(reminder.id, quiet.until.toISOString());
+                        logger.info(`Reminder ${reminder.id} nudge deferred (${quiet.reason})`, { until: quiet.until.toISOString() });
+                        continue;
+                    }
+
+                    if (limitReached) {
+                        db.updateReminderStatus(reminder.id, 'cancelled');
+                        logger.info(`Reminder ${reminder.id} cancelled due to reaching nudge limit (${nudgeLimit})`);
+                        let msg = `${target.tag}אני מפסיקה לנדנד על המשימה "${reminder.title}". סימנתי אותה כמבוטלת.`;
+                        // A missed occurrence does not end the series
+                        if (reminder.recurrence) {
+                            const next = this._spawnNextOccurrence(reminder);
+                            if (next) msg += ` אזכיר שוב ב-${new Date(next.dueDate).toLocaleString('he-IL', { timeZone: config.reminders.timezone })}.`;
                         }
+                        await outboundQueue.send(target.chatId, msg, { source: 'nudge', mentions: target.mentions });
+                        continue;
+                    }
 
-                        // Use the tool-less broadcast model so we always get plain text back
-                        const eventData = {
-                            event: `Reminder Nudge: "${reminder.title}"`,
-                            data: {
-                                task: reminder.title,
-                                due: dueDate.toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' }),
-                                instruction: 'Send a short, friendly, nudging Hebrew WhatsApp message. Use emojis. Ask if they completed it. Mention they can mark it as done by reacting with a Like (👍) to this message, or by replying "עשיתי". They can also ask to snooze it.'
-                            }
-                        };
-
-                        const response = await this.geminiManager.generateBroadcastMessage(eventData);
-
-                        if (response && response.trim()) {
-                            const sentMessageId = await whatsappManager.sendMessage(config.whatsapp.groupId, response);
-                            
-                            // Log to history with the internal ID appended so Noga remembers exactly which reminder this was
-                            db.addChatMessage(config.whatsapp.groupId, 'model', `${response} [Internal Context: Reminder ID ${reminder.id}]`);
-                            
-                            db.updateReminderLastNudged(reminder.id);
-                            if (sentMessageId) {
-                                db.addReminderNudgeMessage(reminder.id, sentMessageId);
-                            }
-                            logger.info(`Sent nudge for reminder ${reminder.id}: "${reminder.title}"`, { sentMessageId });
+                    // Too many ignored nudges: tell the group / admin (later nudges go there too)
+                    if (escalateAfter > 0 && !reminder.escalated_at && reminder.nudge_count >= escalateAfter) {
+                        await this._escalateReminder(reminder, groupId, outboundQueue);
+                        continue;
+                    }
+
+                    // Use the tool-less broadcast model so we always get plain text back
+                    const eventData = {
+                        event: `Reminder Nudge: "${reminder.title}"`,
+                        data: {
+                            task: reminder.title,
+                            due: dueDate.toLocaleString('he-IL', { timeZone: config.reminders.timezone }),
+                            ...(reminder.assignee && { assigned_to: permissionManager.getName(reminder.assignee) }),
+                            instruction: 'Send a short, friendly, nudging Hebrew WhatsApp message. Use emojis. Ask if they completed it. Mention they can mark it as done by reacting with a Like (👍) to this message, or by replying "עשיתי". They can also ask to snooze it.'
                         }
+                    };
+
+                    const generated = await this.geminiManager.generateBroadcastMessage(eventData, { callKind: 'nudge', contextId: target.contextId });
+
+                    if (generated && generated.trim()) {
+                        const response = `${target.tag}${generated}`;
+                        const { messageId: sentMessageId } = await outboundQueue.send(target.chatId, response, {
+                            source: 'nudge',
+                            meta: { reminderId: reminder.id },
+                            mentions: target.mentions
+                        });
+                        
+                        // Log to history with the internal ID appended so Noga remembers exactly which reminder this was
+                        db.addChatMessage(target.contextId, 'model', `${response} [Internal Context: Reminder ID ${reminder.id}]`);
+                        
+                        db.updateReminderLastNudged(reminder.id);
+                        if (sentMessageId) {
+                            db.addReminderNudgeMessage(reminder.id, sentMessageId);
+                        }
+                        logger.info(`Sent nudge for reminder ${reminder.id}: "${reminder.title}"`, { sentMessageId });
                     }
                 }
             } catch (err) {
@@ -319,6 +554,117 @@ class SchedulerManager {
             }
         });
     }
+
+    /**
+     * Whether a reminder may not nudge right now, and until when
+     * (Shabbat / Yom Tov when enabled; quiet hours for follow-up nudges - the first nudge at the chosen time always goes out)
+     * @param {Object} reminder - reminders row (quiet_hours / shabbat_quiet override the global settings)
+     * @param {Date} now
+     * @returns {{until: Date, reason: string}|null}
+     */
+    _getQuietTime(reminder, now) {
+        const { timezone, latitude, longitude } = config.reminders;
+
+        const shabbatQuiet = reminder.shabbat_quiet !== null && reminder.shabbat_quiet !== undefined
+            ? !!reminder.shabbat_quiet
+            : config.reminders.shabbatQuiet;
+        if (shabbatQuiet) {
+            const rest = getRestPeriod(now, { latitude, longitude, timezone });
+            if (rest) return { until: rest.end, reason: rest.name };
+        }
+
+        if (reminder.last_nudged) {
+            let window = null;
+            try {
+                window = parseTimeWindow(reminder.quiet_hours ?? config.reminders.quietHours);
+            } catch (err) {
+                logger.warn('Invalid quiet hours, ignoring', { id: reminder.id, error: err.message });
+            }
+            const until = timeWindowEnd(now, window, timezone);
+            if (until) return { until, reason: 'quiet hours' };
+        }
+        return null;
+    }
+
+    /**
+     * Where the nudges of a reminder go: the group, the assignee's private chat, or after an escalation the group / admin.
+     * Assignees nudged in a group are @-mentioned.
+     * @param {Object} reminder - reminders row
+     * @param {string|null} groupId - Group of the reminder
+     * @returns {{chatId: string, contextId: string, mentions: string[], tag: string}|null}
+     */
+    _nudgeTarget(reminder, groupId) {
+        const assignee = reminder.assignee;
+        const inGroup = groupId
+            ? { chatId: groupId, contextId: groupId, mentions: assignee ? [`${assignee}@s.whatsapp.net`] : [], tag: assignee ? `@${assignee} ` : '' }
+            : null;
+
+        if (reminder.escalated_at) {
+            const adminPhone = config.whatsapp.adminPhone ? normalizePhone(config.whatsapp.adminPhone) : null;
+            if ((reminder.escalate_to || config.reminders.escalateTo) === 'admin' && adminPhone) {
+                return { chatId: `${adminPhone}@s.whatsapp.net`, contextId: adminPhone, mentions: [], tag: '' };
+            }
+            return inGroup;
+        }
+        if (assignee && reminder.assignee_delivery !== 'group') {
+            return { chatId: `${assignee}@s.whatsapp.net`, contextId: assignee, mentions: [], tag: '' };
+        }
+        return inGroup;
+    }
+
+    /**
+     * Tell the group / admin that a reminder's nudges were ignored
+     * @param {Object} reminder - reminders row
+     * @param {string|null} groupId - Group of the reminder
+     * @param {Object} outboundQueue - OutboundQueue instance
+     */
+    async _escalateReminder(reminder, groupId, outboundQueue) {
+        db.markReminderEscalated(reminder.id);
+        const target = this._nudgeTarget({ ...reminder, escalated_at: new Date().toISOString() }, groupId);
+        if (!target) return;
+
+        const owner = !reminder.assignee ? ''
+            : target.tag ? ` של ${target.tag.trim()}`
+            : ` של ${permissionManager.getName(reminder.assignee)}`;
+        const msg = `⏰ המשימה "${reminder.title}"${owner} עדיין פתוחה אחרי ${reminder.nudge_count} תזכורות שלא נענו. `
+            + 'אפשר לסמן אותה כבוצעה עם 👍 על ההודעה הזו.';
+
+        const { messageId } = await outboundQueue.send(target.chatId, msg, {
+            source: 'nudge',
+            meta: { reminderId: reminder.id },
+            mentions: target.mentions
+        });
+        db.addChatMessage(target.contextId, 'model', `${msg} [Internal Context: Reminder ID ${reminder.id}]`);
+        db.updateReminderLastNudged(reminder.id);
+        if (messageId) {
+            db.addReminderNudgeMessage(reminder.id, messageId);
+        }
+        logger.info(`Reminder ${reminder.id} escalated after ${reminder.nudge_count} ignored nudges`, { to: target.chatId });
+    }
+
+    /**
+     * Create the next occurrence of a finished recurring reminder
+     * @param {Object} reminder - reminders row
+     * @returns {{id: number, dueDate: string, occurrence: number}|null} null when the series has ended
+     */
+    _spawnNextOccurrence(reminder) {
+        let next = null;
+        try {
+            next = nextOccurrence(reminder);
+        } catch (err) {
+            logger.warn('Invalid recurrence rule, not repeating reminder', { id: reminder.id, recurrence: reminder.recurrence, error: err.message });
+        }
+
+        const id = db.spawnNextReminder(reminder, next);
+        if (!id) {
+            if (!next) logger.info(`Recurring reminder ${reminder.id} ("${reminder.title}") reached the end of its series`);
+            return null;
+        }
+        logger.info(`Recurring reminder ${reminder.id} ("${reminder.title}") repeats as ${id}`, {
+            dueDate: next.dueDate, occurrence: next.occurrence, rule: describeRecurrence(reminder.recurrence)
+        });
+        return { id, ...next };
+    }
 }
 
 export default new SchedulerManager();
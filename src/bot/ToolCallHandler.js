@@ -1,10 +1,13 @@
 import logger from '../utils/logger.js';
 import db from '../database/DatabaseManager.js';
+import groupRegistry from './GroupRegistry.js';
+import permissionManager from './PermissionManager.js';
+import confirmationManager from './ConfirmationManager.js';
 
 class ToolCallHandler {
     /**
      * @param {Object} options
-     * @param {Object} options.toolHandlers - Map of function names to handler functions
+     * @param {Object} options.toolHandlers - Map of function names to handlers, called as (args, { userId, senderId })
      */
     constructor({ toolHandlers }) {
         this.toolHandlers = toolHandlers;
@@ -12,18 +15,22 @@ class ToolCallHandler {
 
     /**
      * Handle iterative function call loop (max 5 iterations)
-     * @param {Object} chat - Gemini chat session
+     * @param {Object} chat - Provider chat session (see providers/index.js)
      * @param {Object} response - Gemini response object
      * @param {string} userId - User identifier
-     * @returns {Object} { response, hasUnknownFunction, hasErrors, totalFunctionsCalled }
+     * @param {Object} [options]
+     * @param {Function} [options.onUsage] - Called with (response, iteration) after every tool round trip
+     * @param {string|null} [options.senderId] - Phone number of the person who sent the message (null = internal request)
+     * @returns {Object} { response, hasUnknownFunction, hasErrors, totalFunctionsCalled, iterations }
      */
-    async handle(chat, response, userId) {
+    async handle(chat, response, userId, { onUsage, senderId = null } = {}) {
         let currentResponse = response;
         let iterations = 0;
         const maxIterations = 5; // Prevent infinite loops
         let hasUnknownFunction = false;
         let hasErrors = false;
         let totalFunctionsCalled = 0;
+        const role = permissionManager.getRole(senderId);
 
         while (iterations < maxIterations) {
             const functionCalls = currentResponse.functionCalls();
@@ -48,8 +55,25 @@ class ToolCallHandler {
 
                 let result;
                 try {
-                    if (this.toolHandlers[name]) {
-                        result = await this.toolHandlers[name](args);
+                    if (!groupRegistry.isToolAllowed(name, userId)) {
+                        // Only declared tools are offered, but the model may still hallucinate others
+                        result = { error: `The tool "${name}" is not enabled in this group` };
+                        logger.warn('Tool not allowed in group', { name, userId });
+                        hasErrors = true;
+                    } else if (!permissionManager.isToolAllowed(name, role)) {
+                        result = { error: `The tool "${name}" is not allowed for the ${role} role. Tell the user politely that an adult has to do this.` };
+                        logger.warn('Tool not allowed for role', { name, userId, senderId, role });
+                        hasErrors = true;
+                    } else if (senderId && this.toolHandlers[name] && await confirmationManager.requiresConfirmation(name, args)) {
+                        // Sensitive action: stored until the sender answers "yes" / 👍 (see MessageRouter.handleConfirmation)
+                        const pending = confirmationManager.create({ contextId: userId, senderId, toolName: name, args });
+                        result = {
+                            status: 'awaiting_confirmation',
+                            action: pending.summary,
+                            instructions: `The action was NOT performed yet. Summarize exactly what will happen and ask the user to reply "כן" or react 👍 to confirm, or "לא" to cancel. The request expires in ${pending.expiresInMinutes} minutes.`
+                        };
+                    } else if (this.toolHandlers[name]) {
+                        result = await this.toolHandlers[name](args, { userId, senderId });
                         logger.info('Function executed', { name, result: typeof result });
                         if (result && typeof result === 'object' && result.error) {
                             hasErrors = true;
@@ -78,15 +102,42 @@ class ToolCallHandler {
             const functionResult = await chat.sendMessage(functionResponses);
             currentResponse = functionResult.response;
             iterations++;
+
+            if (onUsage) onUsage(currentResponse, iterations);
         }
 
         return {
             response: currentResponse,
             hasUnknownFunction,
             hasErrors,
-            totalFunctionsCalled
+            totalFunctionsCalled,
+            iterations
         };
     }
+
+    /**
+     * Run a tool call the sender confirmed (group and role policies are checked again, they may have changed meanwhile)
+     * @param {Object} action - pending_actions row { id, context_id, sender_id, tool_name, args }
+     * @returns {Promise<Object>} Tool result
+     */
+    async executeConfirmed(action) {
+        const { tool_name: name, args } = action;
+        const role = permissionManager.getRole(action.sender_id);
+        if (!groupRegistry.isToolAllowed(name, action.context_id)) {
+            return { error: `The tool "${name}" is not enabled in this group` };
+        }
+        if (!permissionManager.isToolAllowed(name, role)) {
+            return { error: `The tool "${name}" is not allowed for the ${role} role` };
+        }
+        if (!this.toolHandlers[name]) {
+            return { error: `Unknown function: ${name}` };
+        }
+
+        db.logAction(action.context_id, 'function_call', { name, args, confirmedActionId: action.id });
+        const result = await this.toolHandlers[name](args, { userId: action.context_id, senderId: action.sender_id });
+        logger.info('Confirmed function executed', { name, actionId: action.id });
+        return result;
+    }
 }
 
 export { ToolCallHandler };
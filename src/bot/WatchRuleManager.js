@@ -0,0 +1,248 @@
+import cron from 'node-cron';
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+import db from '../database/DatabaseManager.js';
+import groupRegistry from './GroupRegistry.js';
+import homeAssistantEvents from '../skills/HomeAssistantEvents.js';
+import { parseTimeWindow, timeWindowEnd } from '../utils/timezone.js';
+
+/**
+ * Whether an entity ID matches a rule's entity pattern ("*" matches any text)
+ */
+export function entityMatches(pattern, entityId) {
+    if (!pattern.includes('*')) return pattern === entityId;
+    const regex = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${regex}$`).test(entityId);
+}
+
+/**
+ * Whether a state meets a rule's condition: one of the states in to_state (comma-separated),
+ * and a number above / below the limits when they are set
+ */
+export function stateMatches(rule, state) {
+    if (rule.to_state) {
+        const states = rule.to_state.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+        if (!states.includes(String(state.state).toLowerCase())) return false;
+    }
+    if (rule.above !== null || rule.below !== null) {
+        const value = parseFloat(state.state);
+        if (isNaN(value)) return false;
+        if (rule.above !== null && !(value > rule.above)) return false;
+        if (rule.below !== null && !(value < rule.below)) return false;
+    }
+    return true;
+}
+
+/**
+ * Evaluates the dashboard's Home Assistant watch rules against the live event stream (HomeAssistantEvents)
+ * and messages the rule's group or person when one fires
+ */
+class WatchRuleManager {
+    constructor() {
+        this.rules = [];
+        this.states = new Map(); // Entity ID -> latest Home Assistant state object
+        this.matching = new Map(); // "ruleId|entityId" -> { ruleId, entityId, since: Date, fired: boolean }
+        this.geminiManager = null;
+        this._task = null;
+    }
+
+    /**
+     * Load the rules, subscribe to the event stream and connect when HA_EVENTS_ENABLED
+     * @param {Object} geminiManager - Instance of GeminiManager for phrasing the messages
+     */
+    init(geminiManager) {
+        this.geminiManager = geminiManager;
+        this.reload();
+
+        homeAssistantEvents.on('connected', (states) => this._onSnapshot(states));
+        homeAssistantEvents.on('state_changed', ({ entityId, newState }) => {
+            this._onStateChanged(entityId, newState).catch(err =>
+                logger.error('Failed to evaluate watch rules', { entityId, error: err.message }));
+        });
+
+        // Rules with a duration or active hours come due without a new event
+        this._task = cron.schedule('* * * * *', () => {
+            this.evaluate().catch(err => logger.error('Failed to evaluate watch rules', { error: err.message }));
+        });
+
+        this.applyConfig();
+        return this;
+    }
+
+    /**
+     * Start or stop the event stream after the Home Assistant settings changed
+     */
+    applyConfig() {
+        if (config.homeAssistant.eventsEnabled && config.homeAssistant.url && config.homeAssistant.token) {
+            homeAssistantEvents.start(config.homeAssistant);
+        } else {
+            homeAssistantEvents.stop();
+        }
+    }
+
+    /**
+     * Stop evaluating and close the event stream
+     */
+    stop() {
+        if (this._task) this._task.stop();
+        homeAssistantEvents.stop();
+    }
+
+    /**
+     * Reload the rules from the database (the known states are evaluated again)
+     */
+    reload() {
+        this.rules = db.getEnabledWatchRules();
+        const previous = this.matching;
+        this.matching = new Map();
+        for (const [entityId, state] of this.states) {
+            this._track(entityId, state, previous);
+        }
+        logger.info(`Loaded ${this.rules.length} Home Assistant watch rules`);
+    }
+
+    /**
+     * Fire the rules whose condition has held long enough, within their active hours
+     * @param {Date} [now]
+     */
+    async evaluate(now = new Date()) {
+        for (const entry of this.matching.values()) {
+            if (entry.fired) continue;
+            const rule = this.rules.find(r => r.id === entry.ruleId);
+            if (!rule || now - entry.since < (rule.for_minutes || 0) * 60_000) continue;
+            if (!this._isActive(rule, now)) continue;
+
+            // Marked before sending, so an event arriving meanwhile does not fire it twice
+            entry.fired = true;
+            await this._fire(rule, entry, now);
+        }
+    }
+
+    /**
+     * Get status
+     */
+    getStatus() {
+        return {
+            ...homeAssistantEvents.getStatus(),
+            rules: this.rules.length,
+            entities: this.states.size,
+            pending: [...this.matching.values()].filter(e => !e.fired).length
+        };
+    }
+
+    _onSnapshot(states) {
+        const previous = this.matching;
+        this.states = new Map(states.map(s => [s.entity_id, s]));
+        this.matching = new Map();
+        for (const [entityId, state] of this.states) {
+            this._track(entityId, state, previous);
+        }
+        this.evaluate().catch(err => logger.error('Failed to evaluate watch rules', { error: err.message }));
+    }
+
+    async _onStateChanged(entityId, state) {
+        if (!entityId) return;
+        if (state) {
+            this.states.set(entityId, state);
+        } else {
+            this.states.delete(entityId); // Entity removed
+        }
+        this._track(entityId, state, this.matching);
+        await this.evaluate();
+    }
+
+    /**
+     * Update which rules an entity's state matches. A match that continues keeps its start time,
+     * so a rule fires once per episode (the condition has to end before it can fire again)
+     */
+    _track(entityId, state, previous) {
+        for (const rule of this.rules) {
+            if (!entityMatches(rule.entity_id, entityId)) continue;
+            const key = `${rule.id}|${entityId}`;
+            if (!state || !stateMatches(rule, state)) {
+                this.matching.delete(key);
+                continue;
+            }
+            const since = state.last_changed ? new Date(state.last_changed) : new Date();
+            this.matching.set(key, previous.get(key) || { ruleId: rule.id, entityId, since, fired: false });
+        }
+    }
+
+    /**
+     * Chat a rule messages: the person's private chat, or the rule's group (default group when not set)
+     * @returns {{chatId: string, contextId: string}|null}
+     */
+    _target(rule) {
+        if (rule.person_phone) {
+            return { chatId: `${rule.person_phone}@s.whatsapp.net`, contextId: rule.person_phone };
+        }
+        const groupId = rule.group_jid || groupRegistry.getDefaultGroupId();
+        return groupId ? { chatId: groupId, contextId: groupId } : null;
+    }
+
+    _isActive(rule, now) {
+        try {
+            const window = parseTimeWindow(rule.active_hours);
+            return !window || timeWindowEnd(now, window, config.reminders.timezone) !== null;
+        } catch (err) {
+            logger.warn('Invalid active hours in watch rule, ignoring', { rule: rule.name, error: err.message });
+            return true;
+        }
+    }
+
+    /**
+     * Send a rule's message, unless it already fired in this episode (e.g. before a restart) or within its cooldown
+     */
+    async _fire(rule, entry, now) {
+        const lastFired = db.getLastWatchFire(rule.id, entry.entityId);
+        if (lastFired) {
+            const last = new Date(lastFired);
+            if (last >= entry.since || now - last < (rule.cooldown_minutes || 0) * 60_000) {
+                logger.info(`Watch rule debounced: ${rule.name}`, { entityId: entry.entityId, lastFired });
+                return;
+            }
+        }
+
+        const state = this.states.get(entry.entityId) || {};
+        const attributes = state.attributes || {};
+        const fill = (text) => text
+            .replace(/\{name\}/g, attributes.friendly_name || entry.entityId)
+            .replace(/\{state\}/g, `${state.state ?? ''}${attributes.unit_of_measurement ? ` ${attributes.unit_of_measurement}` : ''}`)
+            .replace(/\{entity\}/g, entry.entityId)
+            .replace(/\{minutes\}/g, String(Math.round((now - entry.since) / 60_000)));
+
+        const target = this._target(rule);
+
+        let message = fill(rule.message);
+        if (target && !rule.raw && this.geminiManager) {
+            const phrased = await this.geminiManager.generateBroadcastMessage({
+                event: message,
+                data: {
+                    device: attributes.friendly_name || entry.entityId,
+                    entity_id: entry.entityId,
+                    state: state.state,
+                    ...(attributes.unit_of_measurement && { unit: attributes.unit_of_measurement }),
+                    since: entry.since.toLocaleTimeString('he-IL', { timeZone: config.reminders.timezone, hour: '2-digit', minute: '2-digit' })
+                }
+            }, { callKind: 'watch', contextId: target.contextId });
+            // An empty reply (e.g. no AI budget) falls back to the rule's own message
+            if (phrased && phrased.trim()) message = phrased;
+        }
+
+        let sent = false;
+        if (target) {
+            const { default: outboundQueue } = await import('./OutboundQueue.js');
+            await outboundQueue.send(target.chatId, message, { source: 'watch', meta: { watchRuleId: rule.id } });
+            db.addChatMessage(target.contextId, 'model', message);
+            sent = true;
+        } else {
+            logger.warn(`Watch rule has no target chat (no default group): ${rule.name}`);
+        }
+
+        db.addWatchLog({ ruleId: rule.id, ruleName: rule.name, entityId: entry.entityId, state: state.state ?? null, message, sent, firedAt: now });
+        logger.info(`Watch rule fired: ${rule.name}`, { entityId: entry.entityId, state: state.state, to: target?.chatId });
+    }
+}
+
+export default new WatchRuleManager();
+export { WatchRuleManager };
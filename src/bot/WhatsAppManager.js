@@ -7,6 +7,7 @@ import path from 'path';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
 import db from '../database/DatabaseManager.js';
+import groupRegistry from './GroupRegistry.js';
 
 class WhatsAppManager {
     constructor() {
@@ -295,6 +296,9 @@ class WhatsAppManager {
                 // Handle quoted/replied messages
                 const contextInfo = messageContent.extendedTextMessage?.contextInfo;
                 if (contextInfo && contextInfo.quotedMessage) {
+                    // The reply's own text and the quoted message, e.g. for a "yes" to a confirmation request
+                    msg._replyText = body;
+                    msg._quotedMessageId = contextInfo.stanzaId || null;
                     const quotedMsg = contextInfo.quotedMessage;
                     let quotedText = quotedMsg.conversation || quotedMsg.extendedTextMessage?.text || '';
                     if (quotedText) {
@@ -309,7 +313,10 @@ class WhatsAppManager {
                 hasMedia = true;
             } else if (type === 'audioMessage' || type === 'pttMessage') {
                 hasMedia = true;
-            } else if (type === 'documentMessage') {
+            } else if (type === 'documentMessage' || type === 'documentWithCaptionMessage') {
+                body = (type === 'documentWithCaptionMessage'
+                    ? messageContent.documentWithCaptionMessage?.message?.documentMessage?.caption
+                    : messageContent.documentMessage?.caption) || '';
                 hasMedia = true;
             } else if (type === 'reactionMessage') {
                 const reactionEmoji = messageContent.reactionMessage?.text || '';
@@ -350,17 +357,23 @@ class WhatsAppManager {
                 chat: jid,
                 isGroup,
                 groupId,
-                type: type === 'audioMessage' ? 'ptt' : type === 'conversation' || type === 'extendedTextMessage' ? 'chat' : type,
+                type: type === 'audioMessage' ? 'ptt'
+                    : type === 'imageMessage' ? 'image'
+                    : type === 'documentMessage' || type === 'documentWithCaptionMessage' ? 'document'
+                    : type === 'conversation' || type === 'extendedTextMessage' ? 'chat' : type,
                 body: body,
                 timestamp: msg.messageTimestamp,
                 hasMedia: hasMedia,
                 media: null,
                 reactedToKey: msg._reactedToKey || null,
-                reactionEmoji: msg._reactionEmoji || null
+                reactionEmoji: msg._reactionEmoji || null,
+                quotedMessageId: msg._quotedMessageId || null,
+                replyText: msg._replyText ?? null
             };
 
-            // Download media for voice notes
-            if (hasMedia && (type === 'audioMessage' || type === 'pttMessage')) {
+            // Download media for voice notes and images
+            const isVoice = type === 'audioMessage' || type === 'pttMessage';
+            if (hasMedia && (isVoice || type === 'imageMessage')) {
                 try {
                     const { downloadMediaMessage } = await import('@whiskeysockets/baileys');
                     const buffer = await downloadMediaMessage(msg, 'buffer', {}, {
@@ -368,22 +381,68 @@ class WhatsAppManager {
                         reuploadRequest: this.client.updateMediaMessage
                     });
 
-                    if (buffer) {
+                    if (buffer && isVoice) {
                         messageData.media = {
                             mimetype: messageContent[type]?.mimetype || 'audio/ogg',
                             data: buffer.toString('base64'), // Base64 encoded
-                            filename: 'audio.ogg' // Default for WA voice notes
+                            filename: 'audio.ogg', // Default for WA voice notes
+                            seconds: messageContent[type]?.seconds || 0
                         };
                         logger.info('Voice message downloaded', {
                             mimetype: messageData.media.mimetype,
                             size: buffer.length
                         });
+                    } else if (buffer) {
+                        messageData.media = {
+                            mimetype: messageContent.imageMessage?.mimetype || 'image/jpeg',
+                            data: buffer.toString('base64'),
+                            filename: 'image.jpg'
+                        };
+                        logger.info('Image downloaded', {
+                            mimetype: messageData.media.mimetype,
+                            size: buffer.length
+                        });
                     }
                 } catch (err) {
                     logger.error('Failed to download media', { error: err.message });
                 }
             }
 
+            // Download documents (PDF, DOCX, TXT, MD) up to DOCUMENT_MAX_MB
+            if (messageData.type === 'document') {
+                const doc = type === 'documentWithCaptionMessage'
+                    ? messageContent.documentWithCaptionMessage?.message?.documentMessage
+                    : messageContent.documentMessage;
+                const size = Number(doc?.fileLength || 0);
+                messageData.media = {
+                    mimetype: doc?.mimetype || 'application/octet-stream',
+                    filename: doc?.fileName || doc?.title || 'document',
+                    size,
+                    data: null,
+                    tooLarge: size > config.documents.maxMb * 1024 * 1024
+                };
+
+                if (!messageData.media.tooLarge) {
+                    try {
+                        const { downloadMediaMessage } = await import('@whiskeysockets/baileys');
+                        const buffer = await downloadMediaMessage(msg, 'buffer', {}, {
+                            logger: pino({ level: 'silent' }),
+                            reuploadRequest: this.client.updateMediaMessage
+                        });
+                        messageData.media.data = buffer.toString('base64');
+                        messageData.media.size = buffer.length;
+                        logger.info('Document downloaded', {
+                            filename: messageData.media.filename,
+                            mimetype: messageData.media.mimetype,
+                            size: buffer.length
+                        });
+                    } catch (err) {
+                        // media.data stays null, so the router can tell the user
+                        logger.error('Failed to download document', { error: err.message });
+                    }
+                }
+            }
+
             // Call message handler
             if (this.onMessageCallback) {
                 await this.onMessageCallback(messageData);
@@ -397,8 +456,8 @@ class WhatsAppManager {
      * Check if sender is allowed
      */
     _isAllowed(senderId, groupId) {
-        // Check group whitelist
-        if (config.whatsapp.groupId && groupId === config.whatsapp.groupId) {
+        // Check group whitelist (WHATSAPP_GROUP_ID or a registered group)
+        if (groupId && groupRegistry.isAllowed(groupId)) {
             return true;
         }
 
@@ -413,14 +472,18 @@ class WhatsAppManager {
 
     /**
      * Send a text message
+     * @param {string} chatId - Recipient JID
+     * @param {string} text - Message text
+     * @param {Object} [options]
+     * @param {string[]} [options.mentions] - JIDs @-mentioned in the text (as "@<phone>")
      */
-    async sendMessage(chatId, text) {
+    async sendMessage(chatId, text, { mentions = [] } = {}) {
         if (!this.isReady) {
             throw new Error('WhatsApp client is not ready');
         }
 
         try {
-            const sentMsg = await this.client.sendMessage(chatId, { text: text });
+            const sentMsg = await this.client.sendMessage(chatId, mentions.length ? { text, mentions } : { text: text });
             logger.info('Message sent', { to: chatId, length: text.length });
             return sentMsg?.key?.id || null;
         } catch (err) {
@@ -487,6 +550,20 @@ class WhatsAppManager {
         }
     }
 
+    /**
+     * List the groups this account is a member of (used to register groups from the dashboard)
+     * @returns {Promise<Array<{jid: string, subject: string, participants: number}>>}
+     */
+    async getJoinedGroups() {
+        if (!this.client || !this.isReady) {
+            throw new Error('WhatsApp client is not ready');
+        }
+        const groups = await this.client.groupFetchAllParticipating();
+        return Object.values(groups)
+            .map(g => ({ jid: g.id, subject: g.subject || g.id, participants: g.participants?.length || 0 }))
+            .sort((a, b) => a.subject.localeCompare(b.subject, 'he'));
+    }
+
     // ==================== Event Handlers ====================
 
     onQrCode(callback) {
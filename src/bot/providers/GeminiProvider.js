@@ -0,0 +1,100 @@
+import { GoogleGenerativeAI, HarmCategory, HarmBlockThreshold } from '@google/generative-ai';
+import config from '../../utils/config.js';
+
+const SAFETY_SETTINGS = [
+    { category: HarmCategory.HARM_CATEGORY_HARASSMENT, threshold: HarmBlockThreshold.BLOCK_NONE },
+    { category: HarmCategory.HARM_CATEGORY_HATE_SPEECH, threshold: HarmBlockThreshold.BLOCK_NONE },
+    { category: HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT, threshold: HarmBlockThreshold.BLOCK_NONE },
+    { category: HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT, threshold: HarmBlockThreshold.BLOCK_NONE }
+];
+
+/**
+ * GeminiProvider - Google Gemini via @google/generative-ai.
+ * The SDK chat session already matches the provider chat interface, so it is returned as-is.
+ */
+class GeminiProvider {
+    constructor() {
+        this.name = 'gemini';
+        this.genAI = null;
+        this.apiKey = null;
+    }
+
+    /**
+     * Whether the provider has the credentials it needs
+     */
+    isConfigured() {
+        return !!config.gemini.apiKey;
+    }
+
+    /**
+     * Model to use for a request (routed model names are Gemini models already)
+     * @param {string} [requested] - Model chosen by the model router
+     */
+    resolveModel(requested) {
+        return requested || config.gemini.model;
+    }
+
+    /**
+     * Start a chat session
+     * @param {Object} options
+     * @param {string} options.model - Model name
+     * @param {string} [options.systemInstruction] - System prompt
+     * @param {Array} [options.tools] - Gemini function declarations
+     * @param {Array} [options.history] - Gemini-format history
+     * @param {Object} [options.generationConfig] - { maxOutputTokens, temperature }
+     * @returns {Object} Chat with sendMessage(content) → { response }
+     */
+    startChat({ model, systemInstruction, tools = [], history = [], generationConfig = {} }) {
+        const hasTools = tools.length > 0;
+        const generativeModel = this._getClient().getGenerativeModel({
+            model,
+            systemInstruction,
+            tools: hasTools ? [{ functionDeclarations: tools }] : undefined,
+            toolConfig: hasTools ? { functionCallingConfig: { mode: 'AUTO' } } : undefined,
+            safetySettings: SAFETY_SETTINGS
+        });
+
+        return generativeModel.startChat({ history, generationConfig });
+    }
+
+    /**
+     * Embedding model used when EMBEDDING_MODEL is not set
+     */
+    defaultEmbeddingModel() {
+        return 'gemini-embedding-001';
+    }
+
+    /**
+     * Embed a batch of texts
+     * @param {string[]} texts - Texts to embed (max 100 per call)
+     * @param {Object} options
+     * @param {string} options.model - Embedding model
+     * @param {string} [options.taskType] - 'RETRIEVAL_DOCUMENT' | 'RETRIEVAL_QUERY'
+     * @returns {Promise<{vectors: number[][], inputTokens: number}>} One vector per text; the API reports no
+     * usage for embeddings, so inputTokens is estimated at ~4 characters per token
+     */
+    async embed(texts, { model, taskType } = {}) {
+        const embeddingModel = this._getClient().getGenerativeModel({ model });
+        const result = await embeddingModel.batchEmbedContents({
+            requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] }, taskType }))
+        });
+        return {
+            vectors: result.embeddings.map(e => e.values),
+            inputTokens: Math.ceil(texts.reduce((sum, text) => sum + text.length, 0) / 4)
+        };
+    }
+
+    /**
+     * Lazily create the SDK client, recreating it when the API key changes in Settings
+     */
+    _getClient() {
+        if (!this.genAI || this.apiKey !== config.gemini.apiKey) {
+            this.genAI = new GoogleGenerativeAI(config.gemini.apiKey);
+            this.apiKey = config.gemini.apiKey;
+        }
+        return this.genAI;
+    }
+}
+
+export default new GeminiProvider();
+export { GeminiProvider };
@@ -0,0 +1,279 @@
+import axios from 'axios';
+import config from '../../utils/config.js';
+import logger from '../../utils/logger.js';
+
+const FINISH_REASONS = {
+    stop: 'STOP',
+    tool_calls: 'STOP',
+    function_call: 'STOP',
+    length: 'MAX_TOKENS',
+    content_filter: 'SAFETY'
+};
+
+/**
+ * Convert a Gemini function-declaration schema (uppercase types) to JSON Schema
+ */
+function toJsonSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(toJsonSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const out = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'type' && typeof value === 'string') {
+            out.type = value.toLowerCase();
+        } else if (key === 'properties' && value && typeof value === 'object') {
+            out.properties = Object.fromEntries(
+                Object.entries(value).map(([name, prop]) => [name, toJsonSchema(prop)])
+            );
+        } else if (key === 'nullable') {
+            continue; // Not part of JSON Schema
+        } else {
+            out[key] = toJsonSchema(value);
+        }
+    }
+    return out;
+}
+
+/**
+ * Normalize sendMessage/history content into a list of Gemini-style parts
+ */
+function toParts(content) {
+    if (typeof content === 'string') return [{ text: content }];
+    if (Array.isArray(content)) return content.map(p => (typeof p === 'string' ? { text: p } : p));
+    if (content && Array.isArray(content.parts)) return content.parts;
+    return [{ text: String(content ?? '') }];
+}
+
+/**
+ * Audio formats accepted by the chat-completions input_audio part
+ */
+function audioFormat(mimeType = '') {
+    if (mimeType.includes('wav')) return 'wav';
+    if (mimeType.includes('mpeg') || mimeType.includes('mp3')) return 'mp3';
+    return mimeType.split('/')[1]?.split(';')[0] || 'wav';
+}
+
+/**
+ * A chat session against an OpenAI-compatible /chat/completions endpoint.
+ * Exposes the same surface as a Gemini ChatSession: sendMessage(content) → { response }
+ * where response has text(), functionCalls(), usageMetadata and candidates.
+ */
+class OpenAICompatibleChat {
+    constructor(provider, { model, systemInstruction, tools, history, generationConfig }) {
+        this.provider = provider;
+        this.model = model;
+        this.tools = tools;
+        this.generationConfig = generationConfig;
+        this.messages = [];
+        this.pendingToolCalls = []; // [{ id, name }] awaiting a functionResponse
+        this.callCounter = 0;
+
+        if (systemInstruction) {
+            this.messages.push({ role: 'system', content: systemInstruction });
+        }
+        for (const entry of history) {
+            this._appendParts(entry.role === 'model' ? 'assistant' : 'user', toParts(entry));
+        }
+    }
+
+    async sendMessage(content) {
+        this._appendParts('user', toParts(content));
+
+        const body = {
+            model: this.model,
+            messages: this.messages,
+            max_tokens: this.generationConfig.maxOutputTokens,
+            temperature: this.generationConfig.temperature
+        };
+        if (this.tools.length > 0) {
+            body.tools = this.tools.map(t => ({
+                type: 'function',
+                function: {
+                    name: t.name,
+                    description: t.description,
+                    parameters: toJsonSchema(t.parameters || { type: 'OBJECT', properties: {} })
+                }
+            }));
+            body.tool_choice = 'auto';
+        }
+
+        let data;
+        try {
+            const res = await axios.post(`${this.provider.baseUrl()}/chat/completions`, body, {
+                headers: this.provider.headers(),
+                timeout: config.openai.timeoutMs
+            });
+            data = res.data;
+        } catch (err) {
+            const status = err.response?.status;
+            const detail = err.response?.data?.error?.message || err.message;
+            // Keep the status code in the message so quota (429) detection works like with Gemini
+            throw new Error(`[OpenAI-compatible] ${status ? `${status} ` : ''}${detail}`);
+        }
+
+        const choice = data.choices?.[0] || {};
+        const message = choice.message || {};
+        const toolCalls = (message.tool_calls || []).filter(tc => tc.function?.name);
+
+        // Remember the assistant turn so the next request carries the full conversation
+        this.messages.push({
+            role: 'assistant',
+            content: message.content || null,
+            ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+        });
+        this.pendingToolCalls = toolCalls.map(tc => ({ id: tc.id, name: tc.function.name }));
+
+        const functionCalls = toolCalls.map(tc => {
+            let args = {};
+            try {
+                args = tc.function.arguments ? JSON.parse(tc.function.arguments) : {};
+            } catch (e) {
+                logger.warn('Failed to parse tool call arguments', { name: tc.function.name, error: e.message });
+            }
+            return { name: tc.function.name, args };
+        });
+
+        const usage = data.usage || {};
+        const text = typeof message.content === 'string' ? message.content : '';
+
+        return {
+            response: {
+                text: () => text,
+                functionCalls: () => (functionCalls.length > 0 ? functionCalls : undefined),
+                candidates: [{ finishReason: FINISH_REASONS[choice.finish_reason] || 'STOP', safetyRatings: [] }],
+                usageMetadata: {
+                    promptTokenCount: usage.prompt_tokens || 0,
+                    candidatesTokenCount: usage.completion_tokens || 0,
+                    totalTokenCount: usage.total_tokens || ((usage.prompt_tokens || 0) + (usage.completion_tokens || 0))
+                }
+            }
+        };
+    }
+
+    /**
+     * Append Gemini-style parts (text, inlineData, functionCall, functionResponse) as chat messages
+     */
+    _appendParts(role, parts) {
+        const contentParts = [];
+        const toolCalls = [];
+
+        for (const part of parts) {
+            if (part.functionResponse) {
+                const { name, response } = part.functionResponse;
+                const idx = this.pendingToolCalls.findIndex(tc => tc.name === name);
+                const pending = idx >= 0 ? this.pendingToolCalls.splice(idx, 1)[0] : null;
+                this.messages.push({
+                    role: 'tool',
+                    tool_call_id: pending ? pending.id : `call_${name}`,
+                    content: JSON.stringify(response ?? {})
+                });
+            } else if (part.functionCall) {
+                const id = `call_${++this.callCounter}`;
+                toolCalls.push({
+                    id,
+                    type: 'function',
+                    function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) }
+                });
+                this.pendingToolCalls.push({ id, name: part.functionCall.name });
+            } else if (part.inlineData) {
+                const { mimeType, data } = part.inlineData;
+                if (mimeType?.startsWith('audio/')) {
+                    contentParts.push({ type: 'input_audio', input_audio: { data, format: audioFormat(mimeType) } });
+                } else {
+                    contentParts.push({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } });
+                }
+            } else if (part.text !== undefined) {
+                contentParts.push({ type: 'text', text: part.text });
+            }
+        }
+
+        if (toolCalls.length > 0) {
+            const text = contentParts.filter(p => p.type === 'text').map(p => p.text).join('\n');
+            this.messages.push({ role: 'assistant', content: text || null, tool_calls: toolCalls });
+            return;
+        }
+        if (contentParts.length === 0) return;
+
+        const onlyText = contentParts.every(p => p.type === 'text');
+        this.messages.push({
+            role,
+            content: onlyText ? contentParts.map(p => p.text).join('\n') : contentParts
+        });
+    }
+}
+
+/**
+ * OpenAICompatibleProvider - Any /v1/chat/completions server (OpenAI, llama.cpp, Ollama, vLLM, LM Studio)
+ */
+class OpenAICompatibleProvider {
+    constructor() {
+        this.name = 'openai';
+    }
+
+    isConfigured() {
+        return !!config.openai.baseUrl && !!config.openai.model;
+    }
+
+    /**
+     * Gemini model names from the model router are replaced with OPENAI_MODEL;
+     * any other routed name is assumed to be a model served by this endpoint.
+     * @param {string} [requested] - Model chosen by the model router
+     */
+    resolveModel(requested) {
+        if (!requested || requested.startsWith('gemini')) return config.openai.model;
+        return requested;
+    }
+
+    startChat({ model, systemInstruction, tools = [], history = [], generationConfig = {} }) {
+        return new OpenAICompatibleChat(this, { model, systemInstruction, tools, history, generationConfig });
+    }
+
+    /**
+     * There is no universal default – EMBEDDING_MODEL must name a model served by this endpoint
+     * (e.g. text-embedding-3-small, nomic-embed-text)
+     */
+    defaultEmbeddingModel() {
+        return '';
+    }
+
+    /**
+     * Embed a batch of texts via /embeddings
+     * @param {string[]} texts - Texts to embed
+     * @param {Object} options
+     * @param {string} options.model - Embedding model
+     * @returns {Promise<{vectors: number[][], inputTokens: number}>} One vector per text; inputTokens is
+     * estimated at ~4 characters per token when the server reports no usage
+     */
+    async embed(texts, { model } = {}) {
+        try {
+            const res = await axios.post(`${this.baseUrl()}/embeddings`, { model, input: texts }, {
+                headers: this.headers(),
+                timeout: config.openai.timeoutMs
+            });
+            return {
+                vectors: [...res.data.data]
+                    .sort((a, b) => a.index - b.index)
+                    .map(d => d.embedding),
+                inputTokens: res.data.usage?.prompt_tokens
+                    ?? Math.ceil(texts.reduce((sum, text) => sum + text.length, 0) / 4)
+            };
+        } catch (err) {
+            const status = err.response?.status;
+            const detail = err.response?.data?.error?.message || err.message;
+            throw new Error(`[OpenAI-compatible] ${status ? `${status} ` : ''}${detail}`);
+        }
+    }
+
+    baseUrl() {
+        return config.openai.baseUrl.replace(/\/+$/, '');
+    }
+
+    headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.openai.apiKey) headers.Authorization = `Bearer ${config.openai.apiKey}`;
+        return headers;
+    }
+}
+
+export default new OpenAICompatibleProvider();
+export { OpenAICompatibleProvider, toJsonSchema };
@@ -0,0 +1,222 @@
+import config from '../../utils/config.js';
+import logger from '../../utils/logger.js';
+import db from '../../database/DatabaseManager.js';
+import geminiProvider from './GeminiProvider.js';
+import openAICompatibleProvider from './OpenAICompatibleProvider.js';
+
+/**
+ * LLM provider registry. Every provider exposes:
+ *   name, isConfigured(), resolveModel(requested), startChat(options) → chat,
+ *   defaultEmbeddingModel(), embed(texts, { model, taskType }) → { vectors, inputTokens }
+ * and every chat exposes sendMessage(content) → { response } where response mimics the
+ * Gemini SDK (text(), functionCalls(), usageMetadata, candidates), so GeminiManager and
+ * ToolCallHandler work unchanged against any backend.
+ */
+const PROVIDERS = {
+    gemini: geminiProvider,
+    openai: openAICompatibleProvider
+};
+
+/**
+ * Whether an error is a rate-limit / quota error that should trigger failover
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isQuotaError(err) {
+    const message = err?.message || '';
+    return message.includes('429') || message.toLowerCase().includes('quota');
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name - 'gemini' | 'openai'
+ */
+export function getProvider(name) {
+    return PROVIDERS[name] || null;
+}
+
+/**
+ * Primary provider followed by the fallback (if configured and different)
+ * @returns {Array} Provider instances in failover order
+ */
+export function getProviderChain() {
+    const chain = [];
+    for (const name of [config.llm.provider, config.llm.fallbackProvider]) {
+        const provider = getProvider(name);
+        if (provider && provider.isConfigured() && !chain.includes(provider)) {
+            chain.push(provider);
+        }
+    }
+    return chain;
+}
+
+/**
+ * Convert sendMessage content into a Gemini-format history entry
+ */
+function toHistoryEntry(content) {
+    const parts = typeof content === 'string'
+        ? [{ text: content }]
+        : content.map(p => (typeof p === 'string' ? { text: p } : p));
+    const role = parts.some(p => p.functionResponse) ? 'function' : 'user';
+    return { role, parts };
+}
+
+/**
+ * Convert a provider response into a Gemini-format model history entry
+ */
+function responseToHistoryEntry(response) {
+    const parts = [];
+    let text = '';
+    try {
+        text = response.text ? response.text() : '';
+    } catch (e) {
+        // Blocked or tool-only response – no text part
+    }
+    if (text) parts.push({ text });
+    for (const call of (response.functionCalls && response.functionCalls()) || []) {
+        parts.push({ functionCall: { name: call.name, args: call.args || {} } });
+    }
+    if (parts.length === 0) parts.push({ text: '' });
+    return { role: 'model', parts };
+}
+
+/**
+ * Chat session that transparently fails over to the next provider in the chain on 429/quota errors.
+ * The provider-neutral transcript is replayed into the fallback so tool round trips can continue mid-conversation.
+ */
+class FailoverChat {
+    constructor(options) {
+        this.options = options;
+        this.chain = getProviderChain();
+        this.transcript = [...(options.history || [])];
+        this.index = 0;
+
+        if (this.chain.length === 0) {
+            throw new Error(`No configured LLM provider (LLM_PROVIDER=${config.llm.provider})`);
+        }
+        this._open();
+    }
+
+    /** Name of the provider currently serving this chat */
+    get providerName() {
+        return this.chain[this.index].name;
+    }
+
+    async sendMessage(content) {
+        let result;
+        for (;;) {
+            try {
+                result = await this.chat.sendMessage(content);
+                break;
+            } catch (err) {
+                if (!isQuotaError(err) || this.index + 1 >= this.chain.length) throw err;
+
+                const from = this.providerName;
+                this.index++;
+                this._open();
+                logger.warn('LLM provider quota exceeded, failing over', { from, to: this.providerName, model: this.model });
+            }
+        }
+
+        this.transcript.push(toHistoryEntry(content));
+        this.transcript.push(responseToHistoryEntry(result.response));
+
+        // Tag the response so usage is billed to the provider/model that actually answered
+        result.response.llm = { provider: this.providerName, model: this.model };
+        return result;
+    }
+
+    _open() {
+        const provider = this.chain[this.index];
+        this.model = provider.resolveModel(this.options.model);
+        this.chat = provider.startChat({ ...this.options, model: this.model, history: [...this.transcript] });
+    }
+}
+
+/**
+ * Start a chat on the primary provider, with automatic failover to the fallback provider
+ * @param {Object} options - { model, systemInstruction, tools, history, generationConfig }
+ * @returns {FailoverChat}
+ */
+export function startChat(options) {
+    return new FailoverChat(options);
+}
+
+/**
+ * Provider and model used for embeddings (EMBEDDING_PROVIDER, defaulting to the primary LLM provider)
+ * @returns {{ provider: Object, model: string }|null} null when no embedding backend is configured
+ */
+export function getEmbeddingBackend() {
+    const provider = getProvider(config.retrieval.embeddingProvider || config.llm.provider);
+    if (!provider || !provider.isConfigured()) return null;
+
+    const model = config.retrieval.embeddingModel || provider.defaultEmbeddingModel();
+    if (!model) return null;
+    return { provider, model };
+}
+
+/**
+ * Embed a batch of texts with the configured embedding backend
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} [options]
+ * @param {string} [options.taskType] - 'RETRIEVAL_DOCUMENT' | 'RETRIEVAL_QUERY' (ignored by providers without task types)
+ * @returns {Promise<number[][]>}
+ */
+export async function embed(texts, { taskType } = {}) {
+    const backend = getEmbeddingBackend();
+    if (!backend) {
+        throw new Error('No embedding backend configured (check EMBEDDING_PROVIDER / EMBEDDING_MODEL)');
+    }
+    const { vectors, inputTokens } = await backend.provider.embed(texts, { model: backend.model, taskType });
+    logEmbeddingUsage(backend, inputTokens);
+    return vectors;
+}
+
+// Embedding price per 1M input tokens (USD) when EMBEDDING_PRICE_PER_M is not set
+const DEFAULT_EMBEDDING_PRICE_PER_M = {
+    gemini: 0.15,
+    openai: 0
+};
+
+/**
+ * Log an embedding call to usage_logs so it counts toward the AI budget
+ * @param {{ provider: Object, model: string }} backend - Embedding backend that handled the call
+ * @param {number} inputTokens - Embedded tokens
+ */
+function logEmbeddingUsage(backend, inputTokens) {
+    if (!db) return;
+    const pricePerM = config.retrieval.embeddingPricePerM ?? DEFAULT_EMBEDDING_PRICE_PER_M[backend.provider.name] ?? 0;
+    const cost = (inputTokens / 1000000) * pricePerM;
+    try {
+        db.logUsage(backend.model, inputTokens, 0, inputTokens, cost, { callKind: 'embedding' });
+        logger.debug('Embedding usage logged', {
+            provider: backend.provider.name,
+            model: backend.model,
+            inputTokens,
+            totalCost: cost.toFixed(6)
+        });
+    } catch (err) {
+        logger.error('Failed to log usage', { error: err.message });
+    }
+}
+
+/**
+ * Provider status for the dashboard and /status
+ */
+export function getProvidersStatus() {
+    const describe = name => {
+        const provider = getProvider(name);
+        if (!provider) return null;
+        return {
+            name,
+            configured: provider.isConfigured(),
+            model: provider.resolveModel(null)
+        };
+    };
+    return {
+        primary: describe(config.llm.provider),
+        fallback: describe(config.llm.fallbackProvider)
+    };
+}
+
+export { PROVIDERS };
@@ -1,4 +1,18 @@
-import { updateStatusBadge, formatCost } from './utils.js';
+import { updateStatusBadge, formatCost, escapeHtml } from './utils.js';
+
+const CALL_KIND_LABELS = {
+    chat: '💬 שיחה',
+    voice: '🎤 קולי',
+    image: '🖼️ תמונה',
+    document: '📄 מסמך',
+    broadcast: '📢 הודעות מערכת',
+    scheduled: '⏰ מתוזמן',
+    briefing: '☀️ תדריך',
+    birthday: '🎂 ימי הולדת',
+    watch: '👁️ כללי מעקב',
+    nudge: '🔔 תזכורות',
+    summary: '📝 סיכום שיחה'
+};
 
 export function updateStatusItem(id, connected, label) {
     const el = document.getElementById(`status-${id}`);
@@ -43,7 +57,11 @@ export async function fetchStatus() {
             
             const modelEl = document.getElementById('status-gemini-model');
             if (modelEl && data.gemini.model) {
-                modelEl.textContent = data.gemini.model;
+                const providers = data.gemini.providers || {};
+                const primary = providers.primary && providers.primary.name !== 'gemini'
+                    ? `${providers.primary.name}: ${providers.primary.model}`
+                    : data.gemini.model;
+                modelEl.textContent = providers.fallback ? `${primary} (גיבוי: ${providers.fallback.name})` : primary;
             }
         }
 
@@ -52,24 +70,57 @@ export async function fetchStatus() {
             updateStatusItem('homeassistant', data.skills.homeAssistant?.available);
         }
 
+        if (data.budget) {
+            const { budget } = data;
+            const labels = { ok: 'תקין', soft: 'מודל מוזל', hard: 'חסום' };
+            const label = budget.enabled ? labels[budget.level] + (budget.lifted ? ' (הוסר ידנית)' : '') : 'לא הוגדר';
+            updateStatusItem('budget', budget.level !== 'hard', label);
+
+            const detailEl = document.getElementById('status-budget-detail');
+            if (detailEl) {
+                const formatLimit = (s) => s.hard > 0 ? ` / ${formatCost(s.hard)}` : (s.soft > 0 ? ` / ${formatCost(s.soft)}` : '');
+                detailEl.textContent = budget.enabled
+                    ? `היום ${formatCost(budget.daily.spent)}${formatLimit(budget.daily)} · החודש ${formatCost(budget.monthly.spent)}${formatLimit(budget.monthly)}`
+                    : '-';
+            }
+
+            const btnLiftBudget = document.getElementById('btn-lift-budget');
+            if (btnLiftBudget) btnLiftBudget.style.display = budget.level === 'hard' ? 'inline-block' : 'none';
+        }
+
         if (data.usage) {
             // Update Today's Usage
             const usageTodayInput = document.getElementById('usage-today-input');
             const usageTodayOutput = document.getElementById('usage-today-output');
+            const usageTodayCalls = document.getElementById('usage-today-calls');
             const usageTodayCost = document.getElementById('usage-today-cost');
 
             if (usageTodayInput) usageTodayInput.textContent = (data.usage.today.input || 0).toLocaleString();
             if (usageTodayOutput) usageTodayOutput.textContent = (data.usage.today.output || 0).toLocaleString();
+            if (usageTodayCalls) usageTodayCalls.textContent = (data.usage.today.calls || 0).toLocaleString();
             if (usageTodayCost) usageTodayCost.textContent = formatCost(data.usage.today.cost || 0);
 
             // Update Month's Usage
             const usageMonthInput = document.getElementById('usage-month-input');
             const usageMonthOutput = document.getElementById('usage-month-output');
+            const usageMonthCalls = document.getElementById('usage-month-calls');
             const usageMonthCost = document.getElementById('usage-month-cost');
 
             if (usageMonthInput) usageMonthInput.textContent = (data.usage.month.input || 0).toLocaleString();
             if (usageMonthOutput) usageMonthOutput.textContent = (data.usage.month.output || 0).toLocaleString();
+            if (usageMonthCalls) usageMonthCalls.textContent = (data.usage.month.calls || 0).toLocaleString();
             if (usageMonthCost) usageMonthCost.textContent = formatCost(data.usage.month.cost || 0);
+
+            // Per call-kind breakdown for the month
+            const usageMonthKinds = document.getElementById('usage-month-kinds');
+            if (usageMonthKinds) {
+                usageMonthKinds.innerHTML = (data.usage.month.byKind || []).map(k => `
+                    <div class="usage-row">
+                        <span>${escapeHtml(CALL_KIND_LABELS[k.kind] || k.kind)} (${k.calls}):</span>
+                        <span>${formatCost(k.cost || 0)}</span>
+                    </div>
+                `).join('');
+            }
         }
     } catch (err) {
         console.error('Failed to fetch status:', err);
@@ -5,9 +5,19 @@ import { setupChat } from './tabs/chat.js';
 import { knowledgeController, skillsController } from './tabs/files.js';
 import { loadKeywords, setupKeywords } from './tabs/keywords.js';
 import { loadSchedules, setupSchedules } from './tabs/schedules.js';
+import { loadBriefings, setupBriefings } from './tabs/briefings.js';
+import { loadGroups, setupGroups } from './tabs/groups.js';
+import { loadPeople, setupPeople } from './tabs/people.js';
+import { loadCalendars, setupCalendars } from './tabs/calendars.js';
 import { loadReminders, setupReminders } from './tabs/reminders.js';
+import { loadSummaries, setupSummaries } from './tabs/summaries.js';
+import { loadChatSearchContexts, setupChatSearch } from './tabs/chatSearch.js';
+import { loadOutbox, setupOutbox } from './tabs/outbox.js';
 import { loadHaMappings, setupHa } from './tabs/ha.js';
+import { loadWatchRules, setupWatchRules } from './tabs/haWatch.js';
+import { loadHaAreas, setupHaAreas } from './tabs/haAreas.js';
 import { loadSettings, setupSettings } from './tabs/settings.js';
+import { loadModelRouting, setupModelRouting } from './tabs/modelRouting.js';
 import { loadBackups, loadBackupSettings, setupBackup } from './tabs/backup.js';
 import { init as setupLogs } from './tabs/logs.js';
 
@@ -41,6 +51,15 @@ import { init as setupLogs } from './tabs/logs.js';
         });
     }
 
+    const btnLiftBudget = document.getElementById('btn-lift-budget');
+    if (btnLiftBudget) {
+        btnLiftBudget.addEventListener('click', async () => {
+            if (!confirm('להסיר את חסימת תקציב ה-AI עד סוף התקופה הנוכחית?')) return;
+            await fetch('/api/budget/lift', { method: 'POST' });
+            fetchStatus();
+        });
+    }
+
     const btnRestart = document.getElementById('btn-restart');
     if (btnRestart) {
         btnRestart.addEventListener('click', async () => {
@@ -92,16 +111,28 @@ import { init as setupLogs } from './tabs/logs.js';
     tabLoaders['tab-knowledge'] = () => knowledgeController.loadFiles();
     tabLoaders['tab-skills'] = () => skillsController.loadFiles();
     tabLoaders['tab-keywords'] = () => loadKeywords();
+    tabLoaders['tab-groups'] = () => loadGroups();
+    tabLoaders['tab-people'] = () => loadPeople();
+    tabLoaders['tab-calendars'] = () => loadCalendars();
     tabLoaders['tab-scheduled-prompts'] = () => loadSchedules();
+    tabLoaders['tab-briefings'] = () => loadBriefings();
     tabLoaders['tab-reminders'] = () => loadReminders();
-    tabLoaders['tab-settings'] = () => loadSettings();
-    tabLoaders['tab-homeassistant'] = () => loadHaMappings();
+    tabLoaders['tab-summaries'] = () => loadSummaries();
+    tabLoaders['tab-chat-search'] = () => loadChatSearchContexts();
+    tabLoaders['tab-settings'] = () => { loadSettings(); loadModelRouting(); };
+    tabLoaders['tab-homeassistant'] = () => { loadHaMappings(); loadHaAreas(); loadWatchRules(); };
     tabLoaders['tab-backup'] = () => { loadBackups(); loadBackupSettings(); };
 
     // Reload hooks for specific tabs when clicked again
     document.querySelector('[data-tab="tab-reminders"]')?.addEventListener('click', () => {
         if (loadedTabs.has('tab-reminders')) loadReminders();
     });
+    document.querySelector('[data-tab="tab-summaries"]')?.addEventListener('click', () => {
+        if (loadedTabs.has('tab-summaries')) loadSummaries();
+    });
+    document.querySelector('[data-tab="tab-chat-search"]')?.addEventListener('click', () => {
+        if (loadedTabs.has('tab-chat-search')) loadChatSearchContexts();
+    });
     document.querySelector('[data-tab="tab-backup"]')?.addEventListener('click', () => {
         if (loadedTabs.has('tab-backup')) {
             loadBackups();
@@ -112,10 +143,20 @@ import { init as setupLogs } from './tabs/logs.js';
     // 4. Setup functionality per tab
     setupChat();
     setupKeywords();
+    setupGroups();
+    setupPeople();
+    setupCalendars();
     setupSchedules();
+    setupBriefings();
     setupReminders();
+    setupSummaries();
+    setupChatSearch();
+    setupOutbox();
     setupHa();
+    setupHaAreas();
+    setupWatchRules();
     setupSettings();
+    setupModelRouting();
     setupBackup();
     setupLogs();
 
@@ -123,6 +164,8 @@ import { init as setupLogs } from './tabs/logs.js';
     await fetchExchangeRate();
     fetchStatus();
     setInterval(fetchStatus, 30000);
+    loadOutbox();
+    setInterval(loadOutbox, 30000);
 
     // Load data that is needed globally/immediately
     loadReminders();
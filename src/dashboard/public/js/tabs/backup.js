@@ -141,6 +141,9 @@ export function setupBackup() {
                 const data = await res.json();
                 if (restoreStatus) {
                     restoreStatus.textContent = data.success ? 'שוחזר בהצלחה ✓' : (data.error || 'שגיאה בשחזור');
+                    if (data.calendarsMissingPassword) {
+                        restoreStatus.textContent += ` – יש להזין שוב את הסיסמה של היומנים: ${data.calendarsMissingPassword.join(', ')}`;
+                    }
                     restoreStatus.style.color = data.success ? 'var(--success)' : 'var(--danger)';
                 }
             } catch {
@@ -0,0 +1,234 @@
+import { escapeHtml, escapeAttr, showConfirmModal } from '../core/utils.js';
+import { fillGroupSelect, groupLabel, loadGroups } from './groups.js';
+
+const SECTION_LABELS = {
+    calendar: '📅 יומן היום',
+    reminders: '✅ תזכורות',
+    weather: '🌤️ מזג אוויר',
+    news: '📰 כותרות',
+    birthdays: '🎂 ימי הולדת',
+    alerts: '🏠 התראות בבית'
+};
+
+let briefingsCache = [];
+let sectionsCache = Object.keys(SECTION_LABELS);
+let peopleCache = [];
+
+export async function loadBriefings() {
+    const briefingsTbody = document.getElementById('briefings-tbody');
+    try {
+        const [briefingsRes, peopleRes] = await Promise.all([fetch('/api/briefings'), fetch('/api/people')]);
+        const data = await briefingsRes.json();
+        peopleCache = (await peopleRes.json()).people || [];
+        await loadGroups(); // Group names for the table
+        if (data.success) {
+            briefingsCache = data.briefings;
+            sectionsCache = data.sections;
+            renderBriefings(data.briefings);
+        }
+    } catch (err) {
+        console.error('Failed to load briefings:', err);
+        if (briefingsTbody) briefingsTbody.innerHTML = '<tr class="empty-row"><td colspan="6">שגיאה בטעינת תדריכים</td></tr>';
+    }
+}
+
+function targetLabel(briefing) {
+    if (!briefing.person_phone) return groupLabel(briefing.group_jid);
+    const person = peopleCache.find(p => p.phone === briefing.person_phone);
+    return `בפרטי: ${person ? person.name : briefing.person_phone}`;
+}
+
+function renderBriefings(briefings) {
+    const briefingsTbody = document.getElementById('briefings-tbody');
+    if (!briefingsTbody) return;
+
+    if (briefings.length === 0) {
+        briefingsTbody.innerHTML = '<tr class="empty-row"><td colspan="6">אין תדריכים. לחצו "הוסף" כדי להתחיל.</td></tr>';
+        return;
+    }
+
+    briefingsTbody.innerHTML = briefings.map(b => `
+        <tr data-id="${b.id}">
+            <td class="kw-keyword">${escapeHtml(b.name)}</td>
+            <td><code dir="ltr">${escapeHtml(b.cron_expression)}</code></td>
+            <td>${escapeHtml(targetLabel(b))}</td>
+            <td>${b.sections.map(s => `<span class="kw-type">${escapeHtml(SECTION_LABELS[s] || s)}</span>`).join(' ')}</td>
+            <td>
+                <label class="toggle-switch">
+                    <input type="checkbox" ${b.enabled ? 'checked' : ''} onchange="window._toggleBriefing(${b.id}, this.checked)">
+                    <span class="toggle-slider"></span>
+                </label>
+            </td>
+            <td class="kw-actions">
+                <button class="btn btn-small btn-action" onclick="window._editBriefing(${b.id})">✏️</button>
+                <button class="btn btn-small btn-action btn-danger-action" onclick="window._deleteBriefing(${b.id})">🗑️</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Request body of a briefings row
+ */
+function toBody(briefing) {
+    return {
+        name: briefing.name, sections: briefing.sections, cronExpression: briefing.cron_expression,
+        groupJid: briefing.group_jid, personPhone: briefing.person_phone,
+        weatherEntity: briefing.weather_entity, rssUrl: briefing.rss_url, enabled: !!briefing.enabled
+    };
+}
+
+export function setupBriefings() {
+    const addBriefingBtn = document.getElementById('add-briefing-btn');
+    const briefingCancelBtn = document.getElementById('briefing-cancel');
+    const briefingSaveBtn = document.getElementById('briefing-save');
+    const briefingPreviewBtn = document.getElementById('briefing-preview');
+
+    if (addBriefingBtn) addBriefingBtn.addEventListener('click', () => showBriefingForm());
+    if (briefingCancelBtn) briefingCancelBtn.addEventListener('click', hideBriefingForm);
+    if (briefingSaveBtn) briefingSaveBtn.addEventListener('click', saveBriefing);
+    if (briefingPreviewBtn) briefingPreviewBtn.addEventListener('click', previewBriefing);
+
+    window._editBriefing = function (id) {
+        const briefing = briefingsCache.find(b => b.id === id);
+        if (briefing) showBriefingForm(briefing);
+    };
+
+    window._deleteBriefing = async function (id) {
+        const confirmed = await showConfirmModal('מחיקת תדריך', 'האם אתה בטוח שברצונך למחוק תדריך זה?');
+        if (!confirmed) return;
+        try {
+            await fetch(`/api/briefings/${id}`, { method: 'DELETE' });
+            loadBriefings();
+        } catch (err) {
+            alert('שגיאה במחיקה');
+        }
+    };
+
+    window._toggleBriefing = async function (id, enabled) {
+        const briefing = briefingsCache.find(b => b.id === id);
+        if (!briefing) return;
+        try {
+            await fetch(`/api/briefings/${id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...toBody(briefing), enabled })
+            });
+            loadBriefings();
+        } catch (err) {
+            alert('שגיאה בעדכון');
+            loadBriefings();
+        }
+    };
+}
+
+function showBriefingForm(briefing = null) {
+    const briefingForm = document.getElementById('briefing-form');
+    if (!briefingForm) return;
+
+    const person = document.getElementById('briefing-person');
+    person.innerHTML = '<option value="">-</option>'
+        + peopleCache.map(p => `<option value="${escapeAttr(p.phone)}">${escapeHtml(p.name)}</option>`).join('');
+
+    const selected = briefing ? briefing.sections : ['calendar', 'reminders', 'birthdays'];
+    document.getElementById('briefing-sections').innerHTML = sectionsCache.map(s => `
+        <label><input type="checkbox" value="${escapeAttr(s)}" ${selected.includes(s) ? 'checked' : ''}> ${escapeHtml(SECTION_LABELS[s] || s)}</label>
+    `).join('');
+
+    document.getElementById('briefing-edit-id').value = briefing ? briefing.id : '';
+    document.getElementById('briefing-name').value = briefing ? briefing.name : '';
+    document.getElementById('briefing-cron').value = briefing ? briefing.cron_expression : '0 7 * * *';
+    person.value = briefing ? (briefing.person_phone || '') : '';
+    document.getElementById('briefing-weather').value = briefing ? (briefing.weather_entity || '') : '';
+    document.getElementById('briefing-rss').value = briefing ? (briefing.rss_url || '') : '';
+    document.getElementById('briefing-enabled').checked = briefing ? !!briefing.enabled : true;
+    document.getElementById('briefing-preview-box').style.display = 'none';
+    fillGroupSelect(document.getElementById('briefing-group'), briefing ? briefing.group_jid : '');
+
+    briefingForm.style.display = 'block';
+    document.getElementById('briefing-name').focus();
+}
+
+function hideBriefingForm() {
+    const briefingForm = document.getElementById('briefing-form');
+    if (!briefingForm) return;
+    briefingForm.style.display = 'none';
+    document.getElementById('briefing-edit-id').value = '';
+}
+
+/**
+ * Request body from the form, or null when a required field is missing
+ */
+function readForm() {
+    const name = document.getElementById('briefing-name').value.trim();
+    const cronExpression = document.getElementById('briefing-cron').value.trim();
+    const sections = [...document.querySelectorAll('#briefing-sections input:checked')].map(cb => cb.value);
+    const personPhone = document.getElementById('briefing-person').value || null;
+
+    if (!name || !cronExpression || sections.length === 0) {
+        alert('יש למלא שם, הגדרת CRON ולבחור לפחות חלק אחד');
+        return null;
+    }
+
+    return {
+        name, cronExpression, sections, personPhone,
+        // A private briefing has no group
+        groupJid: personPhone ? null : (document.getElementById('briefing-group').value || null),
+        weatherEntity: document.getElementById('briefing-weather').value.trim(),
+        rssUrl: document.getElementById('briefing-rss').value.trim(),
+        enabled: document.getElementById('briefing-enabled').checked
+    };
+}
+
+async function saveBriefing() {
+    const briefingSaveBtn = document.getElementById('briefing-save');
+    const id = document.getElementById('briefing-edit-id').value;
+    const body = readForm();
+    if (!body) return;
+
+    if (briefingSaveBtn) briefingSaveBtn.disabled = true;
+
+    try {
+        const res = await fetch(id ? `/api/briefings/${id}` : '/api/briefings', {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (data.success) {
+            hideBriefingForm();
+            loadBriefings();
+        } else {
+            alert(data.error || 'שגיאה בשמירה');
+        }
+    } catch (err) {
+        alert('שגיאה בשמירה');
+    } finally {
+        if (briefingSaveBtn) briefingSaveBtn.disabled = false;
+    }
+}
+
+async function previewBriefing() {
+    const briefingPreviewBtn = document.getElementById('briefing-preview');
+    const previewBox = document.getElementById('briefing-preview-box');
+    const body = readForm();
+    if (!body) return;
+
+    briefingPreviewBtn.disabled = true;
+    previewBox.style.display = 'block';
+    previewBox.textContent = '...אוסף מידע ומנסח';
+
+    try {
+        const res = await fetch('/api/briefings/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        previewBox.textContent = data.success ? data.text : (data.error || 'שגיאה בתצוגה המקדימה');
+    } catch (err) {
+        previewBox.textContent = 'שגיאה בתצוגה המקדימה';
+    } finally {
+        briefingPreviewBtn.disabled = false;
+    }
+}
@@ -0,0 +1,190 @@
+import { escapeHtml, escapeAttr, showConfirmModal } from '../core/utils.js';
+
+const TYPE_LABELS = { google: 'גוגל', caldav: 'CalDAV', ics: 'ICS' };
+const SOURCE_HINTS = {
+    google: { label: 'מזהה יומן גוגל', placeholder: 'family123@group.calendar.google.com' },
+    caldav: { label: 'כתובת היומן ב-CalDAV', placeholder: 'https://cloud.example.com/remote.php/dav/calendars/dana/personal/' },
+    ics: { label: 'כתובת ICS / webcal או נתיב לקובץ', placeholder: 'webcal://example.com/school.ics או data/calendars/holidays.ics' }
+};
+
+let calendarsCache = [];
+let peopleCache = [];
+
+export async function loadCalendars() {
+    const calendarsTbody = document.getElementById('calendars-tbody');
+    try {
+        const [calendarsRes, peopleRes] = await Promise.all([fetch('/api/calendars'), fetch('/api/people')]);
+        const data = await calendarsRes.json();
+        peopleCache = (await peopleRes.json()).people || [];
+        if (data.success) {
+            calendarsCache = data.calendars;
+            renderCalendars(data.calendars, data.mainCalendarId);
+        }
+    } catch (err) {
+        console.error('Failed to load calendars:', err);
+        if (calendarsTbody) calendarsTbody.innerHTML = '<tr class="empty-row"><td colspan="6">שגיאה בטעינת יומנים</td></tr>';
+    }
+}
+
+function ownerLabel(phone) {
+    if (!phone) return '-';
+    const person = peopleCache.find(p => p.phone === phone);
+    return person ? person.name : phone;
+}
+
+function renderCalendars(calendars, mainCalendarId) {
+    const calendarsTbody = document.getElementById('calendars-tbody');
+    if (!calendarsTbody) return;
+
+    if (calendars.length === 0) {
+        calendarsTbody.innerHTML = `<tr class="empty-row"><td colspan="6">אין יומנים רשומים. היומן הראשי הוא CALENDAR_ID (${escapeHtml(mainCalendarId || 'primary')}).</td></tr>`;
+        return;
+    }
+
+    calendarsTbody.innerHTML = calendars.map(c => `
+        <tr data-id="${c.id}">
+            <td class="kw-keyword">${escapeHtml(c.name)}${c.is_default ? ' <span class="kw-type ai">ברירת מחדל</span>' : ''}</td>
+            <td><span class="kw-type">${TYPE_LABELS[c.type] || c.type}${c.type === 'ics' ? ' · קריאה בלבד' : ''}</span></td>
+            <td><code dir="ltr">${escapeHtml(c.source.length > 60 ? `${c.source.substring(0, 60)}...` : c.source)}</code></td>
+            <td>${escapeHtml(ownerLabel(c.owner))}</td>
+            <td>
+                <label class="toggle-switch">
+                    <input type="checkbox" ${c.enabled ? 'checked' : ''} onchange="window._toggleCalendar(${c.id}, this.checked)">
+                    <span class="toggle-slider"></span>
+                </label>
+            </td>
+            <td class="kw-actions">
+                <button class="btn btn-small btn-action" onclick="window._editCalendar(${c.id})">✏️</button>
+                <button class="btn btn-small btn-action btn-danger-action" onclick="window._deleteCalendar(${c.id})">🗑️</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+export function setupCalendars() {
+    const addCalendarBtn = document.getElementById('add-calendar-btn');
+    const calendarCancelBtn = document.getElementById('calendar-cancel');
+    const calendarSaveBtn = document.getElementById('calendar-save');
+    const calendarType = document.getElementById('calendar-type');
+
+    if (addCalendarBtn) addCalendarBtn.addEventListener('click', () => showCalendarForm());
+    if (calendarCancelBtn) calendarCancelBtn.addEventListener('click', hideCalendarForm);
+    if (calendarSaveBtn) calendarSaveBtn.addEventListener('click', saveCalendar);
+    if (calendarType) calendarType.addEventListener('change', updateSourceField);
+
+    window._editCalendar = function (id) {
+        const calendar = calendarsCache.find(c => c.id === id);
+        if (calendar) showCalendarForm(calendar);
+    };
+
+    window._deleteCalendar = async function (id) {
+        const confirmed = await showConfirmModal('מחיקת יומן', 'האם להסיר את היומן מהרשימה? האירועים עצמם לא יימחקו.');
+        if (!confirmed) return;
+        try {
+            await fetch(`/api/calendars/${id}`, { method: 'DELETE' });
+            loadCalendars();
+        } catch (err) {
+            alert('שגיאה במחיקה');
+        }
+    };
+
+    window._toggleCalendar = async function (id, enabled) {
+        const calendar = calendarsCache.find(c => c.id === id);
+        if (!calendar) return;
+        try {
+            await fetch(`/api/calendars/${id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: calendar.name, type: calendar.type, source: calendar.source, username: calendar.username,
+                    owner: calendar.owner, isDefault: !!calendar.is_default, enabled
+                })
+            });
+            loadCalendars();
+        } catch (err) {
+            alert('שגיאה בעדכון');
+            loadCalendars();
+        }
+    };
+}
+
+function updateSourceField() {
+    const type = document.getElementById('calendar-type').value;
+    const hint = SOURCE_HINTS[type];
+    document.getElementById('calendar-source-label').textContent = hint.label;
+    document.getElementById('calendar-source').placeholder = hint.placeholder;
+    const isDefault = document.getElementById('calendar-default');
+    isDefault.disabled = type === 'ics';
+    if (type === 'ics') isDefault.checked = false;
+    document.getElementById('calendar-credentials').style.display = type === 'caldav' ? 'flex' : 'none';
+}
+
+function showCalendarForm(calendar = null) {
+    const calendarForm = document.getElementById('calendar-form');
+    if (!calendarForm) return;
+
+    const owner = document.getElementById('calendar-owner');
+    owner.innerHTML = '<option value="">כל המשפחה</option>'
+        + peopleCache.map(p => `<option value="${escapeAttr(p.phone)}">${escapeHtml(p.name)}</option>`).join('');
+
+    document.getElementById('calendar-edit-id').value = calendar ? calendar.id : '';
+    document.getElementById('calendar-name').value = calendar ? calendar.name : '';
+    document.getElementById('calendar-type').value = calendar ? calendar.type : 'google';
+    document.getElementById('calendar-source').value = calendar ? calendar.source : '';
+    document.getElementById('calendar-username').value = calendar ? (calendar.username || '') : '';
+    document.getElementById('calendar-password').value = '';
+    document.getElementById('calendar-password').placeholder = calendar && calendar.has_password ? '(ללא שינוי)' : '';
+    owner.value = calendar ? (calendar.owner || '') : '';
+    document.getElementById('calendar-default').checked = calendar ? !!calendar.is_default : false;
+    document.getElementById('calendar-enabled').checked = calendar ? !!calendar.enabled : true;
+    updateSourceField();
+
+    calendarForm.style.display = 'block';
+    document.getElementById('calendar-name').focus();
+}
+
+function hideCalendarForm() {
+    const calendarForm = document.getElementById('calendar-form');
+    if (!calendarForm) return;
+    calendarForm.style.display = 'none';
+    document.getElementById('calendar-edit-id').value = '';
+}
+
+async function saveCalendar() {
+    const calendarSaveBtn = document.getElementById('calendar-save');
+    const id = document.getElementById('calendar-edit-id').value;
+    const name = document.getElementById('calendar-name').value.trim();
+    const type = document.getElementById('calendar-type').value;
+    const source = document.getElementById('calendar-source').value.trim();
+    const username = document.getElementById('calendar-username').value.trim();
+    const password = document.getElementById('calendar-password').value;
+    const owner = document.getElementById('calendar-owner').value || null;
+    const isDefault = document.getElementById('calendar-default').checked;
+    const enabled = document.getElementById('calendar-enabled').checked;
+
+    if (!name || !source) {
+        alert('יש למלא שם ומקור');
+        return;
+    }
+
+    if (calendarSaveBtn) calendarSaveBtn.disabled = true;
+
+    try {
+        const res = await fetch(id ? `/api/calendars/${id}` : '/api/calendars', {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, type, source, username, ...(password && { password }), owner, isDefault, enabled })
+        });
+        const data = await res.json();
+        if (data.success) {
+            hideCalendarForm();
+            loadCalendars();
+        } else {
+            alert(data.error || 'שגיאה בשמירה');
+        }
+    } catch (err) {
+        alert('שגיאה בשמירה');
+    } finally {
+        if (calendarSaveBtn) calendarSaveBtn.disabled = false;
+    }
+}
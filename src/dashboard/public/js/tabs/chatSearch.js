@@ -0,0 +1,107 @@
+import { escapeHtml, escapeAttr } from '../core/utils.js';
+
+const PAGE_SIZE = 50;
+const ROLE_LABELS = { user: 'משתמש', model: 'נוגה', function: 'כלי' };
+
+let lastFilters = null;
+let shownResults = [];
+
+export async function loadChatSearchContexts() {
+    const select = document.getElementById('chat-search-context');
+    if (!select) return;
+    try {
+        const res = await fetch('/api/chat-search/contexts');
+        const data = await res.json();
+        if (!data.success) return;
+        const selected = select.value;
+        select.innerHTML = '<option value="">כל השיחות</option>' + data.contexts.map(c =>
+            `<option value="${escapeAttr(c.context_id)}">${escapeHtml(c.context_id)} (${c.messages})</option>`
+        ).join('');
+        select.value = selected;
+    } catch (err) {
+        console.error('Failed to load chat search contexts:', err);
+    }
+}
+
+function readFilters() {
+    return {
+        q: document.getElementById('chat-search-query').value.trim(),
+        contextId: document.getElementById('chat-search-context').value,
+        role: document.getElementById('chat-search-role').value,
+        from: document.getElementById('chat-search-from').value,
+        to: document.getElementById('chat-search-to').value
+    };
+}
+
+async function runSearch(append = false) {
+    const tbody = document.getElementById('chat-search-tbody');
+    const summary = document.getElementById('chat-search-summary');
+    const moreBtn = document.getElementById('chat-search-more');
+    if (!append) {
+        lastFilters = readFilters();
+        shownResults = [];
+    }
+
+    const params = new URLSearchParams({ limit: PAGE_SIZE, offset: shownResults.length });
+    for (const [key, value] of Object.entries(lastFilters)) {
+        if (value) params.set(key, value);
+    }
+
+    try {
+        const res = await fetch(`/api/chat-search?${params}`);
+        const data = await res.json();
+        if (!data.success) throw new Error(data.error || 'Search failed');
+        shownResults = shownResults.concat(data.results);
+        renderResults(shownResults);
+        summary.textContent = `${data.total} תוצאות`;
+        moreBtn.style.display = shownResults.length < data.total ? 'inline-block' : 'none';
+    } catch (err) {
+        console.error('Chat search failed:', err);
+        tbody.innerHTML = '<tr class="empty-row"><td colspan="4">שגיאה בחיפוש</td></tr>';
+        moreBtn.style.display = 'none';
+    }
+}
+
+function renderResults(results) {
+    const tbody = document.getElementById('chat-search-tbody');
+    if (!tbody) return;
+    if (results.length === 0) {
+        tbody.innerHTML = '<tr class="empty-row"><td colspan="4">לא נמצאו הודעות</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = results.map(r => {
+        // SQLite CURRENT_TIMESTAMP is UTC without a zone suffix
+        const timeStr = r.created_at ? new Date(`${r.created_at.replace(' ', 'T')}Z`).toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' }) : '-';
+        // Matches are wrapped in «» by the server; highlight them after escaping
+        const snippet = escapeHtml(r.snippet || '').replace(/«([^»]*)»/g, '<mark>$1</mark>');
+        return `
+        <tr>
+            <td>${timeStr}${r.source === 'archive' ? '<br><small style="color:var(--gray)">ארכיון</small>' : ''}</td>
+            <td><code dir="ltr" style="background:var(--light-bg);padding:2px 6px;border-radius:4px;">${escapeHtml(r.user_id)}</code></td>
+            <td>${ROLE_LABELS[r.role] || escapeHtml(r.role)}</td>
+            <td class="kw-response" style="white-space:pre-line;">${snippet}</td>
+        </tr>`;
+    }).join('');
+}
+
+export function setupChatSearch() {
+    const searchBtn = document.getElementById('chat-search-btn');
+    const clearBtn = document.getElementById('chat-search-clear');
+    const moreBtn = document.getElementById('chat-search-more');
+    const queryInput = document.getElementById('chat-search-query');
+
+    if (searchBtn) searchBtn.addEventListener('click', () => runSearch());
+    if (moreBtn) moreBtn.addEventListener('click', () => runSearch(true));
+    if (queryInput) {
+        queryInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') runSearch();
+        });
+    }
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            ['chat-search-query', 'chat-search-context', 'chat-search-role', 'chat-search-from', 'chat-search-to']
+                .forEach(id => { document.getElementById(id).value = ''; });
+        });
+    }
+}
@@ -9,6 +9,8 @@ function setupFileEditor(type) {
     const saveBtn = document.getElementById(isKnowledge ? 'save-knowledge' : 'save-skill');
     const deleteBtn = document.getElementById(isKnowledge ? 'delete-knowledge-file' : 'delete-skill-file');
     const statusEl = document.getElementById(isKnowledge ? 'knowledge-status' : 'skill-status');
+    const alwaysIncludeLabel = document.getElementById(isKnowledge ? 'knowledge-always-include-label' : 'skill-always-include-label');
+    const alwaysIncludeInput = document.getElementById(isKnowledge ? 'knowledge-always-include' : 'skill-always-include');
     const apiPath = isKnowledge ? '/api/knowledge' : '/api/skills';
 
     let currentFile = null;
@@ -20,6 +22,7 @@ function setupFileEditor(type) {
             const data = await res.json();
             filesData = data.files || [];
             renderFileList();
+            if (isKnowledge) loadIndexStatus();
 
             // Update the open editor if the file content changed remotely
             if (currentFile) {
@@ -37,7 +40,7 @@ function setupFileEditor(type) {
         if (!fileList) return;
         fileList.innerHTML = filesData.map(f => `
             <li class="file-item ${currentFile === f.name ? 'active' : ''}" data-name="${escapeAttr(f.name)}" style="padding: 10px; cursor: pointer; border-bottom: 1px solid var(--border); display: flex; align-items: center; gap: 8px;">
-                📄 <span>${escapeHtml(f.name)}</span>
+                ${f.alwaysInclude ? '📌' : '📄'} <span>${escapeHtml(f.name)}</span>
             </li>
         `).join('');
 
@@ -57,10 +60,54 @@ function setupFileEditor(type) {
             editor.disabled = false;
             if (filenameSpan) filenameSpan.textContent = filename;
             if (deleteBtn) deleteBtn.style.display = 'block';
+            if (alwaysIncludeLabel) alwaysIncludeLabel.style.display = 'flex';
+            if (alwaysIncludeInput) alwaysIncludeInput.checked = !!fileObj.alwaysInclude;
         }
         renderFileList(); // Update active class
     }
 
+    async function toggleAlwaysInclude() {
+        if (!currentFile) return;
+        const alwaysInclude = alwaysIncludeInput.checked;
+        try {
+            const res = await fetch(`${apiPath}/${encodeURIComponent(currentFile)}/always-include`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ alwaysInclude })
+            });
+            const data = await res.json();
+            if (!data.success) throw new Error(data.error);
+
+            const fileObj = filesData.find(f => f.name === currentFile);
+            if (fileObj) fileObj.alwaysInclude = alwaysInclude;
+            renderFileList();
+            showStatus(alwaysInclude ? 'הקובץ יישלח במלואו בכל הודעה ✓' : 'הקובץ יישלף לפי רלוונטיות ✓', 'success');
+        } catch (err) {
+            alwaysIncludeInput.checked = !alwaysInclude;
+            showStatus('שגיאה בעדכון', 'error');
+        }
+    }
+
+    async function loadIndexStatus() {
+        const indexStatusEl = document.getElementById('knowledge-index-status');
+        if (!indexStatusEl) return;
+        try {
+            const res = await fetch('/api/knowledge-index');
+            const data = await res.json();
+            const st = data.status;
+            if (!st) return;
+            if (!st.enabled) {
+                indexStatusEl.textContent = '🔎 שליפה סמנטית כבויה – כל הקבצים נשלחים במלואם.';
+            } else if (!st.available) {
+                indexStatusEl.textContent = '🔎 אין מודל embeddings מוגדר – כל הקבצים נשלחים במלואם.';
+            } else {
+                indexStatusEl.textContent = `🔎 אינדקס: ${st.files} קבצים, ${st.chunks} קטעים (${st.model})${st.lastError ? ` ⚠️ ${st.lastError}` : ''}`;
+            }
+        } catch (err) {
+            console.error('Failed to load knowledge index status:', err);
+        }
+    }
+
     async function saveFile() {
         if (!currentFile) return;
 
@@ -112,6 +159,7 @@ function setupFileEditor(type) {
                 editor.disabled = true;
                 if (filenameSpan) filenameSpan.textContent = 'בחר קובץ';
                 if (deleteBtn) deleteBtn.style.display = 'none';
+                if (alwaysIncludeLabel) alwaysIncludeLabel.style.display = 'none';
                 await loadFiles();
                 showStatus('נמחק בהצלחה', 'success');
             }
@@ -130,7 +178,7 @@ function setupFileEditor(type) {
             return;
         }
 
-        filesData.push({ name: filename, content: '' });
+        filesData.push({ name: filename, content: '', alwaysInclude: false });
         selectFile(filename);
         editor.focus();
     }
@@ -149,6 +197,7 @@ function setupFileEditor(type) {
     if (addBtn) addBtn.addEventListener('click', addFile);
     if (saveBtn) saveBtn.addEventListener('click', saveFile);
     if (deleteBtn) deleteBtn.addEventListener('click', deleteFile);
+    if (alwaysIncludeInput) alwaysIncludeInput.addEventListener('change', toggleAlwaysInclude);
 
     return { loadFiles };
 }
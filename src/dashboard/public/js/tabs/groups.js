@@ -0,0 +1,225 @@
+import { escapeHtml, escapeAttr, showConfirmModal } from '../core/utils.js';
+
+let groupsCache = [];
+let toolsCache = null;
+
+export async function loadGroups() {
+    const groupsTbody = document.getElementById('groups-tbody');
+    try {
+        const res = await fetch('/api/groups');
+        const data = await res.json();
+        if (data.success) {
+            groupsCache = data.groups;
+            renderGroups(data.groups);
+        }
+    } catch (err) {
+        console.error('Failed to load groups:', err);
+        if (groupsTbody) groupsTbody.innerHTML = '<tr class="empty-row"><td colspan="6">שגיאה בטעינת קבוצות</td></tr>';
+    }
+}
+
+/**
+ * Fill a <select> with the registered groups ("" = default group)
+ * @param {HTMLSelectElement} select
+ * @param {string|null} selected - Group JID to select
+ */
+export async function fillGroupSelect(select, selected = '') {
+    if (!select) return;
+    try {
+        const res = await fetch('/api/groups');
+        const data = await res.json();
+        const groups = (data.groups || []).filter(g => g.enabled);
+        select.innerHTML = '<option value="">קבוצת ברירת המחדל</option>'
+            + groups.map(g => `<option value="${escapeAttr(g.jid)}">${escapeHtml(g.name)}</option>`).join('');
+    } catch (err) {
+        console.error('Failed to load groups:', err);
+    }
+    select.value = selected || '';
+}
+
+/**
+ * Display name of a group JID (falls back to the default-group label)
+ * @param {string|null} jid
+ */
+export function groupLabel(jid) {
+    if (!jid) return 'ברירת מחדל';
+    const group = groupsCache.find(g => g.jid === jid);
+    return group ? group.name : jid.split('@')[0];
+}
+
+function renderGroups(groups) {
+    const groupsTbody = document.getElementById('groups-tbody');
+    if (!groupsTbody) return;
+
+    if (groups.length === 0) {
+        groupsTbody.innerHTML = '<tr class="empty-row"><td colspan="6">אין קבוצות רשומות. WHATSAPP_GROUP_ID משמשת כקבוצת ברירת המחדל.</td></tr>';
+        return;
+    }
+
+    groupsTbody.innerHTML = groups.map(g => `
+        <tr data-id="${g.id}">
+            <td class="kw-keyword">${escapeHtml(g.name)}${g.is_default ? ' <span class="kw-type ai">ברירת מחדל</span>' : ''}</td>
+            <td><code dir="ltr">${escapeHtml(g.jid)}</code></td>
+            <td class="kw-response">${escapeHtml((g.instructions || '-').substring(0, 60))}${(g.instructions || '').length > 60 ? '...' : ''}</td>
+            <td>${g.allowed_tools ? `${g.allowed_tools.length} כלים` : 'כל הכלים'}</td>
+            <td>
+                <label class="toggle-switch">
+                    <input type="checkbox" ${g.enabled ? 'checked' : ''} onchange="window._toggleGroup(${g.id}, this.checked)">
+                    <span class="toggle-slider"></span>
+                </label>
+            </td>
+            <td class="kw-actions">
+                <button class="btn btn-small btn-action" onclick="window._editGroup(${g.id})">✏️</button>
+                <button class="btn btn-small btn-action btn-danger-action" onclick="window._deleteGroup(${g.id})">🗑️</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+export function setupGroups() {
+    const addGroupBtn = document.getElementById('add-group-btn');
+    const groupCancelBtn = document.getElementById('group-cancel');
+    const groupSaveBtn = document.getElementById('group-save');
+    const restrictTools = document.getElementById('group-restrict-tools');
+
+    if (addGroupBtn) addGroupBtn.addEventListener('click', () => showGroupForm());
+    if (groupCancelBtn) groupCancelBtn.addEventListener('click', hideGroupForm);
+    if (groupSaveBtn) groupSaveBtn.addEventListener('click', saveGroup);
+    if (restrictTools) {
+        restrictTools.addEventListener('change', () => {
+            document.getElementById('group-tools').style.display = restrictTools.checked ? 'block' : 'none';
+        });
+    }
+
+    window._editGroup = function (id) {
+        const group = groupsCache.find(g => g.id === id);
+        if (group) showGroupForm(group);
+    };
+
+    window._deleteGroup = async function (id) {
+        const confirmed = await showConfirmModal('מחיקת קבוצה', 'האם למחוק את הקבוצה מהרשימה? נוגה תפסיק לענות בה (אלא אם זו WHATSAPP_GROUP_ID).');
+        if (!confirmed) return;
+        try {
+            await fetch(`/api/groups/${id}`, { method: 'DELETE' });
+            loadGroups();
+        } catch (err) {
+            alert('שגיאה במחיקה');
+        }
+    };
+
+    window._toggleGroup = async function (id, enabled) {
+        const group = groupsCache.find(g => g.id === id);
+        if (!group) return;
+        try {
+            await fetch(`/api/groups/${id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    jid: group.jid, name: group.name, instructions: group.instructions,
+                    allowedTools: group.allowed_tools, isDefault: !!group.is_default, enabled
+                })
+            });
+            loadGroups();
+        } catch (err) {
+            alert('שגיאה בעדכון');
+            loadGroups();
+        }
+    };
+}
+
+async function loadToolOptions(selected) {
+    const container = document.getElementById('group-tools');
+    if (!toolsCache) {
+        try {
+            const res = await fetch('/api/groups/tools');
+            toolsCache = (await res.json()).tools || [];
+        } catch (err) {
+            console.error('Failed to load tools:', err);
+            toolsCache = [];
+        }
+    }
+    container.innerHTML = toolsCache.map(t => `
+        <label style="display: block;" title="${escapeAttr(t.description || '')}" dir="ltr">
+            <input type="checkbox" value="${escapeAttr(t.name)}" ${!selected || selected.includes(t.name) ? 'checked' : ''}> ${escapeHtml(t.name)}
+        </label>
+    `).join('');
+}
+
+async function loadJoinedGroups() {
+    const datalist = document.getElementById('group-jid-options');
+    try {
+        const res = await fetch('/api/groups/available');
+        if (!res.ok) return; // WhatsApp not connected – the JID can still be typed
+        const data = await res.json();
+        datalist.innerHTML = data.groups.map(g => `<option value="${escapeAttr(g.jid)}">${escapeHtml(g.subject)}</option>`).join('');
+    } catch (err) {
+        console.error('Failed to load WhatsApp groups:', err);
+    }
+}
+
+function showGroupForm(group = null) {
+    const groupForm = document.getElementById('group-form');
+    if (!groupForm) return;
+
+    document.getElementById('group-edit-id').value = group ? group.id : '';
+    document.getElementById('group-name').value = group ? group.name : '';
+    document.getElementById('group-jid').value = group ? group.jid : '';
+    document.getElementById('group-instructions').value = group ? (group.instructions || '') : '';
+    document.getElementById('group-default').checked = group ? !!group.is_default : false;
+    document.getElementById('group-enabled').checked = group ? !!group.enabled : true;
+
+    const restricted = !!(group && group.allowed_tools);
+    document.getElementById('group-restrict-tools').checked = restricted;
+    document.getElementById('group-tools').style.display = restricted ? 'block' : 'none';
+    loadToolOptions(group ? group.allowed_tools : null);
+    loadJoinedGroups();
+
+    groupForm.style.display = 'block';
+    document.getElementById('group-name').focus();
+}
+
+function hideGroupForm() {
+    const groupForm = document.getElementById('group-form');
+    if (!groupForm) return;
+    groupForm.style.display = 'none';
+    document.getElementById('group-edit-id').value = '';
+}
+
+async function saveGroup() {
+    const groupSaveBtn = document.getElementById('group-save');
+    const id = document.getElementById('group-edit-id').value;
+    const name = document.getElementById('group-name').value.trim();
+    const jid = document.getElementById('group-jid').value.trim();
+    const instructions = document.getElementById('group-instructions').value.trim();
+    const isDefault = document.getElementById('group-default').checked;
+    const enabled = document.getElementById('group-enabled').checked;
+    const allowedTools = document.getElementById('group-restrict-tools').checked
+        ? [...document.querySelectorAll('#group-tools input:checked')].map(cb => cb.value)
+        : null;
+
+    if (!name || !jid) {
+        alert('יש למלא שם ומזהה קבוצה');
+        return;
+    }
+
+    if (groupSaveBtn) groupSaveBtn.disabled = true;
+
+    try {
+        const res = await fetch(id ? `/api/groups/${id}` : '/api/groups', {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, jid, instructions, allowedTools, isDefault, enabled })
+        });
+        const data = await res.json();
+        if (data.success) {
+            hideGroupForm();
+            loadGroups();
+        } else {
+            alert(data.error || 'שגיאה בשמירה');
+        }
+    } catch (err) {
+        alert('שגיאה בשמירה');
+    } finally {
+        if (groupSaveBtn) groupSaveBtn.disabled = false;
+    }
+}
@@ -1,4 +1,5 @@
 import { escapeHtml, escapeAttr, showConfirmModal } from '../core/utils.js';
+import { fillAreaSelect } from './haAreas.js';
 
 let allHaEntities = [];
 
@@ -34,10 +35,10 @@ function renderHaMappings(mappings) {
         <tr data-id="${m.id}">
             <td class="kw-keyword"><code dir="ltr">${escapeHtml(m.entity_id)}</code></td>
             <td><strong>${escapeHtml(m.nickname)}</strong></td>
-            <td>${escapeHtml(m.location || '-')}</td>
+            <td>${escapeHtml(m.area_name || m.location || '-')}</td>
             <td>${typeIcon} ${escapeHtml(m.type || 'other')}</td>
             <td class="kw-actions">
-                <button class="btn btn-small btn-action" onclick="window._editHaMapping(${m.id}, '${escapeAttr(m.entity_id)}', '${escapeAttr(m.nickname)}', '${escapeAttr(m.location || '')}', '${m.type || 'other'}')">✏️</button>
+                <button class="btn btn-small btn-action" onclick="window._editHaMapping(${m.id}, '${escapeAttr(m.entity_id)}', '${escapeAttr(m.nickname)}', '${escapeAttr(m.location || '')}', '${m.type || 'other'}', '${escapeAttr(m.area_id || '')}')">✏️</button>
                 <button class="btn btn-small btn-action btn-danger-action" onclick="window._deleteHaMapping(${m.id})">🗑️</button>
             </td>
         </tr>
@@ -125,8 +126,8 @@ export function setupHa() {
         }
     };
 
-    window._editHaMapping = function (id, entityId, nickname, location, type) {
-        showHaMappingForm(id, entityId, nickname, location, type);
+    window._editHaMapping = function (id, entityId, nickname, location, type, areaId) {
+        showHaMappingForm(id, entityId, nickname, location, type, areaId);
     };
 
     window._deleteHaMapping = async function (id) {
@@ -141,7 +142,7 @@ export function setupHa() {
     };
 }
 
-function showHaMappingForm(id = '', entityId = '', nickname = '', location = '', type = 'light') {
+function showHaMappingForm(id = '', entityId = '', nickname = '', location = '', type = 'light', areaId = '') {
     const haMappingForm = document.getElementById('ha-mapping-form');
     const haMappingEditId = document.getElementById('ha-mapping-edit-id');
     const haEntityIdInput = document.getElementById('ha-entity-id');
@@ -155,6 +156,7 @@ function showHaMappingForm(id = '', entityId = '', nickname = '', location = '',
     haNicknameInput.value = nickname;
     haLocationInput.value = location;
     haTypeInput.value = type;
+    fillAreaSelect(document.getElementById('ha-area'), areaId);
     haMappingForm.style.display = 'block';
     haNicknameInput.focus();
 }
@@ -187,6 +189,7 @@ async function saveHaMapping() {
     const id = haMappingEditId.value;
     const entityId = haEntityIdInput.value.trim();
     const nickname = haNicknameInput.value.trim();
+    const areaId = document.getElementById('ha-area').value || null;
     const location = haLocationInput.value.trim();
     const type = haTypeInput.value;
 
@@ -199,7 +202,7 @@ async function saveHaMapping() {
 
     try {
         let res;
-        const payload = { entityId, nickname, location, type };
+        const payload = { entityId, nickname, location, type, areaId };
         if (id) {
             res = await fetch(`/api/ha/mappings/${id}`, {
                 method: 'PUT',
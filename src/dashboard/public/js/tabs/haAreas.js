@@ -0,0 +1,147 @@
+import { escapeHtml, escapeAttr } from '../core/utils.js';
+
+let floorsCache = [];
+let areasCache = [];
+
+export async function loadHaAreas() {
+    const haAreasTbody = document.getElementById('ha-areas-tbody');
+    try {
+        const res = await fetch('/api/ha/areas');
+        const data = await res.json();
+        if (data.success) {
+            floorsCache = data.floors;
+            areasCache = data.areas;
+            renderHaAreasStatus(data.syncedAt);
+            renderHaAreas();
+        }
+    } catch (err) {
+        console.error('Failed to load HA areas:', err);
+        if (haAreasTbody) haAreasTbody.innerHTML = '<tr class="empty-row"><td colspan="6">שגיאה בטעינת אזורים</td></tr>';
+    }
+}
+
+/**
+ * Fill a select with the synced areas (for the mappings form)
+ */
+export function fillAreaSelect(select, selected = '') {
+    if (!select) return;
+    select.innerHTML = '<option value="">-</option>'
+        + areasCache.map(a => `<option value="${escapeAttr(a.area_id)}">${escapeHtml(a.floor_name ? `${a.name} (${a.floor_name})` : a.name)}</option>`).join('');
+    select.value = selected || '';
+}
+
+function renderHaAreasStatus(syncedAt) {
+    const haAreasStatus = document.getElementById('ha-areas-status');
+    if (!haAreasStatus) return;
+    haAreasStatus.textContent = syncedAt
+        ? `סונכרן לאחרונה: ${new Date(syncedAt).toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' })} – ${floorsCache.length} קומות, ${areasCache.length} אזורים`
+        : '⚪ האזורים עדיין לא סונכרנו מ-Home Assistant';
+}
+
+function renderHaAreas() {
+    const haAreasTbody = document.getElementById('ha-areas-tbody');
+    if (!haAreasTbody) return;
+
+    if (floorsCache.length === 0 && areasCache.length === 0) {
+        haAreasTbody.innerHTML = '<tr class="empty-row"><td colspan="6">אין אזורים. לחצו "סנכרן מ-HA" כדי לטעון אותם.</td></tr>';
+        return;
+    }
+
+    const row = (type, id, name, floor, haAliases, customAliases, entities) => `
+        <tr>
+            <td class="kw-keyword">${type === 'floor' ? '🏢' : '🚪'} ${escapeHtml(name)}</td>
+            <td>${escapeHtml(floor || '-')}</td>
+            <td>${escapeHtml(haAliases || '-')}</td>
+            <td><strong>${escapeHtml(customAliases || '-')}</strong></td>
+            <td>${entities ?? '-'}</td>
+            <td class="kw-actions">
+                <button class="btn btn-small btn-action" onclick="window._editHaAliases('${type}', '${escapeAttr(id)}')">✏️</button>
+            </td>
+        </tr>
+    `;
+
+    haAreasTbody.innerHTML = [
+        ...floorsCache.map(f => row('floor', f.floor_id, f.name, null, f.aliases, f.custom_aliases, null)),
+        ...areasCache.map(a => row('area', a.area_id, a.name, a.floor_name, a.aliases, a.custom_aliases, a.entity_count))
+    ].join('');
+}
+
+export function setupHaAreas() {
+    const syncHaAreasBtn = document.getElementById('sync-ha-areas-btn');
+    const haAliasesCancelBtn = document.getElementById('ha-aliases-cancel');
+    const haAliasesSaveBtn = document.getElementById('ha-aliases-save');
+
+    if (syncHaAreasBtn) syncHaAreasBtn.addEventListener('click', syncHaAreas);
+    if (haAliasesCancelBtn) haAliasesCancelBtn.addEventListener('click', hideHaAliasesForm);
+    if (haAliasesSaveBtn) haAliasesSaveBtn.addEventListener('click', saveHaAliases);
+
+    window._editHaAliases = function (type, id) {
+        const target = type === 'floor'
+            ? floorsCache.find(f => f.floor_id === id)
+            : areasCache.find(a => a.area_id === id);
+        if (!target) return;
+
+        const haAliasesForm = document.getElementById('ha-aliases-form');
+        if (!haAliasesForm) return;
+        document.getElementById('ha-aliases-target-type').value = type;
+        document.getElementById('ha-aliases-target-id').value = id;
+        document.getElementById('ha-aliases-name').textContent = target.name;
+        document.getElementById('ha-aliases-input').value = target.custom_aliases || '';
+        haAliasesForm.style.display = 'block';
+        document.getElementById('ha-aliases-input').focus();
+    };
+}
+
+async function syncHaAreas() {
+    const syncHaAreasBtn = document.getElementById('sync-ha-areas-btn');
+    if (syncHaAreasBtn) syncHaAreasBtn.disabled = true;
+    try {
+        const res = await fetch('/api/ha/areas/sync', { method: 'POST' });
+        const data = await res.json();
+        if (data.success) {
+            loadHaAreas();
+        } else {
+            alert(data.error || 'שגיאה בסנכרון');
+        }
+    } catch (err) {
+        alert('שגיאה בסנכרון');
+    } finally {
+        if (syncHaAreasBtn) syncHaAreasBtn.disabled = false;
+    }
+}
+
+function hideHaAliasesForm() {
+    const haAliasesForm = document.getElementById('ha-aliases-form');
+    if (!haAliasesForm) return;
+    haAliasesForm.style.display = 'none';
+    document.getElementById('ha-aliases-target-id').value = '';
+}
+
+async function saveHaAliases() {
+    const haAliasesSaveBtn = document.getElementById('ha-aliases-save');
+    const type = document.getElementById('ha-aliases-target-type').value;
+    const id = document.getElementById('ha-aliases-target-id').value;
+    const aliases = document.getElementById('ha-aliases-input').value.trim();
+    if (!id) return;
+
+    if (haAliasesSaveBtn) haAliasesSaveBtn.disabled = true;
+
+    try {
+        const res = await fetch(`/api/ha/${type}s/${encodeURIComponent(id)}/aliases`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ aliases })
+        });
+        const data = await res.json();
+        if (data.success) {
+            hideHaAliasesForm();
+            loadHaAreas();
+        } else {
+            alert(data.error || 'שגיאה בשמירה');
+        }
+    } catch (err) {
+        alert('שגיאה בשמירה');
+    } finally {
+        if (haAliasesSaveBtn) haAliasesSaveBtn.disabled = false;
+    }
+}
@@ -0,0 +1,242 @@
+import { escapeHtml, escapeAttr, showConfirmModal } from '../core/utils.js';
+import { fillGroupSelect, groupLabel, loadGroups } from './groups.js';
+
+let watchRulesCache = [];
+let peopleCache = [];
+
+export async function loadWatchRules() {
+    const watchRulesTbody = document.getElementById('watch-rules-tbody');
+    try {
+        const [rulesRes, peopleRes] = await Promise.all([fetch('/api/ha/watch-rules'), fetch('/api/people')]);
+        const data = await rulesRes.json();
+        peopleCache = (await peopleRes.json()).people || [];
+        await loadGroups(); // Group names for the table
+        if (data.success) {
+            watchRulesCache = data.rules;
+            renderWatchStatus(data.status);
+            renderWatchRules(data.rules);
+        }
+    } catch (err) {
+        console.error('Failed to load watch rules:', err);
+        if (watchRulesTbody) watchRulesTbody.innerHTML = '<tr class="empty-row"><td colspan="5">שגיאה בטעינת כללי מעקב</td></tr>';
+    }
+    loadWatchLog();
+}
+
+async function loadWatchLog() {
+    const watchLogTbody = document.getElementById('watch-log-tbody');
+    if (!watchLogTbody) return;
+    try {
+        const res = await fetch('/api/ha/watch-log');
+        const data = await res.json();
+        const log = data.log || [];
+        if (log.length === 0) {
+            watchLogTbody.innerHTML = '<tr class="empty-row"><td colspan="5">אף כלל לא הופעל עדיין</td></tr>';
+            return;
+        }
+        watchLogTbody.innerHTML = log.map(l => `
+            <tr>
+                <td style="font-size: 13px; color: var(--gray);">${new Date(l.fired_at).toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' })}</td>
+                <td>${escapeHtml(l.rule_name)}</td>
+                <td><code dir="ltr">${escapeHtml(l.entity_id)}</code></td>
+                <td dir="ltr">${escapeHtml(l.state ?? '-')}</td>
+                <td>${l.sent ? '' : '⚠️ '}${escapeHtml(l.message || '-')}</td>
+            </tr>
+        `).join('');
+    } catch (err) {
+        watchLogTbody.innerHTML = '<tr class="empty-row"><td colspan="5">שגיאה בטעינת היומן</td></tr>';
+    }
+}
+
+function renderWatchStatus(status) {
+    const watchStatus = document.getElementById('watch-status');
+    if (!watchStatus || !status) return;
+    if (!status.enabled) {
+        watchStatus.textContent = '⚪ מעקב האירועים כבוי (HA_EVENTS_ENABLED או הגדרות Home Assistant חסרות)';
+    } else if (status.connected) {
+        watchStatus.textContent = `🟢 מחובר ל-Home Assistant – ${status.entities} מכשירים, ${status.pending} כללים ממתינים`;
+    } else {
+        watchStatus.textContent = `🔴 לא מחובר ל-Home Assistant${status.lastError ? `: ${status.lastError}` : ''}`;
+    }
+}
+
+function conditionLabel(rule) {
+    const parts = [];
+    if (rule.to_state) parts.push(`= ${rule.to_state}`);
+    if (rule.above !== null) parts.push(`> ${rule.above}`);
+    if (rule.below !== null) parts.push(`< ${rule.below}`);
+    let label = `<code dir="ltr">${escapeHtml(rule.entity_id)} ${escapeHtml(parts.join(' '))}</code>`;
+    if (rule.for_minutes) label += ` במשך ${rule.for_minutes} דק׳`;
+    if (rule.active_hours) label += ` בשעות <span dir="ltr">${escapeHtml(rule.active_hours)}</span>`;
+    return label;
+}
+
+function targetLabel(rule) {
+    if (!rule.person_phone) return groupLabel(rule.group_jid);
+    const person = peopleCache.find(p => p.phone === rule.person_phone);
+    return `בפרטי: ${person ? person.name : rule.person_phone}`;
+}
+
+function renderWatchRules(rules) {
+    const watchRulesTbody = document.getElementById('watch-rules-tbody');
+    if (!watchRulesTbody) return;
+
+    if (rules.length === 0) {
+        watchRulesTbody.innerHTML = '<tr class="empty-row"><td colspan="5">אין כללי מעקב. לחצו "הוסף כלל" כדי להתחיל.</td></tr>';
+        return;
+    }
+
+    watchRulesTbody.innerHTML = rules.map(r => `
+        <tr data-id="${r.id}">
+            <td class="kw-keyword">${escapeHtml(r.name)}</td>
+            <td>${conditionLabel(r)}</td>
+            <td>${escapeHtml(targetLabel(r))}</td>
+            <td>
+                <label class="toggle-switch">
+                    <input type="checkbox" ${r.enabled ? 'checked' : ''} onchange="window._toggleWatchRule(${r.id}, this.checked)">
+                    <span class="toggle-slider"></span>
+                </label>
+            </td>
+            <td class="kw-actions">
+                <button class="btn btn-small btn-action" onclick="window._editWatchRule(${r.id})">✏️</button>
+                <button class="btn btn-small btn-action btn-danger-action" onclick="window._deleteWatchRule(${r.id})">🗑️</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Request body of a watch rules row
+ */
+function toBody(rule) {
+    return {
+        name: rule.name, entityId: rule.entity_id, toState: rule.to_state, above: rule.above, below: rule.below,
+        forMinutes: rule.for_minutes, activeHours: rule.active_hours, message: rule.message, raw: !!rule.raw,
+        groupJid: rule.group_jid, personPhone: rule.person_phone, cooldownMinutes: rule.cooldown_minutes, enabled: !!rule.enabled
+    };
+}
+
+export function setupWatchRules() {
+    const addWatchRuleBtn = document.getElementById('add-watch-rule-btn');
+    const watchRuleCancelBtn = document.getElementById('watch-rule-cancel');
+    const watchRuleSaveBtn = document.getElementById('watch-rule-save');
+
+    if (addWatchRuleBtn) addWatchRuleBtn.addEventListener('click', () => showWatchRuleForm());
+    if (watchRuleCancelBtn) watchRuleCancelBtn.addEventListener('click', hideWatchRuleForm);
+    if (watchRuleSaveBtn) watchRuleSaveBtn.addEventListener('click', saveWatchRule);
+
+    window._editWatchRule = function (id) {
+        const rule = watchRulesCache.find(r => r.id === id);
+        if (rule) showWatchRuleForm(rule);
+    };
+
+    window._deleteWatchRule = async function (id) {
+        const confirmed = await showConfirmModal('מחיקת כלל מעקב', 'האם אתה בטוח שברצונך למחוק כלל זה?');
+        if (!confirmed) return;
+        try {
+            await fetch(`/api/ha/watch-rules/${id}`, { method: 'DELETE' });
+            loadWatchRules();
+        } catch (err) {
+            alert('שגיאה במחיקה');
+        }
+    };
+
+    window._toggleWatchRule = async function (id, enabled) {
+        const rule = watchRulesCache.find(r => r.id === id);
+        if (!rule) return;
+        try {
+            await fetch(`/api/ha/watch-rules/${id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...toBody(rule), enabled })
+            });
+            loadWatchRules();
+        } catch (err) {
+            alert('שגיאה בעדכון');
+            loadWatchRules();
+        }
+    };
+}
+
+function showWatchRuleForm(rule = null) {
+    const watchRuleForm = document.getElementById('watch-rule-form');
+    if (!watchRuleForm) return;
+
+    const person = document.getElementById('watch-rule-person');
+    person.innerHTML = '<option value="">-</option>'
+        + peopleCache.map(p => `<option value="${escapeAttr(p.phone)}">${escapeHtml(p.name)}</option>`).join('');
+
+    document.getElementById('watch-rule-edit-id').value = rule ? rule.id : '';
+    document.getElementById('watch-rule-name').value = rule ? rule.name : '';
+    document.getElementById('watch-rule-entity').value = rule ? rule.entity_id : '';
+    document.getElementById('watch-rule-state').value = rule ? (rule.to_state || '') : '';
+    document.getElementById('watch-rule-above').value = rule?.above ?? '';
+    document.getElementById('watch-rule-below').value = rule?.below ?? '';
+    document.getElementById('watch-rule-for').value = rule ? rule.for_minutes : 0;
+    document.getElementById('watch-rule-hours').value = rule ? (rule.active_hours || '') : '';
+    document.getElementById('watch-rule-message').value = rule ? rule.message : '';
+    document.getElementById('watch-rule-cooldown').value = rule ? rule.cooldown_minutes : 30;
+    document.getElementById('watch-rule-raw').checked = rule ? !!rule.raw : false;
+    document.getElementById('watch-rule-enabled').checked = rule ? !!rule.enabled : true;
+    person.value = rule ? (rule.person_phone || '') : '';
+    fillGroupSelect(document.getElementById('watch-rule-group'), rule ? rule.group_jid : '');
+
+    watchRuleForm.style.display = 'block';
+    document.getElementById('watch-rule-name').focus();
+}
+
+function hideWatchRuleForm() {
+    const watchRuleForm = document.getElementById('watch-rule-form');
+    if (!watchRuleForm) return;
+    watchRuleForm.style.display = 'none';
+    document.getElementById('watch-rule-edit-id').value = '';
+}
+
+async function saveWatchRule() {
+    const watchRuleSaveBtn = document.getElementById('watch-rule-save');
+    const id = document.getElementById('watch-rule-edit-id').value;
+    const name = document.getElementById('watch-rule-name').value.trim();
+    const entityId = document.getElementById('watch-rule-entity').value.trim();
+    const message = document.getElementById('watch-rule-message').value.trim();
+    const personPhone = document.getElementById('watch-rule-person').value || null;
+
+    if (!name || !entityId || !message) {
+        alert('יש למלא שם, מכשיר והודעה');
+        return;
+    }
+
+    const body = {
+        name, entityId, message, personPhone,
+        toState: document.getElementById('watch-rule-state').value.trim(),
+        above: document.getElementById('watch-rule-above').value,
+        below: document.getElementById('watch-rule-below').value,
+        forMinutes: document.getElementById('watch-rule-for').value,
+        activeHours: document.getElementById('watch-rule-hours').value.trim(),
+        // A private message has no group
+        groupJid: personPhone ? null : (document.getElementById('watch-rule-group').value || null),
+        cooldownMinutes: document.getElementById('watch-rule-cooldown').value,
+        raw: document.getElementById('watch-rule-raw').checked,
+        enabled: document.getElementById('watch-rule-enabled').checked
+    };
+
+    if (watchRuleSaveBtn) watchRuleSaveBtn.disabled = true;
+
+    try {
+        const res = await fetch(id ? `/api/ha/watch-rules/${id}` : '/api/ha/watch-rules', {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (data.success) {
+            hideWatchRuleForm();
+            loadWatchRules();
+        } else {
+            alert(data.error || 'שגיאה בשמירה');
+        }
+    } catch (err) {
+        alert('שגיאה בשמירה');
+    } finally {
+        if (watchRuleSaveBtn) watchRuleSaveBtn.disabled = false;
+    }
+}
@@ -0,0 +1,87 @@
+export async function loadModelRouting() {
+    try {
+        const res = await fetch('/api/model-routing');
+        const data = await res.json();
+        if (!data.routing) return;
+
+        const { routing, defaultModel } = data;
+
+        const enabledEl = document.getElementById('routing-enabled');
+        if (enabledEl) enabledEl.checked = !!routing.enabled;
+
+        document.querySelectorAll('.routing-tier').forEach(el => {
+            el.value = routing.tiers[el.dataset.tier] || '';
+            if (el.dataset.tier === 'standard' && defaultModel) el.placeholder = defaultModel;
+        });
+
+        document.querySelectorAll('.routing-rule').forEach(el => {
+            el.value = routing.rules[el.dataset.category] || 'standard';
+        });
+
+        ['simpleMaxWords', 'complexMinWords', 'longVoiceSeconds'].forEach(key => {
+            const el = document.getElementById(`routing-${key}`);
+            if (el) el.value = routing[key];
+        });
+    } catch (err) {
+        console.error('Failed to load model routing:', err);
+    }
+}
+
+export function setupModelRouting() {
+    const saveRoutingBtn = document.getElementById('save-routing');
+    const routingStatusEl = document.getElementById('routing-status');
+
+    if (!saveRoutingBtn) return;
+
+    saveRoutingBtn.addEventListener('click', async () => {
+        saveRoutingBtn.disabled = true;
+
+        const routing = {
+            enabled: document.getElementById('routing-enabled')?.checked || false,
+            tiers: {},
+            rules: {}
+        };
+
+        document.querySelectorAll('.routing-tier').forEach(el => {
+            routing.tiers[el.dataset.tier] = el.value.trim();
+        });
+
+        document.querySelectorAll('.routing-rule').forEach(el => {
+            routing.rules[el.dataset.category] = el.value;
+        });
+
+        ['simpleMaxWords', 'complexMinWords', 'longVoiceSeconds'].forEach(key => {
+            const el = document.getElementById(`routing-${key}`);
+            if (el && el.value) routing[key] = parseInt(el.value, 10);
+        });
+
+        try {
+            const res = await fetch('/api/model-routing', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ routing })
+            });
+            const data = await res.json();
+
+            if (data.success) {
+                showStatus('נשמר בהצלחה ✓', 'success');
+            } else {
+                showStatus(data.error || 'שגיאה בשמירה', 'error');
+            }
+        } catch (err) {
+            showStatus('שגיאה בשמירה', 'error');
+        } finally {
+            saveRoutingBtn.disabled = false;
+        }
+    });
+
+    function showStatus(text, statusType) {
+        if (!routingStatusEl) return;
+        routingStatusEl.textContent = text;
+        routingStatusEl.className = `save-status ${statusType}`;
+        setTimeout(() => {
+            routingStatusEl.textContent = '';
+            routingStatusEl.className = 'save-status';
+        }, 3000);
+    }
+}
@@ -0,0 +1,90 @@
+import { escapeHtml, showConfirmModal } from '../core/utils.js';
+
+const SOURCE_LABELS = {
+    reply: 'תשובה',
+    scheduled: 'הודעה מתוזמנת',
+    briefing: 'תדריך',
+    birthday: 'יום הולדת',
+    watch: 'כלל מעקב',
+    nudge: 'נדנוד',
+    webhook: 'Webhook',
+    tool: 'כלי',
+    budget: 'תקציב',
+    system: 'מערכת'
+};
+
+export async function loadOutbox() {
+    const outboxTbody = document.getElementById('outbox-tbody');
+    if (!outboxTbody) return;
+    try {
+        const res = await fetch('/api/outbox');
+        const data = await res.json();
+        if (data.success) renderOutbox(data);
+    } catch (err) {
+        console.error('Failed to load outbox:', err);
+        outboxTbody.innerHTML = '<tr class="empty-row"><td colspan="6">שגיאה בטעינת הודעות יוצאות</td></tr>';
+    }
+}
+
+function renderOutbox({ messages, pending, failed }) {
+    const outboxTbody = document.getElementById('outbox-tbody');
+    const summary = document.getElementById('outbox-summary');
+    if (summary) summary.textContent = messages.length ? `(${pending} בהמתנה, ${failed} נכשלו)` : '';
+
+    if (messages.length === 0) {
+        outboxTbody.innerHTML = '<tr class="empty-row"><td colspan="6">אין הודעות בהמתנה</td></tr>';
+        return;
+    }
+
+    outboxTbody.innerHTML = messages.map(m => {
+        const createdStr = new Date(`${m.createdAt.replace(' ', 'T')}Z`).toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' });
+        const recipient = m.chatId.split('@')[0];
+        const text = m.text.length > 120 ? m.text.slice(0, 120) + '…' : m.text;
+
+        let statusHtml;
+        if (m.status === 'failed') {
+            statusHtml = '<span class="kw-type" style="background:var(--danger);color:#fff;">נכשלה</span>';
+        } else {
+            const next = m.nextAttemptAt > Date.now()
+                ? new Date(m.nextAttemptAt).toLocaleTimeString('he-IL', { timeZone: 'Asia/Jerusalem' })
+                : 'בחיבור הבא';
+            statusHtml = `<span class="kw-type" style="background:var(--primary);color:#fff;">בהמתנה</span><br><small style="color:var(--gray)">ניסיון הבא: ${next}</small>`;
+        }
+        if (m.error) {
+            statusHtml += `<br><small style="color:var(--gray)" dir="ltr">${escapeHtml(m.error)} (${m.retryCount})</small>`;
+        }
+
+        return `
+        <tr data-id="${m.id}">
+            <td><code dir="ltr" style="background:var(--light-bg);padding:2px 6px;border-radius:4px;">${createdStr}</code></td>
+            <td dir="ltr">${escapeHtml(recipient)}</td>
+            <td>${escapeHtml(SOURCE_LABELS[m.source] || m.source || '-')}</td>
+            <td>${m.hasMedia ? '🖼️ ' : ''}${escapeHtml(text)}</td>
+            <td>${statusHtml}</td>
+            <td class="kw-actions">
+                <button class="btn btn-small btn-action" onclick="window._resendOutbox(${m.id})" title="שלח שוב">🔁</button>
+                <button class="btn btn-small btn-action btn-danger-action" onclick="window._deleteOutbox(${m.id})" title="מחק">🗑️</button>
+            </td>
+        </tr>`;
+    }).join('');
+}
+
+export function setupOutbox() {
+    window._resendOutbox = async (id) => {
+        try {
+            const res = await fetch(`/api/outbox/${id}/resend`, { method: 'POST' });
+            const data = await res.json();
+            if (!res.ok) alert(data.error || 'שליחה חוזרת נכשלה');
+            loadOutbox();
+        } catch (err) { console.error(err); }
+    };
+
+    window._deleteOutbox = async (id) => {
+        const confirmed = await showConfirmModal('מחיקת הודעה', 'האם למחוק את ההודעה מהתור? היא לא תישלח.');
+        if (!confirmed) return;
+        try {
+            await fetch(`/api/outbox/${id}`, { method: 'DELETE' });
+            loadOutbox();
+        } catch (err) { console.error(err); }
+    };
+}
@@ -0,0 +1,203 @@
+import { escapeHtml, escapeAttr, showConfirmModal } from '../core/utils.js';
+
+const ROLE_LABELS = { admin: 'מנהל', adult: 'מבוגר', child: 'ילד', guest: 'אורח' };
+const MODE_LABELS = { all: 'כל הכלים', allow: 'רק המסומנים', deny: 'הכל חוץ מהמסומנים' };
+
+let peopleCache = [];
+
+export async function loadPeople() {
+    const peopleTbody = document.getElementById('people-tbody');
+    try {
+        const res = await fetch('/api/people');
+        const data = await res.json();
+        if (data.success) {
+            peopleCache = data.people;
+            renderPeople(data.people);
+            const defaultRole = document.getElementById('people-default-role');
+            if (defaultRole) {
+                defaultRole.textContent = `מורשים שלא ברשימה מקבלים את התפקיד "${ROLE_LABELS[data.defaultRole] || data.defaultRole}" (WHATSAPP_DEFAULT_ROLE).`;
+            }
+        }
+    } catch (err) {
+        console.error('Failed to load people:', err);
+        if (peopleTbody) peopleTbody.innerHTML = '<tr class="empty-row"><td colspan="5">שגיאה בטעינת אנשים</td></tr>';
+    }
+    loadPermissions();
+}
+
+function renderPeople(people) {
+    const peopleTbody = document.getElementById('people-tbody');
+    if (!peopleTbody) return;
+
+    if (people.length === 0) {
+        peopleTbody.innerHTML = '<tr class="empty-row"><td colspan="5">אין אנשים רשומים</td></tr>';
+        return;
+    }
+
+    peopleTbody.innerHTML = people.map(p => `
+        <tr data-id="${p.id}">
+            <td class="kw-keyword">${escapeHtml(p.name)}</td>
+            <td><code dir="ltr">${escapeHtml(p.phone)}</code></td>
+            <td><span class="type-badge ${p.role === 'admin' ? 'type-badge-ai' : 'type-badge-static'}">${ROLE_LABELS[p.role] || p.role}</span></td>
+            <td>${p.birth_date ? escapeHtml(p.birth_date.split('-').reverse().join('/')) : '-'}</td>
+            <td class="kw-actions">
+                <button class="btn btn-small btn-action" onclick="window._editPerson(${p.id})">✏️</button>
+                <button class="btn btn-small btn-action btn-danger-action" onclick="window._deletePerson(${p.id})">🗑️</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+async function loadPermissions() {
+    const container = document.getElementById('permissions-roles');
+    if (!container) return;
+    try {
+        const [policyRes, toolsRes] = await Promise.all([fetch('/api/permissions'), fetch('/api/groups/tools')]);
+        const { roles, policy } = await policyRes.json();
+        const tools = (await toolsRes.json()).tools || [];
+        container.innerHTML = roles.map(role => {
+            const rule = policy[role];
+            // Keep tools that are in the policy but not currently registered (e.g. Home Assistant offline)
+            const names = [...new Set([...tools.map(t => t.name), ...rule.tools])];
+            return `
+                <div class="form-group" data-role="${role}">
+                    <label>
+                        <strong>${ROLE_LABELS[role]}</strong>
+                        <select class="form-input permission-mode" style="width: auto; display: inline-block; margin-inline-start: 8px;">
+                            ${Object.entries(MODE_LABELS).map(([mode, label]) => `<option value="${mode}" ${rule.mode === mode ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <div class="permission-tools" style="display: ${rule.mode === 'all' ? 'none' : 'block'}; max-height: 220px; overflow-y: auto; columns: 2; font-size: 12px;">
+                        ${names.map(name => {
+                            const tool = tools.find(t => t.name === name);
+                            return `
+                                <label style="display: block;" title="${escapeAttr(tool ? tool.description || '' : '')}" dir="ltr">
+                                    <input type="checkbox" value="${escapeAttr(name)}" ${rule.tools.includes(name) ? 'checked' : ''}> ${escapeHtml(name)}
+                                </label>`;
+                        }).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.permission-mode').forEach(select => {
+            select.addEventListener('change', () => {
+                select.closest('[data-role]').querySelector('.permission-tools').style.display = select.value === 'all' ? 'none' : 'block';
+            });
+        });
+    } catch (err) {
+        console.error('Failed to load permissions:', err);
+        container.innerHTML = '<p>שגיאה בטעינת ההרשאות</p>';
+    }
+}
+
+async function savePermissions() {
+    const saveBtn = document.getElementById('permissions-save');
+    const status = document.getElementById('permissions-status');
+    const policy = {};
+    document.querySelectorAll('#permissions-roles [data-role]').forEach(el => {
+        policy[el.dataset.role] = {
+            mode: el.querySelector('.permission-mode').value,
+            tools: [...el.querySelectorAll('.permission-tools input:checked')].map(cb => cb.value)
+        };
+    });
+
+    if (saveBtn) saveBtn.disabled = true;
+    try {
+        const res = await fetch('/api/permissions', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ policy })
+        });
+        const data = await res.json();
+        if (status) status.textContent = data.success ? '✅ נשמר' : `❌ ${data.error || 'שגיאה בשמירה'}`;
+    } catch (err) {
+        if (status) status.textContent = '❌ שגיאה בשמירה';
+    } finally {
+        if (saveBtn) saveBtn.disabled = false;
+    }
+}
+
+export function setupPeople() {
+    const addPersonBtn = document.getElementById('add-person-btn');
+    const personCancelBtn = document.getElementById('person-cancel');
+    const personSaveBtn = document.getElementById('person-save');
+    const permissionsSaveBtn = document.getElementById('permissions-save');
+
+    if (addPersonBtn) addPersonBtn.addEventListener('click', () => showPersonForm());
+    if (personCancelBtn) personCancelBtn.addEventListener('click', hidePersonForm);
+    if (personSaveBtn) personSaveBtn.addEventListener('click', savePerson);
+    if (permissionsSaveBtn) permissionsSaveBtn.addEventListener('click', savePermissions);
+
+    window._editPerson = function (id) {
+        const person = peopleCache.find(p => p.id === id);
+        if (person) showPersonForm(person);
+    };
+
+    window._deletePerson = async function (id) {
+        const confirmed = await showConfirmModal('מחיקת אדם', 'האם למחוק את האדם מהרשימה? הוא יקבל את תפקיד ברירת המחדל.');
+        if (!confirmed) return;
+        try {
+            await fetch(`/api/people/${id}`, { method: 'DELETE' });
+            loadPeople();
+        } catch (err) {
+            alert('שגיאה במחיקה');
+        }
+    };
+}
+
+function showPersonForm(person = null) {
+    const personForm = document.getElementById('person-form');
+    if (!personForm) return;
+
+    document.getElementById('person-edit-id').value = person ? person.id : '';
+    document.getElementById('person-name').value = person ? person.name : '';
+    document.getElementById('person-phone').value = person ? person.phone : '';
+    document.getElementById('person-role').value = person ? person.role : 'adult';
+    document.getElementById('person-birth-date').value = person ? (person.birth_date || '') : '';
+
+    personForm.style.display = 'block';
+    document.getElementById('person-name').focus();
+}
+
+function hidePersonForm() {
+    const personForm = document.getElementById('person-form');
+    if (!personForm) return;
+    personForm.style.display = 'none';
+    document.getElementById('person-edit-id').value = '';
+}
+
+async function savePerson() {
+    const personSaveBtn = document.getElementById('person-save');
+    const id = document.getElementById('person-edit-id').value;
+    const name = document.getElementById('person-name').value.trim();
+    const phone = document.getElementById('person-phone').value.trim();
+    const role = document.getElementById('person-role').value;
+    const birthDate = document.getElementById('person-birth-date').value || null;
+
+    if (!name || !phone) {
+        alert('יש למלא שם וטלפון');
+        return;
+    }
+
+    if (personSaveBtn) personSaveBtn.disabled = true;
+
+    try {
+        const res = await fetch(id ? `/api/people/${id}` : '/api/people', {
+            method: id ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, phone, role, birthDate })
+        });
+        const data = await res.json();
+        if (data.success) {
+            hidePersonForm();
+            loadPeople();
+        } else {
+            alert(data.error || 'שגיאה בשמירה');
+        }
+    } catch (err) {
+        alert('שגיאה בשמירה');
+    } finally {
+        if (personSaveBtn) personSaveBtn.disabled = false;
+    }
+}
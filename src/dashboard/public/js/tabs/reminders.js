@@ -1,11 +1,22 @@
-import { escapeHtml, escapeAttr, showConfirmModal } from '../core/utils.js';
+import { escapeHtml, showConfirmModal } from '../core/utils.js';
+import { fillGroupSelect, groupLabel, loadGroups } from './groups.js';
+
+const RECURRENCE_PRESETS = { 'FREQ=DAILY': 'daily', 'FREQ=WEEKLY': 'weekly', 'FREQ=YEARLY': 'yearly' };
+
+let remindersCache = [];
+let peopleCache = [];
 
 export async function loadReminders() {
     const remindersTbody = document.getElementById('reminders-tbody');
     try {
         const res = await fetch('/api/reminders');
         const data = await res.json();
-        if (data.success) renderReminders(data.reminders);
+        await loadGroups(); // Group names for the table
+        await loadPeopleOptions();
+        if (data.success) {
+            remindersCache = data.reminders;
+            renderReminders(data.reminders);
+        }
     } catch (err) {
         console.error('Failed to load reminders:', err);
         if (remindersTbody) remindersTbody.innerHTML = '<tr class="empty-row"><td colspan="5">שגיאה בטעינת תזכורות</td></tr>';
@@ -25,6 +36,7 @@ function renderReminders(reminders) {
         const dueDate = new Date(r.due_date);
         if (r.status !== 'pending') return Infinity; // non-pending go to bottom
         if (now < dueDate) return dueDate.getTime(); // first nudge at due date
+        if (r.next_nudge_at && new Date(r.next_nudge_at) > now) return new Date(r.next_nudge_at).getTime(); // held by quiet time
         if (!r.last_nudged) return 0; // immediate nudge — put at very top
         const nextNudge = new Date(r.last_nudged).getTime() + (r.nudge_interval_minutes * 60000);
         return nextNudge <= now.getTime() ? 0 : nextNudge; // immediate or future
@@ -64,6 +76,10 @@ function renderReminders(reminders) {
                         nextNudgeStr = 'מיידי (בדקה הקרובה)';
                     }
                 }
+                // Held by quiet hours / Shabbat
+                if (r.next_nudge_at && new Date(r.next_nudge_at) > now) {
+                    nextNudgeStr = `🌙 ${new Date(r.next_nudge_at).toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' })}`;
+                }
             }
         }
 
@@ -76,14 +92,14 @@ function renderReminders(reminders) {
 
         return `
         <tr data-id="${r.id}">
-            <td class="kw-keyword"><strong>${escapeHtml(r.title)}</strong><br><small style="color:var(--gray)">נדנוד כל ${r.nudge_interval_minutes} דק'</small></td>
+            <td class="kw-keyword"><strong>${escapeHtml(r.title)}</strong><br><small style="color:var(--gray)">נדנוד כל ${r.nudge_interval_minutes} דק' · 👥 ${escapeHtml(groupLabel(r.group_jid))}</small>${r.assignee ? `<br><small style="color:var(--gray)">👤 ${escapeHtml(r.assignee_name)} (${r.assignee_delivery === 'group' ? 'תיוג בקבוצה' : 'בפרטי'})${r.escalated_at ? ' · ⏰ הוסלם' : ''}</small>` : ''}${r.recurrence_text ? `<br><small style="color:var(--gray)">🔁 ${escapeHtml(r.recurrence_text)} · מופע ${r.occurrence}</small>` : ''}</td>
             <td><code dir="ltr" style="background:var(--light-bg);padding:2px 6px;border-radius:4px;">${dueDateStr}</code></td>
             <td>${nudgedStr}</td>
             <td><code dir="ltr" style="background:var(--light-bg);padding:2px 6px;border-radius:4px;">${nextNudgeStr}</code></td>
             <td>${statusHtml}</td>
             <td class="kw-actions">
                 ${r.status === 'pending' ? `<button class="btn btn-small btn-action" onclick="window._markReminderDone(${r.id})" title="סמן כבוצע">✔️</button>` : ''}
-                <button class="btn btn-small btn-action" onclick="window._editReminder(${r.id}, '${escapeAttr(r.title)}', '${r.due_date}', ${r.nudge_interval_minutes})" title="ערוך">✏️</button>
+                <button class="btn btn-small btn-action" onclick="window._editReminder(${r.id})" title="ערוך">✏️</button>
                 <button class="btn btn-small btn-action btn-danger-action" onclick="window._deleteReminder(${r.id})" title="מחק">🗑️</button>
             </td>
         </tr>`;
@@ -98,14 +114,18 @@ export function setupReminders() {
     if (addReminderBtn) addReminderBtn.addEventListener('click', () => showReminderForm());
     if (reminderCancelBtn) reminderCancelBtn.addEventListener('click', hideReminderForm);
     if (reminderSaveBtn) reminderSaveBtn.addEventListener('click', saveReminder);
+    const recurrenceSelect = document.getElementById('reminder-recurrence');
+    if (recurrenceSelect) recurrenceSelect.addEventListener('change', updateRecurrenceFields);
 
-    window._editReminder = function (id, title, dueDate, interval) {
+    window._editReminder = function (id) {
+        const r = remindersCache.find(reminder => reminder.id === id);
+        if (!r) return;
         // Convert ISO date to local datetime-local format
-        const date = new Date(dueDate);
+        const date = new Date(r.due_date);
         const tzoffset = (date.getTimezoneOffset() * 60000);
         const localISOTime = (new Date(date - tzoffset)).toISOString().slice(0, 16);
 
-        showReminderForm(id, title, localISOTime, interval);
+        showReminderForm(id, r.title, localISOTime, r.nudge_interval_minutes, r.group_jid || '', r);
     };
 
     window._markReminderDone = async (id) => {
@@ -129,7 +149,7 @@ export function setupReminders() {
     };
 }
 
-function showReminderForm(id = '', title = '', dueDate = '', interval = 60) {
+function showReminderForm(id = '', title = '', dueDate = '', interval = 60, groupJid = '', details = {}) {
     const reminderForm = document.getElementById('reminder-form');
     const reminderEditId = document.getElementById('reminder-edit-id');
     const reminderTitle = document.getElementById('reminder-title');
@@ -149,6 +169,9 @@ function showReminderForm(id = '', title = '', dueDate = '', interval = 60) {
         reminderDueDate.value = new Date(now - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
     }
 
+    fillGroupSelect(document.getElementById('reminder-group'), groupJid);
+    fillRecurrenceFields(details);
+    fillNudgeFields(details);
     reminderForm.style.display = 'block';
     reminderTitle.focus();
 }
@@ -165,6 +188,81 @@ function hideReminderForm() {
     reminderTitle.value = '';
     reminderDueDate.value = '';
     reminderInterval.value = 60;
+    fillRecurrenceFields({});
+    fillNudgeFields({});
+}
+
+async function loadPeopleOptions() {
+    try {
+        const res = await fetch('/api/people');
+        const data = await res.json();
+        if (data.success) peopleCache = data.people;
+    } catch (err) {
+        console.error('Failed to load people:', err);
+    }
+}
+
+function fillNudgeFields({
+    assignee = null, assignee_name: assigneeName = null, assignee_delivery: delivery = 'private', escalate_after: escalateAfter = null, escalate_to: escalateTo = null,
+    quiet_hours: quietHours = null, shabbat_quiet: shabbatQuiet = null, max_nudges: maxNudges = null
+}) {
+    const select = document.getElementById('reminder-assignee');
+    const options = peopleCache.map(p => ({ value: p.phone, label: p.name }));
+    // Keep an assignee that is not in the people list (e.g. ADMIN_PHONE)
+    if (assignee && !options.some(o => o.value === assignee)) options.push({ value: assignee, label: assigneeName || assignee });
+    select.innerHTML = '<option value="">כל הקבוצה</option>'
+        + options.map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`).join('');
+    select.value = assignee || '';
+    document.getElementById('reminder-delivery').value = delivery || 'private';
+    document.getElementById('reminder-escalate-after').value = escalateAfter ?? '';
+    document.getElementById('reminder-escalate-to').value = escalateTo || '';
+    document.getElementById('reminder-quiet-hours').value = quietHours || '';
+    document.getElementById('reminder-shabbat-quiet').value = shabbatQuiet === null ? '' : String(!!shabbatQuiet);
+    document.getElementById('reminder-max-nudges').value = maxNudges ?? '';
+}
+
+function readNudgeFields() {
+    const escalateAfter = document.getElementById('reminder-escalate-after').value;
+    const maxNudges = document.getElementById('reminder-max-nudges').value;
+    const shabbatQuiet = document.getElementById('reminder-shabbat-quiet').value;
+    return {
+        assignee: document.getElementById('reminder-assignee').value || null,
+        assigneeDelivery: document.getElementById('reminder-delivery').value,
+        escalateAfter: escalateAfter === '' ? null : parseInt(escalateAfter),
+        escalateTo: document.getElementById('reminder-escalate-to').value || null,
+        quietHours: document.getElementById('reminder-quiet-hours').value.trim() || null,
+        shabbatQuiet: shabbatQuiet === '' ? null : shabbatQuiet === 'true',
+        maxNudges: maxNudges === '' ? null : parseInt(maxNudges)
+    };
+}
+
+function fillRecurrenceFields({ recurrence = null, recurrence_end: end = null, recurrence_count: count = null }) {
+    const rule = recurrence || '';
+    // Plain presets map back to the select; a monthly rule is anchored to the due date's day
+    const preset = RECURRENCE_PRESETS[rule] || (/^FREQ=MONTHLY;BYMONTHDAY=\d+$/.test(rule) ? 'monthly' : null);
+    document.getElementById('reminder-recurrence').value = rule ? (preset || 'custom') : '';
+    document.getElementById('reminder-rrule').value = rule && !preset ? rule : '';
+    document.getElementById('reminder-recurrence-end').value = end
+        ? new Date(end).toLocaleDateString('en-CA', { timeZone: 'Asia/Jerusalem' })
+        : '';
+    document.getElementById('reminder-recurrence-count').value = count || '';
+    updateRecurrenceFields();
+}
+
+function updateRecurrenceFields() {
+    const value = document.getElementById('reminder-recurrence').value;
+    document.getElementById('reminder-rrule-group').style.display = value === 'custom' ? 'block' : 'none';
+    document.querySelectorAll('.reminder-recurrence-limit').forEach(el => { el.style.display = value ? 'block' : 'none'; });
+}
+
+function readRecurrenceFields() {
+    const value = document.getElementById('reminder-recurrence').value;
+    if (!value) return { recurrence: null };
+    return {
+        recurrence: value === 'custom' ? document.getElementById('reminder-rrule').value.trim() : value,
+        recurrenceEnd: document.getElementById('reminder-recurrence-end').value || null,
+        recurrenceCount: parseInt(document.getElementById('reminder-recurrence-count').value) || null
+    };
 }
 
 async function saveReminder() {
@@ -178,8 +276,11 @@ async function saveReminder() {
     const title = reminderTitle.value.trim();
     const dueDate = reminderDueDate.value;
     const interval = parseInt(reminderInterval.value) || 60;
+    const groupJid = document.getElementById('reminder-group').value || null;
 
     if (!title || !dueDate) { alert('יש למלא תיאור ותאריך יעד'); return; }
+    const recurrence = readRecurrenceFields();
+    if (recurrence.recurrence === '') { alert('יש למלא חוק חזרה'); return; }
 
     reminderSaveBtn.disabled = true;
     try {
@@ -189,7 +290,7 @@ async function saveReminder() {
         const res = await fetch(url, {
             method,
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ title, dueDate: new Date(dueDate).toISOString(), nudgeIntervalMinutes: interval })
+            body: JSON.stringify({ title, dueDate: new Date(dueDate).toISOString(), nudgeIntervalMinutes: interval, groupJid, ...recurrence, ...readNudgeFields() })
         });
         const data = await res.json();
         if (data.success || data.id) { hideReminderForm(); loadReminders(); }
@@ -1,14 +1,16 @@
 import { escapeHtml, escapeAttr, showConfirmModal } from '../core/utils.js';
+import { fillGroupSelect, groupLabel, loadGroups } from './groups.js';
 
 export async function loadSchedules() {
     const schedulesTbody = document.getElementById('schedules-tbody');
     try {
         const res = await fetch('/api/scheduled-prompts');
         const data = await res.json();
+        await loadGroups(); // Group names for the table
         renderSchedules(data.prompts || []);
     } catch (err) {
         console.error('Failed to load schedules:', err);
-        if (schedulesTbody) schedulesTbody.innerHTML = '<tr class="empty-row"><td colspan="5">שגיאה בטעינת תזמונים</td></tr>';
+        if (schedulesTbody) schedulesTbody.innerHTML = '<tr class="empty-row"><td colspan="6">שגיאה בטעינת תזמונים</td></tr>';
     }
 }
 
@@ -17,7 +19,7 @@ function renderSchedules(prompts) {
     if (!schedulesTbody) return;
 
     if (prompts.length === 0) {
-        schedulesTbody.innerHTML = '<tr class="empty-row"><td colspan="5">אין פעולות מתוזמנות. לחצו "הוסף" כדי להתחיל.</td></tr>';
+        schedulesTbody.innerHTML = '<tr class="empty-row"><td colspan="6">אין פעולות מתוזמנות. לחצו "הוסף" כדי להתחיל.</td></tr>';
         return;
     }
 
@@ -26,14 +28,15 @@ function renderSchedules(prompts) {
             <td class="kw-keyword">${escapeHtml(p.name)}</td>
             <td><code dir="ltr">${escapeHtml(p.cron_expression)}</code></td>
             <td class="kw-response">${escapeHtml(p.prompt).substring(0, 50)}${p.prompt.length > 50 ? '...' : ''}</td>
+            <td>${escapeHtml(groupLabel(p.group_jid))}</td>
             <td>
                 <label class="toggle-switch">
-                    <input type="checkbox" ${p.enabled ? 'checked' : ''} onchange="window._toggleSchedule(${p.id}, '${escapeAttr(p.name)}', '${escapeAttr(p.cron_expression)}', '${escapeAttr(p.prompt)}', this.checked)">
+                    <input type="checkbox" ${p.enabled ? 'checked' : ''} onchange="window._toggleSchedule(${p.id}, '${escapeAttr(p.name)}', '${escapeAttr(p.cron_expression)}', '${escapeAttr(p.prompt)}', this.checked, '${escapeAttr(p.group_jid || '')}')">
                     <span class="toggle-slider"></span>
                 </label>
             </td>
             <td class="kw-actions">
-                <button class="btn btn-small btn-action" onclick="window._editSchedule(${p.id}, '${escapeAttr(p.name)}', '${escapeAttr(p.cron_expression)}', '${escapeAttr(p.prompt)}')">✏️</button>
+                <button class="btn btn-small btn-action" onclick="window._editSchedule(${p.id}, '${escapeAttr(p.name)}', '${escapeAttr(p.cron_expression)}', '${escapeAttr(p.prompt)}', '${escapeAttr(p.group_jid || '')}')">✏️</button>
                 <button class="btn btn-small btn-action btn-danger-action" onclick="window._deleteSchedule(${p.id})">🗑️</button>
             </td>
         </tr>
@@ -50,8 +53,8 @@ export function setupSchedules() {
     if (scheduleSaveBtn) scheduleSaveBtn.addEventListener('click', saveSchedule);
 
     // Global functions
-    window._editSchedule = function (id, name, cron, prompt) {
-        showScheduleForm(id, name, cron, prompt.replace(/\\n/g, '\n'));
+    window._editSchedule = function (id, name, cron, prompt, groupJid) {
+        showScheduleForm(id, name, cron, prompt.replace(/\\n/g, '\n'), groupJid);
     };
 
     window._deleteSchedule = async function (id) {
@@ -65,12 +68,12 @@ export function setupSchedules() {
         }
     };
 
-    window._toggleSchedule = async function (id, name, cron, prompt, enabled) {
+    window._toggleSchedule = async function (id, name, cron, prompt, enabled, groupJid) {
         try {
             await fetch(`/api/scheduled-prompts/${id}`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name, cronExpression: cron, prompt: prompt.replace(/\\n/g, '\n'), enabled })
+                body: JSON.stringify({ name, cronExpression: cron, prompt: prompt.replace(/\\n/g, '\n'), enabled, groupJid: groupJid || null })
             });
         } catch (err) {
             alert('שגיאה בעדכון');
@@ -79,7 +82,7 @@ export function setupSchedules() {
     };
 }
 
-function showScheduleForm(id = '', name = '', cron = '', prompt = '') {
+function showScheduleForm(id = '', name = '', cron = '', prompt = '', groupJid = '') {
     const scheduleForm = document.getElementById('schedule-form');
     const scheduleEditId = document.getElementById('schedule-edit-id');
     const scheduleName = document.getElementById('schedule-name');
@@ -92,6 +95,7 @@ function showScheduleForm(id = '', name = '', cron = '', prompt = '') {
     scheduleName.value = name;
     scheduleCron.value = cron;
     schedulePrompt.value = prompt;
+    fillGroupSelect(document.getElementById('schedule-group'), groupJid);
     scheduleForm.style.display = 'block';
     scheduleName.focus();
 }
@@ -123,6 +127,7 @@ async function saveSchedule() {
     const name = scheduleName.value.trim();
     const cron = scheduleCron.value.trim();
     const prompt = schedulePrompt.value.trim();
+    const groupJid = document.getElementById('schedule-group').value || null;
 
     if (!name || !cron || !prompt) {
         alert('יש למלא שם, הגדרת CRON ותיאור משימה');
@@ -137,13 +142,13 @@ async function saveSchedule() {
             res = await fetch(`/api/scheduled-prompts/${id}`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name, cronExpression: cron, prompt })
+                body: JSON.stringify({ name, cronExpression: cron, prompt, groupJid })
             });
         } else {
             res = await fetch('/api/scheduled-prompts', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name, cronExpression: cron, prompt })
+                body: JSON.stringify({ name, cronExpression: cron, prompt, groupJid })
             });
         }
 
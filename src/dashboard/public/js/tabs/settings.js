@@ -3,9 +3,11 @@ export async function loadSettings() {
         const res = await fetch('/api/settings');
         const data = await res.json();
         if (data.settings) {
-            Object.keys(data.settings).forEach(key => {
-                const el = document.getElementById(key);
-                if (el) el.value = data.settings[key];
+            document.querySelectorAll('.settings-panel [data-env]').forEach(el => {
+                const value = data.settings[el.dataset.env];
+                if (value !== undefined) el.value = value;
+                // Remember the loaded value so only changed fields are saved
+                el.dataset.loaded = el.value;
             });
         }
     } catch (err) {
@@ -22,22 +24,36 @@ export function setupSettings() {
             saveSettingsBtn.disabled = true;
             saveSettingsBtn.textContent = '...שומר';
 
-            const payload = {};
-            document.querySelectorAll('.settings-panel input, .settings-panel select, .settings-panel textarea').forEach(el => {
-                if (el.id && el.value !== undefined) {
-                    payload[el.id] = el.value;
+            // Only send changed fields, so values coming from the real environment
+            // (and therefore missing from the form) are never overwritten with blanks
+            const settings = {};
+            document.querySelectorAll('.settings-panel [data-env]').forEach(el => {
+                const value = el.value.trim();
+                if (value !== (el.dataset.loaded ?? '')) {
+                    settings[el.dataset.env] = value;
                 }
             });
 
+            if (Object.keys(settings).length === 0) {
+                showStatus('אין שינויים לשמירה', 'success');
+                saveSettingsBtn.disabled = false;
+                saveSettingsBtn.textContent = '💾 שמור הגדרות';
+                return;
+            }
+
             try {
                 const res = await fetch('/api/settings', {
                     method: 'PUT',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(payload)
+                    body: JSON.stringify({ settings })
                 });
                 const data = await res.json();
 
                 if (data.success) {
+                    Object.keys(settings).forEach(key => {
+                        const el = document.querySelector(`.settings-panel [data-env="${key}"]`);
+                        if (el) el.dataset.loaded = settings[key];
+                    });
                     showStatus('נשמר בהצלחה ✓', 'success');
                 } else {
                     showStatus(data.error || 'שגיאה בשמירה', 'error');
@@ -46,7 +62,7 @@ export function setupSettings() {
                 showStatus('שגיאה בשמירה', 'error');
             } finally {
                 saveSettingsBtn.disabled = false;
-                saveSettingsBtn.textContent = 'שמור שינויים';
+                saveSettingsBtn.textContent = '💾 שמור הגדרות';
             }
         });
     }
@@ -0,0 +1,101 @@
+import { escapeHtml, showConfirmModal } from '../core/utils.js';
+
+let summariesCache = [];
+
+export async function loadSummaries() {
+    const summariesTbody = document.getElementById('summaries-tbody');
+    try {
+        const res = await fetch('/api/conversation-summaries');
+        const data = await res.json();
+        if (data.success) {
+            summariesCache = data.summaries;
+            renderSummaries(data.summaries);
+        }
+    } catch (err) {
+        console.error('Failed to load conversation summaries:', err);
+        if (summariesTbody) summariesTbody.innerHTML = '<tr class="empty-row"><td colspan="5">שגיאה בטעינת סיכומים</td></tr>';
+    }
+}
+
+function renderSummaries(summaries) {
+    const summariesTbody = document.getElementById('summaries-tbody');
+    if (!summariesTbody) return;
+    if (summaries.length === 0) {
+        summariesTbody.innerHTML = '<tr class="empty-row"><td colspan="5">אין עדיין סיכומים. סיכום נוצר כשהודעות יוצאות מחלון ההיסטוריה.</td></tr>';
+        return;
+    }
+
+    summariesTbody.innerHTML = summaries.map((s, idx) => {
+        // SQLite CURRENT_TIMESTAMP is UTC without a zone suffix
+        const updatedStr = s.updated_at ? new Date(`${s.updated_at.replace(' ', 'T')}Z`).toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' }) : '-';
+        const preview = s.summary.length > 160 ? `${s.summary.substring(0, 160)}...` : s.summary;
+        return `
+        <tr data-idx="${idx}">
+            <td><code dir="ltr" style="background:var(--light-bg);padding:2px 6px;border-radius:4px;">${escapeHtml(s.context_id)}</code><br><small style="color:var(--gray)">${s.stored_messages} הודעות שמורות</small></td>
+            <td class="kw-response" style="white-space:pre-line;">${escapeHtml(preview) || '<small style="color:var(--gray)">(ריק)</small>'}</td>
+            <td>${s.message_count}</td>
+            <td>${updatedStr}${s.edited_manually ? '<br><small style="color:var(--gray)">נערך ידנית</small>' : ''}</td>
+            <td class="kw-actions">
+                <button class="btn btn-small btn-action" onclick="window._editSummary(${idx})" title="ערוך">✏️</button>
+                <button class="btn btn-small btn-action btn-danger-action" onclick="window._deleteSummary(${idx})" title="מחק">🗑️</button>
+            </td>
+        </tr>`;
+    }).join('');
+}
+
+export function setupSummaries() {
+    const refreshBtn = document.getElementById('refresh-summaries-btn');
+    const cancelBtn = document.getElementById('summary-cancel');
+    const saveBtn = document.getElementById('summary-save');
+
+    if (refreshBtn) refreshBtn.addEventListener('click', loadSummaries);
+    if (cancelBtn) cancelBtn.addEventListener('click', hideSummaryForm);
+    if (saveBtn) saveBtn.addEventListener('click', saveSummary);
+
+    window._editSummary = function (idx) {
+        const s = summariesCache[idx];
+        if (!s) return;
+        document.getElementById('summary-edit-id').value = s.context_id;
+        document.getElementById('summary-edit-label').textContent = s.context_id;
+        document.getElementById('summary-text').value = s.summary;
+        document.getElementById('summary-form').style.display = 'block';
+        document.getElementById('summary-text').focus();
+    };
+
+    window._deleteSummary = async function (idx) {
+        const s = summariesCache[idx];
+        if (!s) return;
+        const confirmed = await showConfirmModal('מחיקת סיכום', 'למחוק את סיכום השיחה? היסטוריית ההודעות לא תימחק.');
+        if (!confirmed) return;
+        try {
+            await fetch(`/api/conversation-summaries/${encodeURIComponent(s.context_id)}`, { method: 'DELETE' });
+            loadSummaries();
+        } catch (err) {
+            alert('שגיאה במחיקה');
+        }
+    };
+}
+
+function hideSummaryForm() {
+    document.getElementById('summary-form').style.display = 'none';
+    document.getElementById('summary-edit-id').value = '';
+}
+
+async function saveSummary() {
+    const contextId = document.getElementById('summary-edit-id').value;
+    const summary = document.getElementById('summary-text').value;
+    if (!contextId) return;
+
+    try {
+        const res = await fetch(`/api/conversation-summaries/${encodeURIComponent(contextId)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ summary })
+        });
+        if (!res.ok) throw new Error('Save failed');
+        hideSummaryForm();
+        loadSummaries();
+    } catch (err) {
+        alert('שגיאה בשמירה');
+    }
+}
@@ -16,13 +16,13 @@ async function exists(filePath) {
 
 export default function createBackupRoutes(deps) {
     const router = Router();
-    const { requireAuth, db, logger, server } = deps;
+    const { requireAuth, db, logger, server, permissionManagerPromise, schedulerManagerPromise, watchRuleManagerPromise } = deps;
 
     const getBackupsDir = () => path.resolve(process.cwd(), 'data', 'backups');
 
     router.post('/api/restore', requireAuth, express.json({limit: '10mb'}), asyncHandler(async (req, res) => {
-        const { knowledge, skills, keywords, ha_mappings, scheduled_prompts, reminders, settings } = req.body;
-        if (!knowledge && !skills && !keywords && !ha_mappings && !scheduled_prompts && !reminders && !settings) {
+        const { knowledge, skills, keywords, ha_mappings, ha_aliases, ha_watch_rules, scheduled_prompts, briefings, reminders, whatsapp_groups, people, calendars, tool_policy, settings } = req.body;
+        if (!knowledge && !skills && !keywords && !ha_mappings && !ha_aliases && !ha_watch_rules && !scheduled_prompts && !briefings && !reminders && !whatsapp_groups && !people && !calendars && !settings) {
             const err = new Error('Invalid backup format');
             err.statusCode = 400;
             throw err;
@@ -30,6 +30,7 @@ export default function createBackupRoutes(deps) {
 
         const knowledgeDir = path.resolve(process.cwd(), 'data', 'knowledge');
         const skillsDir = path.resolve(process.cwd(), 'data', 'skills');
+        const missingPassword = []; // Restored CalDAV calendars whose password has to be entered again
 
         // Restore MD files
         if (knowledge) {
@@ -71,32 +72,128 @@ export default function createBackupRoutes(deps) {
             if (ha_mappings && Array.isArray(ha_mappings)) {
                 db.db.exec('DELETE FROM ha_mappings');
                 for (const m of ha_mappings) {
-                    try { db.addHaMapping(m.entity_id, m.nickname, m.location, m.type); } catch { /* skip duplicates */ }
+                    try { db.addHaMapping(m.entity_id, m.nickname, m.location, m.type, m.area_id); } catch { /* skip duplicates */ }
                 }
                 logger.info('Restored HA mappings', { count: ha_mappings.length });
             }
 
+            if (ha_aliases && Array.isArray(ha_aliases)) {
+                db.db.exec('DELETE FROM ha_aliases');
+                for (const a of ha_aliases) {
+                    if (['area', 'floor'].includes(a.target_type) && a.target_id) db.setHaAliases(a.target_type, a.target_id, a.aliases);
+                }
+                logger.info('Restored HA area aliases', { count: ha_aliases.length });
+            }
+
+            if (ha_watch_rules && Array.isArray(ha_watch_rules)) {
+                db.db.exec('DELETE FROM ha_watch_rules');
+                for (const r of ha_watch_rules) {
+                    try {
+                        db.addWatchRule({
+                            name: r.name, entityId: r.entity_id, toState: r.to_state, above: r.above, below: r.below,
+                            forMinutes: r.for_minutes, activeHours: r.active_hours, message: r.message, raw: !!r.raw,
+                            groupJid: r.group_jid, personPhone: r.person_phone, cooldownMinutes: r.cooldown_minutes, enabled: r.enabled !== 0
+                        });
+                    } catch { /* skip duplicates */ }
+                }
+                const watchRuleManager = await watchRuleManagerPromise;
+                watchRuleManager.reload();
+                logger.info('Restored watch rules', { count: ha_watch_rules.length });
+            }
+
             if (scheduled_prompts && Array.isArray(scheduled_prompts)) {
                 db.db.exec('DELETE FROM scheduled_prompts');
                 for (const p of scheduled_prompts) {
-                    try { db.addScheduledPrompt(p.name, p.prompt, p.cron_expression, p.enabled); } catch { /* skip */ }
+                    try { db.addScheduledPrompt(p.name, p.prompt, p.cron_expression, p.enabled, p.group_jid); } catch { /* skip */ }
                 }
                 logger.info('Restored scheduled prompts', { count: scheduled_prompts.length });
             }
 
+            if (briefings && Array.isArray(briefings)) {
+                db.db.exec('DELETE FROM briefings');
+                for (const b of briefings) {
+                    try {
+                        db.addBriefing({
+                            name: b.name, sections: b.sections, cronExpression: b.cron_expression, groupJid: b.group_jid,
+                            personPhone: b.person_phone, weatherEntity: b.weather_entity, rssUrl: b.rss_url, enabled: b.enabled !== 0
+                        });
+                    } catch { /* skip duplicates */ }
+                }
+                logger.info('Restored briefings', { count: briefings.length });
+            }
+
+            if (scheduled_prompts || briefings) {
+                const schedulerManager = await schedulerManagerPromise;
+                schedulerManager.reload();
+            }
+
             if (reminders && Array.isArray(reminders)) {
                 db.db.exec('DELETE FROM reminders');
-                const stmt = db.db.prepare("UPDATE reminders SET last_nudged = ?, nudge_count = ?, created_at = ?, updated_at = ? WHERE id = ?");
+                const stmt = db.db.prepare("UPDATE reminders SET last_nudged = ?, nudge_count = ?, next_spawned = ?, escalated_at = ?, next_nudge_at = ?, created_at = ?, updated_at = ? WHERE id = ?");
                 for (const r of reminders) {
                     try { 
-                        const id = db.addReminder(r.title, r.due_date, r.nudge_interval_minutes);
+                        const recurrence = r.recurrence ? { rule: r.recurrence, until: r.recurrence_end, count: r.recurrence_count, occurrence: r.occurrence } : null;
+                        const options = {
+                            assignee: r.assignee, delivery: r.assignee_delivery, escalateAfter: r.escalate_after, escalateTo: r.escalate_to,
+                            quietHours: r.quiet_hours, shabbatQuiet: r.shabbat_quiet, maxNudges: r.max_nudges
+                        };
+                        const id = db.addReminder(r.title, r.due_date, r.nudge_interval_minutes, r.group_jid, recurrence, options);
                         db.updateReminderStatus(id, r.status);
-                        stmt.run(r.last_nudged, r.nudge_count || 0, r.created_at, r.updated_at, id);
+                        stmt.run(r.last_nudged, r.nudge_count || 0, r.next_spawned || 0, r.escalated_at || null, r.next_nudge_at || null, r.created_at, r.updated_at, id);
                     } catch { /* skip */ }
                 }
                 logger.info('Restored reminders', { count: reminders.length });
             }
 
+            if (whatsapp_groups && Array.isArray(whatsapp_groups)) {
+                db.db.exec('DELETE FROM whatsapp_groups');
+                for (const g of whatsapp_groups) {
+                    try {
+                        db.addWhatsappGroup({
+                            jid: g.jid, name: g.name, instructions: g.instructions, allowedTools: g.allowed_tools,
+                            isDefault: !!g.is_default, enabled: g.enabled !== 0
+                        });
+                    } catch { /* skip duplicates */ }
+                }
+                logger.info('Restored WhatsApp groups', { count: whatsapp_groups.length });
+            }
+
+            if (people && Array.isArray(people)) {
+                db.db.exec('DELETE FROM people');
+                for (const p of people) {
+                    try {
+                        db.addPerson({ phone: p.phone, name: p.name, role: p.role, birthDate: p.birth_date });
+                    } catch { /* skip duplicates and invalid roles */ }
+                }
+                logger.info('Restored people', { count: people.length });
+            }
+
+            if (calendars && Array.isArray(calendars)) {
+                // Backups carry no CalDAV passwords: keep the stored password of the same calendar, otherwise it is entered again in the Calendars tab
+                const passwords = new Map(db.getCalendars().filter(c => c.password).map(c => [`${c.name}|${c.source}`, c.password]));
+                db.db.exec('DELETE FROM calendars');
+                for (const c of calendars) {
+                    const password = passwords.get(`${c.name}|${c.source}`) || null;
+                    if (c.has_password && !password) missingPassword.push(c.name);
+                    try {
+                        db.addCalendar({
+                            name: c.name, type: c.type, source: c.source, username: c.username, password, owner: c.owner,
+                            isDefault: !!c.is_default, enabled: c.enabled !== 0
+                        });
+                    } catch { /* skip duplicates and invalid types */ }
+                }
+                logger.info('Restored calendars', { count: calendars.length });
+                if (missingPassword.length > 0) {
+                    logger.warn('Restored CalDAV calendars need their password again', { calendars: missingPassword });
+                }
+            }
+
+            if (tool_policy && typeof tool_policy === 'object') {
+                const permissionManager = await permissionManagerPromise;
+                permissionManager.setPolicy(tool_policy);
+                logger.info('Restored tool policy');
+            }
+
             if (settings && typeof settings === 'object') {
                 const ENV_PREFIX = 'env_';
                 for (const [key, value] of Object.entries(settings)) {
@@ -117,7 +214,7 @@ export default function createBackupRoutes(deps) {
             await server.geminiManager.reinit();
         }
 
-        res.json({ success: true, message: 'Full system backup restored successfully' });
+        res.json({ success: true, message: 'Full system backup restored successfully', ...(missingPassword.length > 0 && { calendarsMissingPassword: missingPassword }) });
     }));
 
     // ---- Backup Management API ----
@@ -158,7 +255,7 @@ export default function createBackupRoutes(deps) {
             version: 2,
             generated_at: new Date().toISOString(),
             knowledge: {}, skills: {}, keywords: [],
-            ha_mappings: [], scheduled_prompts: [], reminders: [], settings: {}
+            ha_mappings: [], ha_aliases: [], ha_watch_rules: [], scheduled_prompts: [], briefings: [], reminders: [], whatsapp_groups: [], people: [], calendars: [], tool_policy: null, settings: {}
         };
 
         if (await exists(knowledgeDir)) {
@@ -182,9 +279,16 @@ export default function createBackupRoutes(deps) {
         
         if (db) {
             backup.keywords = db.getKeywords().map(k => ({ keyword: k.keyword, response: k.response, type: k.type, enabled: k.enabled }));
-            backup.ha_mappings = db.getHaMappings().map(m => ({ entity_id: m.entity_id, nickname: m.nickname, location: m.location, type: m.type }));
-            backup.scheduled_prompts = db.getScheduledPrompts().map(p => ({ name: p.name, prompt: p.prompt, cron_expression: p.cron_expression, enabled: p.enabled }));
+            backup.ha_mappings = db.getHaMappings().map(m => ({ entity_id: m.entity_id, nickname: m.nickname, location: m.location, type: m.type, area_id: m.area_id }));
+            backup.ha_aliases = db.getHaAliases();
+            backup.scheduled_prompts = db.getScheduledPrompts().map(p => ({ name: p.name, prompt: p.prompt, cron_expression: p.cron_expression, enabled: p.enabled, group_jid: p.group_jid }));
+            backup.briefings = db.getBriefings().map(b => ({ name: b.name, sections: b.sections, cron_expression: b.cron_expression, group_jid: b.group_jid, person_phone: b.person_phone, weather_entity: b.weather_entity, rss_url: b.rss_url, enabled: b.enabled }));
+            backup.ha_watch_rules = db.getWatchRules().map(r => ({ name: r.name, entity_id: r.entity_id, to_state: r.to_state, above: r.above, below: r.below, for_minutes: r.for_minutes, active_hours: r.active_hours, message: r.message, raw: r.raw, group_jid: r.group_jid, person_phone: r.person_phone, cooldown_minutes: r.cooldown_minutes, enabled: r.enabled }));
             backup.reminders = db.getAllReminders();
+            backup.whatsapp_groups = db.getWhatsappGroups().map(g => ({ jid: g.jid, name: g.name, instructions: g.instructions, allowed_tools: g.allowed_tools, is_default: g.is_default, enabled: g.enabled }));
+            backup.people = db.getPeople().map(p => ({ phone: p.phone, name: p.name, role: p.role, birth_date: p.birth_date }));
+            backup.calendars = db.getCalendars().map(c => ({ name: c.name, type: c.type, source: c.source, username: c.username, has_password: !!c.password, owner: c.owner, is_default: c.is_default, enabled: c.enabled }));
+            backup.tool_policy = db.getConfig('tool_policy');
         }
 
         // Settings: .env baseline + DB overrides
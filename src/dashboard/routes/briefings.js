@@ -0,0 +1,153 @@
+import { Router } from 'express';
+import cron from 'node-cron';
+import { asyncHandler } from '../middleware/error.js';
+
+const SECTIONS = ['calendar', 'reminders', 'weather', 'news', 'birthdays', 'alerts'];
+
+export default function createBriefingsRoutes(deps) {
+    const router = Router();
+    const { requireAuth, db, logger, schedulerManagerPromise, briefingManagerPromise } = deps;
+
+    /**
+     * Validate and normalize a briefing from the request body
+     */
+    function parseBriefing(body) {
+        const { name, sections, cronExpression, groupJid, personPhone, weatherEntity, rssUrl, enabled } = body;
+        const fail = (message) => {
+            const err = new Error(message);
+            err.statusCode = 400;
+            throw err;
+        };
+
+        if (!name || !name.trim() || !cronExpression || !cronExpression.trim()) fail('name and cron expression are required');
+        if (!cron.validate(cronExpression.trim())) fail('Invalid cron expression');
+        if (!Array.isArray(sections) || sections.length === 0 || sections.some(s => !SECTIONS.includes(s))) {
+            fail(`sections must be a non-empty list of: ${SECTIONS.join(', ')}`);
+        }
+
+        const phone = String(personPhone || '').replace(/\D/g, '') || null;
+        if (phone && groupJid) fail('A briefing goes either to a group or to a person, not both');
+
+        const weather = String(weatherEntity || '').trim() || null;
+        if (sections.includes('weather') && !weather?.startsWith('weather.')) fail('The weather section needs a weather entity (weather.xxx)');
+        const rss = String(rssUrl || '').trim() || null;
+        if (sections.includes('news') && !/^https?:\/\//i.test(rss || '')) fail('The news section needs the http(s) URL of an RSS feed');
+
+        return {
+            name,
+            sections: [...new Set(sections)],
+            cronExpression,
+            groupJid: groupJid || null,
+            personPhone: phone,
+            weatherEntity: weather,
+            rssUrl: rss,
+            enabled: enabled !== false
+        };
+    }
+
+    // ==================== Briefings API ====================
+
+    // Get all briefings
+    router.get('/api/briefings', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        res.json({ success: true, briefings: db.getBriefings(), sections: SECTIONS });
+    }));
+
+    // Add briefing
+    router.post('/api/briefings', requireAuth, asyncHandler(async (req, res) => {
+        const briefing = parseBriefing(req.body);
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        try {
+            const id = db.addBriefing(briefing);
+            logger.info('Briefing added via dashboard', { name: briefing.name, sections: briefing.sections });
+
+            // Reload scheduling engine
+            const schedulerManager = await schedulerManagerPromise;
+            schedulerManager.reload();
+
+            res.json({ success: true, id });
+        } catch (err) {
+            if (err.message.includes('UNIQUE')) {
+                return res.status(409).json({ error: 'A briefing with this name already exists' });
+            }
+            throw err;
+        }
+    }));
+
+    // Preview a briefing (saved or not) without sending it
+    router.post('/api/briefings/preview', requireAuth, asyncHandler(async (req, res) => {
+        const briefing = parseBriefing(req.body);
+        const briefingManager = await briefingManagerPromise;
+        const result = await briefingManager.compose({
+            name: briefing.name,
+            sections: briefing.sections,
+            group_jid: briefing.groupJid,
+            person_phone: briefing.personPhone,
+            weather_entity: briefing.weatherEntity,
+            rss_url: briefing.rssUrl
+        });
+        if (result.error) {
+            const err = new Error(result.error);
+            err.statusCode = 400;
+            throw err;
+        }
+        logger.info('Briefing previewed via dashboard', { name: briefing.name });
+        res.json({ success: true, text: result.text, sections: result.data.sections });
+    }));
+
+    // Update briefing
+    router.put('/api/briefings/:id', requireAuth, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const briefing = parseBriefing(req.body);
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        try {
+            if (!db.updateBriefing(parseInt(id), briefing)) {
+                const err = new Error('Briefing not found');
+                err.statusCode = 404;
+                throw err;
+            }
+            logger.info('Briefing updated via dashboard', { id, name: briefing.name });
+
+            const schedulerManager = await schedulerManagerPromise;
+            schedulerManager.reload();
+
+            res.json({ success: true });
+        } catch (err) {
+            if (err.message.includes('UNIQUE')) {
+                return res.status(409).json({ error: 'A briefing with this name already exists' });
+            }
+            throw err;
+        }
+    }));
+
+    // Delete briefing
+    router.delete('/api/briefings/:id', requireAuth, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        db.deleteBriefing(parseInt(id));
+        logger.info('Briefing deleted via dashboard', { id });
+
+        const schedulerManager = await schedulerManagerPromise;
+        schedulerManager.reload();
+
+        res.json({ success: true });
+    }));
+
+    return router;
+}
@@ -0,0 +1,121 @@
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/error.js';
+
+const TYPES = ['google', 'ics', 'caldav'];
+
+export default function createCalendarsRoutes(deps) {
+    const router = Router();
+    const { requireAuth, db, logger, config } = deps;
+
+    /**
+     * Validate and normalize a calendar from the request body
+     */
+    function parseCalendar(body) {
+        const { name, type, source, username, password, owner, isDefault, enabled } = body;
+        if (!name || !name.trim() || !source || !source.trim()) {
+            const err = new Error('name and source are required');
+            err.statusCode = 400;
+            throw err;
+        }
+        if (!TYPES.includes(type)) {
+            const err = new Error(`type must be one of: ${TYPES.join(', ')}`);
+            err.statusCode = 400;
+            throw err;
+        }
+        if (type === 'ics' && isDefault) {
+            const err = new Error('An ICS calendar is read-only and cannot be the default calendar');
+            err.statusCode = 400;
+            throw err;
+        }
+        if (type === 'caldav' && !/^https?:\/\//i.test(source.trim())) {
+            const err = new Error('A CalDAV calendar source must be the http(s) URL of the calendar collection');
+            err.statusCode = 400;
+            throw err;
+        }
+        const caldav = type === 'caldav';
+        return {
+            name,
+            type,
+            source,
+            username: caldav ? String(username || '').trim() || null : null,
+            // Left out (undefined) keeps the stored password when editing
+            password: caldav ? (password ? String(password) : undefined) : null,
+            owner: String(owner || '').replace(/\D/g, '') || null,
+            isDefault: !!isDefault,
+            enabled: enabled !== false
+        };
+    }
+
+    // ==================== Calendars API ====================
+
+    // Get registered calendars
+    router.get('/api/calendars', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        const calendars = db.getCalendars().map(({ password, ...c }) => ({ ...c, has_password: !!password }));
+        res.json({ success: true, calendars, mainCalendarId: config.google.calendarId });
+    }));
+
+    // Register calendar
+    router.post('/api/calendars', requireAuth, asyncHandler(async (req, res) => {
+        const calendar = parseCalendar(req.body);
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        try {
+            const id = db.addCalendar(calendar);
+            logger.info('Calendar registered via dashboard', { name: calendar.name, type: calendar.type });
+            res.json({ success: true, id });
+        } catch (err) {
+            if (err.message.includes('UNIQUE')) {
+                return res.status(409).json({ error: 'A calendar with this name already exists' });
+            }
+            throw err;
+        }
+    }));
+
+    // Update calendar
+    router.put('/api/calendars/:id', requireAuth, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const calendar = parseCalendar(req.body);
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        try {
+            if (!db.updateCalendar(parseInt(id), calendar)) {
+                const err = new Error('Calendar not found');
+                err.statusCode = 404;
+                throw err;
+            }
+            logger.info('Calendar updated via dashboard', { id, name: calendar.name });
+            res.json({ success: true });
+        } catch (err) {
+            if (err.message.includes('UNIQUE')) {
+                return res.status(409).json({ error: 'A calendar with this name already exists' });
+            }
+            throw err;
+        }
+    }));
+
+    // Delete calendar
+    router.delete('/api/calendars/:id', requireAuth, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        db.deleteCalendar(parseInt(id));
+        logger.info('Calendar deleted via dashboard', { id });
+        res.json({ success: true });
+    }));
+
+    return router;
+}
@@ -0,0 +1,93 @@
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/error.js';
+
+export default function createConversationsRoutes(deps) {
+    const router = Router();
+    const { requireAuth, db, logger } = deps;
+
+    // ==================== Conversation Summaries API ====================
+
+    // Get all rolling conversation summaries
+    router.get('/api/conversation-summaries', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        const summaries = db.getAllConversationSummaries();
+        res.json({ success: true, summaries });
+    }));
+
+    // Edit a summary (the next automatic update builds on the edited text)
+    router.put('/api/conversation-summaries/:contextId', requireAuth, asyncHandler(async (req, res) => {
+        const { contextId } = req.params;
+        const { summary } = req.body;
+        if (typeof summary !== 'string') {
+            const err = new Error('Summary text is required');
+            err.statusCode = 400;
+            throw err;
+        }
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        db.updateConversationSummaryText(contextId, summary.trim());
+        logger.info('Conversation summary edited via dashboard', { contextId, length: summary.trim().length });
+        res.json({ success: true });
+    }));
+
+    // Delete a summary (chat history is kept; messages still stored are re-summarized on the next reply)
+    router.delete('/api/conversation-summaries/:contextId', requireAuth, asyncHandler(async (req, res) => {
+        const { contextId } = req.params;
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        db.deleteConversationSummary(contextId);
+        logger.info('Conversation summary deleted via dashboard', { contextId });
+        res.json({ success: true });
+    }));
+
+    // ==================== Chat History Search API ====================
+
+    // Full-text search over live and archived messages
+    router.get('/api/chat-search', requireAuth, asyncHandler(async (req, res) => {
+        const { q = '', contextId, role, from, to } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        if (role && !['user', 'model', 'function'].includes(role)) {
+            const err = new Error('Invalid role');
+            err.statusCode = 400;
+            throw err;
+        }
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        const { total, results } = db.searchChatHistory({
+            query: String(q),
+            contextId: contextId || undefined,
+            role: role || undefined,
+            from: from || undefined,
+            to: to || undefined,
+            limit,
+            offset
+        });
+        res.json({ success: true, total, results });
+    }));
+
+    // Chats available as a search filter
+    router.get('/api/chat-search/contexts', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        res.json({ success: true, contexts: db.getChatSearchContexts() });
+    }));
+
+    return router;
+}
@@ -0,0 +1,122 @@
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/error.js';
+
+export default function createGroupsRoutes(deps) {
+    const router = Router();
+    const { requireAuth, db, logger, whatsappManagerPromise, skillsIndexPromise, groupRegistryPromise } = deps;
+
+    /**
+     * Validate and normalize a group from the request body
+     */
+    function parseGroup(body) {
+        const { jid, name, instructions, allowedTools, isDefault, enabled } = body;
+        if (!jid || !name) {
+            const err = new Error('jid and name are required');
+            err.statusCode = 400;
+            throw err;
+        }
+        if (!jid.trim().endsWith('@g.us')) {
+            const err = new Error('jid must be a group JID (ending with @g.us)');
+            err.statusCode = 400;
+            throw err;
+        }
+        return {
+            jid,
+            name,
+            instructions: (instructions || '').trim(),
+            allowedTools: Array.isArray(allowedTools) ? allowedTools : null,
+            isDefault: !!isDefault,
+            enabled: enabled !== false
+        };
+    }
+
+    // ==================== WhatsApp Groups API ====================
+
+    // Get registered groups
+    router.get('/api/groups', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        const groupRegistry = await groupRegistryPromise;
+        res.json({ success: true, groups: db.getWhatsappGroups(), defaultGroupId: groupRegistry.getDefaultGroupId() });
+    }));
+
+    // Groups the WhatsApp account is a member of (to pick a JID when registering)
+    router.get('/api/groups/available', requireAuth, asyncHandler(async (req, res) => {
+        const whatsappManager = await whatsappManagerPromise;
+        if (!whatsappManager.isReady) {
+            const err = new Error('WhatsApp client not ready');
+            err.statusCode = 503;
+            throw err;
+        }
+        res.json({ success: true, groups: await whatsappManager.getJoinedGroups() });
+    }));
+
+    // Tool names that can be allowed per group
+    router.get('/api/groups/tools', requireAuth, asyncHandler(async (req, res) => {
+        const { functionDeclarations } = await skillsIndexPromise;
+        res.json({ success: true, tools: functionDeclarations.map(t => ({ name: t.name, description: t.description })) });
+    }));
+
+    // Register group
+    router.post('/api/groups', requireAuth, asyncHandler(async (req, res) => {
+        const group = parseGroup(req.body);
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        try {
+            const id = db.addWhatsappGroup(group);
+            logger.info('WhatsApp group registered via dashboard', { jid: group.jid, name: group.name });
+            res.json({ success: true, id });
+        } catch (err) {
+            if (err.message.includes('UNIQUE')) {
+                return res.status(409).json({ error: 'A group with this name or JID already exists' });
+            }
+            throw err;
+        }
+    }));
+
+    // Update group
+    router.put('/api/groups/:id', requireAuth, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const group = parseGroup(req.body);
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        try {
+            if (!db.updateWhatsappGroup(parseInt(id), group)) {
+                const err = new Error('Group not found');
+                err.statusCode = 404;
+                throw err;
+            }
+            logger.info('WhatsApp group updated via dashboard', { id, name: group.name });
+            res.json({ success: true });
+        } catch (err) {
+            if (err.message.includes('UNIQUE')) {
+                return res.status(409).json({ error: 'A group with this name or JID already exists' });
+            }
+            throw err;
+        }
+    }));
+
+    // Delete group
+    router.delete('/api/groups/:id', requireAuth, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        db.deleteWhatsappGroup(parseInt(id));
+        logger.info('WhatsApp group deleted via dashboard', { id });
+        res.json({ success: true });
+    }));
+
+    return router;
+}
@@ -1,9 +1,65 @@
 import { Router } from 'express';
 import { asyncHandler } from '../middleware/error.js';
+import { parseTimeWindow } from '../../utils/timezone.js';
 
 export default function createHaRoutes(deps) {
     const router = Router();
-    const { requireAuth, db, logger, skillsIndexPromise } = deps;
+    const { requireAuth, db, logger, skillsIndexPromise, watchRuleManagerPromise } = deps;
+
+    /**
+     * Validate and normalize a watch rule from the request body
+     */
+    function parseWatchRule(body) {
+        const { name, entityId, toState, above, below, forMinutes, activeHours, message, raw, groupJid, personPhone, cooldownMinutes, enabled } = body;
+        const fail = (msg) => {
+            const err = new Error(msg);
+            err.statusCode = 400;
+            throw err;
+        };
+        const optionalNumber = (value, field) => {
+            if (value === null || value === undefined || value === '') return null;
+            const number = Number(value);
+            if (isNaN(number)) fail(`${field} must be a number`);
+            return number;
+        };
+        const minutes = (value, field, defaultValue) => {
+            const number = optionalNumber(value, field) ?? defaultValue;
+            if (!Number.isInteger(number) || number < 0) fail(`${field} must be a whole number of minutes (0 or more)`);
+            return number;
+        };
+
+        if (!name || !name.trim() || !message || !message.trim()) fail('name and message are required');
+        const entity = String(entityId || '').trim();
+        if (!/^[a-z0-9_*]+\.[a-z0-9_*]+$/.test(entity)) {
+            fail('entityId must be a Home Assistant entity ID such as binary_sensor.front_door (* matches any text)');
+        }
+
+        const state = String(toState || '').trim() || null;
+        const min = optionalNumber(above, 'above');
+        const max = optionalNumber(below, 'below');
+        if (!state && min === null && max === null) fail('Set a state to watch for, or a value above / below');
+
+        parseTimeWindow(activeHours); // Throws a 400 on an invalid window
+
+        const phone = String(personPhone || '').replace(/\D/g, '') || null;
+        if (phone && groupJid) fail('A rule messages either a group or a person, not both');
+
+        return {
+            name,
+            entityId: entity,
+            toState: state,
+            above: min,
+            below: max,
+            forMinutes: minutes(forMinutes, 'forMinutes', 0),
+            activeHours: String(activeHours || '').trim() || null,
+            message,
+            raw: raw === true,
+            groupJid: groupJid || null,
+            personPhone: phone,
+            cooldownMinutes: minutes(cooldownMinutes, 'cooldownMinutes', 30),
+            enabled: enabled !== false
+        };
+    }
 
     // Get all Home Assistant mappings
     router.get('/api/ha/mappings', requireAuth, asyncHandler(async (req, res) => {
@@ -18,7 +74,7 @@ export default function createHaRoutes(deps) {
 
     // Add Home Assistant mapping
     router.post('/api/ha/mappings', requireAuth, asyncHandler(async (req, res) => {
-        const { entityId, nickname, location, type } = req.body;
+        const { entityId, nickname, location, type, areaId } = req.body;
         if (!entityId || !nickname) {
             const err = new Error('entityId and nickname are required');
             err.statusCode = 400;
@@ -30,7 +86,7 @@ export default function createHaRoutes(deps) {
             throw err;
         }
         try {
-            const id = db.addHaMapping(entityId, nickname, location, type);
+            const id = db.addHaMapping(entityId, nickname, location, type, areaId);
             logger.info('HA mapping added via dashboard', { entityId, nickname });
             res.json({ success: true, id });
         } catch (err) {
@@ -44,7 +100,7 @@ export default function createHaRoutes(deps) {
     // Update Home Assistant mapping
     router.put('/api/ha/mappings/:id', requireAuth, asyncHandler(async (req, res) => {
         const { id } = req.params;
-        const { entityId, nickname, location, type } = req.body;
+        const { entityId, nickname, location, type, areaId } = req.body;
         if (!entityId || !nickname) {
             const err = new Error('entityId and nickname are required');
             err.statusCode = 400;
@@ -55,7 +111,7 @@ export default function createHaRoutes(deps) {
             err.statusCode = 500;
             throw err;
         }
-        db.updateHaMapping(parseInt(id), entityId, nickname, location, type);
+        db.updateHaMapping(parseInt(id), entityId, nickname, location, type, areaId);
         logger.info('HA mapping updated via dashboard', { id, entityId });
         res.json({ success: true });
     }));
@@ -80,5 +136,151 @@ export default function createHaRoutes(deps) {
         res.json(result);
     }));
 
+    // ==================== Areas API ====================
+
+    // Get the synced floors and areas with their aliases
+    router.get('/api/ha/areas', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        const { homeAssistantManager } = await skillsIndexPromise;
+        res.json({ success: true, ...homeAssistantManager.getAreas() });
+    }));
+
+    // Sync the floor, area, device and entity registries from Home Assistant
+    router.post('/api/ha/areas/sync', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        const { homeAssistantManager } = await skillsIndexPromise;
+        const result = await homeAssistantManager.syncRegistry();
+        if (result.error) {
+            const err = new Error(result.error);
+            err.statusCode = 503;
+            throw err;
+        }
+        logger.info('HA registries synced via dashboard', result);
+        res.json(result);
+    }));
+
+    // Set the Hebrew aliases of an area or floor
+    for (const targetType of ['area', 'floor']) {
+        router.put(`/api/ha/${targetType}s/:id/aliases`, requireAuth, asyncHandler(async (req, res) => {
+            const { id } = req.params;
+            const { aliases } = req.body;
+            if (typeof aliases !== 'string') {
+                const err = new Error('aliases must be a comma-separated string');
+                err.statusCode = 400;
+                throw err;
+            }
+            if (!db) {
+                const err = new Error('DB not initialized');
+                err.statusCode = 500;
+                throw err;
+            }
+            db.setHaAliases(targetType, id, aliases);
+            logger.info('HA aliases updated via dashboard', { targetType, id });
+            res.json({ success: true });
+        }));
+    }
+
+    // ==================== Watch Rules API ====================
+
+    // Get all watch rules and the state of the event stream
+    router.get('/api/ha/watch-rules', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        const watchRuleManager = await watchRuleManagerPromise;
+        res.json({ success: true, rules: db.getWatchRules(), status: watchRuleManager.getStatus() });
+    }));
+
+    // Add watch rule
+    router.post('/api/ha/watch-rules', requireAuth, asyncHandler(async (req, res) => {
+        const rule = parseWatchRule(req.body);
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        try {
+            const id = db.addWatchRule(rule);
+            logger.info('Watch rule added via dashboard', { name: rule.name, entityId: rule.entityId });
+
+            const watchRuleManager = await watchRuleManagerPromise;
+            watchRuleManager.reload();
+
+            res.json({ success: true, id });
+        } catch (err) {
+            if (err.message.includes('UNIQUE')) {
+                return res.status(409).json({ error: 'A watch rule with this name already exists' });
+            }
+            throw err;
+        }
+    }));
+
+    // Update watch rule
+    router.put('/api/ha/watch-rules/:id', requireAuth, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const rule = parseWatchRule(req.body);
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        try {
+            if (!db.updateWatchRule(parseInt(id), rule)) {
+                const err = new Error('Watch rule not found');
+                err.statusCode = 404;
+                throw err;
+            }
+            logger.info('Watch rule updated via dashboard', { id, name: rule.name });
+
+            const watchRuleManager = await watchRuleManagerPromise;
+            watchRuleManager.reload();
+
+            res.json({ success: true });
+        } catch (err) {
+            if (err.message.includes('UNIQUE')) {
+                return res.status(409).json({ error: 'A watch rule with this name already exists' });
+            }
+            throw err;
+        }
+    }));
+
+    // Delete watch rule
+    router.delete('/api/ha/watch-rules/:id', requireAuth, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        db.deleteWatchRule(parseInt(id));
+        logger.info('Watch rule deleted via dashboard', { id });
+
+        const watchRuleManager = await watchRuleManagerPromise;
+        watchRuleManager.reload();
+
+        res.json({ success: true });
+    }));
+
+    // Latest fired watch rules
+    router.get('/api/ha/watch-log', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        res.json({ success: true, log: db.getWatchLog(limit) });
+    }));
+
     return router;
 }
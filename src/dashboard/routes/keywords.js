@@ -97,7 +97,7 @@ export default function createKeywordsRoutes(deps) {
 
     // Add scheduled prompt
     router.post('/api/scheduled-prompts', requireAuth, asyncHandler(async (req, res) => {
-        const { name, prompt, cronExpression, enabled } = req.body;
+        const { name, prompt, cronExpression, enabled, groupJid } = req.body;
         if (!name || !prompt || !cronExpression) {
             const err = new Error('Name, prompt, and cron expression are required');
             err.statusCode = 400;
@@ -109,7 +109,7 @@ export default function createKeywordsRoutes(deps) {
             throw err;
         }
 
-        const id = db.addScheduledPrompt(name, prompt, cronExpression, enabled);
+        const id = db.addScheduledPrompt(name, prompt, cronExpression, enabled, groupJid);
         logger.info('Scheduled prompt added via dashboard', { name });
 
         // Reload scheduling engine
@@ -122,7 +122,7 @@ export default function createKeywordsRoutes(deps) {
     // Update scheduled prompt
     router.put('/api/scheduled-prompts/:id', requireAuth, asyncHandler(async (req, res) => {
         const { id } = req.params;
-        const { name, prompt, cronExpression, enabled } = req.body;
+        const { name, prompt, cronExpression, enabled, groupJid } = req.body;
         if (!name || !prompt || !cronExpression) {
             const err = new Error('Name, prompt, and cron expression are required');
             err.statusCode = 400;
@@ -134,7 +134,7 @@ export default function createKeywordsRoutes(deps) {
             throw err;
         }
 
-        db.updateScheduledPrompt(parseInt(id), name, prompt, cronExpression, enabled);
+        db.updateScheduledPrompt(parseInt(id), name, prompt, cronExpression, enabled, groupJid);
         logger.info('Scheduled prompt updated via dashboard', { id, name });
 
         // Reload scheduling engine
@@ -15,7 +15,7 @@ async function exists(filePath) {
 
 export default function createKnowledgeRoutes(deps) {
     const router = Router();
-    const { requireAuth, logger, server } = deps;
+    const { requireAuth, logger, server, knowledgeIndexPromise } = deps;
 
     // ==================== Knowledge Base API ====================
 
@@ -26,12 +26,13 @@ export default function createKnowledgeRoutes(deps) {
             return res.json({ files: [] });
         }
         
+        const knowledgeIndex = await knowledgeIndexPromise;
         const files = await fs.promises.readdir(knowledgeDir);
         const mdFiles = files.filter(f => f.endsWith('.md'));
         const filesData = await Promise.all(
             mdFiles.map(async f => {
                 const content = await fs.promises.readFile(path.join(knowledgeDir, f), 'utf-8');
-                return { name: f, content };
+                return { name: f, content, alwaysInclude: knowledgeIndex.isAlwaysIncluded('knowledge', f) };
             })
         );
         res.json({ files: filesData });
@@ -78,6 +79,26 @@ export default function createKnowledgeRoutes(deps) {
         res.json({ success: true });
     }));
 
+    // Toggle "always include in the prompt" for a knowledge or skill file
+    router.put('/api/:source/:filename/always-include', requireAuth, asyncHandler(async (req, res) => {
+        const { source, filename } = req.params;
+        const knowledgeIndex = await knowledgeIndexPromise;
+        knowledgeIndex.setAlwaysInclude(source, filename, !!req.body.alwaysInclude);
+
+        // Rebuild the system prompt so the file moves in/out of the always-included set
+        if (server.geminiManager) {
+            await server.geminiManager.reinit();
+        }
+
+        res.json({ success: true });
+    }));
+
+    // Embedding index status
+    router.get('/api/knowledge-index', requireAuth, asyncHandler(async (req, res) => {
+        const knowledgeIndex = await knowledgeIndexPromise;
+        res.json({ success: true, status: knowledgeIndex.getStatus() });
+    }));
+
     // ==================== Skills Library API ====================
 
     // Get all skill files
@@ -87,12 +108,13 @@ export default function createKnowledgeRoutes(deps) {
             return res.json({ files: [] });
         }
         
+        const knowledgeIndex = await knowledgeIndexPromise;
         const files = await fs.promises.readdir(skillsDir);
         const mdFiles = files.filter(f => f.endsWith('.md'));
         const filesData = await Promise.all(
             mdFiles.map(async f => {
                 const content = await fs.promises.readFile(path.join(skillsDir, f), 'utf-8');
-                return { name: f, content };
+                return { name: f, content, alwaysInclude: knowledgeIndex.isAlwaysIncluded('skills', f) };
             })
         );
         res.json({ files: filesData });
@@ -0,0 +1,44 @@
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/error.js';
+
+export default function createOutboxRoutes(deps) {
+    const router = Router();
+    const { requireAuth, db, outboundQueuePromise } = deps;
+
+    // Pending and failed outbound WhatsApp messages
+    router.get('/api/outbox', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        const outboundQueue = await outboundQueuePromise;
+        res.json({ success: true, messages: outboundQueue.list(), ...outboundQueue.getStatus() });
+    }));
+
+    // Retry a queued or failed message now
+    router.post('/api/outbox/:id/resend', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        const outboundQueue = await outboundQueuePromise;
+        const status = await outboundQueue.resend(parseInt(req.params.id));
+        res.json({ success: true, status });
+    }));
+
+    // Drop a queued or failed message
+    router.delete('/api/outbox/:id', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        const outboundQueue = await outboundQueuePromise;
+        outboundQueue.remove(parseInt(req.params.id));
+        res.json({ success: true });
+    }));
+
+    return router;
+}
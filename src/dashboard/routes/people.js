@@ -0,0 +1,120 @@
+import { Router } from 'express';
+import { asyncHandler } from '../middleware/error.js';
+
+const ROLES = ['admin', 'adult', 'child', 'guest'];
+
+export default function createPeopleRoutes(deps) {
+    const router = Router();
+    const { requireAuth, db, logger, config, permissionManagerPromise } = deps;
+
+    /**
+     * Validate and normalize a person from the request body
+     */
+    function parsePerson(body) {
+        const { phone, name, role, birthDate } = body;
+        const digits = String(phone || '').replace(/\D/g, '');
+        if (!digits || !name || !name.trim()) {
+            const err = new Error('phone and name are required');
+            err.statusCode = 400;
+            throw err;
+        }
+        if (!ROLES.includes(role)) {
+            const err = new Error(`role must be one of: ${ROLES.join(', ')}`);
+            err.statusCode = 400;
+            throw err;
+        }
+        const date = String(birthDate || '').trim() || null;
+        // Date.parse rolls impossible days over (2024-02-30 → March 1st), so the date has to round-trip
+        if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)) || new Date(date).toISOString().slice(0, 10) !== date)) {
+            const err = new Error('birthDate must be a date (YYYY-MM-DD)');
+            err.statusCode = 400;
+            throw err;
+        }
+        return { phone: digits, name, role, birthDate: date };
+    }
+
+    // ==================== People & Permissions API ====================
+
+    // Get people with their roles
+    router.get('/api/people', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        res.json({ success: true, people: db.getPeople(), adminPhone: config.whatsapp.adminPhone, defaultRole: config.whatsapp.defaultRole });
+    }));
+
+    // Add person
+    router.post('/api/people', requireAuth, asyncHandler(async (req, res) => {
+        const person = parsePerson(req.body);
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        try {
+            const id = db.addPerson(person);
+            logger.info('Person added via dashboard', { phone: person.phone, role: person.role });
+            res.json({ success: true, id });
+        } catch (err) {
+            if (err.message.includes('UNIQUE')) {
+                return res.status(409).json({ error: 'A person with this phone number already exists' });
+            }
+            throw err;
+        }
+    }));
+
+    // Update person
+    router.put('/api/people/:id', requireAuth, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const person = parsePerson(req.body);
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        try {
+            if (!db.updatePerson(parseInt(id), person)) {
+                const err = new Error('Person not found');
+                err.statusCode = 404;
+                throw err;
+            }
+            logger.info('Person updated via dashboard', { id, role: person.role });
+            res.json({ success: true });
+        } catch (err) {
+            if (err.message.includes('UNIQUE')) {
+                return res.status(409).json({ error: 'A person with this phone number already exists' });
+            }
+            throw err;
+        }
+    }));
+
+    // Delete person
+    router.delete('/api/people/:id', requireAuth, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        db.deletePerson(parseInt(id));
+        logger.info('Person deleted via dashboard', { id });
+        res.json({ success: true });
+    }));
+
+    // Get the tool policy per role
+    router.get('/api/permissions', requireAuth, asyncHandler(async (req, res) => {
+        const permissionManager = await permissionManagerPromise;
+        res.json({ success: true, roles: ROLES, policy: permissionManager.getPolicy() });
+    }));
+
+    // Update the tool policy of one or more roles
+    router.put('/api/permissions', requireAuth, asyncHandler(async (req, res) => {
+        const permissionManager = await permissionManagerPromise;
+        const policy = permissionManager.setPolicy(req.body.policy);
+        res.json({ success: true, policy });
+    }));
+
+    return router;
+}
@@ -1,9 +1,44 @@
 import { Router } from 'express';
 import { asyncHandler } from '../middleware/error.js';
+import { normalizeRecurrence, describeRecurrence } from '../../utils/recurrence.js';
+import { parseTimeWindow } from '../../utils/timezone.js';
 
 export default function createRemindersRoutes(deps) {
     const router = Router();
-    const { requireAuth, db } = deps;
+    const { requireAuth, db, permissionManagerPromise } = deps;
+
+    /**
+     * Validate the optional repeat rule of a reminder (throws 400 on an invalid rule)
+     */
+    function parseRecurrence({ recurrence, recurrenceEnd, recurrenceCount, dueDate }) {
+        if (!recurrence) return null;
+        return normalizeRecurrence(recurrence, dueDate, { until: recurrenceEnd || null, count: recurrenceCount || null });
+    }
+
+    /**
+     * Validate who a reminder belongs to and how it nudges (empty fields = global settings)
+     */
+    function parseNudgeOptions({ assignee, assigneeDelivery, escalateAfter, escalateTo, quietHours, shabbatQuiet, maxNudges }) {
+        if (assigneeDelivery && !['private', 'group'].includes(assigneeDelivery)) {
+            const err = new Error('assigneeDelivery must be "private" or "group"');
+            err.statusCode = 400;
+            throw err;
+        }
+        if (escalateTo && !['group', 'admin'].includes(escalateTo)) {
+            const err = new Error('escalateTo must be "group" or "admin"');
+            err.statusCode = 400;
+            throw err;
+        }
+        return {
+            assignee: String(assignee || '').replace(/\D/g, '') || null,
+            delivery: assigneeDelivery,
+            escalateAfter: escalateAfter === '' || escalateAfter === undefined ? null : escalateAfter,
+            escalateTo: escalateTo || null,
+            quietHours: quietHours && (parseTimeWindow(quietHours) ? quietHours.trim() : 'off'),
+            shabbatQuiet: shabbatQuiet === '' || shabbatQuiet === undefined || shabbatQuiet === null ? null : String(shabbatQuiet) === 'true',
+            maxNudges: maxNudges === '' || maxNudges === undefined ? null : maxNudges
+        };
+    }
 
     // Get all reminders
     router.get('/api/reminders', requireAuth, asyncHandler(async (req, res) => {
@@ -12,42 +47,51 @@ export default function createRemindersRoutes(deps) {
             err.statusCode = 500;
             throw err;
         }
-        const reminders = db.getAllReminders();
+        const permissionManager = await permissionManagerPromise;
+        const reminders = db.getAllReminders().map(r => ({
+            ...r,
+            recurrence_text: r.recurrence ? describeRecurrence(r.recurrence, { until: r.recurrence_end, count: r.recurrence_count }) : null,
+            assignee_name: r.assignee ? permissionManager.getName(r.assignee) : null
+        }));
         res.json({ success: true, reminders });
     }));
 
     // Add reminder
     router.post('/api/reminders', requireAuth, asyncHandler(async (req, res) => {
-        const { title, dueDate, nudgeIntervalMinutes } = req.body;
+        const { title, dueDate, nudgeIntervalMinutes, groupJid } = req.body;
         if (!title || !dueDate) {
             const err = new Error('Title and due date are required');
             err.statusCode = 400;
             throw err;
         }
+        const recurrence = parseRecurrence(req.body);
+        const options = parseNudgeOptions(req.body);
         if (!db) {
             const err = new Error('DB not initialized');
             err.statusCode = 500;
             throw err;
         }
-        const id = db.addReminder(title, dueDate, nudgeIntervalMinutes || 60);
+        const id = db.addReminder(title, dueDate, nudgeIntervalMinutes || 60, groupJid, recurrence, options);
         res.json({ success: true, id });
     }));
 
     // Update reminder details
     router.put('/api/reminders/:id', requireAuth, asyncHandler(async (req, res) => {
         const { id } = req.params;
-        const { title, dueDate, nudgeIntervalMinutes } = req.body;
+        const { title, dueDate, nudgeIntervalMinutes, groupJid } = req.body;
         if (!title || !dueDate) {
             const err = new Error('Title and due date are required');
             err.statusCode = 400;
             throw err;
         }
+        const recurrence = parseRecurrence(req.body);
+        const options = parseNudgeOptions(req.body);
         if (!db) {
             const err = new Error('DB not initialized');
             err.statusCode = 500;
             throw err;
         }
-        db.updateReminder(parseInt(id), title, dueDate, nudgeIntervalMinutes || 60);
+        db.updateReminder(parseInt(id), title, dueDate, nudgeIntervalMinutes || 60, groupJid, recurrence, options);
         res.json({ success: true });
     }));
 
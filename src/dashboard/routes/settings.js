@@ -2,6 +2,9 @@ import { Router } from 'express';
 import fs from 'fs';
 import path from 'path';
 import { asyncHandler } from '../middleware/error.js';
+import {
+    applyOutboxEnv, applyReminderEnv, applyBirthdayEnv, applyConfirmationEnv, applyBudgetEnv, applyLlmEnv, applyRetrievalEnv
+} from '../../utils/config.js';
 
 // Helper to check file/dir existence asynchronously
 async function exists(filePath) {
@@ -15,7 +18,7 @@ async function exists(filePath) {
 
 export default function createSettingsRoutes(deps) {
     const router = Router();
-    const { requireAuth, db, config, logger } = deps;
+    const { requireAuth, db, config, logger, modelRouterPromise, watchRuleManagerPromise, server } = deps;
 
     // ==================== Settings API (DB-backed, Docker-safe) ====================
 
@@ -80,6 +83,12 @@ export default function createSettingsRoutes(deps) {
         if (settings.GEMINI_CONTEXT_WINDOW_MESSAGES) {
             config.gemini.contextWindowMessages = parseInt(settings.GEMINI_CONTEXT_WINDOW_MESSAGES, 10) || 10;
         }
+        if (settings.GEMINI_SUMMARY_ENABLED !== undefined) {
+            config.gemini.summaryEnabled = settings.GEMINI_SUMMARY_ENABLED !== 'false';
+        }
+        if (settings.GEMINI_SUMMARY_BATCH_MESSAGES) {
+            config.gemini.summaryBatchMessages = parseInt(settings.GEMINI_SUMMARY_BATCH_MESSAGES, 10) || 6;
+        }
         if (settings.GEMINI_API_KEY) {
             config.gemini.apiKey = settings.GEMINI_API_KEY;
         }
@@ -89,21 +98,69 @@ export default function createSettingsRoutes(deps) {
         if (settings.WHATSAPP_GROUP_ID) {
             config.whatsapp.groupId = settings.WHATSAPP_GROUP_ID;
         }
+        if (settings.WHATSAPP_DEFAULT_ROLE !== undefined) {
+            config.whatsapp.defaultRole = settings.WHATSAPP_DEFAULT_ROLE || 'adult';
+        }
+        if (Object.keys(settings).some(key => key.startsWith('OUTBOX_'))) {
+            applyOutboxEnv();
+        }
         if (settings.HOME_ASSISTANT_URL) {
             config.homeAssistant.url = settings.HOME_ASSISTANT_URL;
         }
         if (settings.HOME_ASSISTANT_TOKEN) {
             config.homeAssistant.token = settings.HOME_ASSISTANT_TOKEN;
         }
+        if (settings.HA_EVENTS_ENABLED !== undefined) {
+            config.homeAssistant.eventsEnabled = settings.HA_EVENTS_ENABLED !== 'false';
+        }
+        if (settings.HOME_ASSISTANT_URL || settings.HOME_ASSISTANT_TOKEN || settings.HA_EVENTS_ENABLED !== undefined) {
+            // Reconnect the event stream with the new settings
+            const watchRuleManager = await watchRuleManagerPromise;
+            watchRuleManager.applyConfig();
+        }
         if (settings.CALENDAR_ID) {
             config.google.calendarId = settings.CALENDAR_ID;
         }
         if (settings.WEBHOOK_SECRET) {
             config.dashboard.webhookSecret = settings.WEBHOOK_SECRET;
         }
+        if (settings.DOCUMENT_MAX_MB !== undefined) {
+            config.documents.maxMb = parseFloat(settings.DOCUMENT_MAX_MB) || 10;
+        }
+        if (settings.DOCUMENT_MAX_CHARS !== undefined) {
+            config.documents.maxPromptChars = parseInt(settings.DOCUMENT_MAX_CHARS, 10) || 30000;
+        }
+        if (Object.keys(settings).some(key => key.startsWith('CONFIRM_'))) {
+            applyConfirmationEnv();
+        }
+        if (Object.keys(settings).some(key => key.startsWith('REMINDER_'))) {
+            applyReminderEnv();
+        }
+        if (Object.keys(settings).some(key => key.startsWith('BIRTHDAY_'))) {
+            applyBirthdayEnv();
+        }
+        if (settings.CHAT_ARCHIVE_ENABLED !== undefined) {
+            config.database.archiveEnabled = settings.CHAT_ARCHIVE_ENABLED !== 'false';
+        }
+        if (settings.CHAT_ARCHIVE_RETENTION_DAYS !== undefined) {
+            config.database.archiveRetentionDays = parseInt(settings.CHAT_ARCHIVE_RETENTION_DAYS, 10) || 0;
+        }
         if (settings.LOG_LEVEL) {
             config.logging.level = settings.LOG_LEVEL;
         }
+        if (Object.keys(settings).some(key => key.startsWith('AI_BUDGET_'))) {
+            applyBudgetEnv();
+        }
+        if (Object.keys(settings).some(key => key.startsWith('LLM_') || key.startsWith('OPENAI_'))) {
+            applyLlmEnv();
+        }
+        if (Object.keys(settings).some(key => key.startsWith('KNOWLEDGE_') || key.startsWith('EMBEDDING_'))) {
+            applyRetrievalEnv();
+            // Re-index with the new embedding model and rebuild the system prompt
+            if (server.geminiManager) {
+                await server.geminiManager.reinit();
+            }
+        }
 
         logger.info('Settings updated via dashboard (DB)', {
             keys: Object.keys(settings)
@@ -112,5 +169,36 @@ export default function createSettingsRoutes(deps) {
         res.json({ success: true, message: 'Settings saved. Some changes take effect immediately, others may require a restart.' });
     }));
 
+    // ==================== Model Routing API ====================
+
+    // Get model routing rules
+    router.get('/api/model-routing', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        const modelRouter = await modelRouterPromise;
+        res.json({ routing: modelRouter.getRouting(), defaultModel: config.gemini.model });
+    }));
+
+    // Update model routing rules
+    router.put('/api/model-routing', requireAuth, asyncHandler(async (req, res) => {
+        const { routing } = req.body;
+        if (!routing || typeof routing !== 'object') {
+            const err = new Error('Routing object is required');
+            err.statusCode = 400;
+            throw err;
+        }
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        const modelRouter = await modelRouterPromise;
+        const saved = modelRouter.setRouting(routing);
+        res.json({ success: true, routing: saved });
+    }));
+
     return router;
 }
@@ -21,18 +21,32 @@ function countNewlines(filePath) {
 
 export default function createStatusRoutes(deps) {
     const router = Router();
-    const { requireAuth, db, logger, server } = deps;
+    const { requireAuth, db, logger, server, budgetManagerPromise } = deps;
 
     // API: Get status
     router.get('/api/status', requireAuth, asyncHandler(async (req, res) => {
+        const budgetManager = await budgetManagerPromise;
         res.json({
             whatsapp: server.getWhatsAppStatus ? server.getWhatsAppStatus() : { isReady: false },
             gemini: server.getGeminiStatus ? server.getGeminiStatus() : { isInitialized: false },
             skills: server.getSkillsStatus ? await server.getSkillsStatus() : {},
-            usage: db ? db.getUsageStats() : { today: {}, month: {} }
+            usage: db ? db.getUsageStats() : { today: {}, month: {} },
+            budget: db ? budgetManager.check() : null
         });
     }));
 
+    // API: Lift the AI budget hard limit until the current period resets
+    router.post('/api/budget/lift', requireAuth, asyncHandler(async (req, res) => {
+        if (!db) {
+            const err = new Error('DB not initialized');
+            err.statusCode = 500;
+            throw err;
+        }
+        const budgetManager = await budgetManagerPromise;
+        const budget = budgetManager.lift('dashboard');
+        res.json({ success: true, budget });
+    }));
+
     // API: Update config
     router.post('/api/config', requireAuth, asyncHandler(async (req, res) => {
         const { key, value } = req.body;
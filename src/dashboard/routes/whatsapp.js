@@ -5,7 +5,7 @@ import { asyncHandler } from '../middleware/error.js';
 
 export default function createWhatsappRoutes(deps) {
     const router = Router();
-    const { requireAuth, config, logger, whatsappManagerPromise, upload, server, db } = deps;
+    const { requireAuth, config, logger, whatsappManagerPromise, outboundQueuePromise, groupRegistryPromise, upload, server, db, budgetManagerPromise } = deps;
 
     // WhatsApp Disconnect
     router.post('/api/whatsapp/disconnect', requireAuth, asyncHandler(async (req, res) => {
@@ -37,7 +37,8 @@ export default function createWhatsappRoutes(deps) {
             whatsapp: server.getWhatsAppStatus ? server.getWhatsAppStatus() : { isReady: false },
             gemini: server.getGeminiStatus ? server.getGeminiStatus() : { isInitialized: false },
             skills: server.getSkillsStatus ? await server.getSkillsStatus() : {},
-            usage: db ? db.getUsageStats() : { today: {}, month: {} }
+            usage: db ? db.getUsageStats() : { today: {}, month: {} },
+            budget: db ? (await budgetManagerPromise).check() : null
         });
     }));
 
@@ -77,8 +78,19 @@ export default function createWhatsappRoutes(deps) {
             return res.status(400).json({ error: 'Event name required' });
         }
 
+        // Target group: a registered group name or JID (defaults to the default group)
+        const groupRegistry = await groupRegistryPromise;
+        const groupTarget = req.body.group || req.query.group;
+        const groupId = groupRegistry.resolve(groupTarget);
+        if (!groupId) {
+            if (req.file) {
+                try { await fs.promises.unlink(req.file.path); } catch (e) {}
+            }
+            return res.status(400).json({ error: groupTarget ? `Unknown group: ${groupTarget}` : 'WHATSAPP_GROUP_ID not configured' });
+        }
+
         // 3. Process Webhook
-        logger.info('Webhook received', { event, raw: isRaw });
+        logger.info('Webhook received', { event, raw: isRaw, group: groupId });
 
         try {
             // Generate message:
@@ -91,67 +103,32 @@ export default function createWhatsappRoutes(deps) {
             } else if (isRaw) {
                 message = rawMessage || event;
             } else {
-                message = await server.geminiManager.generateBroadcastMessage({ event, ...data });
+                message = await server.geminiManager.generateBroadcastMessage({ event, ...data }, { contextId: groupId });
             }
 
-            // Send to WhatsApp Group
-            if (config.whatsapp.groupId) {
-                const whatsappStatus = server.getWhatsAppStatus ? server.getWhatsAppStatus() : { isReady: false };
-
-                if (whatsappStatus.isReady) {
-                    const whatsappManager = await whatsappManagerPromise;
-                    
-                    let messageSent = false;
-                    
-                    // If an image was uploaded, send it as media
-                    if (req.file) {
-                        try {
-                            // Provide a default extension if missing so WhatsApp knows it's an image
-                            const fileExt = path.extname(req.file.originalname) || '.jpg';
-                            const tempPath = req.file.path;
-                            const mediaPath = tempPath + fileExt;
-                            await fs.promises.rename(tempPath, mediaPath);
-                            
-                            await whatsappManager.sendMediaMessage(config.whatsapp.groupId, mediaPath, message);
-                            
-                            // Log to history
-                            if (db) {
-                                db.addChatMessage(config.whatsapp.groupId, 'model', `[Image Notification] ${message}`);
-                            }
-
-                            // Clean up
-                            await fs.promises.unlink(mediaPath);
-                            messageSent = true;
-                        } catch (uploadErr) {
-                            logger.error('Failed to send media message', { error: uploadErr.message });
-                            // Fallback to text
-                        }
-                    }
-                    
-                    // Send as text if no image or image failed
-                    if (!messageSent) {
-                        await whatsappManager.sendMessage(config.whatsapp.groupId, message);
-                        // Log to history
-                        if (db) {
-                            db.addChatMessage(config.whatsapp.groupId, 'model', message);
-                        }
-                    }
-                    
-                    return res.json({ success: true, message, hasImage: !!req.file });
-                } else {
-                    // Clean up file if WA not ready
-                    if (req.file) {
-                        try { await fs.promises.unlink(req.file.path); } catch (e) {}
-                    }
-                    return res.status(503).json({ error: 'WhatsApp client not ready' });
-                }
-            } else {
-                if (req.file) {
-                    try { await fs.promises.unlink(req.file.path); } catch (e) {}
-                }
-                return res.status(400).json({ error: 'WHATSAPP_GROUP_ID not configured' });
+            // Send to the WhatsApp group – buffered in the outbound queue while WhatsApp is reconnecting
+            const outboundQueue = await outboundQueuePromise;
+
+            let mediaPath = null;
+            if (req.file) {
+                // Provide a default extension if missing so WhatsApp knows it's an image
+                const fileExt = path.extname(req.file.originalname) || '.jpg';
+                mediaPath = req.file.path + fileExt;
+                await fs.promises.rename(req.file.path, mediaPath);
             }
 
+            // The queue owns mediaPath from here on and deletes it once sent
+            const result = await outboundQueue.send(groupId, message, { source: 'webhook', mediaPath });
+
+            // Log to history
+            if (db) {
+                db.addChatMessage(groupId, 'model', req.file ? `[Image Notification] ${message}` : message);
+            }
+
+            if (result.sent) {
+                return res.json({ success: true, message, group: groupId, hasImage: !!req.file });
+            }
+            return res.status(202).json({ success: true, queued: true, queueId: result.id, message, group: groupId, hasImage: !!req.file });
         } catch (err) {
             if (req.file) {
                 try { await fs.promises.unlink(req.file.path); } catch (e) {}
@@ -171,11 +148,20 @@ export default function createWhatsappRoutes(deps) {
         }
 
         // 2. Validate required fields
-        const { title, due_date, nudge_interval_minutes } = req.body;
+        const { title, due_date, nudge_interval_minutes, group } = req.body;
         if (!title) {
             return res.status(400).json({ error: 'title is required' });
         }
 
+        // Optional target group (registered name or JID) for the nudges
+        let groupJid = null;
+        if (group) {
+            groupJid = (await groupRegistryPromise).resolve(group);
+            if (!groupJid) {
+                return res.status(400).json({ error: `Unknown group: ${group}` });
+            }
+        }
+
         // 3. Resolve due_date — supports ISO string or relative shorthand (+10m, +1h, +2h30m)
         let resolvedDueDate;
         const dueDateStr = (due_date || '').trim();
@@ -199,11 +185,11 @@ export default function createWhatsappRoutes(deps) {
 
         // 4. Create reminder
         const interval = parseInt(nudge_interval_minutes) || 60;
-        const id = db.addReminder(title, resolvedDueDate, interval);
+        const id = db.addReminder(title, resolvedDueDate, interval, groupJid);
 
-        logger.info('Webhook reminder created', { id, title, due_date: resolvedDueDate, interval });
+        logger.info('Webhook reminder created', { id, title, due_date: resolvedDueDate, interval, group: groupJid });
 
-        res.json({ success: true, id, title, due_date: resolvedDueDate, nudge_interval_minutes: interval });
+        res.json({ success: true, id, title, due_date: resolvedDueDate, nudge_interval_minutes: interval, group: groupJid });
     }));
 
     return router;
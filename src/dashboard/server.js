@@ -20,9 +20,15 @@ import createWhatsappRoutes from './routes/whatsapp.js';
 import createKnowledgeRoutes from './routes/knowledge.js';
 import createKeywordsRoutes from './routes/keywords.js';
 import createRemindersRoutes from './routes/reminders.js';
+import createConversationsRoutes from './routes/conversations.js';
 import createSettingsRoutes from './routes/settings.js';
 import createBackupRoutes from './routes/backup.js';
 import createHaRoutes from './routes/ha.js';
+import createOutboxRoutes from './routes/outbox.js';
+import createGroupsRoutes from './routes/groups.js';
+import createPeopleRoutes from './routes/people.js';
+import createCalendarsRoutes from './routes/calendars.js';
+import createBriefingsRoutes from './routes/briefings.js';
 import setupSocketIO from './socket.js';
 import { errorHandler } from './middleware/error.js';
 
@@ -30,6 +36,14 @@ import { errorHandler } from './middleware/error.js';
 const whatsappManagerPromise = import('../bot/WhatsAppManager.js').then(m => m.default);
 const schedulerManagerPromise = import('../bot/SchedulerManager.js').then(m => m.default);
 const skillsIndexPromise = import('../skills/index.js');
+const modelRouterPromise = import('../bot/ModelRouter.js').then(m => m.default);
+const budgetManagerPromise = import('../bot/BudgetManager.js').then(m => m.default);
+const knowledgeIndexPromise = import('../bot/KnowledgeIndex.js').then(m => m.default);
+const outboundQueuePromise = import('../bot/OutboundQueue.js').then(m => m.default);
+const groupRegistryPromise = import('../bot/GroupRegistry.js').then(m => m.default);
+const permissionManagerPromise = import('../bot/PermissionManager.js').then(m => m.default);
+const briefingManagerPromise = import('../bot/BriefingManager.js').then(m => m.default);
+const watchRuleManagerPromise = import('../bot/WatchRuleManager.js').then(m => m.default);
 
 const FileStore = sessionFileStore(session);
 
@@ -131,7 +145,7 @@ class DashboardServer {
     _setupRoutes() {
         const deps = {
             requireAuth, db, config, logger,
-            whatsappManagerPromise, schedulerManagerPromise, skillsIndexPromise,
+            whatsappManagerPromise, schedulerManagerPromise, skillsIndexPromise, modelRouterPromise, budgetManagerPromise, knowledgeIndexPromise, outboundQueuePromise, groupRegistryPromise, permissionManagerPromise, briefingManagerPromise, watchRuleManagerPromise,
             upload, server: this, getRecentLogs
         };
         
@@ -141,9 +155,15 @@ class DashboardServer {
         this.app.use(createKnowledgeRoutes(deps));
         this.app.use(createKeywordsRoutes(deps));
         this.app.use(createRemindersRoutes(deps));
+        this.app.use(createConversationsRoutes(deps));
         this.app.use(createSettingsRoutes(deps));
         this.app.use(createBackupRoutes(deps));
         this.app.use(createHaRoutes(deps));
+        this.app.use(createOutboxRoutes(deps));
+        this.app.use(createGroupsRoutes(deps));
+        this.app.use(createPeopleRoutes(deps));
+        this.app.use(createCalendarsRoutes(deps));
+        this.app.use(createBriefingsRoutes(deps));
 
         // Centralized error handling middleware
         this.app.use(errorHandler);
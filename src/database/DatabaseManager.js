@@ -30,6 +30,11 @@ class DatabaseManager {
         this.db.pragma('journal_mode = WAL');
         this.db.pragma('foreign_keys = ON');
 
+        // Checked before the schema creates it, so existing history can be backfilled below
+        const hadChatFts = !!this.db.prepare(
+            "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'chat_fts'"
+        ).get();
+
         // Run schema
         const schemaPath = path.join(__dirname, 'schema.sql');
         const schema = fs.readFileSync(schemaPath, 'utf-8');
@@ -63,6 +68,13 @@ class DatabaseManager {
         this.db.exec(`CREATE INDEX IF NOT EXISTS idx_ha_entity ON ha_mappings(entity_id);`);
         this.db.exec(`CREATE INDEX IF NOT EXISTS idx_ha_nickname ON ha_mappings(nickname);`);
 
+        // Migration: Area of HA mappings
+        const haMappingCols = this.db.pragma('table_info(ha_mappings)');
+        if (!haMappingCols.find(c => c.name === 'area_id')) {
+            this.db.exec('ALTER TABLE ha_mappings ADD COLUMN area_id TEXT');
+            logger.info('[Database] Migrated ha_mappings table: added area_id column');
+        }
+
         // Migration: Create scheduled_prompts table if missing
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS scheduled_prompts (
@@ -118,6 +130,144 @@ class DatabaseManager {
         `);
         this.db.exec(`CREATE INDEX IF NOT EXISTS idx_nudge_msg_reminder ON reminder_nudge_messages(reminder_id);`);
 
+        // Migration: Tag usage_logs rows with context, call kind and tool iteration
+        try {
+            const cols = this.db.pragma('table_info(usage_logs)');
+            if (cols.length > 0 && !cols.find(c => c.name === 'context_id')) {
+                this.db.exec("ALTER TABLE usage_logs ADD COLUMN context_id TEXT");
+                logger.info('[Database] Migrated usage_logs table: added context_id column');
+            }
+            if (cols.length > 0 && !cols.find(c => c.name === 'call_kind')) {
+                this.db.exec("ALTER TABLE usage_logs ADD COLUMN call_kind TEXT DEFAULT 'chat'");
+                logger.info('[Database] Migrated usage_logs table: added call_kind column');
+            }
+            if (cols.length > 0 && !cols.find(c => c.name === 'tool_iteration')) {
+                this.db.exec("ALTER TABLE usage_logs ADD COLUMN tool_iteration INTEGER DEFAULT 0");
+                logger.info('[Database] Migrated usage_logs table: added tool_iteration column');
+            }
+        } catch (err) {
+            if (err.message && !err.message.includes('no such table')) throw err;
+        }
+        this.db.exec(`CREATE INDEX IF NOT EXISTS idx_usage_kind ON usage_logs(call_kind);`);
+
+        // Migration: Create conversation_summaries table if missing
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS conversation_summaries (
+                context_id TEXT PRIMARY KEY,
+                summary TEXT NOT NULL DEFAULT '',
+                summarized_until_id INTEGER DEFAULT 0,
+                message_count INTEGER DEFAULT 0,
+                edited_manually INTEGER DEFAULT 0,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+
+        // Migration: Create knowledge embedding index tables if missing
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS knowledge_files (
+                source TEXT NOT NULL CHECK(source IN ('knowledge', 'skills')),
+                filename TEXT NOT NULL,
+                always_include INTEGER DEFAULT 0,
+                content_hash TEXT,
+                embedding_model TEXT,
+                indexed_at DATETIME,
+                PRIMARY KEY (source, filename)
+            );
+            CREATE TABLE IF NOT EXISTS knowledge_chunks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                source TEXT NOT NULL,
+                filename TEXT NOT NULL,
+                chunk_index INTEGER NOT NULL,
+                content TEXT NOT NULL,
+                embedding BLOB NOT NULL
+            );
+        `);
+        this.db.exec(`CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_file ON knowledge_chunks(source, filename);`);
+
+        // Migration: Create documents table if missing
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS documents (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                context_id TEXT NOT NULL,
+                filename TEXT NOT NULL,
+                mimetype TEXT,
+                doc_type TEXT NOT NULL,
+                size_bytes INTEGER DEFAULT 0,
+                pages INTEGER,
+                content TEXT NOT NULL,
+                saved_as TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        this.db.exec(`CREATE INDEX IF NOT EXISTS idx_documents_context ON documents(context_id, created_at);`);
+
+        // Migration: Target group of reminders and scheduled prompts (NULL = default group)
+        for (const table of ['reminders', 'scheduled_prompts']) {
+            const cols = this.db.pragma(`table_info(${table})`);
+            if (cols.length > 0 && !cols.find(c => c.name === 'group_jid')) {
+                this.db.exec(`ALTER TABLE ${table} ADD COLUMN group_jid TEXT`);
+                logger.info(`[Database] Migrated ${table} table: added group_jid column`);
+            }
+        }
+
+        // Migration: Recurring reminders
+        const reminderCols = this.db.pragma('table_info(reminders)');
+        for (const [name, type] of [['recurrence', 'TEXT'], ['recurrence_end', 'DATETIME'], ['recurrence_count', 'INTEGER'], ['occurrence', 'INTEGER DEFAULT 1'], ['next_spawned', 'INTEGER DEFAULT 0']]) {
+            if (reminderCols.length > 0 && !reminderCols.find(c => c.name === name)) {
+                this.db.exec(`ALTER TABLE reminders ADD COLUMN ${name} ${type}`);
+                logger.info(`[Database] Migrated reminders table: added ${name} column`);
+            }
+        }
+
+        // Migration: Reminder assignees and escalation
+        for (const [name, type] of [['assignee', 'TEXT'], ['assignee_delivery', "TEXT DEFAULT 'private'"], ['escalate_after', 'INTEGER'], ['escalate_to', 'TEXT'], ['escalated_at', 'DATETIME']]) {
+            if (reminderCols.length > 0 && !reminderCols.find(c => c.name === name)) {
+                this.db.exec(`ALTER TABLE reminders ADD COLUMN ${name} ${type}`);
+                logger.info(`[Database] Migrated reminders table: added ${name} column`);
+            }
+        }
+
+        // Migration: Per-reminder quiet hours, Shabbat mode and nudge limit
+        for (const [name, type] of [['quiet_hours', 'TEXT'], ['shabbat_quiet', 'INTEGER'], ['max_nudges', 'INTEGER'], ['next_nudge_at', 'DATETIME']]) {
+            if (reminderCols.length > 0 && !reminderCols.find(c => c.name === name)) {
+                this.db.exec(`ALTER TABLE reminders ADD COLUMN ${name} ${type}`);
+                logger.info(`[Database] Migrated reminders table: added ${name} column`);
+            }
+        }
+
+        // Migration: CalDAV calendars (the type CHECK can only change by rebuilding the table)
+        const calendarsSql = this.db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'calendars'").get()?.sql || '';
+        if (calendarsSql && !calendarsSql.includes("'caldav'")) {
+            this.db.transaction(() => {
+                this.db.exec('ALTER TABLE calendars RENAME TO calendars_old');
+                this.db.exec(schema.match(/CREATE TABLE IF NOT EXISTS calendars \([\s\S]*?\n\);/)[0]);
+                this.db.exec(`
+                    INSERT INTO calendars (id, name, type, source, owner, is_default, enabled, created_at, updated_at)
+                    SELECT id, name, type, source, owner, is_default, enabled, created_at, updated_at FROM calendars_old
+                `);
+                this.db.exec('DROP TABLE calendars_old');
+            })();
+            logger.info('[Database] Migrated calendars table: added caldav type with username and password columns');
+        }
+
+        // Migration: Birth dates of people (birthday announcements)
+        const peopleCols = this.db.pragma('table_info(people)');
+        if (peopleCols.length > 0 && !peopleCols.find(c => c.name === 'birth_date')) {
+            this.db.exec('ALTER TABLE people ADD COLUMN birth_date TEXT');
+            logger.info('[Database] Migrated people table: added birth_date column');
+        }
+
+        // Migration: Index chat history that predates the full-text index
+        if (!hadChatFts) {
+            const { changes } = this.db.prepare(`
+                INSERT INTO chat_fts (rowid, content, user_id, role, created_at)
+                SELECT id, content, user_id, role, created_at FROM chat_context
+                UNION ALL
+                SELECT id, content, user_id, role, created_at FROM chat_archive
+            `).run();
+            if (changes > 0) logger.info('[Database] Indexed existing chat history for full-text search', { messages: changes });
+        }
+
         logger.info('[Database] Initialized successfully');
         return this;
     }
@@ -211,14 +361,15 @@ class DatabaseManager {
      */
     getChatHistory(userId, limit = 20) {
         const stmt = this.db.prepare(`
-            SELECT role, content, function_call, created_at
+            SELECT id, role, content, function_call, created_at
             FROM chat_context
             WHERE user_id = ?
-            ORDER BY created_at DESC
+            ORDER BY created_at DESC, id DESC
             LIMIT ?
         `);
         const rows = stmt.all(userId, limit);
         return rows.reverse().map(row => ({
+            id: row.id,
             role: row.role,
             content: row.content,
             functionCall: row.function_call ? JSON.parse(row.function_call) : null,
@@ -227,32 +378,400 @@ class DatabaseManager {
     }
 
     /**
-     * Clear old chat history (keep last N messages per user)
-     * @param {number} keepLast - Number of messages to keep per user
+     * Get messages of a chat within an id range (oldest first)
+     * @param {string} userId - User identifier
+     * @param {number} afterId - Exclusive lower bound
+     * @param {number} beforeId - Exclusive upper bound
      */
-    pruneOldMessages(keepLast = 50) {
+    getChatMessagesBetween(userId, afterId, beforeId) {
         const stmt = this.db.prepare(`
-            DELETE FROM chat_context
-            WHERE id NOT IN (
+            SELECT id, role, content, created_at
+            FROM chat_context
+            WHERE user_id = ? AND id > ? AND id < ?
+            ORDER BY id ASC
+        `);
+        return stmt.all(userId, afterId, beforeId);
+    }
+
+    /**
+     * Clear old chat history (keep last N messages per user).
+     * With onlySummarized, messages not yet folded into the conversation summary are kept too.
+     * @param {number} keepLast - Number of messages to keep per user
+     * @param {Object} [options]
+     * @param {boolean} [options.onlySummarized] - Only prune messages covered by the summary
+     * @param {boolean} [options.archive] - Move pruned messages to chat_archive instead of deleting them
+     */
+    pruneOldMessages(keepLast = 50, { onlySummarized = false, archive = false } = {}) {
+        const summaryFilter = onlySummarized
+            ? `AND id <= COALESCE((
+                   SELECT summarized_until_id FROM conversation_summaries s
+                   WHERE s.context_id = chat_context.user_id
+               ), 0)`
+            : '';
+        const where = `
+            id NOT IN (
                 SELECT id FROM (
                     SELECT id, user_id,
-                           ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY created_at DESC) as rn
+                           ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY created_at DESC, id DESC) as rn
                     FROM chat_context
                 ) WHERE rn <= ?
             )
-        `);
-        const result = stmt.run(keepLast);
+            ${summaryFilter}
+        `;
+        if (archive) return this._archiveChatMessages(where, [keepLast]);
+
+        const result = this.db.prepare(`DELETE FROM chat_context WHERE ${where}`).run(keepLast);
         return result.changes;
     }
 
     /**
-     * Clear all chat history for a specific user
+     * Clear all chat history for a specific user (including its conversation summary)
      * @param {string} userId - User identifier
+     * @param {Object} [options]
+     * @param {boolean} [options.archive] - Move the messages to chat_archive instead of deleting them
      */
-    clearChatHistory(userId) {
-        const stmt = this.db.prepare('DELETE FROM chat_context WHERE user_id = ?');
-        const result = stmt.run(userId);
-        return result.changes;
+    clearChatHistory(userId, { archive = false } = {}) {
+        let changes;
+        if (archive) {
+            changes = this._archiveChatMessages('user_id = ?', [userId]);
+        } else {
+            changes = this.db.prepare('DELETE FROM chat_context WHERE user_id = ?').run(userId).changes;
+        }
+        this.deleteConversationSummary(userId);
+        return changes;
+    }
+
+    /**
+     * Move chat_context rows matching a WHERE clause into chat_archive (same ids)
+     * @returns {number} Number of archived messages
+     */
+    _archiveChatMessages(where, params) {
+        return this.db.transaction(() => {
+            this.db.exec('DROP TABLE IF EXISTS temp.chat_archive_batch');
+            this.db.prepare(`CREATE TEMP TABLE chat_archive_batch AS SELECT * FROM chat_context WHERE ${where}`).run(...params);
+            // Delete first: the full-text index is keyed by message id, so the live row must leave it before the archived copy enters
+            const { changes } = this.db.prepare('DELETE FROM chat_context WHERE id IN (SELECT id FROM temp.chat_archive_batch)').run();
+            this.db.exec(`
+                INSERT INTO chat_archive (id, user_id, role, content, function_call, created_at)
+                SELECT id, user_id, role, content, function_call, created_at FROM temp.chat_archive_batch;
+                DROP TABLE temp.chat_archive_batch;
+            `);
+            return changes;
+        })();
+    }
+
+    /**
+     * Delete archived messages older than the retention period
+     * @param {number} retentionDays - Days to keep archived messages
+     */
+    purgeChatArchive(retentionDays) {
+        const stmt = this.db.prepare(`DELETE FROM chat_archive WHERE created_at < datetime('now', '-' || ? || ' days')`);
+        return stmt.run(retentionDays).changes;
+    }
+
+    // ==================== Chat Search ====================
+
+    /**
+     * Full-text search over live and archived chat messages (newest first).
+     * Terms of 3+ characters use the trigram index, shorter ones fall back to a substring match.
+     * @param {Object} filters
+     * @param {string} [filters.query] - Words that must all appear in the message
+     * @param {string} [filters.contextId] - Limit to one chat
+     * @param {string} [filters.role] - 'user' | 'model'
+     * @param {string} [filters.from] - Start date (YYYY-MM-DD, inclusive)
+     * @param {string} [filters.to] - End date (YYYY-MM-DD, inclusive)
+     * @param {number} [filters.limit]
+     * @param {number} [filters.offset]
+     * @returns {{ total: number, results: Array }} Results carry source 'live' or 'archive'
+     */
+    searchChatHistory({ query = '', contextId, role, from, to, limit = 20, offset = 0 } = {}) {
+        const terms = query.trim().split(/\s+/).filter(Boolean);
+        const ftsTerms = terms.filter(t => [...t].length >= 3);
+        const conditions = [];
+        const params = [];
+
+        if (ftsTerms.length > 0) {
+            conditions.push('chat_fts MATCH ?');
+            params.push(ftsTerms.map(t => `"${t.replace(/"/g, '""')}"`).join(' AND '));
+        }
+        for (const term of terms.filter(t => [...t].length < 3)) {
+            conditions.push('content LIKE ?');
+            params.push(`%${term}%`);
+        }
+        if (contextId) {
+            conditions.push('user_id = ?');
+            params.push(contextId);
+        }
+        if (role) {
+            conditions.push('role = ?');
+            params.push(role);
+        }
+        if (from) {
+            conditions.push('created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push("created_at < date(?, '+1 day')");
+            params.push(to);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        // snippet() is only defined for full-text queries
+        const snippet = ftsTerms.length > 0
+            ? "snippet(chat_fts, 0, '«', '»', '…', 24)"
+            : 'substr(content, 1, 200)';
+
+        const total = this.db.prepare(`SELECT COUNT(*) as count FROM chat_fts ${where}`).get(...params).count;
+        const results = this.db.prepare(`
+            SELECT rowid as id, user_id, role, created_at, ${snippet} as snippet,
+                   CASE WHEN EXISTS (SELECT 1 FROM chat_context c WHERE c.id = chat_fts.rowid)
+                        THEN 'live' ELSE 'archive' END as source
+            FROM chat_fts
+            ${where}
+            ORDER BY created_at DESC, rowid DESC
+            LIMIT ? OFFSET ?
+        `).all(...params, limit, offset);
+
+        return { total, results };
+    }
+
+    /**
+     * Chats that have searchable history, with message counts
+     */
+    getChatSearchContexts() {
+        const stmt = this.db.prepare(`
+            SELECT user_id as context_id, COUNT(*) as messages, MAX(created_at) as last_message
+            FROM chat_fts
+            GROUP BY user_id
+            ORDER BY last_message DESC
+        `);
+        return stmt.all();
+    }
+
+    // ==================== Conversation Summaries ====================
+
+    /**
+     * Get the rolling summary of a chat
+     * @param {string} contextId - Chat identifier
+     * @returns {Object|null} { context_id, summary, summarized_until_id, message_count, edited_manually, updated_at }
+     */
+    getConversationSummary(contextId) {
+        const stmt = this.db.prepare('SELECT * FROM conversation_summaries WHERE context_id = ?');
+        return stmt.get(contextId) || null;
+    }
+
+    /**
+     * Get all conversation summaries with the number of stored messages per chat
+     */
+    getAllConversationSummaries() {
+        const stmt = this.db.prepare(`
+            SELECT s.*, (SELECT COUNT(*) FROM chat_context c WHERE c.user_id = s.context_id) as stored_messages
+            FROM conversation_summaries s
+            ORDER BY s.updated_at DESC
+        `);
+        return stmt.all();
+    }
+
+    /**
+     * Save the generated summary of a chat
+     * @param {string} contextId - Chat identifier
+     * @param {string} summary - Summary text
+     * @param {number} summarizedUntilId - Last chat_context id folded into the summary
+     * @param {number} addedMessages - Number of messages folded in by this update
+     */
+    saveConversationSummary(contextId, summary, summarizedUntilId, addedMessages) {
+        const stmt = this.db.prepare(`
+            INSERT INTO conversation_summaries (context_id, summary, summarized_until_id, message_count, edited_manually, updated_at)
+            VALUES (?, ?, ?, ?, 0, CURRENT_TIMESTAMP)
+            ON CONFLICT(context_id) DO UPDATE SET
+                summary = excluded.summary,
+                summarized_until_id = excluded.summarized_until_id,
+                message_count = message_count + excluded.message_count,
+                edited_manually = 0,
+                updated_at = CURRENT_TIMESTAMP
+        `);
+        stmt.run(contextId, summary, summarizedUntilId, addedMessages);
+    }
+
+    /**
+     * Replace the summary text of a chat (manual edit from the dashboard)
+     * @param {string} contextId - Chat identifier
+     * @param {string} summary - Summary text
+     */
+    updateConversationSummaryText(contextId, summary) {
+        const stmt = this.db.prepare(`
+            INSERT INTO conversation_summaries (context_id, summary, edited_manually, updated_at)
+            VALUES (?, ?, 1, CURRENT_TIMESTAMP)
+            ON CONFLICT(context_id) DO UPDATE SET
+                summary = excluded.summary,
+                edited_manually = 1,
+                updated_at = CURRENT_TIMESTAMP
+        `);
+        stmt.run(contextId, summary);
+    }
+
+    /**
+     * Delete the summary of a chat
+     * @param {string} contextId - Chat identifier
+     */
+    deleteConversationSummary(contextId) {
+        const stmt = this.db.prepare('DELETE FROM conversation_summaries WHERE context_id = ?');
+        return stmt.run(contextId).changes;
+    }
+
+    // ==================== Knowledge Index ====================
+
+    /**
+     * Get index entries for all knowledge/skill files
+     * @returns {Array} [{ source, filename, always_include, content_hash, embedding_model, indexed_at, chunks }]
+     */
+    getKnowledgeFiles() {
+        const stmt = this.db.prepare(`
+            SELECT f.*, (SELECT COUNT(*) FROM knowledge_chunks c WHERE c.source = f.source AND c.filename = f.filename) as chunks
+            FROM knowledge_files f
+            ORDER BY f.source, f.filename
+        `);
+        return stmt.all();
+    }
+
+    /**
+     * Get the index entry of one file
+     * @param {string} source - 'knowledge' | 'skills'
+     * @param {string} filename - File name
+     */
+    getKnowledgeFile(source, filename) {
+        const stmt = this.db.prepare('SELECT * FROM knowledge_files WHERE source = ? AND filename = ?');
+        return stmt.get(source, filename) || null;
+    }
+
+    /**
+     * Register a file in the index (no-op if it already exists)
+     * @param {string} source - 'knowledge' | 'skills'
+     * @param {string} filename - File name
+     * @param {boolean} alwaysInclude - Initial "always include" flag
+     */
+    ensureKnowledgeFile(source, filename, alwaysInclude = false) {
+        const stmt = this.db.prepare(`
+            INSERT OR IGNORE INTO knowledge_files (source, filename, always_include) VALUES (?, ?, ?)
+        `);
+        stmt.run(source, filename, alwaysInclude ? 1 : 0);
+    }
+
+    /**
+     * Set the "always include in the prompt" flag of a file
+     * @param {string} source - 'knowledge' | 'skills'
+     * @param {string} filename - File name
+     * @param {boolean} alwaysInclude
+     */
+    setKnowledgeAlwaysInclude(source, filename, alwaysInclude) {
+        this.ensureKnowledgeFile(source, filename, alwaysInclude);
+        const stmt = this.db.prepare('UPDATE knowledge_files SET always_include = ? WHERE source = ? AND filename = ?');
+        stmt.run(alwaysInclude ? 1 : 0, source, filename);
+    }
+
+    /**
+     * Replace the chunks (and embeddings) of a file in one transaction
+     * @param {string} source - 'knowledge' | 'skills'
+     * @param {string} filename - File name
+     * @param {string} contentHash - Hash of the indexed file content
+     * @param {string|null} embeddingModel - Model that produced the embeddings
+     * @param {Array<{content: string, embedding: Buffer}>} chunks
+     */
+    replaceKnowledgeChunks(source, filename, contentHash, embeddingModel, chunks) {
+        const deleteStmt = this.db.prepare('DELETE FROM knowledge_chunks WHERE source = ? AND filename = ?');
+        const insertStmt = this.db.prepare(`
+            INSERT INTO knowledge_chunks (source, filename, chunk_index, content, embedding) VALUES (?, ?, ?, ?, ?)
+        `);
+        const updateStmt = this.db.prepare(`
+            UPDATE knowledge_files SET content_hash = ?, embedding_model = ?, indexed_at = CURRENT_TIMESTAMP
+            WHERE source = ? AND filename = ?
+        `);
+
+        this.db.transaction(() => {
+            deleteStmt.run(source, filename);
+            chunks.forEach((chunk, idx) => insertStmt.run(source, filename, idx, chunk.content, chunk.embedding));
+            updateStmt.run(contentHash, embeddingModel, source, filename);
+        })();
+    }
+
+    /**
+     * Remove a file and its chunks from the index
+     * @param {string} source - 'knowledge' | 'skills'
+     * @param {string} filename - File name
+     */
+    deleteKnowledgeFileIndex(source, filename) {
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM knowledge_chunks WHERE source = ? AND filename = ?').run(source, filename);
+            this.db.prepare('DELETE FROM knowledge_files WHERE source = ? AND filename = ?').run(source, filename);
+        })();
+    }
+
+    /**
+     * Get all indexed chunks with their embeddings
+     * @param {string} embeddingModel - Only chunks embedded with this model
+     */
+    getKnowledgeChunks(embeddingModel) {
+        const stmt = this.db.prepare(`
+            SELECT c.id, c.source, c.filename, c.chunk_index, c.content, c.embedding
+            FROM knowledge_chunks c
+            JOIN knowledge_files f ON f.source = c.source AND f.filename = c.filename
+            WHERE f.embedding_model = ?
+        `);
+        return stmt.all(embeddingModel);
+    }
+
+    // ==================== Documents ====================
+
+    /**
+     * Store a document received in chat together with its extracted text
+     * @param {Object} doc - { contextId, filename, mimetype, docType, sizeBytes, pages, content }
+     * @returns {number} Document id
+     */
+    addDocument({ contextId, filename, mimetype = null, docType, sizeBytes = 0, pages = null, content }) {
+        const stmt = this.db.prepare(`
+            INSERT INTO documents (context_id, filename, mimetype, doc_type, size_bytes, pages, content)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        return stmt.run(contextId, filename, mimetype, docType, sizeBytes, pages ?? null, content).lastInsertRowid;
+    }
+
+    /**
+     * Get a document by id
+     * @param {number} id - Document id
+     */
+    getDocument(id) {
+        return this.db.prepare('SELECT * FROM documents WHERE id = ?').get(id) || null;
+    }
+
+    /**
+     * Get the most recent document received in a chat
+     * @param {string} contextId - Chat identifier
+     */
+    getLatestDocument(contextId) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM documents WHERE context_id = ?
+            ORDER BY created_at DESC, id DESC
+            LIMIT 1
+        `);
+        return stmt.get(contextId) || null;
+    }
+
+    /**
+     * Record the knowledge file a document was saved as
+     * @param {number} id - Document id
+     * @param {string} savedAs - Knowledge file name
+     */
+    markDocumentSaved(id, savedAs) {
+        this.db.prepare('UPDATE documents SET saved_as = ? WHERE id = ?').run(savedAs, id);
+    }
+
+    /**
+     * Delete stored documents older than N days (saved knowledge files are not affected)
+     * @param {number} days - Days to keep
+     */
+    pruneDocuments(days = 30) {
+        const stmt = this.db.prepare(`DELETE FROM documents WHERE created_at < datetime('now', '-' || ? || ' days')`);
+        return stmt.run(days).changes;
     }
 
     // ==================== Cache Operations ====================
@@ -266,7 +785,7 @@ class DatabaseManager {
         const stmt = this.db.prepare(`
             INSERT INTO cache (type, data) VALUES (?, ?)
         `);
-        stmt.run(type, JSON.stringify(data));
+        return stmt.run(type, JSON.stringify(data)).lastInsertRowid;
     }
 
     /**
@@ -306,6 +825,78 @@ class DatabaseManager {
         stmt.run(status, errorMessage, id);
     }
 
+    /**
+     * Get a single cache item
+     * @param {number} id - Cache item ID
+     */
+    getCacheItem(id) {
+        const row = this.db.prepare('SELECT * FROM cache WHERE id = ?').get(id);
+        return row ? { ...row, data: JSON.parse(row.data) } : null;
+    }
+
+    /**
+     * Get cache items of a type in the given statuses (oldest first)
+     * @param {string} type - Cache type
+     * @param {string[]} statuses - e.g. ['pending', 'failed']
+     */
+    getCacheItems(type, statuses = ['pending']) {
+        const stmt = this.db.prepare(`
+            SELECT id, data, status, error_message, retry_count, created_at, updated_at
+            FROM cache
+            WHERE type = ? AND status IN (${statuses.map(() => '?').join(', ')})
+            ORDER BY created_at ASC, id ASC
+        `);
+        return stmt.all(type, ...statuses).map(row => ({
+            id: row.id,
+            data: JSON.parse(row.data),
+            status: row.status,
+            errorMessage: row.error_message,
+            retryCount: row.retry_count,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        }));
+    }
+
+    /**
+     * Record a failed attempt on a pending cache item and store its updated data (e.g. next retry time)
+     * @param {number} id - Cache item ID
+     * @param {object} data - Updated data
+     * @param {string} errorMessage - Error of the failed attempt
+     */
+    rescheduleCacheItem(id, data, errorMessage) {
+        const stmt = this.db.prepare(`
+            UPDATE cache
+            SET data = ?,
+                error_message = ?,
+                retry_count = retry_count + 1,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `);
+        stmt.run(JSON.stringify(data), errorMessage, id);
+    }
+
+    /**
+     * Put a cache item back in the pending state with a fresh retry count
+     * @param {number} id - Cache item ID
+     * @param {object} data - Updated data
+     */
+    resetCacheItem(id, data) {
+        const stmt = this.db.prepare(`
+            UPDATE cache
+            SET data = ?, status = 'pending', error_message = NULL, retry_count = 0, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `);
+        return stmt.run(JSON.stringify(data), id).changes;
+    }
+
+    /**
+     * Delete a cache item
+     * @param {number} id - Cache item ID
+     */
+    deleteCacheItem(id) {
+        return this.db.prepare('DELETE FROM cache WHERE id = ?').run(id).changes;
+    }
+
     /**
      * Clear completed cache items older than specified days
      * @param {number} days - Days to keep
@@ -463,25 +1054,25 @@ class DatabaseManager {
     /**
      * Add a scheduled prompt
      */
-    addScheduledPrompt(name, prompt, cronExpression, enabled = true) {
+    addScheduledPrompt(name, prompt, cronExpression, enabled = true, groupJid = null) {
         const stmt = this.db.prepare(`
-            INSERT INTO scheduled_prompts (name, prompt, cron_expression, enabled)
-            VALUES (?, ?, ?, ?)
+            INSERT INTO scheduled_prompts (name, prompt, cron_expression, enabled, group_jid)
+            VALUES (?, ?, ?, ?, ?)
         `);
-        const result = stmt.run(name.trim(), prompt.trim(), cronExpression.trim(), enabled ? 1 : 0);
+        const result = stmt.run(name.trim(), prompt.trim(), cronExpression.trim(), enabled ? 1 : 0, groupJid || null);
         return result.lastInsertRowid;
     }
 
     /**
      * Update a scheduled prompt
      */
-    updateScheduledPrompt(id, name, prompt, cronExpression, enabled) {
+    updateScheduledPrompt(id, name, prompt, cronExpression, enabled, groupJid = null) {
         const stmt = this.db.prepare(`
             UPDATE scheduled_prompts
-            SET name = ?, prompt = ?, cron_expression = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+            SET name = ?, prompt = ?, cron_expression = ?, enabled = ?, group_jid = ?, updated_at = CURRENT_TIMESTAMP
             WHERE id = ?
         `);
-        stmt.run(name.trim(), prompt.trim(), cronExpression.trim(), enabled ? 1 : 0, id);
+        stmt.run(name.trim(), prompt.trim(), cronExpression.trim(), enabled ? 1 : 0, groupJid || null, id);
     }
 
     /**
@@ -492,38 +1083,388 @@ class DatabaseManager {
         stmt.run(id);
     }
 
+    // ==================== Briefing Operations ====================
+
+    /**
+     * Get all briefings (sections parsed to an array)
+     */
+    getBriefings() {
+        return this.db.prepare('SELECT * FROM briefings ORDER BY name ASC').all().map(row => this._parseBriefing(row));
+    }
+
+    /**
+     * Get enabled briefings
+     */
+    getEnabledBriefings() {
+        return this.db.prepare('SELECT * FROM briefings WHERE enabled = 1 ORDER BY name ASC').all().map(row => this._parseBriefing(row));
+    }
+
+    /**
+     * Get a briefing by ID
+     * @param {number} id - Briefing ID
+     */
+    getBriefing(id) {
+        const row = this.db.prepare('SELECT * FROM briefings WHERE id = ?').get(id);
+        return row ? this._parseBriefing(row) : null;
+    }
+
+    /**
+     * Add a briefing
+     * @param {Object} briefing - { name, sections, cronExpression, groupJid, personPhone, weatherEntity, rssUrl, enabled }
+     * @returns {number} New briefing ID
+     */
+    addBriefing({ name, sections, cronExpression, groupJid = null, personPhone = null, weatherEntity = null, rssUrl = null, enabled = true }) {
+        return this.db.prepare(`
+            INSERT INTO briefings (name, sections, cron_expression, group_jid, person_phone, weather_entity, rss_url, enabled)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(name.trim(), JSON.stringify(sections), cronExpression.trim(), groupJid || null, personPhone || null,
+            weatherEntity || null, rssUrl || null, enabled ? 1 : 0).lastInsertRowid;
+    }
+
+    /**
+     * Update a briefing
+     * @param {number} id - Briefing ID
+     * @param {Object} briefing - { name, sections, cronExpression, groupJid, personPhone, weatherEntity, rssUrl, enabled }
+     * @returns {boolean} Whether the briefing exists
+     */
+    updateBriefing(id, { name, sections, cronExpression, groupJid = null, personPhone = null, weatherEntity = null, rssUrl = null, enabled = true }) {
+        return this.db.prepare(`
+            UPDATE briefings
+            SET name = ?, sections = ?, cron_expression = ?, group_jid = ?, person_phone = ?, weather_entity = ?, rss_url = ?,
+                enabled = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(name.trim(), JSON.stringify(sections), cronExpression.trim(), groupJid || null, personPhone || null,
+            weatherEntity || null, rssUrl || null, enabled ? 1 : 0, id).changes > 0;
+    }
+
+    /**
+     * Delete a briefing
+     * @param {number} id - Briefing ID
+     */
+    deleteBriefing(id) {
+        return this.db.prepare('DELETE FROM briefings WHERE id = ?').run(id).changes > 0;
+    }
+
+    _parseBriefing(row) {
+        let sections = [];
+        try { sections = JSON.parse(row.sections); } catch { /* no sections */ }
+        return { ...row, sections: Array.isArray(sections) ? sections : [] };
+    }
+
+    // ==================== WhatsApp Group Operations ====================
+
+    /**
+     * Get all registered WhatsApp groups (allowed_tools parsed to an array or null)
+     */
+    getWhatsappGroups() {
+        const stmt = this.db.prepare('SELECT * FROM whatsapp_groups ORDER BY is_default DESC, name ASC');
+        return stmt.all().map(row => this._parseGroup(row));
+    }
+
+    /**
+     * Get a registered group by its WhatsApp JID
+     * @param {string} jid - Group JID (...@g.us)
+     */
+    getWhatsappGroupByJid(jid) {
+        const row = this.db.prepare('SELECT * FROM whatsapp_groups WHERE jid = ?').get(jid);
+        return row ? this._parseGroup(row) : null;
+    }
+
+    /**
+     * Get a registered group by name (case-insensitive)
+     * @param {string} name - Group name
+     */
+    getWhatsappGroupByName(name) {
+        const row = this.db.prepare('SELECT * FROM whatsapp_groups WHERE name = ?').get(name.trim());
+        return row ? this._parseGroup(row) : null;
+    }
+
+    /**
+     * Register a WhatsApp group
+     * @param {Object} group - { jid, name, instructions, allowedTools, isDefault, enabled }
+     * @returns {number} New group ID
+     */
+    addWhatsappGroup({ jid, name, instructions = '', allowedTools = null, isDefault = false, enabled = true }) {
+        const insert = this.db.transaction(() => {
+            if (isDefault) this.db.prepare('UPDATE whatsapp_groups SET is_default = 0').run();
+            return this.db.prepare(`
+                INSERT INTO whatsapp_groups (jid, name, instructions, allowed_tools, is_default, enabled)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(jid.trim(), name.trim(), instructions || null,
+                Array.isArray(allowedTools) ? JSON.stringify(allowedTools) : null,
+                isDefault ? 1 : 0, enabled ? 1 : 0).lastInsertRowid;
+        });
+        return insert();
+    }
+
+    /**
+     * Update a registered WhatsApp group
+     * @param {number} id - Group ID
+     * @param {Object} group - { jid, name, instructions, allowedTools, isDefault, enabled }
+     * @returns {boolean} Whether the group exists
+     */
+    updateWhatsappGroup(id, { jid, name, instructions = '', allowedTools = null, isDefault = false, enabled = true }) {
+        const update = this.db.transaction(() => {
+            if (isDefault) this.db.prepare('UPDATE whatsapp_groups SET is_default = 0 WHERE id != ?').run(id);
+            return this.db.prepare(`
+                UPDATE whatsapp_groups
+                SET jid = ?, name = ?, instructions = ?, allowed_tools = ?, is_default = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(jid.trim(), name.trim(), instructions || null,
+                Array.isArray(allowedTools) ? JSON.stringify(allowedTools) : null,
+                isDefault ? 1 : 0, enabled ? 1 : 0, id).changes > 0;
+        });
+        return update();
+    }
+
+    /**
+     * Delete a registered WhatsApp group
+     * @param {number} id - Group ID
+     */
+    deleteWhatsappGroup(id) {
+        return this.db.prepare('DELETE FROM whatsapp_groups WHERE id = ?').run(id).changes > 0;
+    }
+
+    _parseGroup(row) {
+        let allowedTools = null;
+        if (row.allowed_tools) {
+            try { allowedTools = JSON.parse(row.allowed_tools); } catch { /* treat as unrestricted */ }
+        }
+        return { ...row, allowed_tools: allowedTools };
+    }
+
+    // ==================== Calendar Operations ====================
+
+    /**
+     * Get all registered calendars (default first)
+     */
+    getCalendars() {
+        return this.db.prepare('SELECT * FROM calendars ORDER BY is_default DESC, name ASC').all();
+    }
+
+    /**
+     * Register a calendar
+     * @param {Object} calendar - { name, type, source, username, password, owner, isDefault, enabled }
+     * @returns {number} New calendar ID
+     */
+    addCalendar({ name, type, source, username = null, password = null, owner = null, isDefault = false, enabled = true }) {
+        const insert = this.db.transaction(() => {
+            if (isDefault) this.db.prepare('UPDATE calendars SET is_default = 0').run();
+            return this.db.prepare(`
+                INSERT INTO calendars (name, type, source, username, password, owner, is_default, enabled)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(name.trim(), type, source.trim(), username || null, password || null, owner || null, isDefault ? 1 : 0, enabled ? 1 : 0).lastInsertRowid;
+        });
+        return insert();
+    }
+
+    /**
+     * Update a registered calendar
+     * @param {number} id - Calendar ID
+     * @param {Object} calendar - { name, type, source, username, password, owner, isDefault, enabled }
+     *   (password undefined keeps the stored one)
+     * @returns {boolean} Whether the calendar exists
+     */
+    updateCalendar(id, { name, type, source, username = null, password, owner = null, isDefault = false, enabled = true }) {
+        const update = this.db.transaction(() => {
+            if (isDefault) this.db.prepare('UPDATE calendars SET is_default = 0 WHERE id != ?').run(id);
+            return this.db.prepare(`
+                UPDATE calendars
+                SET name = ?, type = ?, source = ?, username = ?, password = CASE WHEN ? THEN ? ELSE password END,
+                    owner = ?, is_default = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(
+                name.trim(), type, source.trim(), username || null, password !== undefined ? 1 : 0, password || null,
+                owner || null, isDefault ? 1 : 0, enabled ? 1 : 0, id
+            ).changes > 0;
+        });
+        return update();
+    }
+
+    /**
+     * Delete a registered calendar
+     * @param {number} id - Calendar ID
+     */
+    deleteCalendar(id) {
+        return this.db.prepare('DELETE FROM calendars WHERE id = ?').run(id).changes > 0;
+    }
+
+    // ==================== People Operations ====================
+
+    /**
+     * Get all known people
+     */
+    getPeople() {
+        return this.db.prepare('SELECT * FROM people ORDER BY name ASC').all();
+    }
+
+    /**
+     * Get a person by phone number
+     * @param {string} phone - Phone number (digits only, as in WHATSAPP_WHITELIST)
+     */
+    getPersonByPhone(phone) {
+        return this.db.prepare('SELECT * FROM people WHERE phone = ?').get(phone);
+    }
+
+    /**
+     * Add a person
+     * @param {Object} person - { phone, name, role, birthDate (YYYY-MM-DD) }
+     * @returns {number} New person ID
+     */
+    addPerson({ phone, name, role, birthDate = null }) {
+        return this.db.prepare('INSERT INTO people (phone, name, role, birth_date) VALUES (?, ?, ?, ?)')
+            .run(phone, name.trim(), role, birthDate || null).lastInsertRowid;
+    }
+
+    /**
+     * Update a person
+     * @param {number} id - Person ID
+     * @param {Object} person - { phone, name, role, birthDate (YYYY-MM-DD) }
+     * @returns {boolean} Whether the person exists
+     */
+    updatePerson(id, { phone, name, role, birthDate = null }) {
+        return this.db.prepare(`
+            UPDATE people SET phone = ?, name = ?, role = ?, birth_date = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(phone, name.trim(), role, birthDate || null, id).changes > 0;
+    }
+
+    /**
+     * Delete a person
+     * @param {number} id - Person ID
+     */
+    deletePerson(id) {
+        return this.db.prepare('DELETE FROM people WHERE id = ?').run(id).changes > 0;
+    }
+
+    // ==================== Pending Action Operations ====================
+
+    /**
+     * Store a tool call that waits for confirmation
+     * @param {Object} action - { contextId, senderId, toolName, args, summary, expiryMinutes }
+     * @returns {number} New action ID
+     */
+    addPendingAction({ contextId, senderId, toolName, args, summary, expiryMinutes }) {
+        return this.db.prepare(`
+            INSERT INTO pending_actions (context_id, sender_id, tool_name, args, summary, expires_at)
+            VALUES (?, ?, ?, ?, ?, datetime('now', '+' || ? || ' minutes'))
+        `).run(contextId, senderId, toolName, JSON.stringify(args || {}), summary, expiryMinutes).lastInsertRowid;
+    }
+
+    /**
+     * Unexpired pending actions of a chat, oldest first
+     * @param {string} contextId - Chat ID
+     */
+    getPendingActions(contextId) {
+        return this.db.prepare(`
+            SELECT * FROM pending_actions
+            WHERE context_id = ? AND status = 'pending' AND expires_at > datetime('now')
+            ORDER BY id ASC
+        `).all(contextId).map(row => this._parsePendingAction(row));
+    }
+
+    /**
+     * Unexpired pending actions announced in a given bot message (for 👍 reactions)
+     * @param {string} messageId - WhatsApp message ID of the confirmation request
+     */
+    getPendingActionsByMessageId(messageId) {
+        return this.db.prepare(`
+            SELECT * FROM pending_actions
+            WHERE message_id = ? AND status = 'pending' AND expires_at > datetime('now')
+            ORDER BY id ASC
+        `).all(messageId).map(row => this._parsePendingAction(row));
+    }
+
+    /**
+     * Link the pending actions of a chat that were not announced yet to the bot message asking for confirmation
+     * @param {string} contextId - Chat ID
+     * @param {string} messageId - WhatsApp message ID
+     */
+    setPendingActionsMessageId(contextId, messageId) {
+        return this.db.prepare(`
+            UPDATE pending_actions SET message_id = ?
+            WHERE context_id = ? AND status = 'pending' AND message_id IS NULL
+        `).run(messageId, contextId).changes;
+    }
+
+    /**
+     * Mark a pending action as confirmed (with its result) or cancelled
+     * @param {number} id - Action ID
+     * @param {string} status - 'confirmed' | 'cancelled'
+     * @param {Object} [result] - Tool result
+     */
+    resolvePendingAction(id, status, result = null) {
+        return this.db.prepare(`
+            UPDATE pending_actions SET status = ?, result = ?, resolved_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'pending'
+        `).run(status, result ? JSON.stringify(result) : null, id).changes > 0;
+    }
+
+    /**
+     * Store the tool result of a confirmed action
+     * @param {number} id - Action ID
+     * @param {Object} result - Tool result
+     */
+    setPendingActionResult(id, result) {
+        this.db.prepare('UPDATE pending_actions SET result = ? WHERE id = ?').run(JSON.stringify(result ?? null), id);
+    }
+
+    /**
+     * Mark timed-out pending actions as expired and delete resolved actions older than N days
+     * @param {number} days - Days to keep resolved actions
+     */
+    cleanupPendingActions(days = 30) {
+        const expired = this.db.prepare(`
+            UPDATE pending_actions SET status = 'expired', resolved_at = CURRENT_TIMESTAMP
+            WHERE status = 'pending' AND expires_at <= datetime('now')
+        `).run().changes;
+        const deleted = this.db.prepare(`
+            DELETE FROM pending_actions WHERE status != 'pending' AND created_at < datetime('now', '-' || ? || ' days')
+        `).run(days).changes;
+        return { expired, deleted };
+    }
+
+    _parsePendingAction(row) {
+        let args = {};
+        try { args = JSON.parse(row.args || '{}'); } catch { /* keep empty */ }
+        return { ...row, args };
+    }
+
     // ==================== Home Assistant Mapping Operations ====================
 
     /**
      * Get all Home Assistant mappings
      */
     getHaMappings() {
-        const stmt = this.db.prepare('SELECT * FROM ha_mappings ORDER BY location ASC, nickname ASC');
+        const stmt = this.db.prepare(`
+            SELECT m.*, a.name AS area_name FROM ha_mappings m
+            LEFT JOIN ha_areas a ON a.area_id = m.area_id
+            ORDER BY m.location ASC, m.nickname ASC
+        `);
         return stmt.all();
     }
 
     /**
      * Add a new Home Assistant mapping
      */
-    addHaMapping(entityId, nickname, location = null, type = null) {
+    addHaMapping(entityId, nickname, location = null, type = null, areaId = null) {
         const stmt = this.db.prepare(`
-            INSERT INTO ha_mappings (entity_id, nickname, location, type)
-            VALUES (?, ?, ?, ?)
+            INSERT INTO ha_mappings (entity_id, nickname, location, type, area_id)
+            VALUES (?, ?, ?, ?, ?)
         `);
-        const result = stmt.run(entityId.trim(), nickname.trim(), location ? location.trim() : null, type ? type.trim() : null);
+        const result = stmt.run(entityId.trim(), nickname.trim(), location ? location.trim() : null, type ? type.trim() : null, areaId || null);
         return result.lastInsertRowid;
     }
 
     /**
      * Update an existing Home Assistant mapping
      */
-    updateHaMapping(id, entityId, nickname, location, type) {
+    updateHaMapping(id, entityId, nickname, location, type, areaId = null) {
         const stmt = this.db.prepare(`
             UPDATE ha_mappings 
-            SET entity_id = ?, nickname = ?, location = ?, type = ?, updated_at = CURRENT_TIMESTAMP
+            SET entity_id = ?, nickname = ?, location = ?, type = ?, area_id = ?, updated_at = CURRENT_TIMESTAMP
             WHERE id = ?
         `);
-        stmt.run(entityId.trim(), nickname.trim(), location ? location.trim() : null, type ? type.trim() : null, id);
+        stmt.run(entityId.trim(), nickname.trim(), location ? location.trim() : null, type ? type.trim() : null, areaId || null, id);
     }
 
     /**
@@ -555,6 +1496,181 @@ class DatabaseManager {
         return stmt.all(...params);
     }
 
+    // ==================== Home Assistant Areas ====================
+
+    /**
+     * Replace the synced floor, area and entity registries
+     * @param {{floors: Array, areas: Array, entities: Array}} registry - Rows with the table's columns (aliases as arrays)
+     */
+    replaceHaRegistry({ floors, areas, entities }) {
+        const aliases = (list) => (list && list.length > 0 ? list.join(', ') : null);
+        const insertFloor = this.db.prepare('INSERT INTO ha_floors (floor_id, name, level, aliases) VALUES (?, ?, ?, ?)');
+        const insertArea = this.db.prepare('INSERT INTO ha_areas (area_id, name, floor_id, aliases) VALUES (?, ?, ?, ?)');
+        const insertEntity = this.db.prepare('INSERT INTO ha_entities (entity_id, name, area_id, device_id, aliases) VALUES (?, ?, ?, ?, ?)');
+
+        this.db.transaction(() => {
+            this.db.exec('DELETE FROM ha_floors; DELETE FROM ha_areas; DELETE FROM ha_entities;');
+            for (const f of floors) insertFloor.run(f.floor_id, f.name, f.level ?? null, aliases(f.aliases));
+            for (const a of areas) insertArea.run(a.area_id, a.name, a.floor_id || null, aliases(a.aliases));
+            for (const e of entities) insertEntity.run(e.entity_id, e.name || null, e.area_id || null, e.device_id || null, aliases(e.aliases));
+        })();
+    }
+
+    /**
+     * Get the synced floors with their dashboard aliases (custom_aliases)
+     */
+    getHaFloors() {
+        return this.db.prepare(`
+            SELECT f.*, al.aliases AS custom_aliases FROM ha_floors f
+            LEFT JOIN ha_aliases al ON al.target_type = 'floor' AND al.target_id = f.floor_id
+            ORDER BY f.level ASC, f.name ASC
+        `).all();
+    }
+
+    /**
+     * Get the synced areas with their floor name, dashboard aliases (custom_aliases) and number of entities
+     */
+    getHaAreas() {
+        return this.db.prepare(`
+            SELECT a.*, f.name AS floor_name, al.aliases AS custom_aliases,
+                (SELECT COUNT(*) FROM ha_entities e WHERE e.area_id = a.area_id) AS entity_count
+            FROM ha_areas a
+            LEFT JOIN ha_floors f ON f.floor_id = a.floor_id
+            LEFT JOIN ha_aliases al ON al.target_type = 'area' AND al.target_id = a.area_id
+            ORDER BY f.level ASC, a.name ASC
+        `).all();
+    }
+
+    /**
+     * Get the synced registry entities
+     */
+    getHaRegistryEntities() {
+        return this.db.prepare('SELECT * FROM ha_entities').all();
+    }
+
+    /**
+     * Set the dashboard aliases of an area or floor (empty removes them)
+     * @param {'area'|'floor'} targetType
+     * @param {string} targetId - Area or floor ID
+     * @param {string} aliases - Comma-separated aliases
+     */
+    setHaAliases(targetType, targetId, aliases) {
+        const value = String(aliases || '').split(',').map(a => a.trim()).filter(Boolean).join(', ');
+        if (!value) {
+            this.db.prepare('DELETE FROM ha_aliases WHERE target_type = ? AND target_id = ?').run(targetType, targetId);
+            return;
+        }
+        this.db.prepare(`
+            INSERT INTO ha_aliases (target_type, target_id, aliases) VALUES (?, ?, ?)
+            ON CONFLICT(target_type, target_id) DO UPDATE SET aliases = excluded.aliases, updated_at = CURRENT_TIMESTAMP
+        `).run(targetType, targetId, value);
+    }
+
+    /**
+     * Get all dashboard aliases of areas and floors
+     */
+    getHaAliases() {
+        return this.db.prepare('SELECT target_type, target_id, aliases FROM ha_aliases ORDER BY target_type, target_id').all();
+    }
+
+    // ==================== Home Assistant Watch Rules ====================
+
+    /**
+     * Get all watch rules
+     */
+    getWatchRules() {
+        return this.db.prepare('SELECT * FROM ha_watch_rules ORDER BY name ASC').all();
+    }
+
+    /**
+     * Get enabled watch rules
+     */
+    getEnabledWatchRules() {
+        return this.db.prepare('SELECT * FROM ha_watch_rules WHERE enabled = 1 ORDER BY name ASC').all();
+    }
+
+    /**
+     * Add a watch rule
+     * @param {Object} rule - { name, entityId, toState, above, below, forMinutes, activeHours, message, raw, groupJid, personPhone, cooldownMinutes, enabled }
+     * @returns {number} New rule ID
+     */
+    addWatchRule(rule) {
+        return this.db.prepare(`
+            INSERT INTO ha_watch_rules (name, entity_id, to_state, above, below, for_minutes, active_hours, message, raw,
+                group_jid, person_phone, cooldown_minutes, enabled)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(...this._watchRuleValues(rule)).lastInsertRowid;
+    }
+
+    /**
+     * Update a watch rule
+     * @param {number} id - Rule ID
+     * @param {Object} rule - See addWatchRule
+     * @returns {boolean} Whether the rule exists
+     */
+    updateWatchRule(id, rule) {
+        return this.db.prepare(`
+            UPDATE ha_watch_rules
+            SET name = ?, entity_id = ?, to_state = ?, above = ?, below = ?, for_minutes = ?, active_hours = ?, message = ?, raw = ?,
+                group_jid = ?, person_phone = ?, cooldown_minutes = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(...this._watchRuleValues(rule), id).changes > 0;
+    }
+
+    /**
+     * Delete a watch rule (its log entries are kept)
+     * @param {number} id - Rule ID
+     */
+    deleteWatchRule(id) {
+        return this.db.prepare('DELETE FROM ha_watch_rules WHERE id = ?').run(id).changes > 0;
+    }
+
+    _watchRuleValues({ name, entityId, toState = null, above = null, below = null, forMinutes = 0, activeHours = null, message,
+        raw = false, groupJid = null, personPhone = null, cooldownMinutes = 30, enabled = true }) {
+        return [
+            name.trim(), entityId.trim(), toState || null, above ?? null, below ?? null, forMinutes || 0, activeHours || null,
+            message.trim(), raw ? 1 : 0, groupJid || null, personPhone || null, cooldownMinutes ?? 30, enabled ? 1 : 0
+        ];
+    }
+
+    /**
+     * Log a fired watch rule
+     * @param {Object} entry - { ruleId, ruleName, entityId, state, message, sent, firedAt (default now) }
+     */
+    addWatchLog({ ruleId, ruleName, entityId, state = null, message = null, sent = true, firedAt = new Date() }) {
+        return this.db.prepare(`
+            INSERT INTO ha_watch_log (rule_id, rule_name, entity_id, state, message, sent, fired_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(ruleId, ruleName, entityId, state, message, sent ? 1 : 0, firedAt.toISOString()).lastInsertRowid;
+    }
+
+    /**
+     * When a watch rule last fired for an entity
+     * @returns {string|null} ISO time
+     */
+    getLastWatchFire(ruleId, entityId) {
+        const row = this.db.prepare(`
+            SELECT fired_at FROM ha_watch_log WHERE rule_id = ? AND entity_id = ? ORDER BY fired_at DESC LIMIT 1
+        `).get(ruleId, entityId);
+        return row ? row.fired_at : null;
+    }
+
+    /**
+     * Latest fired watch rules (newest first)
+     * @param {number} limit - Max entries
+     */
+    getWatchLog(limit = 50) {
+        return this.db.prepare('SELECT * FROM ha_watch_log ORDER BY fired_at DESC LIMIT ?').all(limit);
+    }
+
+    /**
+     * Delete watch log entries older than N days
+     */
+    pruneWatchLog(days = 30) {
+        const cutoff = new Date(Date.now() - days * 86400000).toISOString();
+        return this.db.prepare('DELETE FROM ha_watch_log WHERE fired_at < ?').run(cutoff).changes;
+    }
+
     // ==================== Usage Tracking ====================
 
     /**
@@ -564,13 +1680,20 @@ class DatabaseManager {
      * @param {number} outputTokens - Number of output tokens
      * @param {number} totalTokens - Total tokens (input + output)
      * @param {number} cost - Cost in USD
+     * @param {Object} [meta]
+     * @param {string} [meta.contextId] - Chat/context the call belongs to
+     * @param {string} [meta.callKind] - 'chat' | 'voice' | 'broadcast' | 'scheduled' | 'briefing' | 'nudge' | 'embedding'
+     * @param {number} [meta.toolIteration] - 0 for the initial call, N for the Nth tool round trip
      */
-    logUsage(model, inputTokens, outputTokens, totalTokens, cost) {
+    logUsage(model, inputTokens, outputTokens, totalTokens, cost, meta = {}) {
         const stmt = this.db.prepare(`
-            INSERT INTO usage_logs (model, input_tokens, output_tokens, total_tokens, cost_usd)
-            VALUES (?, ?, ?, ?, ?)
+            INSERT INTO usage_logs (model, input_tokens, output_tokens, total_tokens, cost_usd, context_id, call_kind, tool_iteration)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `);
-        stmt.run(model, inputTokens, outputTokens, totalTokens, cost);
+        stmt.run(
+            model, inputTokens, outputTokens, totalTokens, cost,
+            meta.contextId || null, meta.callKind || 'chat', meta.toolIteration || 0
+        );
     }
 
     /**
@@ -592,7 +1715,8 @@ class DatabaseManager {
                 SUM(input_tokens) as input, 
                 SUM(output_tokens) as output, 
                 SUM(total_tokens) as total, 
-                SUM(cost_usd) as cost 
+                SUM(cost_usd) as cost,
+                COUNT(*) as calls
             FROM usage_logs 
             WHERE timestamp >= ?
         `);
@@ -602,11 +1726,24 @@ class DatabaseManager {
                 SUM(input_tokens) as input, 
                 SUM(output_tokens) as output, 
                 SUM(total_tokens) as total, 
-                SUM(cost_usd) as cost 
+                SUM(cost_usd) as cost,
+                COUNT(*) as calls
             FROM usage_logs 
             WHERE timestamp >= ?
         `);
 
+        const byKindStmt = this.db.prepare(`
+            SELECT 
+                COALESCE(call_kind, 'chat') as kind,
+                SUM(total_tokens) as total,
+                SUM(cost_usd) as cost,
+                COUNT(*) as calls
+            FROM usage_logs 
+            WHERE timestamp >= ?
+            GROUP BY kind
+            ORDER BY cost DESC
+        `);
+
         // Convert exactly local midnight to SQLite UTC string format (YYYY-MM-DD HH:MM:SS) 
         // Note: usage_logs stores UTC timestamps via CURRENT_TIMESTAMP
         const formatSqliteDate = d => {
@@ -616,19 +1753,28 @@ class DatabaseManager {
 
         const today = todayStmt.get(formatSqliteDate(startOfDay));
         const month = monthStmt.get(formatSqliteDate(startOfMonth));
+        const byKind = byKindStmt.all(formatSqliteDate(startOfMonth));
 
         return {
             today: {
                 input: today.input || 0,
                 output: today.output || 0,
                 total: today.total || 0,
-                cost: today.cost || 0
+                cost: today.cost || 0,
+                calls: today.calls || 0
             },
             month: {
                 input: month.input || 0,
                 output: month.output || 0,
                 total: month.total || 0,
-                cost: month.cost || 0
+                cost: month.cost || 0,
+                calls: month.calls || 0,
+                byKind: byKind.map(r => ({
+                    kind: r.kind,
+                    total: r.total || 0,
+                    cost: r.cost || 0,
+                    calls: r.calls
+                }))
             }
         };
     }
@@ -640,10 +1786,32 @@ class DatabaseManager {
      * @param {string} title 
      * @param {string} dueDate (ISO string or datetime)
      * @param {number} nudgeIntervalMinutes 
+     * @param {string|null} [groupJid] - Group the nudges go to (null = default group)
+     * @param {Object|null} [recurrence] - Repeat rule, see utils/recurrence.js normalizeRecurrence
+     * @param {string} recurrence.rule - RRULE without UNTIL/COUNT
+     * @param {string|null} [recurrence.until] - Last allowed due date (ISO)
+     * @param {number|null} [recurrence.count] - Total number of occurrences
+     * @param {number} [recurrence.occurrence] - 1-based number of this occurrence
+     * @param {Object|null} [options] - Who the reminder belongs to and how it nudges
+     * @param {string} [options.assignee] - Phone number of the person (null = the whole group)
+     * @param {string} [options.delivery] - 'private' (nudge in their private chat) or 'group' (@-mention in the group)
+     * @param {number|null} [options.escalateAfter] - Ignored nudges before escalating (null = REMINDER_ESCALATE_AFTER, 0 = never)
+     * @param {string|null} [options.escalateTo] - 'group' or 'admin' (null = REMINDER_ESCALATE_TO)
+     * @param {string|null} [options.quietHours] - "HH:MM-HH:MM" or "off" (null = REMINDER_QUIET_HOURS)
+     * @param {boolean|null} [options.shabbatQuiet] - Hold nudges on Shabbat / Yom Tov (null = REMINDER_SHABBAT_QUIET)
+     * @param {number|null} [options.maxNudges] - Ignored nudges before cancelling (null = REMINDER_MAX_NUDGES, 0 = never)
      */
-    addReminder(title, dueDate, nudgeIntervalMinutes = 60) {
-        const stmt = this.db.prepare('INSERT INTO reminders (title, due_date, nudge_interval_minutes) VALUES (?, ?, ?)');
-        const result = stmt.run(title, dueDate, nudgeIntervalMinutes);
+    addReminder(title, dueDate, nudgeIntervalMinutes = 60, groupJid = null, recurrence = null, options = null) {
+        const stmt = this.db.prepare(`
+            INSERT INTO reminders (title, due_date, nudge_interval_minutes, group_jid, recurrence, recurrence_end, recurrence_count, occurrence,
+                assignee, assignee_delivery, escalate_after, escalate_to, quiet_hours, shabbat_quiet, max_nudges)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        const result = stmt.run(
+            title, dueDate, nudgeIntervalMinutes, groupJid || null,
+            recurrence?.rule || null, recurrence?.until || null, recurrence?.count || null, recurrence?.occurrence || 1,
+            ...this._reminderOptions(options)
+        );
         return result.lastInsertRowid;
     }
 
@@ -659,7 +1827,7 @@ class DatabaseManager {
      * Update the due date of a reminder (also resets nudge state so it won't fire early)
      */
     updateReminderDueDate(id, dueDate) {
-        const stmt = this.db.prepare("UPDATE reminders SET due_date = ?, status = 'pending', last_nudged = NULL, nudge_count = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?");
+        const stmt = this.db.prepare("UPDATE reminders SET due_date = ?, status = 'pending', last_nudged = NULL, nudge_count = 0, escalated_at = NULL, next_nudge_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?");
         return stmt.run(dueDate, id).changes > 0;
     }
 
@@ -668,10 +1836,20 @@ class DatabaseManager {
      */
     updateReminderLastNudged(id) {
         const isoString = new Date().toISOString();
-        const stmt = this.db.prepare("UPDATE reminders SET last_nudged = ?, nudge_count = nudge_count + 1 WHERE id = ?");
+        const stmt = this.db.prepare("UPDATE reminders SET last_nudged = ?, nudge_count = nudge_count + 1, next_nudge_at = NULL WHERE id = ?");
         return stmt.run(isoString, id).changes > 0;
     }
 
+    /**
+     * Hold a reminder's next nudge until a time (quiet hours / Shabbat)
+     * @param {number} id - Reminder ID
+     * @param {string} until - ISO time of the first allowed nudge
+     */
+    deferReminderNudge(id, until) {
+        const stmt = this.db.prepare("UPDATE reminders SET next_nudge_at = ? WHERE id = ?");
+        return stmt.run(until, id).changes > 0;
+    }
+
     /**
      * Get all pending reminders
      */
@@ -680,6 +1858,14 @@ class DatabaseManager {
         return stmt.all();
     }
 
+    /**
+     * Get a reminder by ID
+     */
+    getReminder(id) {
+        const stmt = this.db.prepare("SELECT * FROM reminders WHERE id = ?");
+        return stmt.get(id);
+    }
+
     /**
      * Get all reminders (pending, done, cancelled)
      */
@@ -690,10 +1876,80 @@ class DatabaseManager {
 
     /**
      * Update a reminder's core details
+     * @param {Object|null} [recurrence] - Repeat rule { rule, until, count } (null = one-off)
+     * @param {Object|null} [options] - Assignee and nudge settings, see addReminder (null = defaults)
+     */
+    updateReminder(id, title, dueDate, nudgeInterval, groupJid = null, recurrence = null, options = null) {
+        const stmt = this.db.prepare(`
+            UPDATE reminders SET title = ?, due_date = ?, nudge_interval_minutes = ?, group_jid = ?,
+                recurrence = ?, recurrence_end = ?, recurrence_count = ?,
+                assignee = ?, assignee_delivery = ?, escalate_after = ?, escalate_to = ?,
+                quiet_hours = ?, shabbat_quiet = ?, max_nudges = ?, next_nudge_at = NULL
+            WHERE id = ?
+        `);
+        return stmt.run(
+            title, dueDate, nudgeInterval, groupJid || null,
+            recurrence?.rule || null, recurrence?.until || null, recurrence?.count || null,
+            ...this._reminderOptions(options), id
+        ).changes > 0;
+    }
+
+    /**
+     * Record that a reminder's ignored nudges were escalated to the group / admin
+     */
+    markReminderEscalated(id) {
+        const stmt = this.db.prepare("UPDATE reminders SET escalated_at = CURRENT_TIMESTAMP WHERE id = ?");
+        return stmt.run(id).changes > 0;
+    }
+
+    _reminderOptions(options) {
+        const optionalInt = (value) => value === null || value === undefined || value === '' ? null : parseInt(value, 10) || 0;
+        const shabbatQuiet = options?.shabbatQuiet;
+        return [
+            options?.assignee || null,
+            options?.delivery === 'group' ? 'group' : 'private',
+            optionalInt(options?.escalateAfter),
+            ['group', 'admin'].includes(options?.escalateTo) ? options.escalateTo : null,
+            options?.quietHours || null,
+            shabbatQuiet === null || shabbatQuiet === undefined ? null : shabbatQuiet ? 1 : 0,
+            optionalInt(options?.maxNudges)
+        ];
+    }
+
+    /**
+     * Get recurring reminders marked done whose next occurrence was not created yet
+     */
+    getRemindersToRecur() {
+        const stmt = this.db.prepare("SELECT * FROM reminders WHERE recurrence IS NOT NULL AND status = 'done' AND next_spawned = 0");
+        return stmt.all();
+    }
+
+    /**
+     * Create the next occurrence of a recurring reminder (once per occurrence)
+     * @param {Object} reminder - The reminders row of the finished occurrence
+     * @param {{dueDate: string, occurrence: number}|null} next - Next occurrence, or null when the series ended
+     * @returns {number|null} ID of the new reminder
      */
-    updateReminder(id, title, dueDate, nudgeInterval) {
-        const stmt = this.db.prepare("UPDATE reminders SET title = ?, due_date = ?, nudge_interval_minutes = ? WHERE id = ?");
-        return stmt.run(title, dueDate, nudgeInterval, id).changes > 0;
+    spawnNextReminder(reminder, next) {
+        const spawn = this.db.transaction(() => {
+            const claimed = this.db.prepare("UPDATE reminders SET next_spawned = 1 WHERE id = ? AND next_spawned = 0").run(reminder.id).changes > 0;
+            if (!claimed || !next) return null;
+            return this.addReminder(reminder.title, next.dueDate, reminder.nudge_interval_minutes, reminder.group_jid, {
+                rule: reminder.recurrence,
+                until: reminder.recurrence_end,
+                count: reminder.recurrence_count,
+                occurrence: next.occurrence
+            }, {
+                assignee: reminder.assignee,
+                delivery: reminder.assignee_delivery,
+                escalateAfter: reminder.escalate_after,
+                escalateTo: reminder.escalate_to,
+                quietHours: reminder.quiet_hours,
+                shabbatQuiet: reminder.shabbat_quiet,
+                maxNudges: reminder.max_nudges
+            });
+        });
+        return spawn();
     }
 
     /**
@@ -17,6 +17,16 @@ CREATE TABLE IF NOT EXISTS chat_context (
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Rolling summary of chat messages that aged out of the context window (one row per chat)
+CREATE TABLE IF NOT EXISTS conversation_summaries (
+    context_id TEXT PRIMARY KEY,
+    summary TEXT NOT NULL DEFAULT '',
+    summarized_until_id INTEGER DEFAULT 0,
+    message_count INTEGER DEFAULT 0,
+    edited_manually INTEGER DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Local cache for failed operations and notes
 CREATE TABLE IF NOT EXISTS cache (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -47,6 +57,21 @@ CREATE TABLE IF NOT EXISTS reminders (
     nudge_count INTEGER DEFAULT 0,
     nudge_interval_minutes INTEGER DEFAULT 60,
     last_nudge_message_id TEXT,
+    group_jid TEXT,
+    recurrence TEXT,
+    recurrence_end DATETIME,
+    recurrence_count INTEGER,
+    occurrence INTEGER DEFAULT 1,
+    next_spawned INTEGER DEFAULT 0,
+    assignee TEXT,
+    assignee_delivery TEXT DEFAULT 'private',
+    escalate_after INTEGER,
+    escalate_to TEXT,
+    escalated_at DATETIME,
+    quiet_hours TEXT,
+    shabbat_quiet INTEGER,
+    max_nudges INTEGER,
+    next_nudge_at DATETIME,
     status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'done', 'cancelled')),
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -94,7 +119,10 @@ CREATE TABLE IF NOT EXISTS usage_logs (
     input_tokens INTEGER DEFAULT 0,
     output_tokens INTEGER DEFAULT 0,
     total_tokens INTEGER DEFAULT 0,
-    cost_usd REAL DEFAULT 0
+    cost_usd REAL DEFAULT 0,
+    context_id TEXT,
+    call_kind TEXT DEFAULT 'chat',
+    tool_iteration INTEGER DEFAULT 0
 );
 
 CREATE INDEX IF NOT EXISTS idx_usage_timestamp ON usage_logs(timestamp);
@@ -106,6 +134,7 @@ CREATE TABLE IF NOT EXISTS scheduled_prompts (
     name TEXT NOT NULL,
     prompt TEXT NOT NULL,
     cron_expression TEXT NOT NULL,
+    group_jid TEXT,
     enabled INTEGER DEFAULT 1,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
@@ -118,9 +147,232 @@ CREATE TABLE IF NOT EXISTS ha_mappings (
     nickname TEXT NOT NULL,
     location TEXT,
     type TEXT,
+    area_id TEXT, -- Home Assistant area, overrides the entity's area in the registry
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX IF NOT EXISTS idx_ha_entity ON ha_mappings(entity_id);
 CREATE INDEX IF NOT EXISTS idx_ha_nickname ON ha_mappings(nickname);
+
+-- Home Assistant floor, area and entity registries, replaced on every sync (aliases are HA's own, comma-separated)
+CREATE TABLE IF NOT EXISTS ha_floors (
+    floor_id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    level INTEGER,
+    aliases TEXT
+);
+
+CREATE TABLE IF NOT EXISTS ha_areas (
+    area_id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    floor_id TEXT,
+    aliases TEXT
+);
+
+-- Registry entities; area_id is the entity's own area, or its device's
+CREATE TABLE IF NOT EXISTS ha_entities (
+    entity_id TEXT PRIMARY KEY,
+    name TEXT,
+    area_id TEXT,
+    device_id TEXT,
+    aliases TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_ha_entities_area ON ha_entities(area_id);
+
+-- Hebrew aliases of areas and floors from the dashboard (kept across registry syncs)
+CREATE TABLE IF NOT EXISTS ha_aliases (
+    target_type TEXT NOT NULL CHECK(target_type IN ('area', 'floor')),
+    target_id TEXT NOT NULL,
+    aliases TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (target_type, target_id)
+);
+
+-- Embedding index over data/knowledge and data/skills Markdown files
+CREATE TABLE IF NOT EXISTS knowledge_files (
+    source TEXT NOT NULL CHECK(source IN ('knowledge', 'skills')),
+    filename TEXT NOT NULL,
+    always_include INTEGER DEFAULT 0,
+    content_hash TEXT,
+    embedding_model TEXT,
+    indexed_at DATETIME,
+    PRIMARY KEY (source, filename)
+);
+
+CREATE TABLE IF NOT EXISTS knowledge_chunks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    chunk_index INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    embedding BLOB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_file ON knowledge_chunks(source, filename);
+
+-- Long-term archive: chat_context rows moved here by pruning instead of being deleted (ids preserved)
+CREATE TABLE IF NOT EXISTS chat_archive (
+    id INTEGER PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    role TEXT NOT NULL,
+    content TEXT NOT NULL,
+    function_call TEXT,
+    created_at DATETIME,
+    archived_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_archive_user_created ON chat_archive(user_id, created_at);
+
+-- Full-text index over live and archived chat messages (rowid = message id).
+-- The trigram tokenizer matches substrings, which works for Hebrew prefixes (ה/ו/ב/ל/מ/ש).
+CREATE VIRTUAL TABLE IF NOT EXISTS chat_fts USING fts5(
+    content,
+    user_id UNINDEXED,
+    role UNINDEXED,
+    created_at UNINDEXED,
+    tokenize = 'trigram'
+);
+
+CREATE TRIGGER IF NOT EXISTS chat_context_fts_insert AFTER INSERT ON chat_context BEGIN
+    INSERT INTO chat_fts (rowid, content, user_id, role, created_at)
+    VALUES (new.id, new.content, new.user_id, new.role, new.created_at);
+END;
+
+CREATE TRIGGER IF NOT EXISTS chat_context_fts_delete AFTER DELETE ON chat_context BEGIN
+    DELETE FROM chat_fts WHERE rowid = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS chat_archive_fts_insert AFTER INSERT ON chat_archive BEGIN
+    INSERT INTO chat_fts (rowid, content, user_id, role, created_at)
+    VALUES (new.id, new.content, new.user_id, new.role, new.created_at);
+END;
+
+CREATE TRIGGER IF NOT EXISTS chat_archive_fts_delete AFTER DELETE ON chat_archive BEGIN
+    DELETE FROM chat_fts WHERE rowid = old.id;
+END;
+
+-- Documents (PDF, DOCX, TXT, MD) received in chat, with their extracted text
+CREATE TABLE IF NOT EXISTS documents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    context_id TEXT NOT NULL,
+    filename TEXT NOT NULL,
+    mimetype TEXT,
+    doc_type TEXT NOT NULL,
+    size_bytes INTEGER DEFAULT 0,
+    pages INTEGER,
+    content TEXT NOT NULL,
+    saved_as TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_documents_context ON documents(context_id, created_at);
+
+-- Registered WhatsApp groups: name, persona overlay and allowed tools per group
+-- (reminders.group_jid / scheduled_prompts.group_jid target one of these, NULL = default group)
+CREATE TABLE IF NOT EXISTS whatsapp_groups (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    jid TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    instructions TEXT,
+    allowed_tools TEXT,
+    is_default INTEGER DEFAULT 0,
+    enabled INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sensitive tool calls waiting for the sender to confirm ("כן" / 👍) before they run
+CREATE TABLE IF NOT EXISTS pending_actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    context_id TEXT NOT NULL,
+    sender_id TEXT,
+    tool_name TEXT NOT NULL,
+    args TEXT,
+    summary TEXT,
+    status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'confirmed', 'cancelled', 'expired')),
+    message_id TEXT,
+    result TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    resolved_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_pending_actions_context ON pending_actions(context_id, status);
+
+-- Calendars Noga reads: Google calendars (read/write) and ICS / webcal feeds or files (read-only)
+CREATE TABLE IF NOT EXISTS calendars (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    type TEXT NOT NULL CHECK(type IN ('google', 'ics', 'caldav')),
+    source TEXT NOT NULL,
+    username TEXT,
+    password TEXT,
+    owner TEXT,
+    is_default INTEGER DEFAULT 0,
+    enabled INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- People who talk to Noga and their role (tool permissions per role are stored in config 'tool_policy')
+CREATE TABLE IF NOT EXISTS people (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    phone TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'adult' CHECK(role IN ('admin', 'adult', 'child', 'guest')),
+    birth_date TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Morning briefings: the sections gathered, when and where they are sent (a group, or a person's private chat)
+CREATE TABLE IF NOT EXISTS briefings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    sections TEXT NOT NULL,
+    cron_expression TEXT NOT NULL,
+    group_jid TEXT,
+    person_phone TEXT,
+    weather_entity TEXT,
+    rss_url TEXT,
+    enabled INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Home Assistant watch rules: when an entity (* wildcards allowed) has a state / is above / below a value
+-- for N minutes within the active hours, Noga messages a group or a person's private chat
+CREATE TABLE IF NOT EXISTS ha_watch_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    entity_id TEXT NOT NULL,
+    to_state TEXT,
+    above REAL,
+    below REAL,
+    for_minutes INTEGER DEFAULT 0,
+    active_hours TEXT,
+    message TEXT NOT NULL,
+    raw INTEGER DEFAULT 0,
+    group_jid TEXT,
+    person_phone TEXT,
+    cooldown_minutes INTEGER DEFAULT 30,
+    enabled INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Fired watch rules (also used to debounce them across restarts)
+CREATE TABLE IF NOT EXISTS ha_watch_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER,
+    rule_name TEXT NOT NULL,
+    entity_id TEXT NOT NULL,
+    state TEXT,
+    message TEXT,
+    sent INTEGER DEFAULT 1,
+    fired_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ha_watch_log_rule ON ha_watch_log(rule_id, entity_id, fired_at);
@@ -8,6 +8,8 @@ import whatsappManager from './bot/WhatsAppManager.js';
 import geminiManager from './bot/GeminiManager.js';
 import messageRouter from './bot/MessageRouter.js';
 import schedulerManager from './bot/SchedulerManager.js';
+import watchRuleManager from './bot/WatchRuleManager.js';
+import outboundQueue from './bot/OutboundQueue.js';
 import dashboardServer from './dashboard/server.js';
 import {
     initializeSkills,
@@ -58,10 +60,17 @@ async function main() {
         // Pass Gemini manager back to skills (for reinit on memory updates)
         setGeminiManager(geminiManager);
 
+        // Initialize the outbound message queue (buffers sends while WhatsApp is reconnecting)
+        outboundQueue.init();
+
         // Initialize Scheduled Prompts
         logger.info('Initializing Scheduler...');
         schedulerManager.init(geminiManager);
 
+        // Initialize Home Assistant watch rules (real-time event stream)
+        logger.info('Initializing Home Assistant watch rules...');
+        watchRuleManager.init(geminiManager);
+
         // Initialize dashboard server
         logger.info('Initializing dashboard...');
         dashboardServer.init();
@@ -91,6 +100,7 @@ async function main() {
         whatsappManager.onReady(() => {
             dashboardServer.clearQrCode();
             logger.info('WhatsApp ready - Noga is listening!');
+            outboundQueue.flush();
         });
 
         // Set up disconnected handler
@@ -109,10 +119,21 @@ async function main() {
         // Set up database cleanup cron (runs daily at 3 AM)
         cron.schedule('0 3 * * *', () => {
             logger.info('Running database cleanup...');
-            const prunedMessages = db.pruneOldMessages(100);
+            // Keep messages that have not been folded into the conversation summary yet
+            const prunedMessages = db.pruneOldMessages(100, {
+                onlySummarized: config.gemini.summaryEnabled,
+                archive: config.database.archiveEnabled
+            });
+            const purgedArchive = config.database.archiveRetentionDays > 0
+                ? db.purgeChatArchive(config.database.archiveRetentionDays)
+                : 0;
             const cleanedCache = db.cleanOldCache(7);
             const prunedReminders = db.pruneExpiredReminders(1);
-            logger.info('Database cleanup complete', { prunedMessages, cleanedCache, prunedReminders });
+            const prunedDocuments = db.pruneDocuments(30);
+            const prunedOutboxMedia = outboundQueue.pruneMedia();
+            const pendingActions = db.cleanupPendingActions(30);
+            const prunedWatchLog = db.pruneWatchLog(30);
+            logger.info('Database cleanup complete', { prunedMessages, purgedArchive, cleanedCache, prunedReminders, prunedDocuments, prunedOutboxMedia, pendingActions, prunedWatchLog });
         }, {
             timezone: 'Asia/Jerusalem'
         });
@@ -131,6 +152,12 @@ async function shutdown(signal) {
     logger.info(`Received ${signal}, shutting down gracefully...`);
 
     try {
+        // Stop retrying queued messages (they stay in the database for the next start)
+        outboundQueue.stop();
+
+        // Close the Home Assistant event stream
+        watchRuleManager.stop();
+
         // Close WhatsApp client
         await whatsappManager.destroy();
 
@@ -1,120 +1,334 @@
-import { google } from 'googleapis';
-import fs from 'fs';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
 import db from '../database/DatabaseManager.js';
+import permissionManager from '../bot/PermissionManager.js';
+import { getCalendarBackend } from './calendar/index.js';
+import { TIMEZONE, pad, addDays, utcOffset } from './calendar/helpers.js';
+import { toLocalParts, fromLocalParts } from '../utils/timezone.js';
+
+// CALENDAR_ID is read as this calendar while no Google calendar is registered
+const MAIN_CALENDAR_NAME = 'ראשי';
+
+const TYPE_LABELS = { google: 'Google', caldav: 'CalDAV', ics: 'ICS (read-only)' };
+
+// Longest range findFreeSlots looks at
+const FREE_SLOTS_MAX_DAYS = 14;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Event titles that make a calendar event a birthday or an anniversary
+const CELEBRATION_KEYWORDS = {
+    birthday: ['birthday', 'יום הולדת', 'יומולדת', 'יום-הולדת'],
+    anniversary: ['anniversary', 'יום נישואין', 'יום נישואים']
+};
+const CELEBRATIONS_MAX_DAYS = 366;
+
+/**
+ * Instant of a local date and time (HH:MM) in Israel time
+ */
+function localInstant(date, time) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    return fromLocalParts({ year, month, day, hour, minute }, TIMEZONE);
+}
+
+/**
+ * Whether a value is an existing calendar date (YYYY-MM-DD)
+ */
+function isDate(value) {
+    if (!DATE_PATTERN.test(value || '')) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
 
+/**
+ * Local HH:MM of an instant
+ */
+function localTime(ms) {
+    const p = toLocalParts(new Date(ms), TIMEZONE);
+    return `${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * CalendarManager - The family's calendars (calendars table), each served by the backend of its type:
+ * Google, CalDAV (Nextcloud, Radicale...) or read-only ICS / webcal feeds (see ./calendar).
+ * Reads merge every enabled calendar and label each event with its calendar; writes go to the
+ * default writable calendar unless another one is named. CALENDAR_ID keeps working as the main
+ * calendar while no Google calendar is registered.
+ */
 class CalendarManager {
     constructor() {
-        this.calendar = null;
-        this.auth = null;
+        this.google = getCalendarBackend('google');
     }
 
     /**
-     * Initialize Google Calendar with Service Account
+     * Initialize the Google backend (service account)
      */
     async init() {
-        try {
-            // Check if service account file exists
-            try {
-                await fs.promises.access(config.google.serviceAccountPath);
-            } catch {
-                logger.warn('Google Service Account file not found', {
-                    path: config.google.serviceAccountPath
-                });
-                return this;
-            }
+        await this.google.init();
+        return this;
+    }
 
-            // Load service account credentials
-            const credentials = JSON.parse(
-                await fs.promises.readFile(config.google.serviceAccountPath, 'utf-8')
-            );
+    /**
+     * Check if Google Calendar is available
+     */
+    isAvailable() {
+        return this.google.isAvailable();
+    }
 
-            // Create auth client
-            this.auth = new google.auth.GoogleAuth({
-                credentials,
-                scopes: ['https://www.googleapis.com/auth/calendar']
-            });
+    /**
+     * Enabled calendars: the registered ones, plus CALENDAR_ID as the main calendar while no Google calendar is registered
+     */
+    getCalendars() {
+        const registered = db && db.db ? db.getCalendars().filter(c => c.enabled) : [];
+        if (!this.isAvailable() || registered.some(c => c.type === 'google')) return registered;
+        const main = {
+            id: null, name: MAIN_CALENDAR_NAME, type: 'google', source: config.google.calendarId,
+            owner: null, is_default: registered.some(c => c.is_default) ? 0 : 1, enabled: 1
+        };
+        return [main, ...registered];
+    }
 
-            // Create calendar client
-            this.calendar = google.calendar({ version: 'v3', auth: this.auth });
+    /**
+     * Calendars for the model: name, kind and owner
+     */
+    describeCalendars() {
+        const calendars = this.getCalendars();
+        const writable = this._defaultCalendar(calendars);
+        return {
+            success: true,
+            calendars: calendars.map(c => ({
+                name: c.name,
+                type: TYPE_LABELS[c.type] || c.type,
+                ...(c.owner && { owner: permissionManager.getName(c.owner) }),
+                ...(writable && c.name === writable.name && { default: true })
+            }))
+        };
+    }
 
-            logger.info('Google Calendar initialized');
-        } catch (err) {
-            logger.error('Failed to initialize Calendar', { error: err.message });
-        }
+    /**
+     * List events in a date range
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD), optional
+     * @param {string} [calendar] - Calendar name or owner's name (default: all calendars)
+     */
+    async listEvents(startDate, endDate = null, calendar = null) {
+        // Use the correct Israel timezone offset for each day (+02:00 or +03:00)
+        const timeMin = `${startDate}T00:00:00${utcOffset(startDate)}`;
+        const endD = endDate || startDate;
+        const timeMax = `${endD}T23:59:59${utcOffset(endD)}`;
+
+        logger.info('Fetching calendar events (Timezone Corrected)', {
+            startDate,
+            endDate: endDate || startDate,
+            timeMin,
+            timeMax,
+            calendar
+        });
+
+        const result = await this._collectEvents(calendar, timeMin, timeMax);
+        if (result.error) logger.error('Failed to list calendar events', { error: result.error });
+        return result;
+    }
 
-        return this;
+    /**
+     * Search events by free text (title, description, location, attendees)
+     * @param {string} query - Text to search for
+     * @param {string} startDate - Start date (YYYY-MM-DD), default today
+     * @param {string} endDate - End date (YYYY-MM-DD), default 90 days after the start
+     * @param {string} [calendar] - Calendar name or owner's name (default: all calendars)
+     */
+    async searchEvents(query, startDate = null, endDate = null, calendar = null) {
+        const from = startDate || new Date().toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+        const to = endDate || addDays(from, 90);
+
+        logger.info('Searching calendar events', { query, startDate: from, endDate: to, calendar });
+
+        const result = await this._collectEvents(calendar, `${from}T00:00:00${utcOffset(from)}`, `${to}T23:59:59${utcOffset(to)}`, query);
+        if (result.error) {
+            logger.error('Failed to search calendar events', { error: result.error });
+            return result;
+        }
+        return { ...result, range: { start: from, end: to } };
     }
 
     /**
-     * Check if calendar is available
+     * Events of the selected calendars between two times, merged by start time and labelled with their calendar.
+     * A calendar that fails is reported in `errors` without hiding the others.
      */
-    isAvailable() {
-        return !!this.calendar;
+    async _collectEvents(filter, timeMin, timeMax, query = null) {
+        const calendars = this._selectCalendars(filter);
+        if (calendars.error) return calendars;
+        if (calendars.length === 0) return { error: 'Calendar not available' };
+
+        const results = await Promise.allSettled(calendars.map(async (cal) => {
+            const events = await getCalendarBackend(cal.type).listEvents(cal, timeMin, timeMax, query);
+            return events.map(event => ({ ...event, calendar: cal.name }));
+        }));
+
+        const errors = [];
+        const events = [];
+        results.forEach((r, i) => {
+            if (r.status === 'fulfilled') events.push(...r.value);
+            else errors.push({ calendar: calendars[i].name, error: r.reason.message });
+        });
+        if (errors.length === calendars.length) return { error: errors.map(e => `${e.calendar}: ${e.error}`).join('; ') };
+
+        events.sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+        return {
+            success: true,
+            count: events.length,
+            events,
+            ...(errors.length > 0 && { errors })
+        };
     }
 
     /**
-     * List events in a date range
+     * Free time common to the selected calendars, day by day. All-day events (holidays, birthdays) and
+     * events marked "free" do not block time.
      * @param {string} startDate - Start date (YYYY-MM-DD)
-     * @param {string} endDate - End date (YYYY-MM-DD), optional
+     * @param {string} [endDate] - End date (YYYY-MM-DD), default the start date, at most FREE_SLOTS_MAX_DAYS days
+     * @param {Object} [options]
+     * @param {number} [options.durationMinutes] - Shortest slot worth returning, default 60
+     * @param {string} [options.dayStart] - Earliest time of day (HH:MM), default 08:00
+     * @param {string} [options.dayEnd] - Latest time of day (HH:MM), default 22:00
+     * @param {string} [options.calendar] - Calendar name or owner's name (default: all calendars)
      */
-    async listEvents(startDate, endDate = null) {
-        if (!this.isAvailable()) {
-            return { error: 'Calendar not available' };
+    async findFreeSlots(startDate, endDate = null, { durationMinutes = 60, dayStart = '08:00', dayEnd = '22:00', calendar = null } = {}) {
+        if (!isDate(startDate) || (endDate && !isDate(endDate))) {
+            return { error: 'start_date and end_date must be dates in YYYY-MM-DD format' };
+        }
+        if (!TIME_PATTERN.test(dayStart) || !TIME_PATTERN.test(dayEnd) || localInstant(startDate, dayStart) >= localInstant(startDate, dayEnd)) {
+            return { error: 'day_start and day_end must be HH:MM with day_start before day_end' };
         }
+        const lastDay = [endDate || startDate, addDays(startDate, FREE_SLOTS_MAX_DAYS - 1)].sort()[0];
+        if (lastDay < startDate) return { error: 'end_date is before start_date' };
 
-        try {
-            // Use Intl to get the correct Israel timezone offset dynamically (+02:00 or +03:00)
-            const getOffset = (dateStr) => {
-                const date = new Date(dateStr);
-                const tzString = new Intl.DateTimeFormat('en-US', { 
-                    timeZone: 'Asia/Jerusalem', 
-                    timeZoneName: 'longOffset' 
-                }).format(date);
-                const match = tzString.match(/[+-]\d{2}:\d{2}/);
-                return match ? match[0] : '+02:00';
-            };
+        const timeMin = `${startDate}T00:00:00${utcOffset(startDate)}`;
+        const timeMax = `${lastDay}T23:59:59${utcOffset(lastDay)}`;
+        logger.info('Finding free time', { startDate, endDate: lastDay, durationMinutes, dayStart, dayEnd, calendar });
 
-            const timeMin = `${startDate}T00:00:00${getOffset(startDate)}`;
-            const endD = endDate || startDate;
-            const timeMax = `${endD}T23:59:59${getOffset(endD)}`;
+        const result = await this._collectBusy(calendar, timeMin, timeMax);
+        if (result.error) {
+            logger.error('Failed to find free time', { error: result.error });
+            return result;
+        }
 
-            logger.info('Fetching calendar events (Timezone Corrected)', {
-                startDate,
-                endDate: endDate || startDate,
-                timeMin,
-                timeMax
-            });
+        const busy = result.busy
+            .map(b => [Date.parse(b.start), Date.parse(b.end)])
+            .sort((a, b) => a[0] - b[0]);
+
+        const slots = [];
+        for (let date = startDate; date <= lastDay; date = addDays(date, 1)) {
+            let from = Math.max(localInstant(date, dayStart).getTime(), Date.now());
+            const to = localInstant(date, dayEnd).getTime();
+            for (const [busyStart, busyEnd] of [...busy, [to, to]]) {
+                if (busyEnd <= from) continue;
+                const end = Math.min(busyStart, to);
+                if (end - from >= durationMinutes * 60000) {
+                    slots.push({ date, start: localTime(from), end: localTime(end), minutes: Math.round((end - from) / 60000) });
+                }
+                from = Math.max(from, busyEnd);
+                if (from >= to) break;
+            }
+        }
 
-            const response = await this.calendar.events.list({
-                calendarId: config.google.calendarId,
-                timeMin: timeMin,
-                timeMax: timeMax,
-                singleEvents: true,
-                orderBy: 'startTime',
-                maxResults: 20
-            });
+        return {
+            success: true,
+            range: { start: startDate, end: lastDay, dayStart, dayEnd },
+            calendars: result.calendars,
+            count: slots.length,
+            slots,
+            ...(result.errors.length > 0 && { errors: result.errors })
+        };
+    }
 
-            const events = response.data.items || [];
+    /**
+     * Busy periods of the selected calendars. A calendar that fails is reported in `errors` without hiding the others.
+     */
+    async _collectBusy(filter, timeMin, timeMax) {
+        const calendars = this._selectCalendars(filter);
+        if (calendars.error) return calendars;
+        if (calendars.length === 0) return { error: 'Calendar not available' };
+
+        const results = await Promise.allSettled(calendars.map(async (cal) => {
+            const backend = getCalendarBackend(cal.type);
+            if (backend.getBusy) return backend.getBusy(cal, timeMin, timeMax);
+            const events = await backend.listEvents(cal, timeMin, timeMax);
+            return events.filter(e => !e.isAllDay).map(e => ({ start: e.start, end: e.end }));
+        }));
+
+        const errors = [];
+        const busy = [];
+        results.forEach((r, i) => {
+            if (r.status === 'fulfilled') busy.push(...r.value);
+            else errors.push({ calendar: calendars[i].name, error: r.reason.message });
+        });
+        if (errors.length === calendars.length) return { error: errors.map(e => `${e.calendar}: ${e.error}`).join('; ') };
+        return { busy, errors, calendars: calendars.filter((c, i) => results[i].status === 'fulfilled').map(c => c.name) };
+    }
 
-            return {
-                success: true,
-                count: events.length,
-                events: events.map(event => ({
-                    id: event.id,
-                    title: event.summary || 'ללא כותרת',
-                    description: event.description || '',
-                    start: event.start.dateTime || event.start.date,
-                    end: event.end.dateTime || event.end.date,
-                    location: event.location || '',
-                    isAllDay: !event.start.dateTime
-                }))
-            };
-        } catch (err) {
-            logger.error('Failed to list calendar events', { error: err.message });
-            return { error: err.message };
+    /**
+     * Timed events of every calendar that overlap a new event (all-day events never conflict)
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} time - HH:MM
+     * @param {number} durationMinutes
+     * @returns {Promise<Array>} Overlapping events
+     */
+    async findConflicts(date, time, durationMinutes = 60) {
+        const start = localInstant(date, time).getTime();
+        const end = start + durationMinutes * 60000;
+        // From the start of the day, so events that began earlier and are still running are found too
+        const result = await this._collectEvents(null, `${date}T00:00:00${utcOffset(date)}`, new Date(end).toISOString());
+        if (result.error) return [];
+        return result.events
+            .filter(e => !e.isAllDay && Date.parse(e.start) < end && Date.parse(e.end) > start)
+            .map(e => ({ id: e.id, title: e.title, start: e.start, end: e.end, calendar: e.calendar }));
+    }
+
+    /**
+     * Calendars matching a name or an owner's name (all when empty)
+     * @returns {Array|{error: string}}
+     */
+    _selectCalendars(filter) {
+        const calendars = this.getCalendars();
+        const value = typeof filter === 'string' ? filter.trim().toLowerCase() : '';
+        if (!value) return calendars;
+
+        const matches = calendars.filter(c => c.name.toLowerCase() === value
+            || (c.owner && permissionManager.getName(c.owner).toLowerCase() === value));
+        if (matches.length === 0) {
+            return { error: `Unknown calendar "${filter}". Known calendars: ${calendars.map(c => c.name).join(', ') || 'none'}` };
         }
+        return matches;
+    }
+
+    _defaultCalendar(calendars = this.getCalendars()) {
+        const writable = calendars.filter(c => this._isWritable(c));
+        return writable.find(c => c.is_default) || writable[0] || null;
+    }
+
+    _isWritable(cal) {
+        const backend = getCalendarBackend(cal.type);
+        return !!backend && !backend.readOnly && backend.isAvailable();
+    }
+
+    /**
+     * Calendar to write to: the named calendar, or the default one
+     * @returns {Object} calendars row, or {error}
+     */
+    _writableCalendar(name = null) {
+        let cal;
+        if (name) {
+            const matches = this._selectCalendars(name);
+            if (matches.error) return matches;
+            cal = matches.find(c => this._isWritable(c));
+            if (!cal) return { error: `Calendar "${name}" is read-only (ICS feed) or not connected` };
+        } else {
+            cal = this._defaultCalendar();
+        }
+        if (!cal) return { error: 'Calendar not available' };
+        return cal;
     }
 
     /**
@@ -124,72 +338,42 @@ class CalendarManager {
      * @param {string} time - Event time (HH:MM), optional for all-day
      * @param {number} durationMinutes - Duration in minutes, default 60
      * @param {string} description - Event description, optional
+     * @param {Object} [details] - Optional location, attendees (emails), reminderMinutes (popup before the event),
+     *   calendar (name of a writable calendar, default: the default calendar) and allowConflicts
+     *   (add even when it overlaps other events; otherwise the overlapping events are returned and nothing is added)
      */
-    async addEvent(title, date, time = null, durationMinutes = 60, description = '') {
-        if (!this.isAvailable()) {
+    async addEvent(title, date, time = null, durationMinutes = 60, description = '', details = {}) {
+        const { calendar, allowConflicts = false, ...eventDetails } = details;
+        const target = this._writableCalendar(calendar);
+        if (target.error) {
             return {
-                error: 'Calendar not available',
-                message: 'היומן לא מחובר כרגע. לא ניתן להוסיף פגישה.'
+                ...target,
+                ...(target.error === 'Calendar not available' && { message: 'היומן לא מחובר כרגע. לא ניתן להוסיף פגישה.' })
             };
         }
 
         try {
-            let event;
-
-            if (time) {
-                // Timed event
-                const [year, month, day] = date.split('-');
-                const [hours, minutes] = time.split(':');
-
-                // Note month is 0-indexed in Date constructor
-                const startDateTime = new Date(year, month - 1, day, hours, minutes);
-                const endDateTime = new Date(startDateTime.getTime() + durationMinutes * 60000);
-
-                // Format as YYYY-MM-DDTHH:mm:00 without the 'Z' (UTC specifier)
-                // This ensures Google Calendar actually applies the provided timezone
-                const pad = (n) => n.toString().padStart(2, '0');
-                const formatDateTime = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}:00`;
-
-                event = {
-                    summary: title,
-                    description,
-                    start: {
-                        dateTime: formatDateTime(startDateTime),
-                        timeZone: 'Asia/Jerusalem'
-                    },
-                    end: {
-                        dateTime: formatDateTime(endDateTime),
-                        timeZone: 'Asia/Jerusalem'
-                    }
-                };
-            } else {
-                // All-day event
-                const nextDay = new Date(date);
-                nextDay.setDate(nextDay.getDate() + 1);
-                const nextDayStr = nextDay.toISOString().split('T')[0];
-
-                event = {
-                    summary: title,
-                    description,
-                    start: { date },
-                    end: { date: nextDayStr }
-                };
+            if (time && !allowConflicts) {
+                const conflicts = await this.findConflicts(date, time, durationMinutes);
+                if (conflicts.length > 0) {
+                    logger.info('Calendar event overlaps existing events', { title, date, time, conflicts: conflicts.length });
+                    return {
+                        status: 'conflict',
+                        conflicts,
+                        instructions: 'The event was NOT added yet. Tell the user which events overlap and ask whether to add it anyway; if they agree, call add_calendar_event again with allow_conflicts=true.'
+                    };
+                }
             }
 
-            logger.info('Creating calendar event', { title, date, time });
+            logger.info('Creating calendar event', { title, date, time, calendar: target.name });
 
-            const response = await this.calendar.events.insert({
-                calendarId: config.google.calendarId,
-                requestBody: event
+            const event = await getCalendarBackend(target.type).addEvent(target, {
+                title, date, time, durationMinutes, description, ...eventDetails
             });
 
             return {
                 success: true,
-                event: {
-                    id: response.data.id,
-                    title: response.data.summary,
-                    link: response.data.htmlLink
-                }
+                event: { ...event, calendar: target.name }
             };
         } catch (err) {
             logger.error('Failed to add calendar event', { error: err.message });
@@ -201,56 +385,147 @@ class CalendarManager {
     }
 
     /**
-     * Check for birthday events today
-     * @returns {Array} List of birthday events
+     * Today's birthdays and anniversaries (calendar events and people's birth dates)
+     * @returns {Array} Celebrations, see getCelebrations
      */
     async checkBirthdays() {
-        if (!this.isAvailable()) {
-            return [];
-        }
+        const today = new Date().toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+        const result = await this.getCelebrations(today);
+        logger.info('Birthday check', { found: result.celebrations.length });
+        return result.celebrations;
+    }
 
-        try {
-            const today = new Date().toISOString().split('T')[0];
-            const result = await this.listEvents(today);
+    /**
+     * Birthdays and anniversaries from today on
+     * @param {number} [days=30] - How many days ahead, including today
+     */
+    async getUpcomingCelebrations(days = 30) {
+        const today = new Date().toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+        const count = Math.min(Math.max(parseInt(days, 10) || 30, 1), CELEBRATIONS_MAX_DAYS);
+        return await this.getCelebrations(today, addDays(today, count - 1));
+    }
 
-            if (result.error) {
-                return [];
+    /**
+     * Birthdays and anniversaries between two dates: calendar events whose title has a birthday / anniversary
+     * keyword, and the birth dates in the people table (a person's birthday in a calendar is listed once)
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} [endDate] - End date (YYYY-MM-DD), default the start date, at most CELEBRATIONS_MAX_DAYS days
+     * @returns {Promise<{success: boolean, range: Object, count: number, celebrations: Array, errors?: Array}>}
+     *   celebrations: { date, type: 'birthday' | 'anniversary', title, daysAway, name?, age?, phone?, calendar? }
+     */
+    async getCelebrations(startDate, endDate = null) {
+        const lastDay = [endDate || startDate, addDays(startDate, CELEBRATIONS_MAX_DAYS - 1)].sort()[0];
+        const today = new Date().toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+        const celebrations = [];
+
+        const people = db && db.db ? db.getPeople() : [];
+        for (const person of people.filter(p => p.birth_date)) {
+            const [birthYear, month, day] = person.birth_date.split('-').map(Number);
+            for (let year = Number(startDate.slice(0, 4)); year <= Number(lastDay.slice(0, 4)); year++) {
+                // Born on February 29: celebrated on the 28th in other years
+                const leap = new Date(Date.UTC(year, 1, 29)).getUTCMonth() === 1;
+                const date = `${year}-${pad(month)}-${pad(month === 2 && day === 29 && !leap ? 28 : day)}`;
+                if (date < startDate || date > lastDay || year < birthYear) continue;
+                celebrations.push({
+                    date, type: 'birthday', title: `יום ההולדת של ${person.name}`,
+                    name: person.name, age: year - birthYear, phone: person.phone
+                });
             }
+        }
 
-            // Filter for birthday events
-            const birthdayKeywords = ['birthday', 'יום הולדת', 'יומולדת'];
-            const birthdays = result.events.filter(event =>
-                birthdayKeywords.some(keyword =>
-                    event.title.toLowerCase().includes(keyword)
-                )
-            );
+        // Each calendar's range is listed once and matched here; calendars that search on the server get one
+        // search per keyword instead, so a busy calendar does not push the celebrations out of a capped listing
+        const timeMin = `${startDate}T00:00:00${utcOffset(startDate)}`;
+        const timeMax = `${lastDay}T23:59:59${utcOffset(lastDay)}`;
+        const keywords = Object.values(CELEBRATION_KEYWORDS).flat();
+        const calendars = this.getCalendars();
+        const results = await Promise.allSettled(calendars.map(async (cal) => {
+            const backend = getCalendarBackend(cal.type);
+            const lists = backend.searchesOnServer
+                ? await Promise.all(keywords.map(keyword => backend.listEvents(cal, timeMin, timeMax, keyword)))
+                : [await backend.listEvents(cal, timeMin, timeMax)];
+            return lists.flat().map(event => ({ ...event, calendar: cal.name }));
+        }));
+
+        const errors = [];
+        const seen = new Set();
+        for (const [i, result] of results.entries()) {
+            if (result.status === 'rejected') {
+                errors.push({ calendar: calendars[i].name, error: result.reason.message });
+                continue;
+            }
+            for (const event of result.value) {
+                const title = event.title.toLowerCase();
+                const type = Object.keys(CELEBRATION_KEYWORDS).find(t => CELEBRATION_KEYWORDS[t].some(k => title.includes(k)));
+                const date = event.isAllDay ? event.start : new Date(event.start).toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+                const key = `${event.calendar}|${event.id}|${date}`;
+                if (!type || seen.has(key)) continue;
+                seen.add(key);
+                // Already listed from the people table
+                if (celebrations.some(c => c.name && c.date === date && c.type === type && event.title.includes(c.name))) continue;
+                celebrations.push({ date, type, title: event.title, calendar: event.calendar });
+            }
+        }
 
-            logger.info('Birthday check', { found: birthdays.length });
+        celebrations.sort((a, b) => a.date.localeCompare(b.date));
+        for (const c of celebrations) c.daysAway = Math.round((Date.parse(c.date) - Date.parse(today)) / 86400000);
 
-            return birthdays;
+        return {
+            success: true,
+            range: { start: startDate, end: lastDay },
+            count: celebrations.length,
+            celebrations,
+            ...(errors.length > 0 && { errors })
+        };
+    }
+
+    /**
+     * Update or move an event. Only the given fields change; a new date keeps the time and duration and vice versa.
+     * @param {string} eventId - Event ID (as returned by listEvents / searchEvents)
+     * @param {Object} changes
+     * @param {string} [changes.title]
+     * @param {string} [changes.date] - New date (YYYY-MM-DD)
+     * @param {string} [changes.time] - New start time (HH:MM)
+     * @param {boolean} [changes.allDay] - Make the event an all-day event
+     * @param {number} [changes.durationMinutes]
+     * @param {string} [changes.description]
+     * @param {string} [changes.location]
+     * @param {Array<string>|string} [changes.attendees] - Emails (replaces the attendee list)
+     * @param {number} [changes.reminderMinutes] - Popup reminder before the event
+     * @param {string} scope - 'instance' (this occurrence of a recurring event) or 'series' (every occurrence)
+     * @param {string} [calendar] - Calendar the event is in (default: the default calendar)
+     */
+    async updateEvent(eventId, changes = {}, scope = 'instance', calendar = null) {
+        const target = this._writableCalendar(calendar);
+        if (target.error) return target;
+
+        try {
+            const result = await getCalendarBackend(target.type).updateEvent(target, eventId, changes, scope);
+            return {
+                success: true,
+                scope: result.scope,
+                event: { ...result.event, calendar: target.name }
+            };
         } catch (err) {
-            logger.error('Birthday check failed', { error: err.message });
-            return [];
+            logger.error('Failed to update calendar event', { eventId, error: err.message });
+            return { error: err.message };
         }
     }
 
     /**
      * Delete an event
      * @param {string} eventId - Event ID to delete
+     * @param {string} scope - 'instance' (this occurrence of a recurring event) or 'series' (every occurrence)
+     * @param {string} [calendar] - Calendar the event is in (default: the default calendar)
      */
-    async deleteEvent(eventId) {
-        if (!this.isAvailable()) {
-            return { error: 'Calendar not available' };
-        }
+    async deleteEvent(eventId, scope = 'instance', calendar = null) {
+        const target = this._writableCalendar(calendar);
+        if (target.error) return target;
 
         try {
-            await this.calendar.events.delete({
-                calendarId: config.google.calendarId,
-                eventId
-            });
-
-            logger.info('Calendar event deleted', { eventId });
-            return { success: true };
+            const result = await getCalendarBackend(target.type).deleteEvent(target, eventId, scope);
+            logger.info('Calendar event deleted', { eventId: result.id, calendar: target.name, scope });
+            return { success: true, scope: result.scope };
         } catch (err) {
             logger.error('Failed to delete event', { error: err.message });
             return { error: err.message };
@@ -261,9 +536,12 @@ class CalendarManager {
      * Get status
      */
     getStatus() {
+        const calendars = this.getCalendars();
         return {
-            available: this.isAvailable(),
-            calendarId: config.google.calendarId
+            available: calendars.some(c => getCalendarBackend(c.type)?.isAvailable()),
+            google: this.isAvailable(),
+            calendarId: config.google.calendarId,
+            calendars: calendars.length
         };
     }
 }
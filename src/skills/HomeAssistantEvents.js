@@ -0,0 +1,198 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import config from '../utils/config.js';
+import logger from '../utils/logger.js';
+
+// Reconnect backoff: doubles from the first delay up to the last
+const RECONNECT_MIN_MS = 5_000;
+const RECONNECT_MAX_MS = 5 * 60_000;
+const COMMAND_TIMEOUT_MS = 15_000;
+
+/**
+ * Subscription to the Home Assistant event bus over its WebSocket API (/api/websocket).
+ * Emits:
+ * - 'connected' (states) - after authenticating and subscribing, with a snapshot of all the states
+ * - 'state_changed' ({ entityId, newState, oldState }) - for every state change
+ * - 'disconnected'
+ */
+class HomeAssistantEvents extends EventEmitter {
+    constructor() {
+        super();
+        this.ws = null;
+        this.url = null;
+        this.token = null;
+        this.connected = false;
+        this.lastEventAt = null;
+        this.lastError = null;
+        this._stopped = true;
+        this._nextId = 1;
+        this._pending = new Map(); // Command ID -> { resolve, reject, timer }
+        this._reconnectTimer = null;
+        this._retryMs = RECONNECT_MIN_MS;
+    }
+
+    /**
+     * Connect and keep reconnecting until stop()
+     * @param {{url: string, token: string}} [options] - Home Assistant URL (http(s):// or ws(s)://) and access token
+     */
+    start({ url, token } = config.homeAssistant) {
+        this.stop();
+        if (!url || !token) {
+            logger.warn('Home Assistant events not configured');
+            return this;
+        }
+
+        this.url = `${url.replace(/\/$/, '').replace(/^http/i, 'ws')}/api/websocket`;
+        this.token = token;
+        this._stopped = false;
+        this._retryMs = RECONNECT_MIN_MS;
+        this._connect();
+        return this;
+    }
+
+    /**
+     * Close the connection and stop reconnecting
+     */
+    stop() {
+        this._stopped = true;
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+        if (this.ws) {
+            this.ws.removeAllListeners();
+            this.ws.on('error', () => { }); // A socket closed while connecting still reports an error
+            this.ws.terminate();
+            this.ws = null;
+        }
+        this._onClosed();
+    }
+
+    /**
+     * Send a command and wait for its result
+     * @param {Object} message - Command without an ID (e.g. { type: 'get_states' })
+     * @returns {Promise<any>} The result
+     */
+    command(message) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new Error('Home Assistant WebSocket not connected'));
+        }
+        const id = this._nextId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this._pending.delete(id);
+                reject(new Error(`Home Assistant command timed out: ${message.type}`));
+            }, COMMAND_TIMEOUT_MS);
+            this._pending.set(id, { resolve, reject, timer });
+            this.ws.send(JSON.stringify({ id, ...message }));
+        });
+    }
+
+    /**
+     * Get status
+     */
+    getStatus() {
+        return {
+            enabled: !this._stopped,
+            connected: this.connected,
+            url: this.url,
+            lastEventAt: this.lastEventAt,
+            lastError: this.lastError
+        };
+    }
+
+    _connect() {
+        const ws = new WebSocket(this.url);
+        this.ws = ws;
+
+        ws.on('message', (raw) => this._onMessage(raw));
+        ws.on('error', (err) => {
+            this.lastError = err.message;
+            logger.warn('Home Assistant WebSocket error', { error: err.message });
+        });
+        ws.on('close', () => {
+            if (this.ws !== ws) return;
+            this.ws = null;
+            const wasConnected = this.connected;
+            this._onClosed();
+            if (wasConnected) logger.warn('Home Assistant WebSocket disconnected');
+            this._scheduleReconnect();
+        });
+    }
+
+    _onClosed() {
+        for (const { reject, timer } of this._pending.values()) {
+            clearTimeout(timer);
+            reject(new Error('Home Assistant WebSocket closed'));
+        }
+        this._pending.clear();
+        if (this.connected) {
+            this.connected = false;
+            this.emit('disconnected');
+        }
+    }
+
+    _scheduleReconnect() {
+        if (this._stopped) return;
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = setTimeout(() => this._connect(), this._retryMs);
+        this._retryMs = Math.min(this._retryMs * 2, RECONNECT_MAX_MS);
+    }
+
+    _onMessage(raw) {
+        let msg;
+        try {
+            msg = JSON.parse(raw.toString());
+        } catch {
+            return;
+        }
+
+        switch (msg.type) {
+            case 'auth_required':
+                this.ws.send(JSON.stringify({ type: 'auth', access_token: this.token }));
+                break;
+            case 'auth_invalid':
+                // Home Assistant closes the socket; retry slowly in case the token is fixed in the settings
+                this.lastError = `Authentication failed: ${msg.message || 'invalid token'}`;
+                this._retryMs = RECONNECT_MAX_MS;
+                logger.error('Home Assistant WebSocket authentication failed', { message: msg.message });
+                break;
+            case 'auth_ok':
+                this._onAuthenticated().catch(err => {
+                    this.lastError = err.message;
+                    logger.error('Home Assistant event subscription failed', { error: err.message });
+                    this.ws?.terminate();
+                });
+                break;
+            case 'result': {
+                const pending = this._pending.get(msg.id);
+                if (!pending) break;
+                this._pending.delete(msg.id);
+                clearTimeout(pending.timer);
+                if (msg.success) pending.resolve(msg.result);
+                else pending.reject(new Error(msg.error?.message || 'Home Assistant command failed'));
+                break;
+            }
+            case 'event':
+                if (msg.event?.event_type === 'state_changed') {
+                    const { entity_id: entityId, new_state: newState, old_state: oldState } = msg.event.data || {};
+                    this.lastEventAt = new Date().toISOString();
+                    this.emit('state_changed', { entityId, newState, oldState });
+                }
+                break;
+        }
+    }
+
+    async _onAuthenticated() {
+        // Subscribe before reading the states, so no change falls between the two
+        await this.command({ type: 'subscribe_events', event_type: 'state_changed' });
+        const states = await this.command({ type: 'get_states' });
+
+        this.connected = true;
+        this.lastError = null;
+        this._retryMs = RECONNECT_MIN_MS;
+        logger.info('Home Assistant WebSocket connected', { url: this.url, entities: states.length });
+        this.emit('connected', states);
+    }
+}
+
+export default new HomeAssistantEvents();
+export { HomeAssistantEvents };
@@ -1,12 +1,164 @@
 import axios from 'axios';
 import config from '../utils/config.js';
 import logger from '../utils/logger.js';
+import db from '../database/DatabaseManager.js';
 import { Client } from "@modelcontextprotocol/sdk/client/index.js";
 import { StreamableHTTPClientTransport } from "@modelcontextprotocol/sdk/client/streamableHttp.js";
+import homeAssistantEvents from './HomeAssistantEvents.js';
+import { fromLocalParts } from '../utils/timezone.js';
 
 // Cache TTL: 30 seconds
 const ENTITY_CACHE_TTL_MS = 30_000;
 
+// Longest history query (the recorder keeps 10 days by default); longer ranges use the long-term statistics
+const HISTORY_MAX_DAYS = 10;
+const STATISTICS_MAX_DAYS = 366;
+const STATISTICS_PERIODS = ['5minute', 'hour', 'day', 'week', 'month'];
+// Most statistics periods returned (the latest ones); the summary covers the whole range
+const STATISTICS_MAX_ROWS = 31;
+// States that do not count as "active" when measuring how long a device was on
+const INACTIVE_STATES = ['off', 'idle', 'standby', 'closed', 'locked', 'not_home', 'unavailable', 'unknown'];
+
+/**
+ * A time given to the history queries: ISO with an offset, or local "YYYY-MM-DD[ HH:MM]"
+ * @returns {Date|null} null when the value is not a time
+ */
+function parseTime(value) {
+    const text = String(value).trim();
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text.slice(10))) {
+        const date = new Date(text);
+        return isNaN(date) ? null : date;
+    }
+    const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2}))?/);
+    if (!match) return null;
+    return fromLocalParts({
+        year: +match[1], month: +match[2], day: +match[3], hour: +(match[4] || 0), minute: +(match[5] || 0)
+    }, config.reminders.timezone);
+}
+
+/**
+ * Time range of a history query (default: the last 24 hours)
+ * @returns {{start: Date, end: Date}|{error: string}}
+ */
+function parseRange(start, end, maxDays) {
+    const to = end ? parseTime(end) : new Date();
+    const from = start ? parseTime(start) : new Date(to - 24 * 3600_000);
+    if (!from || !to) return { error: 'Invalid time, use YYYY-MM-DD HH:MM (local time) or ISO 8601' };
+    if (from >= to) return { error: 'start must be before end' };
+    if (to - from > maxDays * 86400_000) return { error: `The range is limited to ${maxDays} days` };
+    return { start: from, end: to };
+}
+
+const localTime = (date) => date.toLocaleString('he-IL', { timeZone: config.reminders.timezone });
+const round = (value) => Math.round(value * 100) / 100;
+const isNumeric = (state) => state !== '' && state !== null && isFinite(Number(state));
+
+const REGISTRY_SYNCED_CONFIG_KEY = 'ha_registry_synced_at';
+// Most entities returned for an area phrase
+const AREA_MAX_ENTITIES = 50;
+
+// Words naming a kind of device in a phrase ("all the lights upstairs"), with their domains
+const DOMAIN_WORDS = [
+    { domains: ['light'], words: ['אור', 'אורות', 'תאורה', 'מנורה', 'מנורות', 'נורה', 'נורות', 'light', 'lights', 'lamp', 'lamps'] },
+    { domains: ['climate'], words: ['מזגן', 'מזגנים', 'מיזוג', 'ac', 'climate', 'thermostat'] },
+    { domains: ['cover'], words: ['תריס', 'תריסים', 'וילון', 'וילונות', 'blind', 'blinds', 'shutter', 'shutters', 'cover', 'covers', 'curtain', 'curtains'] },
+    { domains: ['fan'], words: ['מאוורר', 'מאווררים', 'fan', 'fans'] },
+    { domains: ['switch'], words: ['מתג', 'מתגים', 'שקע', 'שקעים', 'switch', 'switches', 'plug', 'plugs'] },
+    { domains: ['media_player'], words: ['טלוויזיה', 'טלויזיה', 'רמקול', 'רמקולים', 'tv', 'speaker', 'speakers'] },
+    { domains: ['lock'], words: ['מנעול', 'מנעולים', 'lock', 'locks'] },
+    { domains: ['sensor', 'binary_sensor'], words: ['חיישן', 'חיישנים', 'sensor', 'sensors'] }
+];
+// Words that do not narrow an area phrase down
+const FILLER_WORDS = ['כל', 'את', 'של', 'גם', 'עם', 'all', 'the', 'in', 'on', 'of', 'at', 'and', 'every'];
+// Hebrew one-letter prefixes: "בסלון", "והסלון" and "שבסלון" all name "סלון"
+const HEBREW_PREFIXES = /^[והבלמשכ]{1,3}$/;
+
+const tokenize = (text) => String(text || '').toLowerCase().replace(/['"׳״`’]/g, '').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+const splitAliases = (text) => String(text || '').split(',').map(a => a.trim()).filter(Boolean);
+
+/**
+ * Whether a word of a phrase is a token of a name, allowing Hebrew prefixes on the word
+ * (a leading ה on the token is optional, so "הסלון" also matches "בסלון")
+ */
+function wordMatches(word, token) {
+    const bare = token.length > 2 && token.startsWith('ה') ? token.slice(1) : token;
+    return [token, bare].some(t => word === t || (word.endsWith(t) && HEBREW_PREFIXES.test(word.slice(0, -t.length))));
+}
+
+/**
+ * Indexes of the phrase words that spell a name (every token of the name, in any order), or null
+ */
+function matchName(words, name) {
+    const tokens = tokenize(name);
+    if (tokens.length === 0) return null;
+    const used = [];
+    for (const token of tokens) {
+        const index = words.findIndex((word, i) => !used.includes(i) && wordMatches(word, token));
+        if (index === -1) return null;
+        used.push(index);
+    }
+    return used;
+}
+
+/**
+ * Compact aggregate of a history: min / max / time-weighted average for numeric sensors,
+ * otherwise minutes per state, minutes active and the number of state changes
+ * @param {Array<{state: string, last_changed: string}>} samples - Home Assistant history (oldest first)
+ * @param {Date} start
+ * @param {Date} end
+ */
+function summarizeHistory(samples, start, end) {
+    // Each state holds until the next one; the first sample is the state at the start of the range
+    const segments = samples.map((s, i) => {
+        const from = new Date(Math.max(new Date(s.last_changed), start));
+        const to = i + 1 < samples.length ? new Date(samples[i + 1].last_changed) : end;
+        return { state: s.state, from, ms: Math.max(to - from, 0) };
+    });
+
+    const known = segments.filter(s => s.state !== 'unavailable' && s.state !== 'unknown');
+    const numeric = known.filter(s => isNumeric(s.state));
+
+    if (numeric.length > 0 && numeric.length === known.length) {
+        let min = numeric[0];
+        let max = numeric[0];
+        let weighted = 0;
+        let total = 0;
+        for (const s of numeric) {
+            const value = Number(s.state);
+            if (value < Number(min.state)) min = s;
+            if (value > Number(max.state)) max = s;
+            weighted += value * s.ms;
+            total += s.ms;
+        }
+        return {
+            type: 'numeric',
+            min: { value: Number(min.state), at: localTime(min.from) },
+            max: { value: Number(max.state), at: localTime(max.from) },
+            average: round(total > 0 ? weighted / total : Number(numeric[0].state)),
+            first: Number(numeric[0].state),
+            last: Number(numeric[numeric.length - 1].state),
+            samples: numeric.length
+        };
+    }
+
+    const durations = {};
+    let changes = 0;
+    for (const [i, s] of segments.entries()) {
+        durations[s.state] = (durations[s.state] || 0) + s.ms;
+        if (i > 0 && s.state !== segments[i - 1].state) changes++;
+    }
+    const minutes = (ms) => Math.round(ms / 60_000);
+    const last = segments[segments.length - 1];
+    return {
+        type: 'state',
+        state: last.state,
+        lastChanged: localTime(last.from),
+        changes,
+        activeMinutes: minutes(segments.filter(s => !INACTIVE_STATES.includes(s.state)).reduce((sum, s) => sum + s.ms, 0)),
+        minutesPerState: Object.fromEntries(Object.entries(durations).map(([state, ms]) => [state, minutes(ms)]))
+    };
+}
+
 class HomeAssistantManager {
     constructor() {
         this.client = null; // Axios client (for fallback/finding entities)
@@ -23,6 +175,11 @@ class HomeAssistantManager {
     async init() {
         const { url, token } = config.homeAssistant;
 
+        // The registries are only readable over the WebSocket API, so they are synced whenever it connects
+        homeAssistantEvents.on('connected', () => {
+            this.syncRegistry().catch(err => logger.error('Failed to sync Home Assistant registries', { error: err.message }));
+        });
+
         if (!url || !token) {
             logger.warn('Home Assistant not configured');
             return this;
@@ -234,6 +391,350 @@ class HomeAssistantManager {
         };
     }
 
+    /**
+     * Read the floor, area, device and entity registries from Home Assistant into the database.
+     * Entities without an area of their own get their device's area; disabled, hidden and
+     * configuration / diagnostic entities are left out.
+     */
+    async syncRegistry() {
+        if (!homeAssistantEvents.connected) {
+            return { error: 'Reading the areas needs the Home Assistant WebSocket connection (HA_EVENTS_ENABLED)' };
+        }
+
+        const [areas, devices, entities] = await Promise.all([
+            homeAssistantEvents.command({ type: 'config/area_registry/list' }),
+            homeAssistantEvents.command({ type: 'config/device_registry/list' }),
+            homeAssistantEvents.command({ type: 'config/entity_registry/list' })
+        ]);
+        let floors = [];
+        try {
+            floors = await homeAssistantEvents.command({ type: 'config/floor_registry/list' });
+        } catch (err) {
+            // Floors were added in Home Assistant 2024.4
+            logger.warn('Home Assistant floors not available', { error: err.message });
+        }
+
+        const deviceAreas = new Map(devices.map(d => [d.id, d.area_id]));
+        const rows = entities
+            .filter(e => !e.disabled_by && !e.hidden_by && !e.entity_category)
+            .map(e => ({
+                entity_id: e.entity_id,
+                name: e.name || e.original_name,
+                area_id: e.area_id || deviceAreas.get(e.device_id),
+                device_id: e.device_id,
+                aliases: e.aliases
+            }));
+
+        db.replaceHaRegistry({ floors, areas, entities: rows });
+        db.setConfig(REGISTRY_SYNCED_CONFIG_KEY, new Date().toISOString());
+        logger.info('Home Assistant registries synced', { floors: floors.length, areas: areas.length, entities: rows.length });
+        return { success: true, floors: floors.length, areas: areas.length, entities: rows.length };
+    }
+
+    /**
+     * Synced floors and areas with their aliases, and when they were synced
+     */
+    getAreas() {
+        return {
+            floors: db.getHaFloors(),
+            areas: db.getHaAreas(),
+            syncedAt: db.getConfig(REGISTRY_SYNCED_CONFIG_KEY)
+        };
+    }
+
+    /**
+     * Resolve a phrase naming an area or floor ("all the lights upstairs", "the kids' room AC") to its entities.
+     * Areas and floors match by name, Home Assistant aliases or dashboard aliases; a floor stands for its areas.
+     * Words naming a kind of device narrow the entities to its domains, and the remaining words to the
+     * entities whose name, ID or nickname contains them (ignored when nothing matches).
+     * @param {string} phrase - Device phrase
+     * @param {string} [domain] - Domain to narrow to (e.g. light), or a kind of device in words
+     * @returns {Promise<Object|null>} null when the phrase names no area or floor
+     */
+    async resolveDevices(phrase, domain = null) {
+        if (domain && !/^[a-z_]+$/.test(domain)) {
+            phrase = `${phrase} ${domain}`;
+            domain = null;
+        }
+        const words = tokenize(phrase);
+        const areas = db.getHaAreas();
+        if (words.length === 0 || areas.length === 0) return null;
+        const floors = db.getHaFloors();
+
+        // Every name of every area and floor that the phrase spells; the longest claim their words first
+        const candidates = [];
+        for (const [type, rows] of [['floor', floors], ['area', areas]]) {
+            for (const row of rows) {
+                for (const name of [row.name, ...splitAliases(row.aliases), ...splitAliases(row.custom_aliases)]) {
+                    const used = matchName(words, name);
+                    if (used) candidates.push({ type, row, used });
+                }
+            }
+        }
+        candidates.sort((a, b) => b.used.length - a.used.length);
+        const claimed = new Set();
+        const matched = [];
+        for (const candidate of candidates) {
+            if (candidate.used.some(i => claimed.has(i))) continue;
+            candidate.used.forEach(i => claimed.add(i));
+            matched.push(candidate);
+        }
+        if (matched.length === 0) return null;
+
+        const matchedFloors = matched.filter(m => m.type === 'floor').map(m => m.row);
+        const areaIds = new Set(matched.filter(m => m.type === 'area').map(m => m.row.area_id));
+        for (const floor of matchedFloors) {
+            areas.filter(a => a.floor_id === floor.floor_id).forEach(a => areaIds.add(a.area_id));
+        }
+
+        let rest = words.filter((word, i) => !claimed.has(i) && !FILLER_WORDS.includes(word));
+        let domains = domain ? [domain] : null;
+        for (const { domains: kinds, words: kindWords } of DOMAIN_WORDS) {
+            const named = rest.filter(word => kindWords.some(k => wordMatches(word, k)));
+            if (named.length === 0) continue;
+            if (!domain) domains = [...(domains || []), ...kinds];
+            rest = rest.filter(word => !named.includes(word));
+        }
+
+        // Entities of the areas: a dashboard mapping's area overrides the registry's
+        const mappings = db.getHaMappings();
+        const mappingByEntity = new Map(mappings.map(m => [m.entity_id, m]));
+        const registry = db.getHaRegistryEntities();
+        const registered = new Set(registry.map(e => e.entity_id));
+        const states = await this.getEntities();
+        const stateById = new Map((states.entities || []).map(e => [e.id, e]));
+        const areaNames = new Map(areas.map(a => [a.area_id, a.name]));
+
+        let inScope = [...registry, ...mappings.filter(m => m.area_id && !registered.has(m.entity_id))]
+            .map(e => {
+                const mapping = mappingByEntity.get(e.entity_id);
+                const state = stateById.get(e.entity_id);
+                return {
+                    id: e.entity_id,
+                    name: state?.name || e.name || e.entity_id,
+                    ...(mapping && { nickname: mapping.nickname }),
+                    area_id: mapping?.area_id || e.area_id,
+                    type: e.entity_id.split('.')[0],
+                    ...(state && { state: state.state }),
+                    aliases: [...splitAliases(e.aliases), ...splitAliases(mapping?.nickname)]
+                };
+            })
+            .filter(e => areaIds.has(e.area_id) && (!domains || domains.includes(e.type)))
+            // Entities removed from Home Assistant since the last sync
+            .filter(e => !states.entities || stateById.has(e.id));
+
+        if (rest.length > 0) {
+            const named = inScope.filter(e => {
+                const tokens = [e.name, e.id.replace(/[._]/g, ' '), ...e.aliases].flatMap(tokenize);
+                return rest.every(word => tokens.some(token => wordMatches(word, token)));
+            });
+            if (named.length > 0) inScope = named;
+        }
+
+        logger.info('Area phrase resolved', {
+            phrase,
+            areas: [...areaIds].map(id => areaNames.get(id)),
+            domains,
+            matchCount: inScope.length
+        });
+
+        return {
+            success: true,
+            ...(matchedFloors.length > 0 && { floors: matchedFloors.map(f => f.name) }),
+            areas: [...areaIds].map(id => areaNames.get(id)),
+            count: inScope.length,
+            entities: inScope.slice(0, AREA_MAX_ENTITIES).map(({ aliases, area_id: areaId, ...e }) => ({
+                ...e,
+                area: areaNames.get(areaId)
+            }))
+        };
+    }
+
+    /**
+     * Current weather and today's forecast of a weather entity
+     * @param {string} entityId - Weather entity (e.g. weather.home)
+     */
+    async getWeather(entityId) {
+        if (!this.isAvailable()) {
+            return { error: 'Home Assistant not available' };
+        }
+
+        try {
+            const { data: state } = await this.client.get(`/states/${entityId}`);
+            const attributes = state.attributes || {};
+
+            // Newer Home Assistant versions only return the forecast from the weather.get_forecasts service
+            let forecast = attributes.forecast || null;
+            if (!forecast) {
+                try {
+                    const { data } = await this.client.post('/services/weather/get_forecasts?return_response', {
+                        entity_id: entityId,
+                        type: 'daily'
+                    });
+                    forecast = data.service_response?.[entityId]?.forecast || null;
+                } catch (err) {
+                    logger.warn('Weather forecast not available', { entityId, error: err.message });
+                }
+            }
+            const today = forecast?.[0];
+
+            return {
+                success: true,
+                entity: entityId,
+                name: attributes.friendly_name || entityId,
+                condition: state.state,
+                temperature: attributes.temperature,
+                unit: attributes.temperature_unit,
+                humidity: attributes.humidity,
+                windSpeed: attributes.wind_speed,
+                ...(today && {
+                    today: {
+                        condition: today.condition,
+                        high: today.temperature,
+                        low: today.templow,
+                        precipitationProbability: today.precipitation_probability
+                    }
+                })
+            };
+        } catch (err) {
+            logger.error('Failed to get weather', { entityId, error: err.message });
+            return { error: err.response?.status === 404 ? `Weather entity ${entityId} not found` : err.message };
+        }
+    }
+
+    /**
+     * History of an entity over a time range, as a compact aggregate (see summarizeHistory)
+     * @param {string} entityId - Entity ID (e.g. climate.living_room)
+     * @param {string} [start] - Start time (local "YYYY-MM-DD HH:MM" or ISO), default 24 hours before the end
+     * @param {string} [end] - End time, default now
+     */
+    async getHistory(entityId, start = null, end = null) {
+        if (!this.isAvailable()) {
+            return { error: 'Home Assistant not available' };
+        }
+        const range = parseRange(start, end, HISTORY_MAX_DAYS);
+        if (range.error) return range;
+
+        try {
+            const { data } = await this.client.get(`/history/period/${range.start.toISOString()}`, {
+                params: {
+                    filter_entity_id: entityId,
+                    end_time: range.end.toISOString(),
+                    minimal_response: '',
+                    significant_changes_only: '0'
+                }
+            });
+            const samples = data?.[0] || [];
+            if (samples.length === 0) {
+                return { error: `No history for ${entityId} in this range (check the entity ID with find_device)` };
+            }
+
+            const attributes = samples[0].attributes || {};
+            logger.info('History retrieved', { entityId, samples: samples.length });
+            return {
+                success: true,
+                entity: entityId,
+                name: attributes.friendly_name || entityId,
+                ...(attributes.unit_of_measurement && { unit: attributes.unit_of_measurement }),
+                from: localTime(range.start),
+                to: localTime(range.end),
+                ...summarizeHistory(samples, range.start, range.end)
+            };
+        } catch (err) {
+            logger.error('Failed to get history', { entityId, error: err.message });
+            return { error: err.message };
+        }
+    }
+
+    /**
+     * Long-term statistics of a sensor from the recorder (hourly / daily... mean, min, max and change),
+     * summarized over the range with the latest periods. Read over the WebSocket connection (HomeAssistantEvents).
+     * @param {string} entityId - Statistic ID, the entity ID of a sensor with a state_class
+     * @param {string} [start] - Start time (local "YYYY-MM-DD HH:MM" or ISO), default 24 hours before the end
+     * @param {string} [end] - End time, default now
+     * @param {string} [period='day'] - 5minute, hour, day, week or month
+     */
+    async getStatistics(entityId, start = null, end = null, period = 'day') {
+        if (!STATISTICS_PERIODS.includes(period)) {
+            return { error: `period must be one of: ${STATISTICS_PERIODS.join(', ')}` };
+        }
+        if (!homeAssistantEvents.connected) {
+            return { error: 'Long-term statistics need the Home Assistant WebSocket connection (HA_EVENTS_ENABLED)' };
+        }
+        const range = parseRange(start, end, STATISTICS_MAX_DAYS);
+        if (range.error) return range;
+
+        try {
+            const result = await homeAssistantEvents.command({
+                type: 'recorder/statistics_during_period',
+                start_time: range.start.toISOString(),
+                end_time: range.end.toISOString(),
+                statistic_ids: [entityId],
+                period,
+                types: ['mean', 'min', 'max', 'change']
+            });
+            const rows = result?.[entityId] || [];
+            if (rows.length === 0) {
+                return { error: `No long-term statistics for ${entityId} in this range (only sensors with a state_class have them)` };
+            }
+
+            const periods = rows.map(r => ({
+                start: new Date(r.start),
+                mean: r.mean ?? null,
+                min: r.min ?? r.mean ?? null,
+                max: r.max ?? r.mean ?? null,
+                change: r.change ?? null
+            }));
+            const withMin = periods.filter(p => p.min !== null);
+            const withMax = periods.filter(p => p.max !== null);
+            const withMean = periods.filter(p => p.mean !== null);
+            const withChange = periods.filter(p => p.change !== null);
+            const lowest = withMin.reduce((a, b) => (b.min < a.min ? b : a), withMin[0]);
+            const highest = withMax.reduce((a, b) => (b.max > a.max ? b : a), withMax[0]);
+            const attributes = await this._getAttributes(entityId);
+            const unit = attributes.unit_of_measurement;
+
+            logger.info('Statistics retrieved', { entityId, period, rows: rows.length });
+            return {
+                success: true,
+                entity: entityId,
+                name: attributes.friendly_name || entityId,
+                ...(unit && { unit }),
+                period,
+                from: localTime(range.start),
+                to: localTime(range.end),
+                ...(lowest && { min: { value: round(lowest.min), period: localTime(lowest.start) } }),
+                ...(highest && { max: { value: round(highest.max), period: localTime(highest.start) } }),
+                ...(withMean.length > 0 && { average: round(withMean.reduce((sum, p) => sum + p.mean, 0) / withMean.length) }),
+                ...(withChange.length > 0 && { totalChange: round(withChange.reduce((sum, p) => sum + p.change, 0)) }),
+                periodCount: periods.length,
+                periods: periods.slice(-STATISTICS_MAX_ROWS).map(p => ({
+                    start: localTime(p.start),
+                    ...(p.mean !== null && { mean: round(p.mean) }),
+                    ...(p.min !== null && { min: round(p.min) }),
+                    ...(p.max !== null && { max: round(p.max) }),
+                    ...(p.change !== null && { change: round(p.change) })
+                }))
+            };
+        } catch (err) {
+            logger.error('Failed to get statistics', { entityId, error: err.message });
+            return { error: err.message };
+        }
+    }
+
+    /**
+     * Attributes of an entity's current state, or {} (names the statistics, which carry none)
+     */
+    async _getAttributes(entityId) {
+        if (!this.client) return {};
+        try {
+            const { data } = await this.client.get(`/states/${entityId}`);
+            return data.attributes || {};
+        } catch {
+            return {};
+        }
+    }
+
     /**
      * Get status
      */
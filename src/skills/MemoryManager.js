@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import logger from '../utils/logger.js';
+import knowledgeIndex from '../bot/KnowledgeIndex.js';
 
 // Helper to check file/dir existence asynchronously
 async function exists(filePath) {
@@ -58,10 +59,13 @@ class MemoryManager {
 
     async readKnowledgeFile(filename) {
         if (!filename.endsWith('.md')) filename += '.md';
-        const filePath = path.join(this.knowledgeDir, filename);
-        if (await exists(filePath)) {
-            const content = await fs.promises.readFile(filePath, 'utf-8');
-            return { success: true, content };
+        // Indexed skill files are listed in the prompt too, so fall back to the skills directory
+        for (const dir of [this.knowledgeDir, this.skillsDir]) {
+            const filePath = path.join(dir, path.basename(filename));
+            if (await exists(filePath)) {
+                const content = await fs.promises.readFile(filePath, 'utf-8');
+                return { success: true, content };
+            }
         }
         return { success: false, error: `File ${filename} not found` };
     }
@@ -72,6 +76,8 @@ class MemoryManager {
         try {
             await fs.promises.writeFile(filePath, content, 'utf-8');
             logger.info('Knowledge file updated', { filename });
+            knowledgeIndex.syncFile('knowledge', filename).catch(err =>
+                logger.error('Failed to index knowledge file', { source: 'knowledge', filename, error: err.message }));
             return { success: true, message: `Successfully updated ${filename}` };
         } catch (err) {
             logger.error('Failed to write knowledge file', { filename, error: err.message });
@@ -79,12 +85,33 @@ class MemoryManager {
         }
     }
 
+    /**
+     * Save the text of a document received in chat as a new knowledge file (never overwrites)
+     * @param {string} filename - Knowledge file name (.md is appended if missing)
+     * @param {string} text - Extracted document text
+     * @param {Object} source - { filename, receivedAt } of the original document
+     */
+    async createKnowledgeFromDocument(filename, text, source) {
+        if (!filename.endsWith('.md')) filename += '.md';
+        filename = path.basename(filename);
+        if (await exists(path.join(this.knowledgeDir, filename))) {
+            return { success: false, error: `File ${filename} already exists. Choose another filename.` };
+        }
+
+        const title = path.basename(source.filename, path.extname(source.filename));
+        const content = `# ${title}\n\n> מקור: ${source.filename} (התקבל ${source.receivedAt})\n\n${text}\n`;
+        const result = await this.writeKnowledgeFile(filename, content);
+        return result.success ? { success: true, filename, message: `Saved ${source.filename} as ${filename}` } : result;
+    }
+
     async createSkill(skillName, instructions) {
         if (!skillName.endsWith('.md')) skillName += '.md';
         const filePath = path.join(this.skillsDir, skillName);
         try {
             await fs.promises.writeFile(filePath, instructions, 'utf-8');
             logger.info('Skill created', { skillName });
+            knowledgeIndex.syncFile('skills', skillName).catch(err =>
+                logger.error('Failed to index knowledge file', { source: 'skills', filename: skillName, error: err.message }));
             return { success: true, message: `Successfully created skill: ${skillName}` };
         } catch (err) {
             logger.error('Failed to create skill file', { skillName, error: err.message });
@@ -119,6 +146,8 @@ class MemoryManager {
             if (await exists(filePath)) {
                 await fs.promises.unlink(filePath);
                 logger.info('Knowledge file deleted', { filename });
+                knowledgeIndex.syncFile('knowledge', filename).catch(err =>
+                    logger.error('Failed to index knowledge file', { source: 'knowledge', filename, error: err.message }));
                 return { success: true, message: `Successfully deleted ${filename}` };
             }
             return { success: false, error: `File ${filename} not found` };
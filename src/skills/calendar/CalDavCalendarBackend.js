@@ -0,0 +1,376 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import ical from 'node-ical';
+import logger from '../../utils/logger.js';
+import { toLocalParts, fromLocalParts, isValidTimezone } from '../../utils/timezone.js';
+import { TIMEZONE, pad, addDays, localIso, movedTimes, shiftWeekdays, attendeeEmails } from './helpers.js';
+import { expandEvents } from './IcsCalendarBackend.js';
+
+const REQUEST_TIMEOUT_MS = 15000;
+const PRODID = '-//Noga//Home Assistant//HE';
+
+const has = (value) => value !== undefined && value !== null;
+
+/**
+ * iCalendar UTC stamp of an instant ("20261020T050000Z")
+ */
+function icsUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * iCalendar wall-clock stamp ("20261020T080000") of an instant in a timezone
+ */
+function icsLocal(date, timeZone) {
+    const p = toLocalParts(date, timeZone);
+    return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+}
+
+function escapeText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function unfold(text) {
+    return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).filter(Boolean);
+}
+
+function propName(line) {
+    return line.split(/[;:]/)[0].toUpperCase();
+}
+
+function propParam(line, name) {
+    const head = line.substring(0, line.indexOf(':'));
+    return head.match(new RegExp(`;${name}=("?)([^;"]+)\\1`, 'i'))?.[2] || null;
+}
+
+/**
+ * Instant of an occurrence ID: "20261020" (all-day, at local midnight like node-ical) or "20261020T050000Z"
+ */
+function parseRid(rid) {
+    const [, y, m, d, time] = rid.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{6})Z)?$/) || [];
+    if (!y) throw new Error(`Invalid event ID occurrence "${rid}"`);
+    if (!time) return { date: new Date(+y, m - 1, +d), allDay: true };
+    return { date: new Date(Date.UTC(+y, m - 1, +d, +time.slice(0, 2), +time.slice(2, 4), +time.slice(4))), allDay: false };
+}
+
+/**
+ * Occurrence ID of an occurrence start
+ */
+function ridOf(date, allDay) {
+    return allDay ? localIso(date, true).replace(/-/g, '') : icsUtc(date);
+}
+
+/**
+ * Occurrence ID of a DTSTART / RECURRENCE-ID line
+ */
+function ridOfLine(line) {
+    const value = line.substring(line.indexOf(':') + 1).trim();
+    if (/^\d{8}$/.test(value) || value.endsWith('Z')) return value;
+    const [, y, m, d, hh, mm, ss] = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})$/) || [];
+    if (!y) return value;
+    const tzid = propParam(line, 'TZID');
+    const parts = { year: +y, month: +m, day: +d, hour: +hh, minute: +mm, second: +ss };
+    return icsUtc(fromLocalParts(parts, isValidTimezone(tzid) ? tzid : TIMEZONE));
+}
+
+/**
+ * Local date, time and duration of an occurrence
+ */
+function localTimes(start, end, allDay) {
+    const ms = (end || start) - start;
+    if (allDay) return { date: localIso(start, true), time: null, durationMinutes: Math.round(ms / 86400000) * 1440 };
+    const iso = localIso(start);
+    return { date: iso.substring(0, 10), time: iso.substring(11, 16), durationMinutes: ms / 60000 };
+}
+
+/**
+ * DTSTART / DTEND lines from a local date, optional time and duration. Timed events are written in `tzid`
+ * (the series' own timezone, so it keeps its wall-clock time across DST) or in UTC.
+ */
+function timeLines(date, time, durationMinutes = 60, tzid = null) {
+    if (!time) {
+        const days = Math.max(1, Math.ceil(durationMinutes / 1440));
+        return {
+            DTSTART: [`DTSTART;VALUE=DATE:${date.replace(/-/g, '')}`],
+            DTEND: [`DTEND;VALUE=DATE:${addDays(date, days).replace(/-/g, '')}`],
+            DURATION: []
+        };
+    }
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const start = fromLocalParts({ year, month, day, hour, minute }, TIMEZONE);
+    const end = new Date(start.getTime() + durationMinutes * 60000);
+    const format = (name, d) => (tzid ? `${name};TZID=${tzid}:${icsLocal(d, tzid)}` : `${name}:${icsUtc(d)}`);
+    return { DTSTART: [format('DTSTART', start)], DTEND: [format('DTEND', end)], DURATION: [] };
+}
+
+/**
+ * Top-level VEVENT blocks of a resource: line range and occurrence ID (null for the master event)
+ */
+function eventBlocks(lines) {
+    const blocks = [];
+    let start = null;
+    lines.forEach((line, i) => {
+        if (/^BEGIN:VEVENT$/i.test(line)) start = i;
+        if (/^END:VEVENT$/i.test(line) && start !== null) {
+            const ridLine = lines.slice(start, i).find(l => propName(l) === 'RECURRENCE-ID');
+            blocks.push({ start, end: i, rid: ridLine ? ridOfLine(ridLine) : null });
+            start = null;
+        }
+    });
+    return blocks;
+}
+
+/**
+ * Replace every top-level property of a VEVENT block named in `props` (nested VALARMs are left alone)
+ * @param {string[]} block - Lines from BEGIN:VEVENT to END:VEVENT
+ * @param {Object<string, string[]>} props - New lines per property name (an empty list removes it)
+ */
+function setProps(block, props) {
+    const names = Object.keys(props);
+    let depth = 0;
+    const kept = block.filter((line, i) => {
+        if (i === 0 || i === block.length - 1) return true;
+        if (/^BEGIN:/i.test(line)) depth++;
+        const topLevel = depth === 0;
+        if (/^END:/i.test(line)) depth--;
+        return !(topLevel && names.includes(propName(line)));
+    });
+    return [...kept.slice(0, -1), ...Object.values(props).flat(), kept[kept.length - 1]];
+}
+
+/**
+ * Replace the VALARMs of a VEVENT block with one display reminder
+ */
+function setAlarm(block, minutes, title) {
+    const kept = [];
+    let inAlarm = false;
+    for (const line of block) {
+        if (/^BEGIN:VALARM$/i.test(line)) inAlarm = true;
+        if (!inAlarm) kept.push(line);
+        if (/^END:VALARM$/i.test(line)) inAlarm = false;
+    }
+    const alarm = ['BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(title || 'תזכורת')}`, `TRIGGER:-PT${minutes}M`, 'END:VALARM'];
+    return [...kept.slice(0, -1), ...alarm, kept[kept.length - 1]];
+}
+
+/**
+ * Apply the event fields of a create / update to a VEVENT block
+ */
+function applyChanges(block, { title, description, location, attendees, reminderMinutes }, times = null) {
+    const props = { DTSTAMP: [`DTSTAMP:${icsUtc(new Date())}`] };
+    if (title) props.SUMMARY = [`SUMMARY:${escapeText(title)}`];
+    if (has(description)) props.DESCRIPTION = description ? [`DESCRIPTION:${escapeText(description)}`] : [];
+    if (has(location)) props.LOCATION = location ? [`LOCATION:${escapeText(location)}`] : [];
+    if (has(attendees)) props.ATTENDEE = attendeeEmails(attendees).map(email => `ATTENDEE;RSVP=TRUE:mailto:${email}`);
+    const updated = setProps(block, { ...props, ...times });
+    if (!has(reminderMinutes)) return updated;
+    const summary = updated.find(line => propName(line) === 'SUMMARY');
+    return setAlarm(updated, reminderMinutes, summary && summary.substring(summary.indexOf(':') + 1));
+}
+
+/**
+ * href, ETag and calendar data of every response in a WebDAV multistatus body
+ */
+function parseMultistatus(xml) {
+    const tag = (name) => new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'i');
+    const decode = (value) => (value || '')
+        .replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, '$1')
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+    return xml.split(/<(?:[\w-]+:)?response(?:\s[^>]*)?>/i).slice(1).map(part => ({
+        href: decode(part.match(tag('href'))?.[1]).trim(),
+        etag: decode(part.match(tag('getetag'))?.[1]).trim(),
+        data: decode(part.match(tag('calendar-data'))?.[1])
+    })).filter(r => r.href && r.data.includes('BEGIN:VCALENDAR'));
+}
+
+/**
+ * CalDavCalendarBackend - CalDAV calendars (Nextcloud, Radicale, iCloud, Fastmail...). A calendar's source is
+ * the calendar collection URL, with the calendar's username / password for basic auth. Events are read with
+ * a calendar-query REPORT and written as iCalendar resources, keeping the properties Noga does not edit.
+ * Event IDs are the resource href, plus "#<occurrence>" for one occurrence of a recurring event.
+ */
+class CalDavCalendarBackend {
+    constructor() {
+        this.type = 'caldav';
+        this.readOnly = false;
+        this.searchesOnServer = false;
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    async listEvents(cal, timeMin, timeMax, query = null) {
+        const from = new Date(timeMin);
+        const to = new Date(timeMax);
+        const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><d:getetag/><c:calendar-data/></d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT"><c:time-range start="${icsUtc(from)}" end="${icsUtc(to)}"/></c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+        const response = await this._request(cal, 'REPORT', cal.source, body, { Depth: '1' });
+        return parseMultistatus(response.data).flatMap(({ href, data }) => this._occurrences(data, href, from, to, query));
+    }
+
+    async addEvent(cal, { title, date, time, durationMinutes, description, ...details }) {
+        const uid = crypto.randomUUID();
+        const url = new URL(`${uid}.ics`, cal.source.endsWith('/') ? cal.source : `${cal.source}/`);
+        const block = applyChanges(['BEGIN:VEVENT', `UID:${uid}`, 'END:VEVENT'], { title, description, ...details }, timeLines(date, time, durationMinutes));
+
+        await this._request(cal, 'PUT', url.href, this._serialize(['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, ...block, 'END:VCALENDAR']), { 'If-None-Match': '*' });
+        return { id: url.pathname, title };
+    }
+
+    async updateEvent(cal, eventId, changes, scope) {
+        const resource = await this._getResource(cal, eventId);
+        const { lines, master, rid } = resource;
+        const blocks = eventBlocks(lines);
+        const masterBlock = blocks.find(b => b.rid === null);
+        const masterStartLine = lines.slice(masterBlock.start, masterBlock.end).find(l => propName(l) === 'DTSTART');
+        const masterAllDay = master.datetype === 'date';
+        const masterTimes = localTimes(master.start, master.end, masterAllDay);
+        const series = !rid || scope === 'series';
+
+        // The occurrence being edited: the series' first one, an existing override or a plain occurrence.
+        // A series moves from where it places the occurrence (its RECURRENCE-ID), not from an override's times.
+        const override = rid && master.recurrences?.[masterAllDay ? localIso(parseRid(rid).date, true) : parseRid(rid).date.toISOString()];
+        let occurrence = masterTimes;
+        let currentStart = master.start;
+        if (rid) {
+            currentStart = parseRid(rid).date;
+            occurrence = localTimes(currentStart, new Date(currentStart.getTime() + masterTimes.durationMinutes * 60000), masterAllDay);
+        }
+        let current = occurrence;
+        if (override) {
+            current = localTimes(override.start, override.end, override.datetype === 'date');
+            currentStart = override.start;
+        }
+
+        let times = null;
+        let rule = null;
+        if (changes.date || changes.time || changes.allDay || changes.durationMinutes) {
+            const moved = movedTimes(series ? occurrence : current, series && master.rrule ? masterTimes : null, changes);
+            times = timeLines(moved.date, moved.time, moved.durationMinutes, series ? propParam(masterStartLine, 'TZID') : null);
+            if (series && master.rrule && moved.dayShift % 7 !== 0) {
+                rule = lines.slice(masterBlock.start, masterBlock.end).filter(l => propName(l) === 'RRULE').map(l => shiftWeekdays(l, moved.dayShift));
+            }
+        } else if (!series && !override) {
+            // A new override needs the occurrence's own times
+            times = timeLines(current.date, current.time, current.durationMinutes);
+        }
+
+        let updated;
+        if (series) {
+            const block = applyChanges(lines.slice(masterBlock.start, masterBlock.end + 1), changes, { ...times, ...(rule && { RRULE: rule }) });
+            updated = [...lines.slice(0, masterBlock.start), ...block, ...lines.slice(masterBlock.end + 1)];
+        } else {
+            const existing = blocks.find(b => b.rid === rid);
+            const base = existing
+                ? lines.slice(existing.start, existing.end + 1)
+                : setProps(lines.slice(masterBlock.start, masterBlock.end + 1), {
+                    RRULE: [], RDATE: [], EXDATE: [],
+                    'RECURRENCE-ID': [masterAllDay ? `RECURRENCE-ID;VALUE=DATE:${rid}` : `RECURRENCE-ID:${rid}`]
+                });
+            const block = applyChanges(base, changes, times);
+            updated = existing
+                ? [...lines.slice(0, existing.start), ...block, ...lines.slice(existing.end + 1)]
+                : [...lines.slice(0, masterBlock.end + 1), ...block, ...lines.slice(masterBlock.end + 1)];
+        }
+
+        const text = this._serialize(updated);
+        logger.info('Updating CalDAV event', { eventId, calendar: cal.name, scope: series && rid ? 'series' : 'instance', fields: Object.keys(changes).filter(k => has(changes[k])) });
+        await this._request(cal, 'PUT', resource.url, text, resource.etag ? { 'If-Match': resource.etag } : {});
+
+        // The edited occurrence (the first one of a series) as the model sees it in listEvents.
+        // node-ical expands a moved occurrence from its original date, so that date is searched too.
+        const start = times ? parseRid(ridOfLine(times.DTSTART[0])).date : series ? master.start : currentStart;
+        const from = series ? start : new Date(Math.min(start, parseRid(rid).date));
+        const to = new Date(Math.max(start, from) + 60000);
+        const found = this._occurrences(text, eventId.split('#')[0], from, to);
+        const event = series ? found[0] : found.find(e => e.id === eventId);
+        return { scope: series && rid ? 'series' : 'instance', event: event || { id: eventId } };
+    }
+
+    async deleteEvent(cal, eventId, scope) {
+        const [href, rid = null] = eventId.split('#');
+        if (!rid || scope === 'series') {
+            await this._request(cal, 'DELETE', new URL(href, cal.source).href);
+            return { id: href, scope: rid ? 'series' : 'instance' };
+        }
+
+        // One occurrence: excluded from the series, and its override (if any) removed
+        const resource = await this._getResource(cal, eventId);
+        const { lines } = resource;
+        const blocks = eventBlocks(lines);
+        const masterBlock = blocks.find(b => b.rid === null);
+        const exdate = resource.master.datetype === 'date' ? `EXDATE;VALUE=DATE:${rid}` : `EXDATE:${rid}`;
+        const override = blocks.find(b => b.rid === rid);
+
+        const updated = lines.flatMap((line, i) => {
+            if (override && i >= override.start && i <= override.end) return [];
+            if (i === masterBlock.end) return [exdate, line];
+            return [line];
+        });
+        await this._request(cal, 'PUT', resource.url, this._serialize(updated), resource.etag ? { 'If-Match': resource.etag } : {});
+        return { id: eventId, scope: 'instance' };
+    }
+
+    /**
+     * The iCalendar resource of an event ID, with its ETag and parsed master event
+     */
+    async _getResource(cal, eventId) {
+        const [href, rid = null] = eventId.split('#');
+        const url = new URL(href, cal.source).href;
+        const response = await this._request(cal, 'GET', url);
+        const parsed = ical.sync.parseICS(response.data);
+        const master = Object.values(parsed).find(c => c?.type === 'VEVENT');
+        if (!master) throw new Error(`No event found at ${href}`);
+        if (rid && !master.rrule) throw new Error(`Event ${href} is not recurring`);
+        return { url, etag: response.headers.etag || null, lines: unfold(response.data), master, rid };
+    }
+
+    /**
+     * Occurrences of an iCalendar resource between two dates, with their event IDs
+     */
+    _occurrences(text, href, from, to, query = null) {
+        return expandEvents(ical.sync.parseICS(text), from, to, query, (instance, master) => (master.rrule
+            ? `${href}#${ridOf(instance.isOverride ? instance.event.recurrenceid : instance.start, instance.isFullDay)}`
+            : href));
+    }
+
+    _serialize(lines) {
+        return `${lines.join('\r\n')}\r\n`;
+    }
+
+    async _request(cal, method, url, data = undefined, headers = {}) {
+        const response = await axios({
+            method,
+            url,
+            data,
+            headers: {
+                ...(data !== undefined && { 'Content-Type': method === 'PUT' ? 'text/calendar; charset=utf-8' : 'application/xml; charset=utf-8' }),
+                ...headers
+            },
+            ...(cal.username && { auth: { username: cal.username, password: cal.password || '' } }),
+            responseType: 'text',
+            timeout: REQUEST_TIMEOUT_MS,
+            validateStatus: () => true
+        });
+        if (response.status === 401 || response.status === 403) throw new Error(`CalDAV login failed for calendar "${cal.name}"`);
+        if (response.status === 412) throw new Error('The event was changed elsewhere meanwhile, list it again and retry');
+        if (response.status === 404) throw new Error('Event or calendar not found on the CalDAV server');
+        if (response.status >= 400) throw new Error(`CalDAV ${method} failed: ${response.status} ${response.statusText || ''}`.trim());
+        return response;
+    }
+}
+
+export default new CalDavCalendarBackend();
+export { CalDavCalendarBackend };
@@ -0,0 +1,233 @@
+import { google } from 'googleapis';
+import fs from 'fs';
+import config from '../../utils/config.js';
+import logger from '../../utils/logger.js';
+import { TIMEZONE, addDays, localDateTime, localStart, movedTimes, shiftWeekdays, attendeeEmails } from './helpers.js';
+
+/**
+ * GoogleCalendarBackend - Google calendars through the service account (GOOGLE_SERVICE_ACCOUNT_PATH).
+ * A calendar's source is its Google calendar ID, which must be shared with the service account.
+ */
+class GoogleCalendarBackend {
+    constructor() {
+        this.type = 'google';
+        this.readOnly = false;
+        this.searchesOnServer = true;
+        this.calendar = null;
+        this.auth = null;
+    }
+
+    /**
+     * Initialize Google Calendar with Service Account
+     */
+    async init() {
+        try {
+            // Check if service account file exists
+            try {
+                await fs.promises.access(config.google.serviceAccountPath);
+            } catch {
+                logger.warn('Google Service Account file not found', {
+                    path: config.google.serviceAccountPath
+                });
+                return this;
+            }
+
+            // Load service account credentials
+            const credentials = JSON.parse(
+                await fs.promises.readFile(config.google.serviceAccountPath, 'utf-8')
+            );
+
+            // Create auth client
+            this.auth = new google.auth.GoogleAuth({
+                credentials,
+                scopes: ['https://www.googleapis.com/auth/calendar']
+            });
+
+            // Create calendar client
+            this.calendar = google.calendar({ version: 'v3', auth: this.auth });
+
+            logger.info('Google Calendar initialized');
+        } catch (err) {
+            logger.error('Failed to initialize Calendar', { error: err.message });
+        }
+
+        return this;
+    }
+
+    /**
+     * Check if Google Calendar is available
+     */
+    isAvailable() {
+        return !!this.calendar;
+    }
+
+    async listEvents(cal, timeMin, timeMax, query = null) {
+        this._ensureAvailable();
+        const response = await this.calendar.events.list({
+            calendarId: cal.source,
+            ...(query && { q: query }),
+            timeMin,
+            timeMax,
+            singleEvents: true,
+            orderBy: 'startTime',
+            maxResults: query ? 25 : 20
+        });
+        return (response.data.items || []).map(event => this._formatEvent(event));
+    }
+
+    /**
+     * Busy periods from the Google free/busy API (events marked "free" do not count)
+     */
+    async getBusy(cal, timeMin, timeMax) {
+        this._ensureAvailable();
+        const response = await this.calendar.freebusy.query({
+            requestBody: { timeMin, timeMax, timeZone: TIMEZONE, items: [{ id: cal.source }] }
+        });
+        const result = response.data.calendars?.[cal.source] || {};
+        if (result.errors?.length) throw new Error(`Free/busy failed: ${result.errors.map(e => e.reason).join(', ')}`);
+        return result.busy || [];
+    }
+
+    async addEvent(cal, { title, date, time, durationMinutes, description, ...details }) {
+        this._ensureAvailable();
+        const response = await this.calendar.events.insert({
+            calendarId: cal.source,
+            requestBody: {
+                summary: title,
+                description,
+                ...this._eventTimes(date, time, durationMinutes),
+                ...this._eventDetails(details)
+            }
+        });
+        return {
+            id: response.data.id,
+            title: response.data.summary,
+            link: response.data.htmlLink
+        };
+    }
+
+    async updateEvent(cal, eventId, changes, scope) {
+        this._ensureAvailable();
+        const calendarId = cal.source;
+        const current = (await this.calendar.events.get({ calendarId, eventId })).data;
+
+        // A series is edited on its master event; the occurrence's move is applied to it as a shift
+        const series = scope === 'series' && current.recurringEventId
+            ? (await this.calendar.events.get({ calendarId, eventId: current.recurringEventId })).data
+            : null;
+        const event = series || current;
+
+        const patch = this._eventDetails(changes);
+        if (changes.title) patch.summary = changes.title;
+        if (changes.description !== undefined && changes.description !== null) patch.description = changes.description;
+        if (changes.date || changes.time || changes.allDay || changes.durationMinutes) {
+            const moved = series
+                ? movedTimes(this._seriesOccurrenceTimes(current, series), localStart(series.start), changes)
+                : movedTimes(this._localTimes(current), null, changes);
+            const { start, end } = this._eventTimes(moved.date, moved.time, moved.durationMinutes);
+            // Null clears the other kind of time when switching between timed and all-day
+            patch.start = { date: null, dateTime: null, ...start };
+            patch.end = { date: null, dateTime: null, ...end };
+            if (series?.recurrence && moved.dayShift % 7 !== 0) {
+                patch.recurrence = series.recurrence.map(line => shiftWeekdays(line, moved.dayShift));
+            }
+        }
+
+        logger.info('Updating calendar event', { eventId: event.id, calendar: cal.name, scope: series ? 'series' : 'instance', fields: Object.keys(patch) });
+
+        const response = await this.calendar.events.patch({
+            calendarId,
+            eventId: event.id,
+            requestBody: patch
+        });
+        return { scope: series ? 'series' : 'instance', event: this._formatEvent(response.data) };
+    }
+
+    async deleteEvent(cal, eventId, scope) {
+        this._ensureAvailable();
+        let targetId = eventId;
+        if (scope === 'series') {
+            const { data } = await this.calendar.events.get({ calendarId: cal.source, eventId });
+            targetId = data.recurringEventId || eventId;
+        }
+
+        await this.calendar.events.delete({ calendarId: cal.source, eventId: targetId });
+        return { id: targetId, scope: targetId !== eventId ? 'series' : 'instance' };
+    }
+
+    _ensureAvailable() {
+        if (!this.isAvailable()) throw new Error('Google Calendar not available');
+    }
+
+    /**
+     * Local date, time and duration of a Google event
+     */
+    _localTimes(event) {
+        const { date, time } = localStart(event.start);
+        const durationMinutes = time
+            ? (new Date(event.end.dateTime) - new Date(event.start.dateTime)) / 60000
+            : (Date.parse(event.end.date) - Date.parse(event.start.date)) / 60000;
+        return { date, time, durationMinutes };
+    }
+
+    /**
+     * Local date, time and duration of an occurrence where its series places it
+     * (an instance moved on its own keeps its original start in originalStartTime)
+     */
+    _seriesOccurrenceTimes(instance, series) {
+        const { date, time } = localStart(instance.originalStartTime || instance.start);
+        return { date, time, durationMinutes: this._localTimes(series).durationMinutes };
+    }
+
+    /**
+     * Google start / end of an event from a local date, optional time and duration
+     * (all-day events span whole days: ceil(duration / 24h), at least one)
+     */
+    _eventTimes(date, time, durationMinutes = 60) {
+        if (!time) {
+            const days = Math.max(1, Math.ceil(durationMinutes / 1440));
+            return { start: { date }, end: { date: addDays(date, days) } };
+        }
+        return {
+            start: { dateTime: localDateTime(date, time), timeZone: TIMEZONE },
+            end: { dateTime: localDateTime(date, time, durationMinutes), timeZone: TIMEZONE }
+        };
+    }
+
+    /**
+     * Optional event fields: location, attendees (emails) and a popup reminder
+     */
+    _eventDetails({ location, attendees, reminderMinutes } = {}) {
+        const details = {};
+        if (location !== undefined && location !== null) details.location = location;
+        if (attendees !== undefined && attendees !== null) {
+            details.attendees = attendeeEmails(attendees).map(email => ({ email }));
+        }
+        if (reminderMinutes !== undefined && reminderMinutes !== null) {
+            details.reminders = { useDefault: false, overrides: [{ method: 'popup', minutes: reminderMinutes }] };
+        }
+        return details;
+    }
+
+    /**
+     * Event fields returned to the model
+     */
+    _formatEvent(event) {
+        return {
+            id: event.id,
+            title: event.summary || 'ללא כותרת',
+            description: event.description || '',
+            start: event.start.dateTime || event.start.date,
+            end: event.end.dateTime || event.end.date,
+            location: event.location || '',
+            isAllDay: !event.start.dateTime,
+            ...((event.recurringEventId || event.recurrence) && { recurring: true }),
+            ...(event.recurrence && { recurrence: event.recurrence }),
+            ...(event.attendees?.length && { attendees: event.attendees.map(a => a.displayName || a.email) }),
+            ...(event.reminders?.overrides?.length && { reminderMinutes: event.reminders.overrides.map(o => o.minutes) })
+        };
+    }
+}
+
+export default new GoogleCalendarBackend();
+export { GoogleCalendarBackend };
@@ -0,0 +1,113 @@
+import ical from 'node-ical';
+import path from 'path';
+import logger from '../../utils/logger.js';
+import { localIso } from './helpers.js';
+
+// ICS feeds are fetched again after this many minutes
+const ICS_CACHE_MINUTES = 30;
+
+/**
+ * Text of a node-ical property (plain, or {val, params} when it has parameters)
+ */
+export function icalText(value) {
+    return String((value && typeof value === 'object' ? value.val : value) || '');
+}
+
+/**
+ * Occurrences of the VEVENTs of a parsed calendar between two dates, as returned to the model
+ * @param {Object} data - node-ical parse result
+ * @param {Date} from
+ * @param {Date} to
+ * @param {string} [query] - Only events whose title, description or location contain every word
+ * @param {Function} [idOf] - Event ID of an occurrence (default: the UID)
+ */
+export function expandEvents(data, from, to, query = null, idOf = (instance) => instance.event.uid) {
+    const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    const events = [];
+    for (const component of Object.values(data)) {
+        if (!component || component.type !== 'VEVENT') continue;
+        for (const instance of ical.expandRecurringEvent(component, { from, to })) {
+            const event = instance.event;
+            // An override may switch between all-day and timed; node-ical keeps the series' kind
+            const allDay = instance.isOverride ? event.datetype === 'date' : instance.isFullDay;
+            const [start, end] = allDay === instance.isFullDay ? [instance.start, instance.end] : [event.start, event.end || event.start];
+            const attendees = [].concat(event.attendee || []).map(a => (a?.params?.CN) || icalText(a).replace(/^mailto:/i, ''));
+            const alarms = (event.alarms || []).filter(a => typeof a.trigger === 'string');
+            const formatted = {
+                id: idOf(instance, component),
+                title: icalText(instance.summary) || 'ללא כותרת',
+                description: icalText(event.description),
+                start: localIso(start, allDay),
+                end: localIso(end, allDay),
+                location: icalText(event.location),
+                isAllDay: allDay,
+                ...(instance.isRecurring && { recurring: true }),
+                ...(attendees.length && { attendees }),
+                ...(alarms.length && { reminderMinutes: alarms.map(a => triggerMinutes(a.trigger)).filter(m => m !== null) })
+            };
+            const haystack = `${formatted.title} ${formatted.description} ${formatted.location}`.toLowerCase();
+            if (words.every(w => haystack.includes(w))) events.push(formatted);
+        }
+    }
+    return events;
+}
+
+/**
+ * Minutes before the event of a relative VALARM trigger ("-PT15M", "-P1D"), or null
+ */
+function triggerMinutes(trigger) {
+    const match = trigger.match(/^-P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/);
+    if (!match) return null;
+    const [weeks, days, hours, minutes] = match.slice(1).map(n => Number(n) || 0);
+    return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+}
+
+/**
+ * IcsCalendarBackend - Read-only ICS / webcal feeds (a URL or a local .ics file), cached for ICS_CACHE_MINUTES
+ */
+class IcsCalendarBackend {
+    constructor() {
+        this.type = 'ics';
+        this.readOnly = true;
+        this.searchesOnServer = false;
+        this.cache = new Map();   // source → { fetchedAt, data }
+        this.loading = new Map(); // source → in-flight load, shared by concurrent callers
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    async listEvents(cal, timeMin, timeMax, query = null) {
+        const data = await this._load(cal);
+        return expandEvents(data, new Date(timeMin), new Date(timeMax), query)
+            .map(event => ({ ...event, readOnly: true }));
+    }
+
+    /**
+     * Parsed ICS feed (URL, webcal:// or a local file). Concurrent calls on a cold cache share one download.
+     */
+    async _load(cal) {
+        const cached = this.cache.get(cal.source);
+        if (cached && Date.now() - cached.fetchedAt < ICS_CACHE_MINUTES * 60000) return cached.data;
+
+        if (!this.loading.has(cal.source)) {
+            this.loading.set(cal.source, this._fetch(cal).finally(() => this.loading.delete(cal.source)));
+        }
+        return this.loading.get(cal.source);
+    }
+
+    async _fetch(cal) {
+        const source = cal.source.replace(/^webcal:\/\//i, 'https://');
+        const data = /^https?:\/\//i.test(source)
+            ? await ical.async.fromURL(source)
+            : await ical.async.parseFile(path.resolve(source));
+        this.cache.set(cal.source, { fetchedAt: Date.now(), data });
+        logger.info('ICS calendar loaded', { calendar: cal.name, events: Object.values(data).filter(c => c?.type === 'VEVENT').length });
+        return data;
+    }
+}
+
+export default new IcsCalendarBackend();
+export { IcsCalendarBackend };
@@ -0,0 +1,101 @@
+import { toLocalParts } from '../../utils/timezone.js';
+
+/**
+ * Date and time helpers shared by the calendar backends. Event times are wall-clock Israel time.
+ */
+
+export const TIMEZONE = 'Asia/Jerusalem';
+export const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+export const pad = (n) => n.toString().padStart(2, '0');
+
+/**
+ * Wall-clock date (YYYY-MM-DD) shifted by a number of days
+ */
+export function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Wall-clock "YYYY-MM-DDTHH:mm:00" (no 'Z', so Google applies the event's timeZone), shifted by minutes
+ */
+export function localDateTime(date, time, addMinutes = 0) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const d = new Date(Date.UTC(year, month - 1, day, hours, minutes + addMinutes));
+    return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())}T${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:00`;
+}
+
+/**
+ * Israel timezone offset of a date (+02:00 or +03:00)
+ */
+export function utcOffset(dateStr) {
+    const tzString = new Intl.DateTimeFormat('en-US', {
+        timeZone: TIMEZONE,
+        timeZoneName: 'longOffset'
+    }).format(new Date(dateStr));
+    const match = tzString.match(/[+-]\d{2}:\d{2}/);
+    return match ? match[0] : '+02:00';
+}
+
+/**
+ * ISO time with the Israel offset ("2026-10-20T08:10:00+03:00"), or YYYY-MM-DD for all-day
+ */
+export function localIso(date, allDay = false) {
+    // node-ical creates all-day dates at the server's local midnight
+    if (allDay) return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    const p = toLocalParts(date, TIMEZONE);
+    const day = `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+    return `${day}T${pad(p.hour)}:${pad(p.minute)}:00${utcOffset(date)}`;
+}
+
+/**
+ * Local date and time of an event boundary ({dateTime} or all-day {date})
+ * @returns {{date: string, time: string|null}}
+ */
+export function localStart(boundary) {
+    if (!boundary.dateTime) return { date: boundary.date, time: null };
+    const p = toLocalParts(new Date(boundary.dateTime), TIMEZONE);
+    return { date: `${p.year}-${pad(p.month)}-${pad(p.day)}`, time: `${pad(p.hour)}:${pad(p.minute)}` };
+}
+
+/**
+ * Where a moved event lands. A new date keeps the time and duration and vice versa; for a series the
+ * first occurrence keeps its own date, shifted by as many days as the given occurrence moved.
+ * @param {{date: string, time: string|null, durationMinutes: number}} current - The occurrence being moved
+ *   (for a series: where the series places it, with the series' time and duration, even if it was moved on its own)
+ * @param {{date: string}|null} seriesStart - First occurrence, when the whole series moves
+ * @param {Object} changes - { date, time, allDay, durationMinutes }
+ * @returns {{date: string, time: string|null, durationMinutes: number, dayShift: number}}
+ */
+export function movedTimes(current, seriesStart, { date, time, allDay, durationMinutes }) {
+    const newTime = allDay ? null : time || current.time;
+    // An all-day event given a time becomes a one-hour event unless a duration is given
+    const duration = durationMinutes || (!current.time && newTime ? 60 : current.durationMinutes);
+    const dayShift = date ? (Date.parse(date) - Date.parse(current.date)) / 86400000 : 0;
+    return {
+        date: seriesStart ? addDays(seriesStart.date, dayShift) : date || current.date,
+        time: newTime,
+        durationMinutes: duration,
+        dayShift
+    };
+}
+
+/**
+ * Shift the BYDAY weekdays of an RRULE line by a number of days
+ */
+export function shiftWeekdays(rule, dayShift) {
+    if (dayShift % 7 === 0) return rule;
+    const shiftDay = (code) => DAY_CODES[((DAY_CODES.indexOf(code) + dayShift) % 7 + 7) % 7];
+    return rule.replace(/BYDAY=([^;]+)/, (_, days) =>
+        `BYDAY=${days.split(',').map(d => d.replace(/[A-Z]{2}$/, shiftDay)).join(',')}`);
+}
+
+/**
+ * Attendee emails from a list or a comma-separated string
+ */
+export function attendeeEmails(attendees) {
+    const emails = Array.isArray(attendees) ? attendees : String(attendees).split(',');
+    return emails.map(email => email.trim()).filter(Boolean);
+}
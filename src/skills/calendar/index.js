@@ -0,0 +1,33 @@
+import googleCalendarBackend from './GoogleCalendarBackend.js';
+import icsCalendarBackend from './IcsCalendarBackend.js';
+import calDavCalendarBackend from './CalDavCalendarBackend.js';
+
+/**
+ * Calendar backend registry, one backend per calendar type (calendars.type). Every backend exposes:
+ *   type, readOnly, searchesOnServer, isAvailable(),
+ *   listEvents(cal, timeMin, timeMax, query) → events (searchesOnServer: the server filters by query and
+ *     a listing without one is capped, otherwise the whole range is listed and filtered locally),
+ *   optionally getBusy(cal, timeMin, timeMax) → [{ start, end }] (default: the timed events)
+ * and, unless readOnly:
+ *   addEvent(cal, { title, date, time, durationMinutes, description, location, attendees, reminderMinutes }) → { id, title },
+ *   updateEvent(cal, eventId, changes, scope) → { scope, event },
+ *   deleteEvent(cal, eventId, scope) → { id, scope }
+ * where cal is a calendars row and events have the fields returned to the model (id, title, description,
+ * start, end, location, isAllDay, recurring...). Backends throw on failure; CalendarManager turns errors
+ * into tool results and merges the calendars.
+ */
+const BACKENDS = {
+    google: googleCalendarBackend,
+    ics: icsCalendarBackend,
+    caldav: calDavCalendarBackend
+};
+
+/**
+ * Get the backend of a calendar type
+ * @param {string} type - 'google' | 'ics' | 'caldav'
+ */
+export function getCalendarBackend(type) {
+    return BACKENDS[type] || null;
+}
+
+export { BACKENDS as CALENDAR_BACKENDS };
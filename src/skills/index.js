@@ -1,11 +1,16 @@
+import path from 'path';
 import calendarManager from './CalendarManager.js';
 import homeAssistantManager from './HomeAssistantManager.js';
 import memoryManager from './MemoryManager.js';
 import db from '../database/DatabaseManager.js';
 import logger from '../utils/logger.js';
 import config from '../utils/config.js';
-import whatsappManager from '../bot/WhatsAppManager.js';
+import outboundQueue from '../bot/OutboundQueue.js';
+import groupRegistry from '../bot/GroupRegistry.js';
+import permissionManager, { normalizePhone } from '../bot/PermissionManager.js';
 import { fetchUrl, fetchRss, searchWeb } from '../utils/WebFetcher.js';
+import { normalizeRecurrence, describeRecurrence } from '../utils/recurrence.js';
+import { parseTimeWindow } from '../utils/timezone.js';
 
 let globalGeminiManager = null;
 
@@ -19,9 +24,14 @@ export function setGeminiManager(manager) {
  */
 export const functionDeclarations = [
     // ==================== Calendar Functions ====================
+    {
+        name: 'list_calendars',
+        description: 'רשימת היומנים המחוברים (גוגל, CalDAV ויומני ICS לקריאה בלבד, כמו מערכת שעות או חגים) ובעליהם. List the connected calendars and their owners.',
+        parameters: { type: 'OBJECT', properties: { dummy: { type: 'STRING', description: 'Ignore' } } }
+    },
     {
         name: 'list_calendar_events',
-        description: 'רשימת אירועים מהיומן לטווח תאריכים. Get calendar events for a date range.',
+        description: 'רשימת אירועים מכל היומנים לטווח תאריכים; כל אירוע מסומן ביומן שממנו הגיע. Get calendar events for a date range from all calendars, each labelled with its calendar.',
         parameters: {
             type: 'OBJECT',
             properties: {
@@ -32,6 +42,10 @@ export const functionDeclarations = [
                 end_date: {
                     type: 'STRING',
                     description: 'תאריך סיום בפורמט YYYY-MM-DD (אופציונלי). End date in YYYY-MM-DD format (optional).'
+                },
+                calendar: {
+                    type: 'STRING',
+                    description: 'שם יומן או שם של בן משפחה (אופציונלי, ברירת מחדל כל היומנים). Calendar name or family member (optional, default all calendars).'
                 }
             },
             required: ['start_date']
@@ -62,11 +76,166 @@ export const functionDeclarations = [
                 description: {
                     type: 'STRING',
                     description: 'תיאור האירוע (אופציונלי). Event description (optional).'
+                },
+                location: {
+                    type: 'STRING',
+                    description: 'מיקום (אופציונלי). Location (optional).'
+                },
+                attendees: {
+                    type: 'ARRAY',
+                    items: { type: 'STRING' },
+                    description: 'כתובות אימייל של משתתפים (אופציונלי). Attendee emails (optional).'
+                },
+                reminder_minutes: {
+                    type: 'NUMBER',
+                    description: 'התראה כמה דקות לפני האירוע (אופציונלי). Popup reminder N minutes before (optional).'
+                },
+                calendar: {
+                    type: 'STRING',
+                    description: 'שם יומן או בן משפחה (אופציונלי, ברירת מחדל היומן הראשי; לא יומן ICS). Calendar name or family member (optional, default calendar; not a read-only ICS feed).'
+                },
+                allow_conflicts: {
+                    type: 'BOOLEAN',
+                    description: 'להוסיף גם אם האירוע חופף לאירועים אחרים (רק אחרי שהמשתמש אישר). Add even if it overlaps other events (only after the user agreed).'
                 }
             },
             required: ['title', 'date']
         }
     },
+    {
+        name: 'find_free_time',
+        description: 'מציאת זמנים פנויים משותפים בכל היומנים (או ביומן של בן משפחה). Find free time slots common to all calendars (or one family member\'s). All-day events do not block time.',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                start_date: {
+                    type: 'STRING',
+                    description: 'תאריך התחלה YYYY-MM-DD. Start date.'
+                },
+                end_date: {
+                    type: 'STRING',
+                    description: 'תאריך סיום YYYY-MM-DD (אופציונלי, עד 14 יום). End date (optional, up to 14 days).'
+                },
+                duration_minutes: {
+                    type: 'NUMBER',
+                    description: 'אורך מינימלי של חלון פנוי בדקות, ברירת מחדל 60. Shortest slot in minutes, default 60.'
+                },
+                day_start: {
+                    type: 'STRING',
+                    description: 'משעה HH:MM, ברירת מחדל 08:00 (אחר הצהריים: 12:00). Earliest time of day, default 08:00.'
+                },
+                day_end: {
+                    type: 'STRING',
+                    description: 'עד שעה HH:MM, ברירת מחדל 22:00. Latest time of day, default 22:00.'
+                },
+                calendar: {
+                    type: 'STRING',
+                    description: 'שם יומן או בן משפחה (אופציונלי, ברירת מחדל כל היומנים). Calendar name or family member (optional, default all calendars).'
+                }
+            },
+            required: ['start_date']
+        }
+    },
+    {
+        name: 'list_upcoming_birthdays',
+        description: 'ימי הולדת וימי נישואין קרובים, מהיומנים ומתאריכי הלידה של בני המשפחה. Upcoming birthdays and anniversaries from the calendars and the family members\' birth dates (with age).',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                days: {
+                    type: 'NUMBER',
+                    description: 'כמה ימים קדימה, ברירת מחדל 30 (עד 366). Days ahead, default 30 (up to 366).'
+                }
+            }
+        }
+    },
+    {
+        name: 'search_calendar_events',
+        description: 'חיפוש אירועים ביומן לפי טקסט (כותרת, תיאור, מיקום, משתתפים). Search calendar events by text. Use it to find the event_id of an event to move, update or delete.',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                query: {
+                    type: 'STRING',
+                    description: 'טקסט לחיפוש, מילת המפתח בלבד (למשל "רופא שיניים"). Text to search for.'
+                },
+                start_date: {
+                    type: 'STRING',
+                    description: 'תאריך התחלה YYYY-MM-DD (ברירת מחדל היום). Start date (default today).'
+                },
+                end_date: {
+                    type: 'STRING',
+                    description: 'תאריך סיום YYYY-MM-DD (ברירת מחדל 90 יום קדימה). End date (default 90 days ahead).'
+                },
+                calendar: {
+                    type: 'STRING',
+                    description: 'שם יומן או בן משפחה (אופציונלי, ברירת מחדל כל היומנים). Calendar name or family member (optional).'
+                }
+            },
+            required: ['query']
+        }
+    },
+    {
+        name: 'update_calendar_event',
+        description: 'עדכון או הזזה של אירוע קיים ביומן. Update or move an existing event. Pass only the fields that change: a new date keeps the time, a new time keeps the date, and the duration is kept unless given.',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                event_id: {
+                    type: 'STRING',
+                    description: 'מזהה האירוע מ-search_calendar_events או list_calendar_events. Event ID.'
+                },
+                title: { type: 'STRING', description: 'כותרת חדשה. New title.' },
+                date: { type: 'STRING', description: 'תאריך חדש YYYY-MM-DD. New date.' },
+                time: { type: 'STRING', description: 'שעת התחלה חדשה HH:MM. New start time.' },
+                all_day: { type: 'BOOLEAN', description: 'להפוך לאירוע של יום שלם. Make it an all-day event.' },
+                duration_minutes: { type: 'NUMBER', description: 'משך חדש בדקות. New duration in minutes.' },
+                description: { type: 'STRING', description: 'תיאור חדש. New description.' },
+                location: { type: 'STRING', description: 'מיקום חדש. New location.' },
+                attendees: {
+                    type: 'ARRAY',
+                    items: { type: 'STRING' },
+                    description: 'רשימת אימיילים של המשתתפים (מחליפה את הקיימת). Attendee emails (replaces the list).'
+                },
+                reminder_minutes: { type: 'NUMBER', description: 'התראה כמה דקות לפני. Popup reminder N minutes before.' },
+                scope: {
+                    type: 'STRING',
+                    description: 'לאירוע חוזר: "instance" (ברירת מחדל) - רק המופע הזה, או "series" - כל הסדרה. For recurring events: this occurrence or the whole series.'
+                },
+                calendar: {
+                    type: 'STRING',
+                    description: 'היומן של האירוע (השדה calendar מתוצאות החיפוש). The event\'s calendar, from the search results.'
+                }
+            },
+            required: ['event_id']
+        }
+    },
+    {
+        name: 'delete_calendar_event',
+        description: 'מחיקת אירוע מהיומן. Delete a calendar event.',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                event_id: {
+                    type: 'STRING',
+                    description: 'מזהה האירוע מ-search_calendar_events או list_calendar_events. Event ID.'
+                },
+                title: {
+                    type: 'STRING',
+                    description: 'כותרת האירוע (לאישור מול המשתמש). Event title, shown in the confirmation.'
+                },
+                scope: {
+                    type: 'STRING',
+                    description: 'לאירוע חוזר: "instance" (ברירת מחדל) - רק המופע הזה, או "series" - כל הסדרה. For recurring events: this occurrence or the whole series.'
+                },
+                calendar: {
+                    type: 'STRING',
+                    description: 'היומן של האירוע (השדה calendar מתוצאות החיפוש). The event\'s calendar, from the search results.'
+                }
+            },
+            required: ['event_id']
+        }
+    },
 
 
     // ==================== Reminders ====================
@@ -78,7 +247,18 @@ export const functionDeclarations = [
             properties: {
                 title: { type: 'STRING', description: 'תיאור התזכורת. Task description.' },
                 due_date_iso: { type: 'STRING', description: 'מתי להזכיר לראשונה. חובה להשתמש בפורמט UTC ISO (למשל סיומת Z). Use UTC ISO format (ending with Z).' },
-                nudge_interval_minutes: { type: 'NUMBER', description: 'תדירות תזכורות חוזרות בדקות. ברירת מחדל 60.' }
+                nudge_interval_minutes: { type: 'NUMBER', description: 'תדירות תזכורות חוזרות בדקות. ברירת מחדל 60.' },
+                group: { type: 'STRING', description: 'שם הקבוצה שאליה יישלחו הנדנודים (רק אם המשתמש ביקש קבוצה אחרת). ברירת מחדל: הקבוצה הנוכחית. Target group name, default: the current group.' },
+                recurrence: { type: 'STRING', description: 'תזכורת חוזרת (רק אם המשתמש ביקש). "daily", "weekly", "monthly", "yearly" או חוק RRULE, למשל "FREQ=WEEKLY;BYDAY=TU" (כל יום שלישי), "FREQ=MONTHLY;BYMONTHDAY=1" (ב-1 לכל חודש), "FREQ=WEEKLY;INTERVAL=2" (כל שבועיים). due_date_iso is the first occurrence.' },
+                recurrence_end_iso: { type: 'STRING', description: 'תאריך סיום החזרות (אופציונלי). Last date of the series, ISO.' },
+                recurrence_count: { type: 'NUMBER', description: 'מספר הפעמים הכולל (אופציונלי). Total number of occurrences.' },
+                assignee: { type: 'STRING', description: 'למי המשימה שייכת (שם או טלפון; "me" = מי שביקש). רק הוא או מנהל יוכלו לסמן אותה כבוצעה. Person the task belongs to; omit for the whole group.' },
+                nudge_in: { type: 'STRING', description: '"private" (ברירת מחדל) - נדנודים בצ\'אט הפרטי של האחראי, או "group" - בקבוצה עם תיוג. Where the assignee is nudged.' },
+                escalate_after_nudges: { type: 'NUMBER', description: 'אחרי כמה נדנודים שלא נענו לעדכן את הקבוצה או המנהל (אופציונלי, 0 = ללא). Escalate after N ignored nudges.' },
+                escalate_to: { type: 'STRING', description: '"group" או "admin" - לאן להסלים. Escalation target.' },
+                quiet_hours: { type: 'STRING', description: 'שעות שקט לנדנודים של תזכורת זו, "HH:MM-HH:MM" או "off" (אופציונלי, ברירת מחדל לפי ההגדרות). Quiet hours for this reminder\'s nudges.' },
+                shabbat_quiet: { type: 'BOOLEAN', description: 'האם לא לשלוח בשבת ובחג (אופציונלי, ברירת מחדל לפי ההגדרות). Hold this reminder on Shabbat / Yom Tov.' },
+                max_nudges: { type: 'NUMBER', description: 'אחרי כמה נדנודים שלא נענו לבטל (אופציונלי, 0 = לעולם לא). Cancel after N ignored nudges.' }
             },
             required: ['title', 'due_date_iso']
         }
@@ -90,7 +270,7 @@ export const functionDeclarations = [
     },
     {
         name: 'update_reminder_status',
-        description: 'עדכן סטטוס של תזכורת (לסמן כבוצע או מבוטל). Mark reminder as done or cancelled.',
+        description: 'עדכן סטטוס של תזכורת (לסמן כבוצע או מבוטל). Mark reminder as done or cancelled. For a recurring reminder, "done" schedules the next occurrence automatically; "cancelled" stops the whole series.',
         parameters: {
             type: 'OBJECT',
             properties: {
@@ -118,7 +298,7 @@ export const functionDeclarations = [
     // ==================== Memory/Agentic Functions ====================
     {
         name: 'read_knowledge_file',
-        description: 'Read the contents of a knowledge file (e.g., USER, HOME, MEMORY).',
+        description: 'Read the full contents of a knowledge or skill file (e.g., USER, HOME, MEMORY, or a file listed under INDEXED FILES).',
         parameters: {
             type: 'OBJECT',
             properties: {
@@ -150,13 +330,13 @@ export const functionDeclarations = [
     },
     {
         name: 'send_whatsapp_message',
-        description: 'שלח הודעת וואטסאפ לאדם אחר או לקבוצה. השתמש בזה כשהמשתמש מבקש ממך למסור הודעה או לשלוח משהו לקבוצה המשפחתית. Send a WhatsApp message to the family group or admin.',
+        description: 'שלח הודעת וואטסאפ לאדם אחר או לקבוצה. השתמש בזה כשהמשתמש מבקש ממך למסור הודעה או לשלוח משהו לקבוצה המשפחתית או לקבוצה אחרת לפי שמה. Send a WhatsApp message to a group (by name), the admin or a phone number.',
         parameters: {
             type: 'OBJECT',
             properties: {
                 recipient: {
                     type: 'STRING',
-                    description: 'הנמען. השתמש בערך "group" עבור הקבוצה המשפחתית, "admin" עבור המנהל, או מספר טלפון ספציפי.'
+                    description: 'הנמען. השתמש בערך "group" עבור קבוצת ברירת המחדל, שם של קבוצה רשומה (למשל "הורים"), "admin" עבור המנהל, או מספר טלפון ספציפי.'
                 },
                 message: {
                     type: 'STRING',
@@ -203,6 +383,23 @@ export const functionDeclarations = [
             required: ['filename']
         }
     },
+    {
+        name: 'save_document_as_knowledge',
+        description: 'שמור מסמך (PDF, Word, טקסט) שנשלח בצ\'אט כקובץ חדש בבסיס הידע. השתמש רק כשהמשתמש מבקש לשמור או לזכור את המסמך. Save a document received in this chat as a new knowledge file.',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                document_id: {
+                    type: 'NUMBER',
+                    description: 'The document number shown as [DOCUMENT #id]. Omit to use the last document sent in this chat.'
+                },
+                filename: {
+                    type: 'STRING',
+                    description: 'Name for the new knowledge file (e.g., "SCHOOL_CALENDAR.md"). Omit to derive it from the original file name.'
+                }
+            }
+        }
+    },
     // ==================== Web Fetch Functions ====================
     {
         name: 'fetch_url',
@@ -259,16 +456,48 @@ export const functionDeclarations = [
         }
     },
 
+    // ==================== Chat History Functions ====================
+    {
+        name: 'search_chat_history',
+        description: 'חפש בהיסטוריית השיחה המלאה של הצ\'אט הנוכחי, כולל הודעות ישנות שכבר לא מופיעות בהקשר (למשל "מתי דיברנו על האינסטלטור?"). Full-text search over this chat\'s past messages, including archived ones. Returns matching messages with dates, newest first.',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                query: {
+                    type: 'STRING',
+                    description: 'מילות חיפוש (כל המילים חייבות להופיע). Words to search for; all must appear. Use the key word only (e.g. "אינסטלטור").'
+                },
+                role: {
+                    type: 'STRING',
+                    description: 'Optional: "user" for what the family wrote, "model" for what you (Noga) replied.'
+                },
+                from_date: {
+                    type: 'STRING',
+                    description: 'Optional start date, YYYY-MM-DD.'
+                },
+                to_date: {
+                    type: 'STRING',
+                    description: 'Optional end date, YYYY-MM-DD.'
+                },
+                max_results: {
+                    type: 'NUMBER',
+                    description: 'Maximum number of messages to return (default 10, max 30).'
+                }
+            },
+            required: ['query']
+        }
+    },
+
     // ==================== Home Assistant Functions ====================
     {
         name: 'find_device',
-        description: 'מצא מכשיר לפי שם. Find a device by name. Use this tool BEFORE calling Home Assistant MCP tools if you are unsure of the exact entity_id, as it supports custom nicknames.',
+        description: 'מצא מכשיר לפי שם, או כל המכשירים בחדר / בקומה (למשל "כל האורות למעלה", "המזגן בחדר הילדים"). Find a device by name, or all the devices in an area or floor (e.g. "all the lights upstairs", "the kids\' room AC"). Use this tool BEFORE calling Home Assistant MCP tools if you are unsure of the exact entity_id, as it supports custom nicknames and area aliases.',
         parameters: {
             type: 'OBJECT',
             properties: {
                 name: {
                     type: 'STRING',
-                    description: 'שם המכשיר לחיפוש. Device name to search.'
+                    description: 'שם המכשיר, או החדר / הקומה וסוג המכשיר, כפי שהמשתמש אמר. Device name, or the area / floor and kind of device, as the user said it.'
                 },
                 device_type: {
                     type: 'STRING',
@@ -277,6 +506,54 @@ export const functionDeclarations = [
             },
             required: ['name']
         }
+    },
+    {
+        name: 'get_device_history',
+        description: 'היסטוריה של מכשיר בטווח זמן (עד 10 ימים) - מינימום, מקסימום וממוצע לחיישנים, או כמה זמן היה דלוק וכמה פעמים השתנה. Summarized history of a device over a time range (up to 10 days): min / max / average for numeric sensors, otherwise minutes per state, minutes active and number of changes. Use for questions like "how long was the AC on today?" or "what was the lowest temperature last night?".',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                entity_id: {
+                    type: 'STRING',
+                    description: 'מזהה המכשיר (מ-find_device). Entity ID (from find_device).'
+                },
+                start: {
+                    type: 'STRING',
+                    description: 'תחילת הטווח "YYYY-MM-DD HH:MM" בשעון מקומי (ברירת מחדל: 24 שעות לפני הסוף). Range start in local time (default: 24 hours before the end).'
+                },
+                end: {
+                    type: 'STRING',
+                    description: 'סוף הטווח "YYYY-MM-DD HH:MM" בשעון מקומי (ברירת מחדל: עכשיו). Range end in local time (default: now).'
+                }
+            },
+            required: ['entity_id']
+        }
+    },
+    {
+        name: 'get_device_statistics',
+        description: 'סטטיסטיקות ארוכות טווח של חיישן (ממוצע, מינימום, מקסימום ושינוי לכל שעה/יום/שבוע/חודש). Long-term statistics of a sensor (mean, min, max and change per hour / day / week / month), for ranges longer than the history or for totals such as energy per day. Only sensors with a state_class have statistics.',
+        parameters: {
+            type: 'OBJECT',
+            properties: {
+                entity_id: {
+                    type: 'STRING',
+                    description: 'מזהה החיישן (מ-find_device). Sensor entity ID (from find_device).'
+                },
+                start: {
+                    type: 'STRING',
+                    description: 'תחילת הטווח "YYYY-MM-DD HH:MM" בשעון מקומי (ברירת מחדל: 24 שעות לפני הסוף). Range start in local time (default: 24 hours before the end).'
+                },
+                end: {
+                    type: 'STRING',
+                    description: 'סוף הטווח "YYYY-MM-DD HH:MM" בשעון מקומי (ברירת מחדל: עכשיו). Range end in local time (default: now).'
+                },
+                period: {
+                    type: 'STRING',
+                    description: 'גודל כל תקופה: 5minute, hour, day, week, month (ברירת מחדל: day). Period size (default: day).'
+                }
+            },
+            required: ['entity_id']
+        }
     }
 ];
 
@@ -285,9 +562,14 @@ export const functionDeclarations = [
  */
 export const functionHandlers = {
     // ==================== Calendar Handlers ====================
+    list_calendars: async () => {
+        logger.info('Executing: list_calendars');
+        return calendarManager.describeCalendars();
+    },
+
     list_calendar_events: async (args) => {
         logger.info('Executing: list_calendar_events', args);
-        return await calendarManager.listEvents(args.start_date, args.end_date);
+        return await calendarManager.listEvents(args.start_date, args.end_date, args.calendar || null);
     },
 
     add_calendar_event: async (args) => {
@@ -297,27 +579,133 @@ export const functionHandlers = {
             args.date,
             args.time || null,
             args.duration_minutes || 60,
-            args.description || ''
+            args.description || '',
+            {
+                location: args.location, attendees: args.attendees, reminderMinutes: args.reminder_minutes,
+                calendar: args.calendar || null, allowConflicts: args.allow_conflicts === true
+            }
         );
     },
 
+    find_free_time: async (args) => {
+        logger.info('Executing: find_free_time', args);
+        return await calendarManager.findFreeSlots(args.start_date, args.end_date || null, {
+            durationMinutes: args.duration_minutes || 60,
+            dayStart: args.day_start || '08:00',
+            dayEnd: args.day_end || '22:00',
+            calendar: args.calendar || null
+        });
+    },
+
+    list_upcoming_birthdays: async (args) => {
+        logger.info('Executing: list_upcoming_birthdays', args);
+        return await calendarManager.getUpcomingCelebrations(args.days || 30);
+    },
+
+    search_calendar_events: async (args) => {
+        logger.info('Executing: search_calendar_events', args);
+        return await calendarManager.searchEvents(args.query, args.start_date || null, args.end_date || null, args.calendar || null);
+    },
+
+    update_calendar_event: async (args) => {
+        logger.info('Executing: update_calendar_event', args);
+        return await calendarManager.updateEvent(args.event_id, {
+            title: args.title,
+            date: args.date,
+            time: args.time,
+            allDay: args.all_day,
+            durationMinutes: args.duration_minutes,
+            description: args.description,
+            location: args.location,
+            attendees: args.attendees,
+            reminderMinutes: args.reminder_minutes
+        }, args.scope === 'series' ? 'series' : 'instance', args.calendar || null);
+    },
+
+    delete_calendar_event: async (args) => {
+        logger.info('Executing: delete_calendar_event', args);
+        return await calendarManager.deleteEvent(args.event_id, args.scope === 'series' ? 'series' : 'instance', args.calendar || null);
+    },
+
     // ==================== Reminder Handlers ====================
-    add_reminder: async (args) => {
+    add_reminder: async (args, { userId, senderId } = {}) => {
         logger.info('Executing: add_reminder', args);
-        const id = db.addReminder(args.title, args.due_date_iso, args.nudge_interval_minutes || 60);
-        return { success: true, reminder_id: id, message: `Reminder added successfully.` };
+        // Nudge in the requested group, else in the group the reminder was set from (private chats → default group)
+        let groupJid = groupRegistry.isAllowed(userId) ? userId : null;
+        if (args.group) {
+            groupJid = groupRegistry.resolve(args.group);
+            if (!groupJid) {
+                const names = groupRegistry.list().filter(g => g.enabled).map(g => g.name);
+                return { error: `Unknown group "${args.group}". Known groups: ${names.join(', ') || 'none'}` };
+            }
+        }
+        let recurrence = null;
+        if (args.recurrence) {
+            try {
+                recurrence = normalizeRecurrence(args.recurrence, args.due_date_iso, { until: args.recurrence_end_iso || null, count: args.recurrence_count || null });
+            } catch (err) {
+                return { error: `Invalid recurrence: ${err.message}` };
+            }
+        }
+        let assignee = null;
+        if (args.assignee) {
+            assignee = ['me', 'אני', 'לי'].includes(String(args.assignee).trim().toLowerCase()) && senderId
+                ? { phone: normalizePhone(senderId), name: permissionManager.getName(senderId) }
+                : permissionManager.findPerson(args.assignee);
+            if (!assignee) {
+                const names = db.getPeople().map(p => p.name);
+                return { error: `Unknown person "${args.assignee}". Known people: ${names.join(', ') || 'none'}` };
+            }
+        }
+        if (args.quiet_hours) {
+            try {
+                parseTimeWindow(args.quiet_hours);
+            } catch (err) {
+                return { error: err.message };
+            }
+        }
+        const options = {
+            assignee: assignee?.phone,
+            delivery: args.nudge_in,
+            escalateAfter: args.escalate_after_nudges ?? null,
+            escalateTo: args.escalate_to || null,
+            quietHours: args.quiet_hours || null,
+            shabbatQuiet: args.shabbat_quiet ?? null,
+            maxNudges: args.max_nudges ?? null
+        };
+        const id = db.addReminder(args.title, args.due_date_iso, args.nudge_interval_minutes || 60, groupJid, recurrence, options);
+        return {
+            success: true,
+            reminder_id: id,
+            group: groupRegistry.getName(groupJid || groupRegistry.getDefaultGroupId()),
+            ...(assignee && { assignee: assignee.name, nudged_in: args.nudge_in === 'group' ? 'group (mentioned)' : 'private chat' }),
+            ...(recurrence && { repeats: describeRecurrence(recurrence.rule, recurrence) }),
+            message: `Reminder added successfully.`
+        };
     },
 
     get_pending_reminders: async () => {
         logger.info('Executing: get_pending_reminders');
-        const reminders = db.getPendingReminders();
+        const reminders = db.getPendingReminders().map(r => ({
+            ...r,
+            ...(r.recurrence && { repeats: describeRecurrence(r.recurrence, { until: r.recurrence_end, count: r.recurrence_count }) }),
+            ...(r.assignee && { assignee_name: permissionManager.getName(r.assignee) })
+        }));
         return { success: true, count: reminders.length, reminders };
     },
 
-    update_reminder_status: async (args) => {
+    update_reminder_status: async (args, { senderId } = {}) => {
         logger.info('Executing: update_reminder_status', args);
+        // Assigned tasks are completed by their assignee or an admin (requests without a sender are internal)
+        const existing = db.getReminder(args.id);
+        if (args.status === 'done' && existing?.assignee && senderId
+            && normalizePhone(senderId) !== existing.assignee && !permissionManager.isAdmin(senderId)) {
+            return { success: false, error: `Only ${permissionManager.getName(existing.assignee)} (the assignee) or an admin can mark this task as done. Do NOT tell the user it was marked done.` };
+        }
         const success = db.updateReminderStatus(args.id, args.status);
-        return { success, message: success ? `Reminder marked as ${args.status}` : 'Reminder not found' };
+        const reminder = success && args.status === 'done' ? existing : null;
+        const repeatNote = reminder?.recurrence ? ' This is a recurring reminder; the next occurrence will be scheduled automatically.' : '';
+        return { success, message: success ? `Reminder marked as ${args.status}.${repeatNote}` : 'Reminder not found' };
     },
 
     snooze_reminder: async (args) => {
@@ -371,28 +759,61 @@ export const functionHandlers = {
         return result;
     },
 
+    save_document_as_knowledge: async (args, { userId } = {}) => {
+        logger.info('Executing: save_document_as_knowledge', args);
+        const document = args.document_id ? db.getDocument(args.document_id) : db.getLatestDocument(userId);
+        if (!document || (userId && document.context_id !== userId)) {
+            return { error: 'Document not found in this chat. Ask the user to send it again.' };
+        }
+
+        const filename = args.filename
+            || `${path.basename(document.filename, path.extname(document.filename)).replace(/[^\p{L}\p{N}_-]+/gu, '_')}.md`;
+        const result = await memoryManager.createKnowledgeFromDocument(filename, document.content, {
+            filename: document.filename,
+            receivedAt: document.created_at
+        });
+        if (result.success) {
+            db.markDocumentSaved(document.id, result.filename);
+            if (globalGeminiManager) {
+                await globalGeminiManager.reinit();
+            }
+        }
+        return result;
+    },
+
     send_whatsapp_message: async (args) => {
         logger.info('Executing: send_whatsapp_message', args);
         try {
             let targetJid;
             
-            if (args.recipient.toLowerCase() === 'group' || args.recipient === 'קבוצה' || args.recipient === 'הקבוצה') {
-                if (!config.whatsapp.groupId) return { error: 'Group ID is not configured in settings. Cannot send to group.' };
-                targetJid = config.whatsapp.groupId.includes('@') ? config.whatsapp.groupId : `${config.whatsapp.groupId}@g.us`;
+            const recipient = args.recipient.trim();
+            const namedGroup = groupRegistry.list().find(g => g.enabled && g.name.toLowerCase() === recipient.toLowerCase());
+            if (['group', 'קבוצה', 'הקבוצה'].includes(recipient.toLowerCase())) {
+                targetJid = groupRegistry.getDefaultGroupId();
+                if (!targetJid) return { error: 'Group ID is not configured in settings. Cannot send to group.' };
+            } else if (namedGroup || recipient.endsWith('@g.us')) {
+                targetJid = namedGroup ? namedGroup.jid : recipient;
             } else if (args.recipient.toLowerCase() === 'admin' || args.recipient === 'מנהל') {
                 if (!config.whatsapp.adminPhone) return { error: 'Admin phone is not configured in settings.' };
                 targetJid = config.whatsapp.adminPhone.includes('@') ? config.whatsapp.adminPhone : `${config.whatsapp.adminPhone}@s.whatsapp.net`;
             } else {
                 // Assume it's a specific number
                 const cleanNumber = args.recipient.replace(/[^0-9]/g, '');
+                if (!cleanNumber) {
+                    const names = groupRegistry.list().filter(g => g.enabled).map(g => g.name);
+                    return { error: `Unknown recipient "${args.recipient}". Known groups: ${names.join(', ') || 'none'}` };
+                }
                 targetJid = `${cleanNumber}@s.whatsapp.net`;
             }
 
-            await whatsappManager.sendMessage(targetJid, args.message);
+            const result = await outboundQueue.send(targetJid, args.message, { source: 'tool' });
 
             // Log outbound message to chat history so Noga remembers what she sent
             db.addChatMessage(targetJid, 'model', args.message);
 
+            if (!result.sent) {
+                return { success: true, queued: true, status: `WhatsApp is temporarily unavailable – the message to ${args.recipient} was queued and will be sent automatically once reconnected` };
+            }
             return { success: true, status: `Message sent successfully to ${args.recipient}` };
         } catch (err) {
             logger.error('Failed to execute send_whatsapp_message', { error: err.message });
@@ -429,6 +850,31 @@ export const functionHandlers = {
         return result;
     },
 
+    // ==================== Chat History Handlers ====================
+    search_chat_history: async (args, { userId } = {}) => {
+        logger.info('Executing: search_chat_history', args);
+        if (!userId) return { error: 'Chat history search is only available inside a chat.' };
+
+        const { total, results } = db.searchChatHistory({
+            query: args.query || '',
+            contextId: userId,
+            role: ['user', 'model'].includes(args.role) ? args.role : undefined,
+            from: args.from_date,
+            to: args.to_date,
+            limit: Math.min(args.max_results || 10, 30)
+        });
+        return {
+            success: true,
+            total,
+            messages: results.map(r => ({
+                // created_at is stored in UTC
+                time: new Date(`${r.created_at.replace(' ', 'T')}Z`).toLocaleString('he-IL', { timeZone: 'Asia/Jerusalem' }),
+                from: r.role === 'model' ? 'Noga' : r.role,
+                text: r.snippet
+            }))
+        };
+    },
+
     // ==================== Home Assistant Handlers ====================
     find_device: async (args) => {
         logger.info('Executing: find_device', args);
@@ -436,7 +882,15 @@ export const functionHandlers = {
         // 1. Check custom mappings
         const mappings = db.findHaMappingsByName(args.name, args.device_type);
 
-        // 2. Check native HA entities
+        // 2. Phrases naming an area or floor, unless they are a device's exact nickname
+        const phrase = args.name.trim().toLowerCase();
+        const isNickname = mappings.some(m => m.nickname.split(',').some(n => n.trim().toLowerCase() === phrase));
+        if (!isNickname) {
+            const areaResult = await homeAssistantManager.resolveDevices(args.name, args.device_type);
+            if (areaResult && areaResult.count > 0) return areaResult;
+        }
+
+        // 3. Check native HA entities
         const nativeResult = await homeAssistantManager.findEntityByName(args.name, args.device_type);
 
         if (mappings.length > 0) {
@@ -456,6 +910,16 @@ export const functionHandlers = {
         }
 
         return nativeResult;
+    },
+
+    get_device_history: async (args) => {
+        logger.info('Executing: get_device_history', args);
+        return await homeAssistantManager.getHistory(args.entity_id, args.start, args.end);
+    },
+
+    get_device_statistics: async (args) => {
+        logger.info('Executing: get_device_statistics', args);
+        return await homeAssistantManager.getStatistics(args.entity_id, args.start, args.end, args.period || 'day');
     }
 };
 
@@ -0,0 +1,79 @@
+import path from 'path';
+import logger from './logger.js';
+
+// Supported document types, by file extension and MIME type
+const DOCUMENT_TYPES = {
+    pdf: ['application/pdf'],
+    docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    txt: ['text/plain'],
+    md: ['text/markdown', 'text/x-markdown']
+};
+
+export const SUPPORTED_EXTENSIONS = Object.keys(DOCUMENT_TYPES);
+
+/**
+ * Detect the document type from the file name, falling back to the MIME type.
+ * @param {string} [filename]
+ * @param {string} [mimetype]
+ * @returns {string|null} 'pdf' | 'docx' | 'txt' | 'md', or null if unsupported
+ */
+export function detectDocumentType(filename = '', mimetype = '') {
+    const ext = path.extname(filename).slice(1).toLowerCase();
+    if (DOCUMENT_TYPES[ext]) return ext;
+
+    const mime = mimetype.split(';')[0].trim().toLowerCase();
+    const match = Object.entries(DOCUMENT_TYPES).find(([, mimes]) => mimes.includes(mime));
+    return match ? match[0] : null;
+}
+
+/**
+ * Extract plain text from a document buffer. Everything runs locally (pdf-parse, mammoth).
+ * @param {Buffer} buffer - File contents
+ * @param {object} [options]
+ * @param {string} [options.filename] - Original file name
+ * @param {string} [options.mimetype] - MIME type reported by the sender
+ * @returns {Promise<{success: boolean, type?: string, text?: string, pages?: number, error?: string}>}
+ */
+export async function extractDocumentText(buffer, { filename = '', mimetype = '' } = {}) {
+    const type = detectDocumentType(filename, mimetype);
+    if (!type) {
+        return { success: false, error: `Unsupported document type (supported: ${SUPPORTED_EXTENSIONS.join(', ')})` };
+    }
+
+    try {
+        let text;
+        let pages;
+
+        if (type === 'pdf') {
+            const { PDFParse } = await import('pdf-parse');
+            const parser = new PDFParse({ data: new Uint8Array(buffer) });
+            try {
+                const result = await parser.getText();
+                text = result.text;
+                pages = result.total;
+            } finally {
+                await parser.destroy();
+            }
+        } else if (type === 'docx') {
+            const { default: mammoth } = await import('mammoth');
+            const result = await mammoth.extractRawText({ buffer });
+            text = result.value;
+        } else {
+            text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+        }
+
+        text = text.replace(/\r\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+        if (!text) {
+            // Typically a scanned PDF without a text layer
+            return { success: false, type, error: 'No text found in the document (scanned PDFs are not supported)' };
+        }
+
+        logger.info('DocumentExtractor: text extracted', { filename, type, pages, length: text.length });
+        return { success: true, type, text, pages };
+    } catch (err) {
+        logger.error('DocumentExtractor: extraction failed', { filename, type, error: err.message });
+        return { success: false, type, error: err.message };
+    }
+}
+
+export default { extractDocumentText, detectDocumentType, SUPPORTED_EXTENSIONS };
@@ -1,6 +1,7 @@
 import dotenv from 'dotenv';
 import path from 'path';
 import logger from './logger.js';
+import { isValidTimezone } from './timezone.js';
 
 // Load environment variables
 dotenv.config();
@@ -13,6 +14,32 @@ function parseList(value, defaultValue = []) {
     return value.split(',').map(s => s.trim()).filter(Boolean);
 }
 
+/**
+ * Parse an integer setting where 0 is a valid value (empty or invalid = default)
+ */
+function parseIntOr(value, defaultValue) {
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) ? defaultValue : parsed;
+}
+
+/**
+ * Parse a decimal setting where 0 is a valid value (empty or invalid = default)
+ */
+function parseFloatOr(value, defaultValue) {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? defaultValue : parsed;
+}
+
+/**
+ * Parse an IANA timezone (invalid or empty = default)
+ */
+function parseTimezone(value, defaultValue = 'Asia/Jerusalem') {
+    if (!value) return defaultValue;
+    if (isValidTimezone(value)) return value;
+    logger.warn(`Invalid timezone "${value}", using ${defaultValue}`);
+    return defaultValue;
+}
+
 /**
  * Application configuration
  */
@@ -35,7 +62,9 @@ const config = {
         whitelist: parseList(process.env.WHATSAPP_WHITELIST),
         groupId: process.env.WHATSAPP_GROUP_ID || null,
         sessionPath: process.env.WHATSAPP_SESSION_PATH || './data/.baileys_auth',
-        adminPhone: process.env.ADMIN_PHONE || null  // Phone number for admin-only commands (no + or spaces)
+        adminPhone: process.env.ADMIN_PHONE || null,  // Phone number for admin-only commands (no + or spaces)
+        defaultRole: process.env.WHATSAPP_DEFAULT_ROLE || 'adult'  // Role of senders not listed in the people table
+        // outboxMaxRetries, outboxMaxAgeHours: see applyOutboxEnv
     },
 
     // Gemini AI
@@ -43,6 +72,9 @@ const config = {
         apiKey: process.env.GEMINI_API_KEY,
         model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
         contextWindowMessages: parseInt(process.env.GEMINI_CONTEXT_WINDOW_MESSAGES, 10) || 10,
+        // Rolling summary of messages that aged out of the context window
+        summaryEnabled: process.env.GEMINI_SUMMARY_ENABLED !== 'false',
+        summaryBatchMessages: parseInt(process.env.GEMINI_SUMMARY_BATCH_MESSAGES, 10) || 6,
         systemPrompt: process.env.GEMINI_SYSTEM_PROMPT || `You are Noga (נוגה), a proactive Israeli home assistant.
 You speak Hebrew and English fluently, preferring Hebrew for responses.
 You are concise, friendly, and helpful.
@@ -51,7 +83,7 @@ CRITICAL RULES FOR FUNCTION CALLING:
 1. You MUST call functions to perform actions. NEVER respond with text without FIRST calling the actual function.
 2. When the user asks to control a device (turn on, turn off, toggle), you MUST call control_device function IMMEDIATELY.
 3. When the user asks about device state, you MUST call get_device_state.
-4. When the user asks about calendar, you MUST call list_calendar_events or add_calendar_event.
+4. When the user asks about calendar, you MUST call list_calendar_events, search_calendar_events, add_calendar_event, update_calendar_event or delete_calendar_event.
 5. When the user asks about shopping list, you MUST call the appropriate shopping function.
 6. When the user asks you to send a message to someone or to a group, you MUST call send_whatsapp_message.
 
@@ -60,6 +92,8 @@ DEVICE HANDLING:
 2. If user mentions a device name in Hebrew (like "אור בסלון", "מנורה"), use find_device to search for it first, then use the found entity_id.
 3. If you know the entity_id from context, use control_device immediately.
 4. Common entity format: light.xxx, switch.xxx, sensor.xxx
+5. For questions about the past ("how long was the AC on today?", "what was the lowest temperature last night?"), find the entity, then call get_device_history (up to 10 days back) or get_device_statistics (longer ranges, daily / monthly totals). Never guess past values from the current state.
+6. For devices named by area or floor ("כל האורות למעלה", "the AC in the kids' room"), call find_device with the whole phrase - it resolves Home Assistant areas, floors and their Hebrew aliases - and act on every entity it returns.
 
 VERIFICATION RULES:
 1. After calling control_device, you MUST call get_device_state to VERIFY the action was successful.
@@ -74,6 +108,9 @@ CALENDAR RULES:
 4. When asked what's on the calendar/schedule for a given day (including morning routine, "today's events", "מה יש היום"), you MUST call list_calendar_events FRESH for that specific day - EVERY time, even if a previous message in this conversation already showed calendar events for a different day (or what looked like the same day).
 5. Calendar events are date-specific and change daily. A calendar result from a previous day's conversation turn is NOT valid for today, tomorrow, or any other day - it can ONLY answer for the exact date it was fetched for.
 6. NEVER infer, reuse, or paraphrase a past list_calendar_events result to answer a question about a different day's events, even if it looks similar or plausible.
+7. To move, change or delete an existing event ("תזיזי את רופא השיניים ליום חמישי ב-4"), first find it with search_calendar_events (or list_calendar_events) to get its event_id, then call update_calendar_event or delete_calendar_event. For a recurring event, change only that occurrence unless the user clearly means the whole series (scope="series"); ask if unsure.
+8. For "when are we free" questions ("מתי כולנו פנויים ביום ראשון אחר הצהריים?") call find_free_time with the matching day_start / day_end. If add_calendar_event returns status "conflict", the event was NOT added: tell the user what it overlaps and add it with allow_conflicts=true only if they say so.
+9. For "whose birthday is coming up" questions call list_upcoming_birthdays (a wider "days" for "this year").
 
 CRITICAL - NEVER TRUST CHAT HISTORY FOR STATES:
 - Device states change constantly (someone else can turn them on/off).
@@ -109,6 +146,22 @@ You help manage the family's calendar, shopping list, and smart home devices.
 Always be warm and respond in Hebrew.`
     },
 
+    // LLM provider selection ('gemini' | 'openai')
+    llm: {
+        provider: process.env.LLM_PROVIDER || 'gemini',
+        fallbackProvider: process.env.LLM_FALLBACK_PROVIDER || ''
+    },
+
+    // OpenAI-compatible chat-completions endpoint (OpenAI, llama.cpp, Ollama, vLLM...)
+    openai: {
+        baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || '',
+        priceInputPerM: parseFloat(process.env.OPENAI_PRICE_INPUT_PER_M) || 0,
+        priceOutputPerM: parseFloat(process.env.OPENAI_PRICE_OUTPUT_PER_M) || 0,
+        timeoutMs: parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 120000
+    },
+
     // Google APIs
     google: {
         serviceAccountPath: process.env.GOOGLE_SERVICE_ACCOUNT_PATH || './credentials/service-account.json',
@@ -123,12 +176,49 @@ Always be warm and respond in Hebrew.`
     // Home Assistant
     homeAssistant: {
         url: process.env.HOME_ASSISTANT_URL,
-        token: process.env.HOME_ASSISTANT_TOKEN
+        token: process.env.HOME_ASSISTANT_TOKEN,
+        eventsEnabled: process.env.HA_EVENTS_ENABLED !== 'false'   // WebSocket event stream for the watch rules
+    },
+
+    // AI spending limits in USD (0 = no limit)
+    budget: {
+        dailySoftUsd: parseFloat(process.env.AI_BUDGET_DAILY_SOFT_USD) || 0,
+        dailyHardUsd: parseFloat(process.env.AI_BUDGET_DAILY_HARD_USD) || 0,
+        monthlySoftUsd: parseFloat(process.env.AI_BUDGET_MONTHLY_SOFT_USD) || 0,
+        monthlyHardUsd: parseFloat(process.env.AI_BUDGET_MONTHLY_HARD_USD) || 0,
+        downgradeModel: process.env.AI_BUDGET_DOWNGRADE_MODEL || 'gemini-2.5-flash-lite'
+    },
+
+    // Documents (PDF, DOCX, TXT, MD) sent in chat
+    documents: {
+        maxMb: parseFloat(process.env.DOCUMENT_MAX_MB) || 10,            // Larger files are not downloaded
+        maxPromptChars: parseInt(process.env.DOCUMENT_MAX_CHARS, 10) || 30000  // Extracted text sent to the model
+    },
+
+    // Sensitive tool calls that wait for a "yes" / 👍 from the sender before they run (see applyConfirmationEnv)
+    confirmations: {},
+
+    // Reminder nudges (see applyReminderEnv)
+    reminders: {},
+
+    // Birthday and anniversary greetings and gift reminders (see applyBirthdayEnv)
+    birthdays: {},
+
+    // Semantic retrieval over knowledge/skill files (embedding index in SQLite)
+    retrieval: {
+        enabled: process.env.KNOWLEDGE_RETRIEVAL_ENABLED !== 'false',
+        embeddingProvider: process.env.EMBEDDING_PROVIDER || '',  // empty = LLM_PROVIDER
+        embeddingModel: process.env.EMBEDDING_MODEL || '',        // empty = provider default
+        topK: parseInt(process.env.KNOWLEDGE_TOP_K, 10) || 6,
+        minScore: parseFloat(process.env.KNOWLEDGE_MIN_SCORE) || 0.3,
+        embeddingPricePerM: parseFloatOr(process.env.EMBEDDING_PRICE_PER_M, null)  // null = provider default
     },
 
     // Database
     database: {
-        path: process.env.DATABASE_PATH || './data/noga.db'
+        path: process.env.DATABASE_PATH || './data/noga.db',
+        archiveEnabled: process.env.CHAT_ARCHIVE_ENABLED !== 'false',            // Pruned chat messages move to chat_archive
+        archiveRetentionDays: parseInt(process.env.CHAT_ARCHIVE_RETENTION_DAYS, 10) || 0  // 0 = keep forever
     },
 
     // Logging
@@ -137,15 +227,23 @@ Always be warm and respond in Hebrew.`
     }
 };
 
+applyOutboxEnv();
+applyConfirmationEnv();
+applyReminderEnv();
+applyBirthdayEnv();
+
 /**
  * Validate required configuration.
  * Throws on critical missing config; logs warnings for non-critical issues.
  */
 export function validateConfig() {
     // Critical — fail fast
-    if (!config.gemini.apiKey) {
+    if (config.llm.provider === 'gemini' && !config.gemini.apiKey) {
         throw new Error('GEMINI_API_KEY is required. Set it in .env or environment variables.');
     }
+    if (config.llm.provider === 'openai' && !config.openai.model) {
+        throw new Error('OPENAI_MODEL is required when LLM_PROVIDER=openai.');
+    }
 
     // Warnings
     if (config.whatsapp.whitelist.length === 0 && !config.whatsapp.groupId) {
@@ -161,6 +259,90 @@ export function validateConfig() {
         throw new Error(`Invalid DASHBOARD_PORT: ${process.env.DASHBOARD_PORT}. Must be 1-65535.`);
     }
 }
+/**
+ * Re-read the AI budget limits from process.env into config.budget
+ */
+export function applyBudgetEnv() {
+    config.budget.dailySoftUsd = parseFloat(process.env.AI_BUDGET_DAILY_SOFT_USD) || 0;
+    config.budget.dailyHardUsd = parseFloat(process.env.AI_BUDGET_DAILY_HARD_USD) || 0;
+    config.budget.monthlySoftUsd = parseFloat(process.env.AI_BUDGET_MONTHLY_SOFT_USD) || 0;
+    config.budget.monthlyHardUsd = parseFloat(process.env.AI_BUDGET_MONTHLY_HARD_USD) || 0;
+    config.budget.downgradeModel = process.env.AI_BUDGET_DOWNGRADE_MODEL || 'gemini-2.5-flash-lite';
+}
+
+/**
+ * Re-read the LLM provider settings from process.env into config.llm / config.openai
+ */
+export function applyLlmEnv() {
+    config.llm.provider = process.env.LLM_PROVIDER || 'gemini';
+    config.llm.fallbackProvider = process.env.LLM_FALLBACK_PROVIDER || '';
+    config.openai.baseUrl = process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1';
+    config.openai.apiKey = process.env.OPENAI_API_KEY;
+    config.openai.model = process.env.OPENAI_MODEL || '';
+    config.openai.priceInputPerM = parseFloat(process.env.OPENAI_PRICE_INPUT_PER_M) || 0;
+    config.openai.priceOutputPerM = parseFloat(process.env.OPENAI_PRICE_OUTPUT_PER_M) || 0;
+    config.openai.timeoutMs = parseInt(process.env.OPENAI_TIMEOUT_MS, 10) || 120000;
+}
+
+/**
+ * Re-read the knowledge retrieval settings from process.env into config.retrieval
+ */
+export function applyRetrievalEnv() {
+    config.retrieval.enabled = process.env.KNOWLEDGE_RETRIEVAL_ENABLED !== 'false';
+    config.retrieval.embeddingProvider = process.env.EMBEDDING_PROVIDER || '';
+    config.retrieval.embeddingModel = process.env.EMBEDDING_MODEL || '';
+    config.retrieval.topK = parseInt(process.env.KNOWLEDGE_TOP_K, 10) || 6;
+    config.retrieval.minScore = parseFloat(process.env.KNOWLEDGE_MIN_SCORE) || 0.3;
+    config.retrieval.embeddingPricePerM = parseFloatOr(process.env.EMBEDDING_PRICE_PER_M, null);
+}
+
+/**
+ * Re-read the outbox settings from process.env into config.whatsapp: failed sends before a queued message is
+ * given up, and the age after which a queued message is no longer sent
+ */
+export function applyOutboxEnv() {
+    config.whatsapp.outboxMaxRetries = parseInt(process.env.OUTBOX_MAX_RETRIES, 10) || 8;
+    config.whatsapp.outboxMaxAgeHours = parseFloat(process.env.OUTBOX_MAX_AGE_HOURS) || 12;
+}
+
+/**
+ * Re-read the reminder nudge settings from process.env into config.reminders. Nudges are cancelled after
+ * maxNudges ignored nudges (0 = never), or first escalated to the group / admin after escalateAfter nudges
+ * (0 = off). Nudges due in quiet hours or (optionally) on Shabbat / Yom Tov wait for the first allowed minute.
+ * A reminder can override each of these.
+ */
+export function applyReminderEnv() {
+    config.reminders.maxNudges = parseIntOr(process.env.REMINDER_MAX_NUDGES, 10);
+    config.reminders.escalateAfter = parseIntOr(process.env.REMINDER_ESCALATE_AFTER, 0);
+    config.reminders.escalateTo = process.env.REMINDER_ESCALATE_TO === 'admin' ? 'admin' : 'group';
+    config.reminders.quietHours = process.env.REMINDER_QUIET_HOURS ?? '23:30-05:30';   // HH:MM-HH:MM, empty / "off" = none
+    config.reminders.timezone = parseTimezone(process.env.REMINDER_TIMEZONE);
+    config.reminders.shabbatQuiet = process.env.REMINDER_SHABBAT_QUIET === 'true';
+    // Location for sunset times (default Jerusalem); 0 is a valid coordinate
+    config.reminders.latitude = parseFloatOr(process.env.REMINDER_LATITUDE, 31.778);
+    config.reminders.longitude = parseFloatOr(process.env.REMINDER_LONGITUDE, 35.235);
+}
+
+/**
+ * Re-read the birthday settings from process.env into config.birthdays: a greeting to the default group each
+ * morning at announceTime (HH:MM in REMINDER_TIMEZONE), and a gift reminder giftReminderDays ahead (0 = off)
+ */
+export function applyBirthdayEnv() {
+    config.birthdays.announce = process.env.BIRTHDAY_ANNOUNCE !== 'false';
+    config.birthdays.announceTime = process.env.BIRTHDAY_ANNOUNCE_TIME || '08:00';
+    config.birthdays.giftReminderDays = parseIntOr(process.env.BIRTHDAY_GIFT_REMINDER_DAYS, 3);
+}
+
+/**
+ * Re-read the confirmation settings from process.env into config.confirmations. Home Assistant entries are
+ * a domain, a device class or domain:device_class (garage doors and gates are covers)
+ */
+export function applyConfirmationEnv() {
+    config.confirmations.tools = parseList(process.env.CONFIRM_TOOLS, ['delete_memory', 'delete_calendar_event']);
+    config.confirmations.haDomains = parseList(process.env.CONFIRM_HA_DOMAINS, ['lock', 'alarm_control_panel', 'cover:garage', 'cover:gate']);
+    config.confirmations.expiryMinutes = parseInt(process.env.CONFIRM_EXPIRY_MINUTES, 10) || 10;
+}
+
 /**
  * Apply DB-stored environment overrides to process.env and config.
  * Called after DB is initialized to load settings saved via dashboard.
@@ -191,10 +373,13 @@ export function applyDbOverrides(db) {
             config.whatsapp.whitelist = parseList(process.env.WHATSAPP_WHITELIST);
             config.whatsapp.groupId = process.env.WHATSAPP_GROUP_ID || null;
             config.whatsapp.adminPhone = process.env.ADMIN_PHONE || null;
+            config.whatsapp.defaultRole = process.env.WHATSAPP_DEFAULT_ROLE || 'adult';
 
             config.gemini.apiKey = process.env.GEMINI_API_KEY;
             config.gemini.model = process.env.GEMINI_MODEL || 'gemini-2.5-flash';
             config.gemini.contextWindowMessages = parseInt(process.env.GEMINI_CONTEXT_WINDOW_MESSAGES, 10) || 10;
+            config.gemini.summaryEnabled = process.env.GEMINI_SUMMARY_ENABLED !== 'false';
+            config.gemini.summaryBatchMessages = parseInt(process.env.GEMINI_SUMMARY_BATCH_MESSAGES, 10) || 6;
             if (process.env.GEMINI_SYSTEM_PROMPT) {
                 config.gemini.systemPrompt = process.env.GEMINI_SYSTEM_PROMPT;
             }
@@ -207,6 +392,21 @@ export function applyDbOverrides(db) {
 
             config.homeAssistant.url = process.env.HOME_ASSISTANT_URL;
             config.homeAssistant.token = process.env.HOME_ASSISTANT_TOKEN;
+            config.homeAssistant.eventsEnabled = process.env.HA_EVENTS_ENABLED !== 'false';
+
+            config.documents.maxMb = parseFloat(process.env.DOCUMENT_MAX_MB) || 10;
+            config.documents.maxPromptChars = parseInt(process.env.DOCUMENT_MAX_CHARS, 10) || 30000;
+
+            config.database.archiveEnabled = process.env.CHAT_ARCHIVE_ENABLED !== 'false';
+            config.database.archiveRetentionDays = parseInt(process.env.CHAT_ARCHIVE_RETENTION_DAYS, 10) || 0;
+
+            applyOutboxEnv();
+            applyReminderEnv();
+            applyBirthdayEnv();
+            applyConfirmationEnv();
+            applyBudgetEnv();
+            applyLlmEnv();
+            applyRetrievalEnv();
 
             config.logging.level = process.env.LOG_LEVEL || 'info';
 
@@ -0,0 +1,159 @@
+import { toLocalParts } from './timezone.js';
+
+/**
+ * Hebrew calendar and Shabbat / Yom Tov times, computed locally (arithmetic Hebrew calendar and the
+ * sunrise equation, accurate to a minute or two). Holidays follow the Israeli schedule (one-day Yom Tov).
+ * Months are numbered from Nisan = 1 (Tishrei = 7, Adar = 12, Adar II = 13 in leap years).
+ */
+
+const HEBREW_EPOCH = -1373427; // Fixed day number of 1 Tishrei, year 1
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const YOM_TOV = {
+    7: { 1: 'ראש השנה', 2: 'ראש השנה', 10: 'יום כיפור', 15: 'סוכות', 22: 'שמיני עצרת' },
+    1: { 15: 'פסח', 21: 'שביעי של פסח' },
+    3: { 6: 'שבועות' }
+};
+
+// Jerusalem customs are 40 minutes; most places light candles 18 minutes before sunset
+const DEFAULT_CANDLE_LIGHTING_MINUTES = 18;
+const DEFAULT_HAVDALAH_MINUTES = 42;
+
+function isLeapYear(year) {
+    return (7 * year + 1) % 19 < 7;
+}
+
+function elapsedDays(year) {
+    const monthsElapsed = Math.floor((235 * year - 234) / 19);
+    const partsElapsed = 12084 + 13753 * monthsElapsed;
+    const days = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+    return (3 * (days + 1)) % 7 < 3 ? days + 1 : days;
+}
+
+function yearLengthCorrection(year) {
+    const ny0 = elapsedDays(year - 1);
+    const ny1 = elapsedDays(year);
+    const ny2 = elapsedDays(year + 1);
+    if (ny2 - ny1 === 356) return 2;
+    if (ny1 - ny0 === 382) return 1;
+    return 0;
+}
+
+function newYear(year) {
+    return HEBREW_EPOCH + elapsedDays(year) + yearLengthCorrection(year);
+}
+
+function daysInMonth(month, year) {
+    const yearLength = newYear(year + 1) - newYear(year);
+    if ([2, 4, 6, 10, 13].includes(month)) return 29;
+    if (month === 12 && !isLeapYear(year)) return 29;
+    if (month === 8 && yearLength % 10 !== 5) return 29; // Cheshvan is long only in "complete" years
+    if (month === 9 && yearLength % 10 === 3) return 29; // Kislev is short in "deficient" years
+    return 30;
+}
+
+function fixedFromHebrew(year, month, day) {
+    const lastMonth = isLeapYear(year) ? 13 : 12;
+    let fixed = newYear(year) + day - 1;
+    if (month < 7) {
+        for (let m = 7; m <= lastMonth; m++) fixed += daysInMonth(m, year);
+        for (let m = 1; m < month; m++) fixed += daysInMonth(m, year);
+    } else {
+        for (let m = 7; m < month; m++) fixed += daysInMonth(m, year);
+    }
+    return fixed;
+}
+
+function fixedFromGregorian(year, month, day) {
+    const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    return 365 * (year - 1) + Math.floor((year - 1) / 4) - Math.floor((year - 1) / 100) + Math.floor((year - 1) / 400)
+        + Math.floor((367 * month - 362) / 12) + (month <= 2 ? 0 : leap ? -1 : -2) + day;
+}
+
+/**
+ * Hebrew date of a civil (Gregorian) date, for the daytime part of that date
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function toHebrewDate(year, month, day) {
+    const fixed = fixedFromGregorian(year, month, day);
+    let hebYear = Math.floor((fixed - HEBREW_EPOCH) / 365.2468) + 1;
+    while (newYear(hebYear) > fixed) hebYear--;
+    while (newYear(hebYear + 1) <= fixed) hebYear++;
+
+    let hebMonth = fixed < fixedFromHebrew(hebYear, 1, 1) ? 7 : 1;
+    while (fixed > fixedFromHebrew(hebYear, hebMonth, daysInMonth(hebMonth, hebYear))) hebMonth++;
+    return { year: hebYear, month: hebMonth, day: fixed - fixedFromHebrew(hebYear, hebMonth, 1) + 1 };
+}
+
+/**
+ * Name of the Yom Tov (Israel) on a civil date, or null
+ */
+export function getYomTov(year, month, day) {
+    const heb = toHebrewDate(year, month, day);
+    return YOM_TOV[heb.month]?.[heb.day] || null;
+}
+
+/**
+ * Sunset on a civil date (sunrise equation)
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {number} latitude
+ * @param {number} longitude - East positive
+ * @returns {Date}
+ */
+export function getSunset(year, month, day, latitude, longitude) {
+    const rad = Math.PI / 180;
+    const julianNoon = Date.UTC(year, month - 1, day, 12) / DAY_MS + 2440587.5;
+    const n = Math.round(julianNoon - 2451545.0 + 0.0008);
+    const meanSolarNoon = n - longitude / 360;
+    const anomaly = (357.5291 + 0.98560028 * meanSolarNoon) % 360;
+    const center = 1.9148 * Math.sin(anomaly * rad) + 0.02 * Math.sin(2 * anomaly * rad) + 0.0003 * Math.sin(3 * anomaly * rad);
+    const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+    const transit = 2451545.0 + meanSolarNoon + 0.0053 * Math.sin(anomaly * rad) - 0.0069 * Math.sin(2 * eclipticLongitude * rad);
+    const declination = Math.asin(Math.sin(eclipticLongitude * rad) * Math.sin(23.44 * rad));
+    const cosHourAngle = (Math.sin(-0.833 * rad) - Math.sin(latitude * rad) * Math.sin(declination))
+        / (Math.cos(latitude * rad) * Math.cos(declination));
+    const hourAngle = Math.acos(Math.max(-1, Math.min(1, cosHourAngle))) / rad;
+    return new Date((transit + hourAngle / 360 - 2440587.5) * DAY_MS);
+}
+
+/**
+ * The Shabbat or Yom Tov in progress at a given time (consecutive rest days are merged)
+ * @param {Date} date
+ * @param {Object} options
+ * @param {number} options.latitude
+ * @param {number} options.longitude
+ * @param {string} options.timezone - Timezone of the household
+ * @param {number} [options.candleLightingMinutes] - Rest starts this long before sunset on the eve
+ * @param {number} [options.havdalahMinutes] - Rest ends this long after sunset
+ * @returns {{name: string, start: Date, end: Date}|null}
+ */
+export function getRestPeriod(date, {
+    latitude, longitude, timezone,
+    candleLightingMinutes = DEFAULT_CANDLE_LIGHTING_MINUTES,
+    havdalahMinutes = DEFAULT_HAVDALAH_MINUTES
+}) {
+    const local = toLocalParts(date, timezone);
+    const civil = (offset) => {
+        const d = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+        return [d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), d.getUTCDay()];
+    };
+    const restName = ([y, m, d, weekday]) => getYomTov(y, m, d) || (weekday === 6 ? 'שבת' : null);
+    const startOf = (offset) => new Date(getSunset(...civil(offset - 1).slice(0, 3), latitude, longitude) - candleLightingMinutes * 60000);
+    const endOf = (offset) => new Date(getSunset(...civil(offset).slice(0, 3), latitude, longitude).getTime() + havdalahMinutes * 60000);
+
+    // Today's rest day, or tomorrow's once its eve has begun
+    for (const offset of [0, 1]) {
+        const name = restName(civil(offset));
+        if (!name || date < startOf(offset) || date >= endOf(offset)) continue;
+
+        let last = offset;
+        while (restName(civil(last + 1))) last++;
+        return { name, start: startOf(offset), end: endOf(last) };
+    }
+    return null;
+}
@@ -0,0 +1,272 @@
+import config from './config.js';
+import { toLocalParts as toZonedParts, fromLocalParts as fromZonedParts } from './timezone.js';
+
+/**
+ * Recurrence rules for reminders - a subset of iCalendar RRULE:
+ * FREQ=DAILY|WEEKLY|MONTHLY|YEARLY, INTERVAL, BYDAY (MO,TU / 1MO,-1FR), BYMONTHDAY (1,15,-1), UNTIL, COUNT.
+ * Occurrences keep their wall-clock time in the reminder timezone (REMINDER_TIMEZONE) across DST changes.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ["א'", "ב'", "ג'", "ד'", "ה'", "ו'", 'שבת'];
+const ORDINAL_NAMES = { 1: 'הראשון', 2: 'השני', 3: 'השלישי', 4: 'הרביעי', 5: 'החמישי', '-1': 'האחרון' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ITERATIONS = 1000;
+
+/**
+ * Wall-clock parts of a date in the reminder timezone
+ */
+function toLocalParts(date) {
+    return toZonedParts(date, config.reminders.timezone);
+}
+
+/**
+ * The instant of a wall-clock time in the reminder timezone
+ */
+function fromLocalParts(parts) {
+    return fromZonedParts(parts, config.reminders.timezone);
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function weekdayOf(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function addDays(parts, days) {
+    const d = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+    return { ...parts, year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function invalid(message) {
+    const err = new Error(message);
+    err.statusCode = 400;
+    return err;
+}
+
+/**
+ * Parse a recurrence: a preset ("daily", "weekly", "monthly", "yearly") or an RRULE string
+ * @param {string} input - e.g. "weekly" or "FREQ=WEEKLY;BYDAY=TU"
+ * @returns {{freq: string, interval: number, byDay: Array<{day: number, n: number|null}>, byMonthDay: number[], until: string|null, count: number|null}}
+ * @throws {Error} with statusCode 400 when the rule is invalid
+ */
+export function parseRecurrence(input) {
+    const text = String(input || '').trim().replace(/^RRULE:/i, '');
+    if (!text) throw invalid('Recurrence rule is empty');
+
+    const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], until: null, count: null };
+    if (FREQUENCIES.includes(text.toUpperCase())) {
+        rule.freq = text.toUpperCase();
+        return rule;
+    }
+
+    for (const part of text.split(';').filter(Boolean)) {
+        const [key, value = ''] = part.split('=').map(s => s.trim().toUpperCase());
+        switch (key) {
+            case 'FREQ':
+                if (!FREQUENCIES.includes(value)) throw invalid(`Unsupported FREQ "${value}" (use ${FREQUENCIES.join(', ')})`);
+                rule.freq = value;
+                break;
+            case 'INTERVAL':
+                rule.interval = parseInt(value);
+                if (!(rule.interval >= 1)) throw invalid('INTERVAL must be a positive number');
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',').map(token => {
+                    const match = token.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+                    if (!match) throw invalid(`Invalid BYDAY value "${token}"`);
+                    return { day: WEEKDAYS.indexOf(match[2]), n: match[1] ? parseInt(match[1]) : null };
+                });
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = value.split(',').map(token => {
+                    const day = parseInt(token);
+                    if (!day || day < -31 || day > 31) throw invalid(`Invalid BYMONTHDAY value "${token}"`);
+                    return day;
+                });
+                break;
+            case 'UNTIL': {
+                const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+                const until = m
+                    ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], m[4] ? +m[4] : 23, m[5] ? +m[5] : 59, m[6] ? +m[6] : 59))
+                    : new Date(value);
+                if (isNaN(until)) throw invalid(`Invalid UNTIL value "${value}"`);
+                rule.until = until.toISOString();
+                break;
+            }
+            case 'COUNT':
+                rule.count = parseInt(value);
+                if (!(rule.count >= 1)) throw invalid('COUNT must be a positive number');
+                break;
+            default:
+                throw invalid(`Unsupported recurrence part "${key}"`);
+        }
+    }
+
+    if (!rule.freq) throw invalid('Recurrence rule must include FREQ');
+    return rule;
+}
+
+/**
+ * Serialize a parsed rule (without UNTIL/COUNT, which reminders keep in their own columns)
+ * @param {Object} rule - See parseRecurrence
+ */
+export function formatRecurrence(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay.length) parts.push(`BYDAY=${rule.byDay.map(d => `${d.n || ''}${WEEKDAYS[d.day]}`).join(',')}`);
+    if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    return parts.join(';');
+}
+
+/**
+ * Validate a recurrence for a reminder and anchor it to its first due date
+ * (a plain "monthly" or "yearly" repeats on the due date's day of the month, so the 31st stays the last day of
+ * short months and 29 February returns in leap years)
+ * @param {string} input - Preset or RRULE string
+ * @param {string} dueDate - First occurrence (ISO)
+ * @param {Object} [options]
+ * @param {string|null} [options.until] - End date (ISO); overrides UNTIL in the rule
+ * @param {number|null} [options.count] - Total occurrences; overrides COUNT in the rule
+ * @returns {{rule: string, until: string|null, count: number|null}}
+ */
+export function normalizeRecurrence(input, dueDate, { until = null, count = null } = {}) {
+    const rule = parseRecurrence(input);
+    const first = toLocalParts(new Date(dueDate));
+    if (rule.freq === 'MONTHLY' && !rule.byDay.length && !rule.byMonthDay.length) rule.byMonthDay = [first.day];
+    if (rule.freq === 'YEARLY' && !rule.byMonthDay.length) rule.byMonthDay = [first.day];
+    if (rule.byDay.some(d => d.n) && rule.freq !== 'MONTHLY') throw invalid('Numbered BYDAY (e.g. 1MO) is only supported with FREQ=MONTHLY');
+
+    let end = until ? new Date(until) : (rule.until ? new Date(rule.until) : null);
+    if (end && isNaN(end)) throw invalid('Invalid recurrence end date');
+    // A date-only end date includes the whole day
+    const dateOnly = until && String(until).trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (dateOnly) {
+        end = fromLocalParts({ year: +dateOnly[1], month: +dateOnly[2], day: +dateOnly[3], hour: 23, minute: 59, second: 59 });
+    }
+
+    const total = count !== null && count !== undefined && count !== '' ? parseInt(count) : rule.count;
+    if (total !== null && !(total >= 1)) throw invalid('Recurrence count must be a positive number');
+
+    return { rule: formatRecurrence(rule), until: end ? end.toISOString() : null, count: total || null };
+}
+
+/**
+ * The first wall-clock date after `current` that matches the rule
+ */
+function nextLocal(rule, current) {
+    const { freq, interval, byDay, byMonthDay } = rule;
+    const weekdays = byDay.map(d => d.day);
+
+    if (freq === 'DAILY') {
+        let next = addDays(current, interval);
+        for (let i = 0; weekdays.length && !weekdays.includes(weekdayOf(next.year, next.month, next.day)) && i < MAX_ITERATIONS; i++) {
+            next = addDays(next, interval);
+        }
+        return next;
+    }
+
+    if (freq === 'WEEKLY') {
+        if (!weekdays.length) return addDays(current, 7 * interval);
+        // Weeks start on Sunday; only every INTERVAL-th week counts
+        const weekStart = (p) => Date.UTC(p.year, p.month - 1, p.day) - weekdayOf(p.year, p.month, p.day) * DAY_MS;
+        const firstWeek = weekStart(current);
+        for (let i = 1; i <= 7 * interval + 7; i++) {
+            const next = addDays(current, i);
+            const weeks = Math.round((weekStart(next) - firstWeek) / (7 * DAY_MS));
+            if (weeks % interval === 0 && weekdays.includes(weekdayOf(next.year, next.month, next.day))) return next;
+        }
+        return null;
+    }
+
+    if (freq === 'MONTHLY') {
+        for (let k = 0; k < MAX_ITERATIONS; k++) {
+            const index = current.month - 1 + k * interval;
+            const year = current.year + Math.floor(index / 12);
+            const month = (index % 12) + 1;
+            const days = daysInMonth(year, month);
+
+            const candidates = new Set(byMonthDay.map(d => (d > 0 ? Math.min(d, days) : Math.max(days + d + 1, 1))));
+            for (const { day, n } of byDay) {
+                const matching = [];
+                for (let d = 1; d <= days; d++) if (weekdayOf(year, month, d) === day) matching.push(d);
+                if (!n) matching.forEach(d => candidates.add(d));
+                else if (matching.at(n > 0 ? n - 1 : n) !== undefined) candidates.add(matching.at(n > 0 ? n - 1 : n));
+            }
+
+            const day = [...candidates].sort((a, b) => a - b).find(d => k > 0 || d > current.day);
+            if (day) return { ...current, year, month, day };
+        }
+        return null;
+    }
+
+    // YEARLY: same day and month (29 February falls back to the 28th in common years)
+    const year = current.year + interval;
+    const day = Math.min(byMonthDay[0] > 0 ? byMonthDay[0] : current.day, daysInMonth(year, current.month));
+    return { ...current, year, day };
+}
+
+/**
+ * Next occurrence of a recurring reminder, skipping occurrences that are already in the past
+ * @param {Object} reminder
+ * @param {string} reminder.recurrence - Rule (see normalizeRecurrence)
+ * @param {string} reminder.due_date - Due date of the current occurrence (ISO)
+ * @param {string|null} [reminder.recurrence_end] - Last allowed due date (ISO)
+ * @param {number|null} [reminder.recurrence_count] - Total number of occurrences
+ * @param {number} [reminder.occurrence] - 1-based number of the current occurrence
+ * @param {Date} [after] - Occurrences at or before this time are skipped (default: now)
+ * @returns {{dueDate: string, occurrence: number}|null} null when the series has ended
+ */
+export function nextOccurrence(reminder, after = new Date()) {
+    const rule = parseRecurrence(reminder.recurrence);
+    const end = reminder.recurrence_end ? new Date(reminder.recurrence_end) : null;
+    let occurrence = reminder.occurrence || 1;
+    let local = toLocalParts(new Date(reminder.due_date));
+
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        local = nextLocal(rule, local);
+        occurrence++;
+        if (!local) return null;
+        if (reminder.recurrence_count && occurrence > reminder.recurrence_count) return null;
+
+        const due = fromLocalParts(local);
+        if (end && due > end) return null;
+        if (due > after) return { dueDate: due.toISOString(), occurrence };
+    }
+    return null;
+}
+
+/**
+ * Short Hebrew description of a rule, e.g. "כל שבוע בימים ג', ו'"
+ * @param {string} input - Rule (see normalizeRecurrence)
+ * @param {Object} [options]
+ * @param {string|null} [options.until] - End date (ISO)
+ * @param {number|null} [options.count] - Total occurrences
+ */
+export function describeRecurrence(input, { until = null, count = null } = {}) {
+    let rule;
+    try {
+        rule = parseRecurrence(input);
+    } catch {
+        return String(input || '');
+    }
+
+    const units = { DAILY: ['כל יום', 'ימים'], WEEKLY: ['כל שבוע', 'שבועות'], MONTHLY: ['כל חודש', 'חודשים'], YEARLY: ['כל שנה', 'שנים'] };
+    const [single, plural] = units[rule.freq];
+    let text = rule.interval > 1 ? `כל ${rule.interval} ${plural}` : single;
+
+    const plainDays = rule.byDay.filter(d => !d.n).map(d => WEEKDAY_NAMES[d.day]);
+    const numberedDays = rule.byDay.filter(d => d.n).map(d => `ביום ${WEEKDAY_NAMES[d.day]} ${ORDINAL_NAMES[d.n] || `ה-${d.n}`} בחודש`);
+    if (plainDays.length) text += plainDays.length > 1 ? ` בימים ${plainDays.join(', ')}` : ` ביום ${plainDays[0]}`;
+    if (numberedDays.length) text += ` ${numberedDays.join(', ')}`;
+    if (rule.byMonthDay.length) {
+        text += ` ב-${rule.byMonthDay.map(d => (d === -1 ? 'אחרון' : d > 0 ? d : `${-d} מהסוף`)).join(', ')} לחודש`;
+    }
+
+    if (until) text += ` עד ${new Date(until).toLocaleDateString('he-IL', { timeZone: config.reminders.timezone })}`;
+    if (count) text += ` (${count} פעמים)`;
+    return text;
+}
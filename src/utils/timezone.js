@@ -0,0 +1,105 @@
+/**
+ * Wall-clock helpers for an IANA timezone (Node's Intl, no extra dependencies)
+ */
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is a timezone Intl understands
+ * @param {string} timeZone - e.g. "Asia/Jerusalem"
+ */
+export function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return !!timeZone;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock parts of a date in a timezone
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+export function toLocalParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') parts[type] = parseInt(value);
+    }
+    return parts;
+}
+
+/**
+ * The instant of a wall-clock time in a timezone
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number, second?: number}} parts
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function fromLocalParts({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offsetAt = (ms) => {
+        const p = toLocalParts(new Date(ms), timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - ms;
+    };
+    // Two passes settle the offset around DST transitions
+    let ms = asUtc - offsetAt(asUtc);
+    ms = asUtc - offsetAt(ms);
+    return new Date(ms);
+}
+
+/**
+ * Parse a daily time window such as "23:30-05:30" (may cross midnight)
+ * @param {string} value - "HH:MM-HH:MM", or empty / "off" for no window
+ * @returns {{start: number, end: number}|null} Minutes after midnight, or null when there is no window
+ * @throws {Error} with statusCode 400 on an invalid value
+ */
+export function parseTimeWindow(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (!text || text === 'off' || text === 'none') return null;
+
+    const match = text.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    const [start, end] = match ? [+match[1] * 60 + +match[2], +match[3] * 60 + +match[4]] : [];
+    if (!match || +match[1] > 23 || +match[3] > 23 || +match[2] > 59 || +match[4] > 59 || start === end) {
+        const err = new Error(`Invalid time window "${value}" (use HH:MM-HH:MM or "off")`);
+        err.statusCode = 400;
+        throw err;
+    }
+    return { start, end };
+}
+
+/**
+ * When the time window containing `date` ends
+ * @param {Date} date
+ * @param {{start: number, end: number}|null} window - See parseTimeWindow
+ * @param {string} timeZone
+ * @returns {Date|null} End of the window, or null when `date` is outside it
+ */
+export function timeWindowEnd(date, window, timeZone) {
+    if (!window) return null;
+    const local = toLocalParts(date, timeZone);
+    const minutes = local.hour * 60 + local.minute;
+    const { start, end } = window;
+
+    const inside = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+    if (!inside) return null;
+
+    // A window crossing midnight that started today ends tomorrow
+    const endsTomorrow = start > end && minutes >= start;
+    const endDay = new Date(Date.UTC(local.year, local.month - 1, local.day + (endsTomorrow ? 1 : 0)));
+    return fromLocalParts({
+        year: endDay.getUTCFullYear(), month: endDay.getUTCMonth() + 1, day: endDay.getUTCDate(),
+        hour: Math.floor(end / 60), minute: end % 60
+    }, timeZone);
+}
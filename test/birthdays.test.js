@@ -0,0 +1,81 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/utils/config.js';
+import db from '../src/database/DatabaseManager.js';
+import calendarManager from '../src/skills/CalendarManager.js';
+import { SchedulerManager } from '../src/bot/SchedulerManager.js';
+
+describe('Birthday check', () => {
+    let tmpDir;
+    let birthdays;
+    let scheduler;
+    let celebrations;
+    let greeted;
+    let failing;
+    const { getCelebrations } = calendarManager;
+    const today = '2026-05-10';
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noga-birthdays-'));
+        db.dbPath = path.join(tmpDir, 'test.db');
+        db.init();
+
+        birthdays = { ...config.birthdays };
+        Object.assign(config.birthdays, { announce: true, giftReminderDays: 0 });
+        calendarManager.getCelebrations = async () => celebrations;
+    });
+
+    after(() => {
+        calendarManager.getCelebrations = getCelebrations;
+        Object.assign(config.birthdays, birthdays);
+        db.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        db.db.exec("DELETE FROM config WHERE key = 'birthdays_done';");
+        greeted = [];
+        failing = new Set();
+        scheduler = new SchedulerManager();
+        scheduler._announceCelebration = async (celebration) => {
+            if (failing.has(celebration.title)) throw new Error('send failed');
+            greeted.push(celebration.title);
+        };
+        celebrations = {
+            success: true,
+            celebrations: [
+                { date: today, type: 'birthday', title: 'יום ההולדת של דנה' },
+                { date: today, type: 'birthday', title: 'יום ההולדת של יואב' }
+            ]
+        };
+    });
+
+    test('a failed greeting is retried without greeting the others again', async () => {
+        failing.add('יום ההולדת של יואב');
+        assert.equal(await scheduler._checkBirthdays(today), false);
+        assert.deepEqual(greeted, ['יום ההולדת של דנה']);
+
+        failing.clear();
+        assert.equal(await scheduler._checkBirthdays(today), true);
+        assert.deepEqual(greeted, ['יום ההולדת של דנה', 'יום ההולדת של יואב']);
+    });
+
+    test('a calendar error leaves the day unchecked', async () => {
+        celebrations.errors = [{ calendar: 'family', error: 'timeout' }];
+        assert.equal(await scheduler._checkBirthdays(today), false);
+        assert.equal(greeted.length, 2);
+
+        delete celebrations.errors;
+        assert.equal(await scheduler._checkBirthdays(today), true);
+        assert.equal(greeted.length, 2);
+    });
+
+    test('greetings recorded on an earlier day do not count today', async () => {
+        db.setConfig('birthdays_done', { date: '2026-05-09', keys: [`greeting|${today}|יום ההולדת של דנה`] });
+        assert.equal(await scheduler._checkBirthdays(today), true);
+        assert.equal(greeted.length, 2);
+    });
+});
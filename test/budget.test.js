@@ -0,0 +1,141 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/utils/config.js';
+import db from '../src/database/DatabaseManager.js';
+import budgetManager from '../src/bot/BudgetManager.js';
+import knowledgeIndex from '../src/bot/KnowledgeIndex.js';
+import geminiProvider from '../src/bot/providers/GeminiProvider.js';
+
+describe('BudgetManager.lift', () => {
+    let tmpDir;
+    let budget;
+    let adminPhone;
+
+    const spend = (cost) => db.logUsage('gemini-2.5-flash', 0, 0, 0, cost, { callKind: 'chat' });
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noga-budget-'));
+        db.dbPath = path.join(tmpDir, 'test.db');
+        db.init();
+
+        budget = { ...config.budget };
+        adminPhone = config.whatsapp.adminPhone;
+        config.whatsapp.adminPhone = null; // No warnings sent
+        Object.assign(config.budget, { dailySoftUsd: 0, dailyHardUsd: 3, monthlySoftUsd: 0, monthlyHardUsd: 10 });
+    });
+
+    after(() => {
+        Object.assign(config.budget, budget);
+        config.whatsapp.adminPhone = adminPhone;
+        db.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        db.db.exec("DELETE FROM usage_logs; DELETE FROM config WHERE key = 'ai_budget_state';");
+    });
+
+    test('lifting the daily block does not lift the monthly limit in advance', () => {
+        spend(5);
+        assert.equal(budgetManager.isBlocked(), true);
+
+        const lifted = budgetManager.lift('test');
+        assert.equal(lifted.level, 'soft');
+        assert.equal(lifted.daily.lifted, true);
+        assert.equal(budgetManager.isBlocked(), false);
+
+        spend(6); // 11 of 10 this month
+        const state = budgetManager.getState();
+        assert.equal(state.monthly.level, 'hard');
+        assert.equal(state.monthly.lifted, false);
+        assert.equal(budgetManager.isBlocked(), true);
+    });
+
+    test('a second lift keeps the earlier one and adds the newly reached limit', () => {
+        spend(5);
+        budgetManager.lift('test');
+        spend(6);
+
+        const state = budgetManager.lift('test');
+        assert.equal(state.daily.lifted, true);
+        assert.equal(state.monthly.lifted, true);
+        assert.equal(budgetManager.isBlocked(), false);
+    });
+
+    test('lifting with no limit reached lifts nothing', () => {
+        spend(1);
+        budgetManager.lift('test');
+        spend(4);
+        assert.equal(budgetManager.isBlocked(), true);
+    });
+});
+
+describe('Embedding usage', () => {
+    let tmpDir;
+    let budget;
+    let retrieval;
+    let adminPhone;
+    let embedCalls;
+    const { isConfigured, embed } = geminiProvider;
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noga-embedding-'));
+        db.dbPath = path.join(tmpDir, 'test.db');
+        db.init();
+
+        budget = { ...config.budget };
+        retrieval = { ...config.retrieval };
+        adminPhone = config.whatsapp.adminPhone;
+        config.whatsapp.adminPhone = null;
+        Object.assign(config.budget, { dailySoftUsd: 0, dailyHardUsd: 1, monthlySoftUsd: 0, monthlyHardUsd: 0 });
+        Object.assign(config.retrieval, { enabled: true, embeddingProvider: 'gemini', embeddingModel: 'test-embedding', embeddingPricePerM: 2 });
+
+        geminiProvider.isConfigured = () => true;
+        geminiProvider.embed = async (texts) => {
+            embedCalls++;
+            return { vectors: texts.map(() => [1, 0]), inputTokens: 500000 };
+        };
+
+        db.ensureKnowledgeFile('knowledge', 'house.md');
+        db.replaceKnowledgeChunks('knowledge', 'house.md', 'hash', 'test-embedding', [
+            { content: 'The wifi password is on the fridge', embedding: Buffer.from(new Float32Array([1, 0]).buffer) }
+        ]);
+    });
+
+    after(() => {
+        Object.assign(geminiProvider, { isConfigured, embed });
+        Object.assign(config.budget, budget);
+        Object.assign(config.retrieval, retrieval);
+        config.whatsapp.adminPhone = adminPhone;
+        knowledgeIndex.vectors = null;
+        db.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        embedCalls = 0;
+        db.db.exec("DELETE FROM usage_logs; DELETE FROM config WHERE key = 'ai_budget_state';");
+    });
+
+    test('query embeddings are logged as embedding usage', async () => {
+        const results = await knowledgeIndex.search('wifi password');
+        assert.equal(results.length, 1);
+
+        const row = db.db.prepare('SELECT * FROM usage_logs').get();
+        assert.equal(row.call_kind, 'embedding');
+        assert.equal(row.model, 'test-embedding');
+        assert.equal(row.input_tokens, 500000);
+        assert.equal(row.cost_usd, 1);
+    });
+
+    test('no query is embedded while the budget is blocked', async () => {
+        db.logUsage('gemini-2.5-flash', 0, 0, 0, 2, { callKind: 'chat' });
+        assert.equal(budgetManager.isBlocked(), true);
+
+        assert.deepEqual(await knowledgeIndex.search('wifi password'), []);
+        assert.equal(embedCalls, 0);
+    });
+});
@@ -0,0 +1,258 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import calDavCalendarBackend from '../src/skills/calendar/CalDavCalendarBackend.js';
+import { startMockCalDavServer } from './helpers/mockCalDavServer.js';
+
+// Weekly on Tuesdays at 08:00 Israel time (+02:00 in November), four times
+const SERIES = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//Test//EN',
+    'BEGIN:VEVENT',
+    'UID:series-1',
+    'DTSTAMP:20261001T000000Z',
+    'DTSTART;TZID=Asia/Jerusalem:20261103T080000',
+    'DTEND;TZID=Asia/Jerusalem:20261103T090000',
+    'RRULE:FREQ=WEEKLY;COUNT=4',
+    'SUMMARY:Swimming',
+    'END:VEVENT',
+    'END:VCALENDAR',
+    ''
+].join('\r\n');
+
+const FROM = '2026-11-01T00:00:00+02:00';
+const TO = '2026-12-01T00:00:00+02:00';
+
+describe('CalDavCalendarBackend against a mock CalDAV server', () => {
+    let server;
+    let cal;
+
+    before(async () => {
+        server = await startMockCalDavServer();
+        cal = { name: 'Home', type: 'caldav', source: server.url, username: 'noga', password: 'secret' };
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => {
+        server.resources.clear();
+        server.requests.length = 0;
+        server.format = {};
+    });
+
+    const seedSeries = () => {
+        const href = `${server.path}series-1.ics`;
+        server.resources.set(href, { data: SERIES, etag: '"v1"' });
+        return href;
+    };
+
+    test('lists events with a calendar-query REPORT and expands recurring ones', async () => {
+        const href = seedSeries();
+        const events = await calDavCalendarBackend.listEvents(cal, FROM, TO);
+
+        const report = server.requests.find(r => r.method === 'REPORT');
+        assert.ok(report, 'a REPORT was sent');
+        assert.equal(report.headers.depth, '1');
+        assert.match(report.body, /<c:time-range start="20261031T220000Z" end="20261130T220000Z"\/>/);
+
+        assert.deepEqual(events.map(e => e.id), [
+            `${href}#20261103T060000Z`,
+            `${href}#20261110T060000Z`,
+            `${href}#20261117T060000Z`,
+            `${href}#20261124T060000Z`
+        ]);
+        assert.equal(events[0].title, 'Swimming');
+        assert.equal(events[0].start, '2026-11-03T08:00:00+02:00');
+        assert.equal(events[0].recurring, true);
+    });
+
+    test('lists a series that started before the range and skips resources outside it', async () => {
+        const october = SERIES.replace(/20261103T/g, '20261006T').replace('COUNT=4', 'COUNT=6');
+        server.resources.set(`${server.path}series-1.ics`, { data: october, etag: '"v1"' });
+        server.resources.set(`${server.path}later.ics`, {
+            data: SERIES.replace('UID:series-1', 'UID:later').replace(/20261103T/g, '20270105T'),
+            etag: '"v1"'
+        });
+
+        const events = await calDavCalendarBackend.listEvents(cal, FROM, TO);
+        assert.deepEqual(events.map(e => e.start), [
+            '2026-11-03T08:00:00+02:00',
+            '2026-11-10T08:00:00+02:00'
+        ]);
+    });
+
+    for (const format of [{ defaultNamespace: true }, { cdata: true }, { defaultNamespace: true, cdata: true }]) {
+        test(`reads a multistatus with ${JSON.stringify(format)}`, async () => {
+            const href = seedSeries();
+            server.format = format;
+
+            const events = await calDavCalendarBackend.listEvents(cal, FROM, TO);
+            assert.equal(events.length, 4);
+            assert.equal(events[0].id, `${href}#20261103T060000Z`);
+            assert.equal(events[0].title, 'Swimming');
+        });
+    }
+
+    test('creates an event with If-None-Match and lists it by its href', async () => {
+        const created = await calDavCalendarBackend.addEvent(cal, {
+            title: 'Dentist', date: '2026-11-05', time: '16:30', durationMinutes: 45, location: 'Clinic', reminderMinutes: 30
+        });
+
+        const put = server.requests.find(r => r.method === 'PUT');
+        assert.equal(put.headers['if-none-match'], '*');
+        assert.match(created.id, new RegExp(`^${server.path}[0-9a-f-]+\\.ics$`));
+        assert.ok(server.resources.has(created.id));
+
+        const [event] = await calDavCalendarBackend.listEvents(cal, FROM, TO);
+        assert.equal(event.id, created.id);
+        assert.equal(event.title, 'Dentist');
+        assert.equal(event.start, '2026-11-05T16:30:00+02:00');
+        assert.equal(event.end, '2026-11-05T17:15:00+02:00');
+        assert.equal(event.location, 'Clinic');
+        assert.deepEqual(event.reminderMinutes, [30]);
+    });
+
+    test('updates an event with If-Match on the ETag it read', async () => {
+        const { id } = await calDavCalendarBackend.addEvent(cal, { title: 'Dentist', date: '2026-11-05', time: '16:30' });
+        const etag = server.resources.get(id).etag;
+        server.requests.length = 0;
+
+        const result = await calDavCalendarBackend.updateEvent(cal, id, { title: 'Dentist (moved)', time: '18:00' }, 'instance');
+
+        const put = server.requests.find(r => r.method === 'PUT');
+        assert.equal(put.headers['if-match'], etag);
+        assert.equal(result.scope, 'instance');
+        assert.equal(result.event.title, 'Dentist (moved)');
+        assert.equal(result.event.start, '2026-11-05T18:00:00+02:00');
+        assert.equal(result.event.end, '2026-11-05T19:00:00+02:00');
+    });
+
+    test('reports an ETag conflict as a changed event', async () => {
+        const { id } = await calDavCalendarBackend.addEvent(cal, { title: 'Dentist', date: '2026-11-05', time: '16:30' });
+        await assert.rejects(
+            calDavCalendarBackend._request(cal, 'PUT', new URL(id, cal.source).href, 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n', { 'If-Match': '"stale"' }),
+            /changed elsewhere/
+        );
+    });
+
+    test('deletes an event', async () => {
+        const { id } = await calDavCalendarBackend.addEvent(cal, { title: 'Dentist', date: '2026-11-05', time: '16:30' });
+        const result = await calDavCalendarBackend.deleteEvent(cal, id, 'instance');
+
+        assert.deepEqual(result, { id, scope: 'instance' });
+        assert.equal(server.resources.size, 0);
+        assert.deepEqual(await calDavCalendarBackend.listEvents(cal, FROM, TO), []);
+    });
+
+    test('overrides a single occurrence by its href#RID ID', async () => {
+        const href = seedSeries();
+        const id = `${href}#20261110T060000Z`;
+
+        const result = await calDavCalendarBackend.updateEvent(cal, id, { title: 'Swimming (late)', time: '10:00' }, 'instance');
+        assert.equal(result.scope, 'instance');
+        assert.equal(result.event.id, id);
+        assert.equal(result.event.start, '2026-11-10T10:00:00+02:00');
+
+        const stored = server.resources.get(href).data;
+        assert.match(stored, /RECURRENCE-ID:20261110T060000Z/);
+        assert.match(stored, /RRULE:FREQ=WEEKLY;COUNT=4/);
+
+        const events = await calDavCalendarBackend.listEvents(cal, FROM, TO);
+        assert.deepEqual(events.map(e => [e.id, e.title, e.start]), [
+            [`${href}#20261103T060000Z`, 'Swimming', '2026-11-03T08:00:00+02:00'],
+            [id, 'Swimming (late)', '2026-11-10T10:00:00+02:00'],
+            [`${href}#20261117T060000Z`, 'Swimming', '2026-11-17T08:00:00+02:00'],
+            [`${href}#20261124T060000Z`, 'Swimming', '2026-11-24T08:00:00+02:00']
+        ]);
+    });
+
+    test('moves the whole series from an overridden occurrence by the series\' own times', async () => {
+        const href = seedSeries();
+        const id = `${href}#20261110T060000Z`;
+        // The 10 November occurrence was moved to Thursday 10:00 for half an hour
+        await calDavCalendarBackend.updateEvent(cal, id, { date: '2026-11-12', time: '10:00', durationMinutes: 30 }, 'instance');
+
+        // "Move it to Wednesday from now on": one day after the series' Tuesday, still at 08:00 for an hour
+        const result = await calDavCalendarBackend.updateEvent(cal, id, { date: '2026-11-11' }, 'series');
+        assert.equal(result.scope, 'series');
+        assert.equal(result.event.start, '2026-11-04T08:00:00+02:00');
+        assert.equal(result.event.end, '2026-11-04T09:00:00+02:00');
+
+        const stored = server.resources.get(href).data;
+        assert.match(stored, /DTSTART;TZID=Asia\/Jerusalem:20261104T080000/);
+        assert.match(stored, /DTEND;TZID=Asia\/Jerusalem:20261104T090000/);
+    });
+
+    test('deletes a single occurrence with an EXDATE and removes its override', async () => {
+        const href = seedSeries();
+        const id = `${href}#20261110T060000Z`;
+        await calDavCalendarBackend.updateEvent(cal, id, { title: 'Swimming (late)' }, 'instance');
+
+        const result = await calDavCalendarBackend.deleteEvent(cal, id, 'instance');
+        assert.deepEqual(result, { id, scope: 'instance' });
+
+        const stored = server.resources.get(href).data;
+        assert.match(stored, /EXDATE:20261110T060000Z/);
+        assert.doesNotMatch(stored, /RECURRENCE-ID/);
+
+        const events = await calDavCalendarBackend.listEvents(cal, FROM, TO);
+        assert.deepEqual(events.map(e => e.id), [
+            `${href}#20261103T060000Z`,
+            `${href}#20261117T060000Z`,
+            `${href}#20261124T060000Z`
+        ]);
+    });
+
+    test('deletes the whole series from an occurrence with scope "series"', async () => {
+        const href = seedSeries();
+        const result = await calDavCalendarBackend.deleteEvent(cal, `${href}#20261117T060000Z`, 'series');
+
+        assert.deepEqual(result, { id: href, scope: 'series' });
+        assert.equal(server.resources.size, 0);
+    });
+
+    test('reports a failed login', async () => {
+        await assert.rejects(
+            calDavCalendarBackend.listEvents({ ...cal, password: 'wrong' }, FROM, TO),
+            /CalDAV login failed for calendar "Home"/
+        );
+    });
+});
+
+// Opt-in run against a real CalDAV server (e.g. a throwaway Radicale): CALDAV_TEST_URL is a calendar collection URL,
+// with CALDAV_TEST_USERNAME / CALDAV_TEST_PASSWORD. Events are created in November 2099 and deleted afterwards.
+describe('CalDavCalendarBackend against a real CalDAV server', { skip: !process.env.CALDAV_TEST_URL && 'CALDAV_TEST_URL is not set' }, () => {
+    const cal = {
+        name: 'Live',
+        type: 'caldav',
+        source: process.env.CALDAV_TEST_URL,
+        username: process.env.CALDAV_TEST_USERNAME,
+        password: process.env.CALDAV_TEST_PASSWORD
+    };
+    const LIVE_FROM = '2099-11-01T00:00:00+02:00';
+    const LIVE_TO = '2099-12-01T00:00:00+02:00';
+    const created = [];
+
+    after(async () => {
+        for (const id of created) {
+            await calDavCalendarBackend.deleteEvent(cal, id, 'series').catch(() => {});
+        }
+    });
+
+    test('creates, lists, updates and deletes an event', async () => {
+        const { id } = await calDavCalendarBackend.addEvent(cal, { title: 'Noga test', date: '2099-11-05', time: '16:30' });
+        created.push(id);
+
+        let events = await calDavCalendarBackend.listEvents(cal, LIVE_FROM, LIVE_TO);
+        assert.deepEqual(events.filter(e => e.id === id).map(e => e.start), ['2099-11-05T16:30:00+02:00']);
+        assert.deepEqual(await calDavCalendarBackend.listEvents(cal, '2099-12-01T00:00:00+02:00', '2099-12-31T00:00:00+02:00')
+            .then(list => list.filter(e => e.id === id)), []);
+
+        const result = await calDavCalendarBackend.updateEvent(cal, id, { time: '18:00' }, 'instance');
+        assert.equal(result.event.start, '2099-11-05T18:00:00+02:00');
+
+        await calDavCalendarBackend.deleteEvent(cal, id, 'instance');
+        events = await calDavCalendarBackend.listEvents(cal, LIVE_FROM, LIVE_TO);
+        assert.equal(events.some(e => e.id === id), false);
+    });
+});
@@ -0,0 +1,83 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import db from '../src/database/DatabaseManager.js';
+import calendarManager from '../src/skills/CalendarManager.js';
+import icsCalendarBackend from '../src/skills/calendar/IcsCalendarBackend.js';
+import { startMockCalDavServer } from './helpers/mockCalDavServer.js';
+
+const event = (uid, date, summary) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    'DTSTAMP:20261001T000000Z',
+    `DTSTART;VALUE=DATE:${date.replace(/-/g, '')}`,
+    `SUMMARY:${summary}`,
+    'END:VEVENT'
+];
+
+const calendar = (...events) => [
+    'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Test//Test//EN', ...events.flat(), 'END:VCALENDAR', ''
+].join('\r\n');
+
+describe('CalendarManager.getCelebrations', () => {
+    let tmpDir;
+    let server;
+    let fetches;
+    const { _fetch } = icsCalendarBackend;
+
+    before(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noga-celebrations-'));
+        db.dbPath = path.join(tmpDir, 'test.db');
+        db.init();
+
+        const icsPath = path.join(tmpDir, 'family.ics');
+        fs.writeFileSync(icsPath, calendar(
+            event('b-1', '2026-12-03', 'יום הולדת לסבתא'),
+            event('m-1', '2026-12-03', 'Dentist')
+        ));
+        db.addCalendar({ name: 'Family', type: 'ics', source: icsPath });
+
+        server = await startMockCalDavServer();
+        server.resources.set(`${server.path}a-1.ics`, {
+            data: calendar(event('a-1', '2026-12-05', 'Wedding anniversary')),
+            etag: '"v1"'
+        });
+        db.addCalendar({ name: 'Home', type: 'caldav', source: server.url, username: 'noga', password: 'secret' });
+
+        fetches = 0;
+        icsCalendarBackend._fetch = function (cal) {
+            fetches++;
+            return _fetch.call(this, cal);
+        };
+    });
+
+    after(() => {
+        icsCalendarBackend._fetch = _fetch;
+        icsCalendarBackend.cache.clear();
+        server.close();
+        db.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('lists each calendar once and matches the keywords locally', async () => {
+        const result = await calendarManager.getCelebrations('2026-12-01', '2026-12-10');
+        assert.equal(result.errors, undefined);
+        assert.deepEqual(result.celebrations.map(c => [c.date, c.type, c.calendar]), [
+            ['2026-12-03', 'birthday', 'Family'],
+            ['2026-12-05', 'anniversary', 'Home']
+        ]);
+        assert.equal(fetches, 1);
+        assert.equal(server.requests.filter(r => r.method === 'REPORT').length, 1);
+    });
+
+    test('concurrent loads of a cold ICS feed share one download', async () => {
+        icsCalendarBackend.cache.clear();
+        fetches = 0;
+        const cal = { name: 'Family', type: 'ics', source: path.join(tmpDir, 'family.ics') };
+        const [a, b] = await Promise.all([icsCalendarBackend._load(cal), icsCalendarBackend._load(cal)]);
+        assert.equal(a, b);
+        assert.equal(fetches, 1);
+    });
+});
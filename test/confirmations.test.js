@@ -0,0 +1,170 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/utils/config.js';
+import db from '../src/database/DatabaseManager.js';
+import homeAssistantManager from '../src/skills/HomeAssistantManager.js';
+import confirmationManager from '../src/bot/ConfirmationManager.js';
+
+const state = (id, name, deviceClass = undefined) => ({
+    id, name, state: 'off', type: id.split('.')[0],
+    attributes: { friendly_name: name, ...(deviceClass && { device_class: deviceClass }) }
+});
+
+const STATES = [
+    state('lock.front_door', 'Front door'),
+    state('cover.garage_door', 'Garage door', 'garage'),
+    state('cover.living_room_blinds', 'Living room blinds', 'blind'),
+    state('light.kitchen', 'Kitchen light'),
+    state('light.entrance', 'Entrance light')
+];
+
+let tmpDir;
+
+before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noga-confirm-'));
+    db.dbPath = path.join(tmpDir, 'test.db');
+    db.init();
+});
+
+after(() => {
+    db.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('ConfirmationManager Home Assistant intents', () => {
+    let haDomains;
+    let originalGetEntities;
+    let entities;
+
+    before(() => {
+        db.replaceHaRegistry({
+            floors: [{ floor_id: 'ground', name: 'Ground floor', level: 0, aliases: ['קומת כניסה'] }],
+            areas: [
+                { area_id: 'entrance', name: 'Entrance', floor_id: 'ground', aliases: [] },
+                { area_id: 'kitchen', name: 'Kitchen', floor_id: 'ground', aliases: [] }
+            ],
+            entities: [
+                { entity_id: 'lock.front_door', name: null, area_id: 'entrance', aliases: ['Main lock'] },
+                { entity_id: 'light.entrance', name: null, area_id: 'entrance' },
+                { entity_id: 'light.kitchen', name: null, area_id: 'kitchen' },
+                { entity_id: 'cover.garage_door', name: null, area_id: null },
+                { entity_id: 'cover.living_room_blinds', name: null, area_id: null }
+            ]
+        });
+        db.setHaAliases('area', 'entrance', 'כניסה');
+        db.addHaMapping('lock.front_door', 'המנעול');
+
+        haDomains = config.confirmations.haDomains;
+        config.confirmations.haDomains = ['lock', 'alarm_control_panel', 'cover:garage', 'cover:gate'];
+        originalGetEntities = homeAssistantManager.getEntities;
+        entities = { success: true, count: STATES.length, entities: STATES };
+        homeAssistantManager.getEntities = async () => entities;
+    });
+
+    after(() => {
+        homeAssistantManager.getEntities = originalGetEntities;
+        config.confirmations.haDomains = haDomains;
+    });
+
+    const asks = (args, toolName = 'HassTurnOff') => confirmationManager.requiresConfirmation(toolName, args);
+
+    test('resolves a device named only by its friendly name, registry alias or nickname', async () => {
+        assert.equal(await asks({ name: 'Front door' }), true);
+        assert.equal(await asks({ name: 'front  DOOR' }), true);
+        assert.equal(await asks({ name: 'Main lock' }), true);
+        assert.equal(await asks({ name: 'המנעול' }), true);
+        assert.equal(await asks({ name: 'lock.front_door' }), true);
+        assert.equal(await asks({ name: 'Kitchen light' }), false);
+    });
+
+    test('resolves areas and floors, with their aliases', async () => {
+        assert.equal(await asks({ area: 'Entrance' }), true);
+        assert.equal(await asks({ area: 'כניסה', domain: ['light'] }), false);
+        assert.equal(await asks({ area: 'Kitchen' }), false);
+        assert.equal(await asks({ floor: 'קומת כניסה' }), true);
+        assert.equal(await asks({ floor: 'Ground floor', domain: ['light'] }), false);
+    });
+
+    test('asks for garage doors and gates by device class, not for every cover', async () => {
+        assert.equal(await asks({ name: 'Garage door' }, 'HassTurnOn'), true);
+        assert.equal(await asks({ name: 'Living room blinds' }, 'HassTurnOn'), false);
+        assert.equal(await asks({ domain: ['cover'], device_class: ['garage'] }, 'HassTurnOn'), true);
+        assert.equal(await asks({ domain: ['cover'], device_class: ['blind'] }, 'HassTurnOn'), false);
+        assert.equal(await asks({ domain: ['lock'] }), true);
+    });
+
+    test('does not ask for read-only intents or intents that name no device', async () => {
+        assert.equal(await asks({ name: 'Front door' }, 'HassGetState'), false);
+        assert.equal(await asks({}, 'HassNevermind'), false);
+    });
+
+    test('falls back to the explicit domains and device classes when Home Assistant is unreachable', async () => {
+        entities = { error: 'Home Assistant not available' };
+        try {
+            assert.equal(await asks({ name: 'Unknown device', domain: ['lock'] }), true);
+            assert.equal(await asks({ device_class: ['garage'] }, 'HassTurnOn'), true);
+            assert.equal(await asks({ name: 'Unknown device', domain: ['light'] }), false);
+            // The synced registry still resolves the name
+            assert.equal(await asks({ name: 'Main lock' }), true);
+        } finally {
+            entities = { success: true, count: STATES.length, entities: STATES };
+        }
+    });
+});
+
+describe('ConfirmationManager answers', () => {
+    const GROUP = '120363000000000000@g.us';
+    const MOM = '972501111111';
+    const DAD = '972502222222';
+
+    const ask = (senderId, toolName, messageId = null) => {
+        const { id } = confirmationManager.create({ contextId: GROUP, senderId, toolName, args: { filename: `${toolName}.md` } });
+        if (messageId) confirmationManager.attachMessage(GROUP, messageId);
+        return id;
+    };
+    const ids = (actions) => actions.map(a => a.id);
+
+    beforeEach(() => {
+        db.db.exec('DELETE FROM pending_actions');
+    });
+
+    test('ignores one-letter answers', () => {
+        assert.equal(confirmationManager.parseAnswer('y'), null);
+        assert.equal(confirmationManager.parseAnswer('n'), null);
+        assert.equal(confirmationManager.parseAnswer('כן!'), 'confirm');
+        assert.equal(confirmationManager.parseAnswer('לא.'), 'cancel');
+    });
+
+    test('a plain answer only reaches the sender\'s own latest request', () => {
+        const first = ask(MOM, 'delete_memory', 'msg-1');
+        const second = ask(MOM, 'delete_calendar_event', 'msg-2');
+        ask(DAD, 'delete_memory', 'msg-3');
+
+        assert.deepEqual(ids(confirmationManager.findActions({ contextId: GROUP, senderId: MOM, isAdmin: false })), [second]);
+        db.resolvePendingAction(second, 'cancelled');
+        assert.deepEqual(ids(confirmationManager.findActions({ contextId: GROUP, senderId: MOM, isAdmin: false })), [first]);
+    });
+
+    test('a plain answer from an admin does not touch other people\'s requests', () => {
+        ask(MOM, 'delete_memory', 'msg-1');
+        assert.deepEqual(confirmationManager.findActions({ contextId: GROUP, senderId: DAD, isAdmin: true }), []);
+    });
+
+    test('actions asked about in the same reply are answered together', () => {
+        const first = ask(MOM, 'delete_memory');
+        const second = ask(MOM, 'delete_calendar_event', 'msg-1');
+        assert.deepEqual(ids(confirmationManager.findActions({ contextId: GROUP, senderId: MOM, isAdmin: false })), [first, second]);
+    });
+
+    test('a reaction or quoting reply answers the request it refers to, also for an admin', () => {
+        const first = ask(MOM, 'delete_memory', 'msg-1');
+        ask(MOM, 'delete_calendar_event', 'msg-2');
+
+        assert.deepEqual(ids(confirmationManager.findActions({ contextId: GROUP, senderId: MOM, isAdmin: false, messageId: 'msg-1' })), [first]);
+        assert.deepEqual(ids(confirmationManager.findActions({ contextId: GROUP, senderId: DAD, isAdmin: true, messageId: 'msg-1' })), [first]);
+        assert.deepEqual(confirmationManager.findActions({ contextId: GROUP, senderId: DAD, isAdmin: false, messageId: 'msg-1' }), []);
+    });
+});
@@ -0,0 +1,125 @@
+import { test, describe, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { HomeAssistantEvents } from '../src/skills/HomeAssistantEvents.js';
+import { startMockHomeAssistant } from './helpers/mockHomeAssistantServer.js';
+
+const STATES = [
+    { entity_id: 'binary_sensor.front_door', state: 'off', attributes: { friendly_name: 'Front door' }, last_changed: '2026-10-19T10:00:00Z' },
+    { entity_id: 'sensor.boiler_temperature', state: '41', attributes: { unit_of_measurement: '°C' }, last_changed: '2026-10-19T10:00:00Z' }
+];
+
+describe('HomeAssistantEvents against a mock WebSocket server', () => {
+    let server;
+    let events;
+
+    before(async () => {
+        server = await startMockHomeAssistant({ states: STATES });
+    });
+
+    after(() => server.close());
+
+    afterEach(() => {
+        mock.timers.reset();
+        events.stop();
+        server.disconnectAll();
+        server.messages.length = 0;
+    });
+
+    test('authenticates, subscribes before reading the states and emits the snapshot', async () => {
+        events = new HomeAssistantEvents();
+        const connected = once(events, 'connected');
+        events.start({ url: server.url, token: server.token });
+        const [states] = await connected;
+
+        assert.equal(events.url, `${server.url.replace('http', 'ws')}/api/websocket`);
+        assert.deepEqual(server.messages.map(m => m.type), ['auth', 'subscribe_events', 'get_states']);
+        assert.equal(server.messages[0].access_token, server.token);
+        assert.equal(server.messages[1].event_type, 'state_changed');
+        assert.deepEqual(states, STATES);
+
+        const status = events.getStatus();
+        assert.equal(status.enabled, true);
+        assert.equal(status.connected, true);
+        assert.equal(status.lastError, null);
+    });
+
+    test('emits state_changed events', async () => {
+        events = new HomeAssistantEvents();
+        const connected = once(events, 'connected');
+        events.start({ url: server.url, token: server.token });
+        await connected;
+
+        const changed = once(events, 'state_changed');
+        const newState = { ...STATES[0], state: 'on', last_changed: '2026-10-19T11:00:00Z' };
+        server.pushStateChanged('binary_sensor.front_door', newState, STATES[0]);
+        const [event] = await changed;
+
+        assert.equal(event.entityId, 'binary_sensor.front_door');
+        assert.deepEqual(event.newState, newState);
+        assert.deepEqual(event.oldState, STATES[0]);
+        assert.ok(events.getStatus().lastEventAt);
+    });
+
+    test('reports an invalid token and retries only slowly', async () => {
+        events = new HomeAssistantEvents();
+        mock.timers.enable({ apis: ['setTimeout'] });
+        events.start({ url: server.url, token: 'wrong' });
+        await new Promise(resolve => {
+            const check = () => (events.ws === null && events._reconnectTimer ? resolve() : setImmediate(check));
+            check();
+        });
+
+        assert.equal(events.connected, false);
+        assert.match(events.getStatus().lastError, /^Authentication failed: Invalid access token/);
+        assert.equal(events._retryMs, 5 * 60_000, 'backoff is at its maximum after auth_invalid');
+
+        const before = server.connections;
+        mock.timers.tick(60_000);
+        assert.equal(server.connections, before, 'no reconnect within a minute');
+    });
+
+    test('reconnects with a doubling backoff, reset after a successful connection', async () => {
+        events = new HomeAssistantEvents();
+        const connected = once(events, 'connected');
+        events.start({ url: server.url, token: server.token });
+        await connected;
+        assert.equal(events._retryMs, 5_000);
+
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const disconnected = once(events, 'disconnected');
+        server.disconnectAll();
+        await disconnected;
+        assert.equal(events.connected, false);
+        assert.equal(events._retryMs, 10_000, 'the next attempt waits twice as long');
+
+        // Nothing before the first delay, then a new connection
+        const connections = server.connections;
+        mock.timers.tick(4_999);
+        assert.equal(server.connections, connections);
+        const reconnected = once(events, 'connected');
+        mock.timers.tick(1);
+        await reconnected;
+
+        assert.equal(events.connected, true);
+        assert.equal(events._retryMs, 5_000, 'the backoff starts over once connected');
+    });
+
+    test('stop() closes the connection and does not reconnect', async () => {
+        events = new HomeAssistantEvents();
+        const connected = once(events, 'connected');
+        events.start({ url: server.url, token: server.token });
+        await connected;
+
+        mock.timers.enable({ apis: ['setTimeout'] });
+        const disconnected = once(events, 'disconnected');
+        events.stop();
+        await disconnected;
+
+        const connections = server.connections;
+        mock.timers.tick(10 * 60_000);
+        assert.equal(server.connections, connections);
+        assert.equal(events.getStatus().enabled, false);
+        await assert.rejects(events.command({ type: 'get_states' }), /not connected/);
+    });
+});
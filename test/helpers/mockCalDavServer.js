@@ -0,0 +1,109 @@
+import http from 'http';
+import crypto from 'crypto';
+import ical from 'node-ical';
+
+/**
+ * UTC instant of an iCalendar UTC date-time (20261103T060000Z)
+ */
+function fromIcsUtc(value) {
+    return new Date(value.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+}
+
+/**
+ * Whether any occurrence of any VEVENT of a resource overlaps the time range. Recurrences and overrides are
+ * expanded with node-ical, so edge cases of RFC 4791 9.9 (zero-length events at the range start,
+ * floating times) follow node-ical rather than a real server.
+ */
+function inTimeRange(data, from, to) {
+    return Object.values(ical.sync.parseICS(data))
+        .some(c => c?.type === 'VEVENT' && ical.expandRecurringEvent(c, { from, to }).length > 0);
+}
+
+/**
+ * Multistatus body in one of the shapes real servers send: prefixed namespaces (Nextcloud/SabreDAV), DAV: as the
+ * default namespace (Radicale), escaped or CDATA calendar data
+ */
+function multistatus(entries, { defaultNamespace = false, cdata = false } = {}) {
+    const [d, c] = defaultNamespace ? ['', 'C:'] : ['d:', 'c:'];
+    const namespaces = defaultNamespace
+        ? 'xmlns="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav"'
+        : 'xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"';
+    const body = (data) => cdata ? `<![CDATA[${data}]]>` : data.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+    const responses = entries.map(([href, r]) => `
+  <${d}response>
+    <${d}href>${href}</${d}href>
+    <${d}propstat>
+      <${d}prop><${d}getetag>${r.etag.replace(/"/g, '&quot;')}</${d}getetag><${c}calendar-data>${body(r.data)}</${c}calendar-data></${d}prop>
+      <${d}status>HTTP/1.1 200 OK</${d}status>
+    </${d}propstat>
+  </${d}response>`).join('');
+    return `<?xml version="1.0" encoding="utf-8"?>\n<${d}multistatus ${namespaces}>${responses}\n</${d}multistatus>`;
+}
+
+/**
+ * Minimal CalDAV server for the tests: one calendar collection kept in memory, basic auth,
+ * calendar-query REPORT (the resources with an occurrence in the VEVENT time-range), GET, conditional PUT and DELETE.
+ * Set `format` on the returned server to change the multistatus shape (see multistatus()).
+ * @param {{username?: string, password?: string, path?: string}} [options]
+ * @returns {Promise<{url: string, resources: Map<string, {data: string, etag: string}>, requests: Array, format: Object, close: Function}>}
+ */
+export async function startMockCalDavServer({ username = 'noga', password = 'secret', path = '/dav/home/' } = {}) {
+    const resources = new Map(); // href -> { data, etag }
+    const requests = []; // { method, url, headers, body } of every request
+    const mock = { format: {} };
+    const expectedAuth = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            if (req.headers.authorization !== expectedAuth) {
+                res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="test"' }).end();
+                return;
+            }
+            const href = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+            const resource = resources.get(href);
+
+            switch (req.method) {
+                case 'REPORT': {
+                    const range = body.match(/<(?:[\w-]+:)?time-range\s+start="(\w+)"\s+end="(\w+)"/);
+                    const entries = [...resources.entries()]
+                        .filter(([, r]) => !range || inTimeRange(r.data, fromIcsUtc(range[1]), fromIcsUtc(range[2])));
+                    res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' })
+                        .end(multistatus(entries, mock.format));
+                    return;
+                }
+                case 'GET':
+                    if (!resource) return res.writeHead(404).end();
+                    res.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8', ETag: resource.etag }).end(resource.data);
+                    return;
+                case 'PUT': {
+                    if (req.headers['if-none-match'] === '*' && resource) return res.writeHead(412).end();
+                    if (req.headers['if-match'] && (!resource || req.headers['if-match'] !== resource.etag)) return res.writeHead(412).end();
+                    const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+                    resources.set(href, { data: body, etag });
+                    res.writeHead(resource ? 204 : 201, { ETag: etag }).end();
+                    return;
+                }
+                case 'DELETE':
+                    if (!resource) return res.writeHead(404).end();
+                    resources.delete(href);
+                    res.writeHead(204).end();
+                    return;
+                default:
+                    res.writeHead(405).end();
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return Object.assign(mock, {
+        url: `http://127.0.0.1:${server.address().port}${path}`,
+        path,
+        resources,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    });
+}
@@ -0,0 +1,78 @@
+import { WebSocketServer } from 'ws';
+
+/**
+ * Minimal Home Assistant WebSocket API (/api/websocket) for the tests: the auth handshake,
+ * subscribe_events, get_states and pushed state_changed events
+ * @param {{token?: string, states?: Array}} [options]
+ */
+export async function startMockHomeAssistant({ token = 'test-token', states = [] } = {}) {
+    const wss = new WebSocketServer({ host: '127.0.0.1', port: 0, path: '/api/websocket' });
+    await new Promise(resolve => wss.once('listening', resolve));
+
+    const mock = {
+        url: `http://127.0.0.1:${wss.address().port}`,
+        token,
+        states,
+        connections: 0,
+        messages: [], // Every message received from the client
+        subscriptions: new Map(), // Socket -> subscription ID
+
+        /**
+         * Push a state_changed event to every subscribed client
+         */
+        pushStateChanged(entityId, newState, oldState = null) {
+            for (const [ws, id] of mock.subscriptions) {
+                ws.send(JSON.stringify({
+                    id,
+                    type: 'event',
+                    event: { event_type: 'state_changed', data: { entity_id: entityId, new_state: newState, old_state: oldState } }
+                }));
+            }
+        },
+
+        /**
+         * Drop every client connection
+         */
+        disconnectAll() {
+            for (const ws of wss.clients) ws.terminate();
+            mock.subscriptions.clear();
+        },
+
+        close() {
+            mock.disconnectAll();
+            return new Promise(resolve => wss.close(resolve));
+        }
+    };
+
+    wss.on('connection', (ws) => {
+        mock.connections++;
+        ws.send(JSON.stringify({ type: 'auth_required', ha_version: '2026.10.0' }));
+
+        ws.on('message', (raw) => {
+            const msg = JSON.parse(raw.toString());
+            mock.messages.push(msg);
+            switch (msg.type) {
+                case 'auth':
+                    if (msg.access_token === mock.token) {
+                        ws.send(JSON.stringify({ type: 'auth_ok', ha_version: '2026.10.0' }));
+                    } else {
+                        ws.send(JSON.stringify({ type: 'auth_invalid', message: 'Invalid access token or password' }));
+                        ws.close();
+                    }
+                    break;
+                case 'subscribe_events':
+                    mock.subscriptions.set(ws, msg.id);
+                    ws.send(JSON.stringify({ id: msg.id, type: 'result', success: true, result: null }));
+                    break;
+                case 'get_states':
+                    ws.send(JSON.stringify({ id: msg.id, type: 'result', success: true, result: mock.states }));
+                    break;
+                default:
+                    ws.send(JSON.stringify({ id: msg.id, type: 'result', success: false, error: { code: 'unknown_command', message: 'Unknown command.' } }));
+            }
+        });
+        ws.on('close', () => mock.subscriptions.delete(ws));
+    });
+
+    return mock;
+}
@@ -0,0 +1,57 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../src/utils/config.js';
+import { normalizeRecurrence, nextOccurrence } from '../src/utils/recurrence.js';
+
+/**
+ * Due dates of the first occurrences of a reminder normalized from a preset or RRULE
+ */
+function occurrences(input, dueDate, total) {
+    const { rule } = normalizeRecurrence(input, dueDate);
+    const dates = [dueDate];
+    let reminder = { recurrence: rule, due_date: dueDate, occurrence: 1 };
+    while (dates.length < total) {
+        const next = nextOccurrence(reminder, new Date(0));
+        dates.push(next.dueDate);
+        reminder = { ...reminder, due_date: next.dueDate, occurrence: next.occurrence };
+    }
+    return dates;
+}
+
+describe('recurrence anchoring', () => {
+    let timezone;
+
+    before(() => {
+        timezone = config.reminders.timezone;
+        config.reminders.timezone = 'UTC';
+    });
+
+    after(() => {
+        config.reminders.timezone = timezone;
+    });
+
+    test('a yearly reminder on 29 February returns to the 29th in leap years', () => {
+        assert.equal(normalizeRecurrence('yearly', '2028-02-29T09:00:00.000Z').rule, 'FREQ=YEARLY;BYMONTHDAY=29');
+        assert.deepEqual(occurrences('yearly', '2028-02-29T09:00:00.000Z', 6), [
+            '2028-02-29T09:00:00.000Z',
+            '2029-02-28T09:00:00.000Z',
+            '2030-02-28T09:00:00.000Z',
+            '2031-02-28T09:00:00.000Z',
+            '2032-02-29T09:00:00.000Z',
+            '2033-02-28T09:00:00.000Z'
+        ]);
+    });
+
+    test('a monthly reminder on the 31st stays on the last day of short months', () => {
+        assert.deepEqual(occurrences('monthly', '2030-01-31T09:00:00.000Z', 4), [
+            '2030-01-31T09:00:00.000Z',
+            '2030-02-28T09:00:00.000Z',
+            '2030-03-31T09:00:00.000Z',
+            '2030-04-30T09:00:00.000Z'
+        ]);
+    });
+
+    test('an explicit BYMONTHDAY is kept', () => {
+        assert.equal(normalizeRecurrence('FREQ=YEARLY;BYMONTHDAY=1', '2030-03-15T09:00:00.000Z').rule, 'FREQ=YEARLY;BYMONTHDAY=1');
+    });
+});
@@ -0,0 +1,209 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../src/utils/config.js';
+import db from '../src/database/DatabaseManager.js';
+import outboundQueue from '../src/bot/OutboundQueue.js';
+import { WatchRuleManager, entityMatches, stateMatches } from '../src/bot/WatchRuleManager.js';
+
+const PHONE = '972501234567';
+// 22:00 in Israel; a date in the future, so events fed in are never due by the real clock
+const T0 = new Date('2030-01-07T20:00:00Z');
+const minutes = (n) => new Date(T0.getTime() + n * 60_000);
+
+describe('entityMatches', () => {
+    test('matches exact IDs and * wildcards', () => {
+        assert.equal(entityMatches('binary_sensor.front_door', 'binary_sensor.front_door'), true);
+        assert.equal(entityMatches('binary_sensor.front_door', 'binary_sensor.back_door'), false);
+        assert.equal(entityMatches('binary_sensor.*_door', 'binary_sensor.back_door'), true);
+        assert.equal(entityMatches('binary_sensor.*', 'sensor.front_door'), false);
+        assert.equal(entityMatches('*', 'light.kitchen'), true);
+    });
+
+    test('treats regex characters in the pattern literally', () => {
+        assert.equal(entityMatches('sensor.a.b*', 'sensor.aXb_1'), false);
+        assert.equal(entityMatches('sensor.a.b*', 'sensor.a.b_1'), true);
+    });
+});
+
+describe('stateMatches', () => {
+    const rule = (fields) => ({ to_state: null, above: null, below: null, ...fields });
+
+    test('compares to_state case-insensitively against a comma-separated list', () => {
+        assert.equal(stateMatches(rule({ to_state: 'on' }), { state: 'on' }), true);
+        assert.equal(stateMatches(rule({ to_state: 'open, ON' }), { state: 'on' }), true);
+        assert.equal(stateMatches(rule({ to_state: 'open,on' }), { state: 'off' }), false);
+    });
+
+    test('checks numeric limits, and never matches a non-numeric state', () => {
+        assert.equal(stateMatches(rule({ above: 30 }), { state: '31.5' }), true);
+        assert.equal(stateMatches(rule({ above: 30 }), { state: '30' }), false);
+        assert.equal(stateMatches(rule({ above: 10, below: 20 }), { state: '15' }), true);
+        assert.equal(stateMatches(rule({ above: 10, below: 20 }), { state: '25' }), false);
+        assert.equal(stateMatches(rule({ below: 0 }), { state: 'unavailable' }), false);
+    });
+
+    test('matches any state when the rule has no condition', () => {
+        assert.equal(stateMatches(rule({}), { state: 'anything' }), true);
+    });
+});
+
+describe('WatchRuleManager', () => {
+    let tmpDir;
+    let timezone;
+    let originalSend;
+    let sent;
+    let manager;
+
+    const addRule = (fields) => db.addWatchRule({
+        name: 'Front door', entityId: 'binary_sensor.front_door', toState: 'on', message: '{name} open for {minutes} minutes',
+        raw: true, personPhone: PHONE, cooldownMinutes: 0, enabled: true, ...fields
+    });
+
+    const door = (state, at) => ({
+        entity_id: 'binary_sensor.front_door', state, attributes: { friendly_name: 'Front door' }, last_changed: at.toISOString()
+    });
+
+    const start = (geminiManager = null) => {
+        manager = new WatchRuleManager();
+        manager.geminiManager = geminiManager;
+        manager.reload();
+        return manager;
+    };
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'noga-watch-'));
+        db.dbPath = path.join(tmpDir, 'test.db');
+        db.init();
+
+        timezone = config.reminders.timezone;
+        config.reminders.timezone = 'Asia/Jerusalem';
+
+        originalSend = outboundQueue.send;
+        outboundQueue.send = async (chatId, text, options) => {
+            sent.push({ chatId, text, options });
+            return { queued: false };
+        };
+    });
+
+    after(() => {
+        outboundQueue.send = originalSend;
+        config.reminders.timezone = timezone;
+        db.close();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        sent = [];
+        db.db.exec('DELETE FROM ha_watch_log; DELETE FROM ha_watch_rules;');
+    });
+
+    test('fires once the condition has held for for_minutes, once per episode', async () => {
+        const ruleId = addRule({ forMinutes: 10 });
+        start();
+        await manager._onStateChanged('binary_sensor.front_door', door('on', T0));
+
+        await manager.evaluate(minutes(5));
+        assert.equal(sent.length, 0);
+
+        await manager.evaluate(minutes(10));
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].chatId, `${PHONE}@s.whatsapp.net`);
+        assert.equal(sent[0].text, 'Front door open for 10 minutes');
+        assert.deepEqual(sent[0].options, { source: 'watch', meta: { watchRuleId: ruleId } });
+        assert.equal(db.getLastWatchFire(ruleId, 'binary_sensor.front_door'), minutes(10).toISOString());
+
+        await manager.evaluate(minutes(11));
+        assert.equal(sent.length, 1, 'no second message while the door stays open');
+    });
+
+    test('does not fire when the condition ends before for_minutes', async () => {
+        addRule({ forMinutes: 10 });
+        start();
+        await manager._onStateChanged('binary_sensor.front_door', door('on', T0));
+        await manager._onStateChanged('binary_sensor.front_door', door('off', minutes(3)));
+
+        await manager.evaluate(minutes(20));
+        assert.equal(sent.length, 0);
+        assert.equal(manager.getStatus().pending, 0);
+    });
+
+    test('debounces a new episode within the cooldown', async () => {
+        addRule({ cooldownMinutes: 30 });
+        start();
+        await manager._onStateChanged('binary_sensor.front_door', door('on', T0));
+        await manager.evaluate(T0);
+        assert.equal(sent.length, 1);
+
+        // Closed and opened again 10 minutes later: within the cooldown
+        await manager._onStateChanged('binary_sensor.front_door', door('off', minutes(5)));
+        await manager._onStateChanged('binary_sensor.front_door', door('on', minutes(10)));
+        await manager.evaluate(minutes(10));
+        assert.equal(sent.length, 1);
+
+        // Opened again after the cooldown
+        await manager._onStateChanged('binary_sensor.front_door', door('off', minutes(35)));
+        await manager._onStateChanged('binary_sensor.front_door', door('on', minutes(40)));
+        await manager.evaluate(minutes(40));
+        assert.equal(sent.length, 2);
+    });
+
+    test('waits for the active hours', async () => {
+        addRule({ activeHours: '08:00-20:00' });
+        start();
+        await manager._onStateChanged('binary_sensor.front_door', door('on', T0));
+
+        await manager.evaluate(T0);
+        assert.equal(sent.length, 0, 'not at 22:00');
+        assert.equal(manager.getStatus().pending, 1);
+
+        await manager.evaluate(minutes(9 * 60 + 59)); // 07:59
+        assert.equal(sent.length, 0);
+
+        await manager.evaluate(minutes(10 * 60)); // 08:00
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].text, 'Front door open for 600 minutes');
+    });
+
+    test('does not fire the same episode again after a restart', async () => {
+        addRule({ cooldownMinutes: 0 });
+        start();
+        await manager._onStateChanged('binary_sensor.front_door', door('on', T0));
+        await manager.evaluate(T0);
+        assert.equal(sent.length, 1);
+
+        // A new instance sees the same state in the snapshot after reconnecting
+        start();
+        await manager._onStateChanged('binary_sensor.front_door', door('on', T0));
+        await manager.evaluate(minutes(60));
+        assert.equal(sent.length, 1);
+    });
+
+    test('phrases the message with the AI, and falls back to the rule message on an empty reply', async () => {
+        addRule({ raw: false });
+        const requests = [];
+        let reply = 'הדלת הקדמית פתוחה';
+        start({
+            generateBroadcastMessage: async (request, options) => {
+                requests.push({ request, options });
+                return reply;
+            }
+        });
+
+        await manager._onStateChanged('binary_sensor.front_door', door('on', T0));
+        await manager.evaluate(T0);
+        assert.equal(sent[0].text, 'הדלת הקדמית פתוחה');
+        assert.equal(requests[0].request.event, 'Front door open for 0 minutes');
+        assert.equal(requests[0].request.data.entity_id, 'binary_sensor.front_door');
+        assert.deepEqual(requests[0].options, { callKind: 'watch', contextId: PHONE });
+
+        reply = '';
+        await manager._onStateChanged('binary_sensor.front_door', door('off', minutes(1)));
+        await manager._onStateChanged('binary_sensor.front_door', door('on', minutes(2)));
+        await manager.evaluate(minutes(2));
+        assert.equal(sent.length, 2);
+        assert.equal(sent[1].text, 'Front door open for 0 minutes');
+    });
+});